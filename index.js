@@ -9,8 +9,9 @@ import { createCLI } from "./src/cli.js";
 
 /**
  * Creates and initializes the CLI program, then parses command-line arguments.
+ * Parsing is asynchronous because commands may ask for a passphrase first.
  * @returns {void}
  */
 const program = createCLI();
 
-program.parse(process.argv);
\ No newline at end of file
+program.parseAsync(process.argv);
\ No newline at end of file
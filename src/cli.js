@@ -16,6 +16,41 @@ import { clearCommand } from "./commands/clear.js";
 import { statsCommand } from "./commands/stats.js";
 import { exportCommand } from "./commands/export.js";
 import { importCommand } from "./commands/import.js";
+import { configCommand } from "./commands/config.js";
+import { storageCommand, storageMigrateCommand } from "./commands/storage.js";
+import { migrateCommand } from "./commands/migrate.js";
+import { backupListCommand, backupCreateCommand } from "./commands/backup.js";
+import { restoreCommand } from "./commands/restore.js";
+import { repairCommand } from "./commands/repair.js";
+import { doctorCommand } from "./commands/doctor.js";
+import { encryptCommand, decryptCommand } from "./commands/encrypt.js";
+import { compactCommand } from "./commands/compact.js";
+import { listsCommand, listsCreateCommand, listsRenameCommand, listsDeleteCommand, listsUseCommand } from "./commands/lists.js";
+import { moveCommand } from "./commands/move.js";
+import { undoCommand, redoCommand } from "./commands/undo.js";
+import { trashListCommand, trashEmptyCommand, trashRestoreCommand } from "./commands/trash.js";
+import { archiveCommand, unarchiveCommand } from "./commands/archive.js";
+import { tagsCommand, tagsRenameCommand, tagsMergeCommand } from "./commands/tags.js";
+import { dependCommand } from "./commands/depend.js";
+import { nextCommand } from "./commands/next.js";
+import { recurListCommand, recurStopCommand } from "./commands/recur.js";
+import { noteCommand } from "./commands/note.js";
+import { showCommand } from "./commands/show.js";
+import { startCommand, stopCommand, logTimeCommand } from "./commands/timer.js";
+import { timesheetCommand } from "./commands/timesheet.js";
+import { initCommand } from "./commands/init.js";
+import { syncCommand } from "./commands/sync.js";
+import { historyCommand, historyShowCommand } from "./commands/history.js";
+import { gitInitCommand, gitRemoteCommand, gitPushCommand, gitPullCommand } from "./commands/git.js";
+import todoService from "./services/todoService.js";
+import configService from "./services/configService.js";
+import locationService from "./services/locationService.js";
+import listService from "./services/listService.js";
+import { GitService } from "./services/gitService.js";
+import { createAdapter } from "./services/adapters/createAdapter.js";
+import { formatter } from "./utils/formatter.js";
+import { prompt } from "./utils/prompt.js";
+import { BACKUP } from "./config/constants.js";
 
 /**
  * Commander.js program instance for the Todo CLI.
@@ -24,9 +59,111 @@ import { importCommand } from "./commands/import.js";
 const program = new Command();
 
 program
+    .enablePositionalOptions()
     .name('todos')
     .description(chalk.cyan('[-] Simple and powerful CLI Todo List manager'))
-    .version('2.0.0');
+    .version('2.0.0')
+    .option('--data <path>', 'Use this data file instead of the configured one')
+    .option('--list <name>', 'Use this task list instead of the current one')
+    .option('-g, --global', 'Use your personal tasks even inside a project with a .todo.json');
+
+/**
+ * Collects the values of an option that may be repeated, like `--tag a --tag b`.
+ * @function collect
+ * @param {string} value - Value of this occurrence.
+ * @param {Array<string>} [previous=[]] - Values of the earlier occurrences.
+ * @returns {Array<string>} All values so far.
+ * @private
+ */
+function collect(value, previous = []) {
+    return [...previous, value];
+}
+
+/**
+ * Tells a snapshot name, like `20251104T100000000Z-purge`, apart from the task IDs `restore` also takes.
+ * Numbers are always task IDs; snapshots are restored by number with `backup restore`.
+ * @function isSnapshotName
+ * @param {string} ref - Argument of `restore`.
+ * @returns {boolean} True if it names a snapshot.
+ * @private
+ */
+function isSnapshotName(ref) {
+    return BACKUP.NAME_REGEX.test(`${ref.replace(/\.json$/, '')}.json`);
+}
+
+/**
+ * Adds the options that select tasks by filter, and skip the confirmation for many tasks, to a command.
+ * @function withSelectionOptions
+ * @param {Command} command - Command that changes several tasks at once.
+ * @returns {Command} The same command.
+ * @private
+ */
+function withSelectionOptions(command) {
+    return command
+        .option('-c, --completed', 'Only completed tasks')
+        .option('-p, --pending', 'Only pending tasks')
+        .option('--priority <level>', 'Only tasks with this priority (high, medium, low)')
+        .option('--tag <tags>', 'Only tasks with any of these tags (a,b) or all of them (a+b)', collect)
+        .option('--before <date>', 'Only tasks completed (or, if pending, created) before this date (YYYY-MM-DD)')
+        .option('-y, --yes', 'Change many tasks without asking for confirmation');
+}
+
+// Resolve the data file, recover damaged data and archive expired tasks before any command runs
+program.hook('preAction', async (thisCommand, actionCommand) => {
+    // init only creates a file in the current directory, so it must not ask for the passphrase of another one,
+    // and config has to work while the storage settings are broken, since it is how they are fixed
+    if (['init', 'config'].includes(actionCommand.name()) && actionCommand.parent === program) return;
+
+    try {
+        const moved = locationService.activate(program.opts());
+        moved.forEach(({ from, to }) => {
+            formatter.info(`Moved ${from} to ${to}`);
+        });
+
+        // The lists commands still work when the selected list is gone, so it can be recreated or switched away from
+        const managesLists = [actionCommand.name(), actionCommand.parent?.name()].includes('lists');
+        if (!managesLists) {
+            listService.assertExists(locationService.getListName());
+        }
+
+        todoService.useStorage(createAdapter(configService.get('storage'), locationService.getDataFile()));
+
+        const git = new GitService(locationService.getDataDir());
+        todoService.useGit(git.isEnabled() ? git : null);
+
+        if (todoService.needsPassphrase()) {
+            todoService.unlock(await prompt.password('Passphrase:'));
+        }
+
+        if (actionCommand.name() !== 'repair') {
+            const report = todoService.repair();
+            if (report.repaired) {
+                formatter.warning('Your data was damaged and has been repaired');
+                formatter.formatRepairReport(report);
+                formatter.emptyLine();
+            }
+        }
+
+        // Undo and redo would otherwise revert the archiving instead of the change they were asked to
+        if (!managesLists && !['repair', 'undo', 'redo'].includes(actionCommand.name())) {
+            const archived = todoService.archiveExpired();
+            if (archived.length > 0) {
+                formatter.info(`Archived ${archived.length} task(s) completed more than ${configService.get('autoArchiveDays')} day(s) ago`);
+            }
+        }
+    } catch (error) {
+        formatter.error(error.message);
+        process.exit(1);
+    }
+});
+
+// Init command
+program
+    .command('init')
+    .description('Create a task list for the project in the current directory')
+    .action(() => {
+        initCommand();
+    });
 
 // Add command
 program
@@ -34,7 +171,10 @@ program
     .description('Add a new task')
     .option('-p, --priority <level>', 'Set task priority (high, medium, low)')
     .option('-d, --due <date>', 'Set due date (YYYY-MM-DD)')
-    .option('-t --tag <name>', 'Set task tag')
+    .option('-t --tag <name>', 'Add a tag to the task (repeat for more)', collect)
+    .option('--parent <id>', 'Add the task as a subtask of another task')
+    .option('--every <rule>', 'Repeat the task: day, weekdays, week, week:mon,thu, month, month:15 or a number of days like 3d')
+    .option('--after-completion', 'Count the next due date from the day the task is completed')
     .action((description, options) => {
         addCommand(description.join(' '), options);
     });
@@ -46,48 +186,145 @@ program
     .option('-c, --completed', 'Show only completed tasks')
     .option('-p, --pending', 'Show only pending tasks')
     .option('--priority <level>', 'Filter by priority (high, medium, low)')
-    .option('--tag <name>', 'Filter by tag')
+    .option('--tag <tags>', 'Filter by any of these tags (a,b) or all of them (a+b)', collect)
+    .option('-a, --archived', 'Show archived tasks')
+    .option('--actionable', 'Show only pending tasks that do not wait for another task')
     .action((options) => {
         listCommand(options);
     });
 
 // Delete command
-program
-    .command('delete <id>')
+withSelectionOptions(program
+    .command('delete [ids...]')
     .alias('remove')
     .alias('rm')
-    .description('Delete a task by ID')
-    .action((id) => {
-        deleteCommand(id);
+    .description('Move tasks to the trash by ID, range (7-9) or filter'))
+    .action((ids, options) => {
+        deleteCommand(ids, options);
     });
 
 // Complete command
-program
-    .command('done <id>')
+withSelectionOptions(program
+    .command('done [ids...]')
     .alias('complete')
     .alias('finish')
-    .description('Mark a task as complete')
-    .action((id) => {
-        completeCommand(id);
+    .description('Mark tasks as complete by ID, range (7-9) or filter'))
+    .action((ids, options) => {
+        completeCommand(ids, options);
     });
 
 // Uncomplete command
-program
-    .command('undone <id>')
+withSelectionOptions(program
+    .command('undone [ids...]')
     .alias('uncomplete')
     .alias('incomplete')
-    .description('Mark a task as incomplete')
-    .action((id) => {
-        uncompleteCommand(id);
+    .description('Mark tasks as incomplete by ID, range (7-9) or filter'))
+    .action((ids, options) => {
+        uncompleteCommand(ids, options);
     });
 
 // Update command
 program
-    .command('update <id> <description...>')
+    .command('update <id> [words...]')
     .alias('edit')
-    .description('Update task description')
-    .action((id, description) => {
-        updateCommand(id, description.join(' '));
+    .usage('<id> [new description] [+tag...] [-tag...]')
+    .description('Update task description, add tags with +tag and remove them with -tag')
+    .allowUnknownOption()
+    .action((id, words) => {
+        updateCommand(id, words);
+    });
+
+// Note command
+program
+    .command('note <id> [text...]')
+    .description('Add a timestamped note to a task, or edit its notes with --edit')
+    .option('-e, --edit', 'Edit the notes of the task in $EDITOR')
+    .action((id, text, options) => {
+        noteCommand(id, text, options);
+    });
+
+// Show command
+program
+    .command('show <id>')
+    .description('Show a task with its notes, subtasks, the tasks it waits for and its history')
+    .action((id) => {
+        showCommand(id);
+    });
+
+// Depend command
+program
+    .command('depend <id>')
+    .description('Make a task wait for other tasks to be completed first')
+    .option('--on <ids...>', 'Tasks to wait for')
+    .option('--remove [ids...]', 'Stop waiting for these tasks, or for all of them')
+    .action((id, options) => {
+        dependCommand(id, options);
+    });
+
+// Recur command
+const recur = program
+    .command('recur')
+    .description('List recurring tasks')
+    .action(() => {
+        recurListCommand();
+    });
+
+recur
+    .command('list')
+    .description('List recurring tasks with their repeat rules')
+    .action(() => {
+        recurListCommand();
+    });
+
+recur
+    .command('stop <id>')
+    .description('Stop a task from coming back once it is completed')
+    .action((id) => {
+        recurStopCommand(id);
+    });
+
+// Next command
+program
+    .command('next')
+    .description('Show the task to work on next, by priority and due date')
+    .action(() => {
+        nextCommand();
+    });
+
+// Start command
+program
+    .command('start <id>')
+    .description('Start timing the work on a task, stopping the timer of another task')
+    .action((id) => {
+        startCommand(id);
+    });
+
+// Stop command
+program
+    .command('stop')
+    .description('Stop the running timer')
+    .action(() => {
+        stopCommand();
+    });
+
+// Log time command
+program
+    .command('log-time <id> <duration>')
+    .description('Log time spent on a task, like 1h30m, 45m or 1:30')
+    .action((id, duration) => {
+        logTimeCommand(id, duration);
+    });
+
+// Timesheet command
+program
+    .command('timesheet')
+    .description('Sum up the hours spent per task and per tag')
+    .option('--from <date>', 'First day (YYYY-MM-DD)')
+    .option('--to <date>', 'Last day (YYYY-MM-DD)')
+    .option('--tag <tags>', 'Only tasks with any of these tags (a,b) or all of them (a+b)', collect)
+    .option('--csv', 'Print CSV, e.g. to save it for a spreadsheet')
+    .action((options) => {
+        timesheetCommand(options);
     });
 
 // Search command
@@ -95,8 +332,9 @@ program
     .command('search <keyword...>')
     .alias('find')
     .description('Search tasks by keyword')
-    .action((keyword) => {
-        searchCommand(keyword.join(' '));
+    .option('-a, --archived', 'Search archived tasks')
+    .action((keyword, options) => {
+        searchCommand(keyword.join(' '), options);
     });
 
 // Stats command
@@ -113,17 +351,168 @@ program
 program
     .command('clear')
     .alias('clean')
-    .description('Delete all completed tasks')
+    .description('Move all completed tasks to the trash (or the archive, see the archiveOnClear setting)')
     .action(() => {
         clearCommand();
     });
 
+// Archive command
+program
+    .command('archive')
+    .description('Move completed tasks to the archive')
+    .option('--older-than <age>', 'Only tasks completed longer ago than this, like 30d or 2w')
+    .action((options) => {
+        archiveCommand(options);
+    });
+
+// Unarchive command
+program
+    .command('unarchive <ids...>')
+    .description('Bring archived tasks back to the list')
+    .action((ids) => {
+        unarchiveCommand(ids);
+    });
+
+// Tags command
+const tags = program
+    .command('tags')
+    .description('List every tag with its task counts')
+    .action(() => {
+        tagsCommand();
+    });
+
+tags
+    .command('list')
+    .description('List every tag with how many pending and completed tasks have it')
+    .action(() => {
+        tagsCommand();
+    });
+
+tags
+    .command('rename <old> <new>')
+    .description('Rename a tag on all tasks')
+    .action((from, to) => {
+        tagsRenameCommand(from, to);
+    });
+
+tags
+    .command('merge <args...>')
+    .usage('<tag...> <into>')
+    .description('Replace several tags with one on all tasks')
+    .action((args) => {
+        tagsMergeCommand(args);
+    });
+
+// Trash command
+const trash = program
+    .command('trash')
+    .description('List deleted tasks')
+    .action(() => {
+        trashListCommand();
+    });
+
+trash
+    .command('list')
+    .description('List deleted tasks with when they were deleted')
+    .action(() => {
+        trashListCommand();
+    });
+
+trash
+    .command('empty')
+    .description('Delete the tasks in the trash for good')
+    .option('--older-than <age>', 'Only tasks deleted longer ago than this, like 30d or 2w')
+    .option('-y, --yes', 'Empty the trash without asking for confirmation')
+    .action((options) => {
+        trashEmptyCommand(options);
+    });
+
+// Restore command: task IDs come back from the trash, a snapshot name is restored like "backup restore" does
+program
+    .command('restore <refs...>')
+    .usage('[options] <ids...> | <snapshot>')
+    .description('Bring deleted tasks back from the trash, or restore a backup by name (numbers are task IDs)')
+    .option('-y, --yes', 'Restore a backup without asking for confirmation')
+    .action((refs, options) => {
+        if (refs.length === 1 && isSnapshotName(refs[0])) {
+            restoreCommand(refs[0], options);
+        } else {
+            trashRestoreCommand(refs);
+        }
+    });
+
+// Move command
+withSelectionOptions(program
+    .command('move <args...>')
+    .usage('[options] <ids...> <list>')
+    .alias('mv')
+    .description('Move tasks by ID, range (7-9) or filter to another list'))
+    .action((args, options) => {
+        moveCommand(args, options);
+    });
+
+// Undo command
+program
+    .command('undo [count]')
+    .description('Undo the last change to your tasks, or the last <count> changes')
+    .option('-l, --list', 'Show the changes that can be undone and what undoing each would do')
+    .action((count, options) => {
+        undoCommand(count, options);
+    });
+
+// Redo command
+program
+    .command('redo [count]')
+    .description('Redo the last undone change, or the last <count> ones')
+    .action((count) => {
+        redoCommand(count);
+    });
+
+// Lists command
+const lists = program
+    .command('lists')
+    .description('Show all task lists')
+    .action(() => {
+        listsCommand();
+    });
+
+lists
+    .command('create <name>')
+    .description('Create an empty task list')
+    .action((name) => {
+        listsCreateCommand(name);
+    });
+
+lists
+    .command('rename <old> <new>')
+    .description('Rename a task list')
+    .action((from, to) => {
+        listsRenameCommand(from, to);
+    });
+
+lists
+    .command('delete <name>')
+    .alias('rm')
+    .description('Delete a task list after backing it up')
+    .option('-y, --yes', 'Delete without asking for confirmation')
+    .action((name, options) => {
+        listsDeleteCommand(name, options);
+    });
+
+lists
+    .command('use <name>')
+    .description('Make a task list the current one')
+    .action((name) => {
+        listsUseCommand(name);
+    });
+
 // Export command
 program
     .command('export')
     .description('Export tasks to JSON file')
-    .action(() => {
-        exportCommand();
+    .option('--versioned', 'Write the versioned { version, tasks, meta } format instead of a bare array of tasks')
+    .action((options) => {
+        exportCommand(options);
     });
 
 // Import command
@@ -134,29 +523,248 @@ program
         importCommand(filename);
     });
 
+// Sync command
+program
+    .command('sync <path>')
+    .description('Merge your tasks with another todo file so both have the same tasks')
+    .option('-s, --strategy <policy>', 'Settle conflicts without asking (ours, theirs, newest)')
+    .option('--dry-run', 'Show what would change without changing anything')
+    .action((file, options) => {
+        syncCommand(file, options);
+    });
+
+// History command
+const history = program
+    .command('history')
+    .description('Show the commits that changed your tasks (needs "todo git init")')
+    .option('-n, --limit <count>', 'Show at most this many commits')
+    .action((options) => {
+        historyCommand(options);
+    });
+
+history
+    .command('show <commit>')
+    .description('Show how a commit changed your tasks')
+    .action((rev) => {
+        historyShowCommand(rev);
+    });
+
+// Git command
+const git = program
+    .command('git')
+    .description('Keep the history of your tasks in a git repository');
+
+git
+    .command('init [url]')
+    .description('Commit every change to your tasks, optionally cloning the history from a repository')
+    .action((url) => {
+        gitInitCommand(url);
+    });
+
+git
+    .command('remote [name] [url]')
+    .description('Show the remotes, or add one to push to and pull from')
+    .action((name, url) => {
+        gitRemoteCommand(name, url);
+    });
+
+git
+    .command('push [remote]')
+    .description('Push the task history to a remote (origin by default)')
+    .action((remote) => {
+        gitPushCommand(remote);
+    });
+
+git
+    .command('pull [remote]')
+    .description('Pull the task history from a remote (origin by default)')
+    .action((remote) => {
+        gitPullCommand(remote);
+    });
+
+// Config command
+program
+    .command('config [key] [value]')
+    .description('Show or change settings')
+    .action((key, value) => {
+        configCommand(key, value);
+    });
+
+// Storage command
+const storage = program
+    .command('storage')
+    .description('Show the active storage backend')
+    .action(() => {
+        storageCommand();
+    });
+
+storage
+    .command('migrate')
+    .description('Copy all tasks to another storage backend and switch to it')
+    .requiredOption('--to <backend>', 'Target backend (json, sqlite)')
+    .option('-f, --force', 'Replace tasks already stored in the target backend')
+    .action((options) => {
+        storageMigrateCommand(options);
+    });
+
+// Migrate command
+program
+    .command('migrate')
+    .description('Upgrade the data file to the current format')
+    .option('--dry-run', 'Show pending migrations without changing anything')
+    .action((options) => {
+        migrateCommand(options);
+    });
+
+// Backup command
+const backup = program
+    .command('backup')
+    .description('List backups of your tasks')
+    .action(() => {
+        backupListCommand();
+    });
+
+backup
+    .command('list')
+    .description('List backups, newest first')
+    .action(() => {
+        backupListCommand();
+    });
+
+backup
+    .command('create')
+    .description('Back up your tasks now')
+    .action(() => {
+        backupCreateCommand();
+    });
+
+backup
+    .command('restore <snapshot>')
+    .description('Replace your tasks with a backup (name or number from "backup list"); "todo restore <name>" does the same')
+    .option('-y, --yes', 'Restore without asking for confirmation')
+    .action((snapshot, options) => {
+        restoreCommand(snapshot, options);
+    });
+
+// Repair command
+program
+    .command('repair')
+    .description('Check the data file and recover it if it is damaged')
+    .action(() => {
+        repairCommand();
+    });
+
+// Doctor command
+program
+    .command('doctor')
+    .description('Check every task for invalid or duplicate data')
+    .option('--fix', 'Re-ID duplicates, normalize fields and remove unrecoverable records')
+    .action((options) => {
+        doctorCommand(options);
+    });
+
+// Compact command
+program
+    .command('compact')
+    .description('Fold the change journal into the data file now')
+    .action(() => {
+        compactCommand();
+    });
+
+// Encrypt command
+program
+    .command('encrypt')
+    .description('Encrypt your tasks and backups with a passphrase')
+    .action(() => {
+        encryptCommand();
+    });
+
+// Decrypt command
+program
+    .command('decrypt')
+    .description('Remove encryption from your tasks and backups')
+    .action(() => {
+        decryptCommand();
+    });
+
 // Custom help
 program.addHelpText('after', `
 ${chalk.bold('\nExample:')}
     ${chalk.gray('$')} todo add "Buy groceries at Indomaret"
-    ${chalk.gray('$')} todo add "Fix bug" --priority high --due 2025-11-06 --tag work
+    ${chalk.gray('$')} todo add "Fix bug" --priority high --due 2025-11-06 --tag work --tag urgent
+    ${chalk.gray('$')} todo add "Book flights" --parent 12
+    ${chalk.gray('$')} todo add "Weekly report" --every week:fri
+    ${chalk.gray('$')} todo add "Water plants" --every 3d --after-completion
+    ${chalk.gray('$')} todo recur list
+    ${chalk.gray('$')} todo recur stop 12
     ${chalk.gray('$')} todo list
     ${chalk.gray('$')} todo list --completed
     ${chalk.gray('$')} todo list --priority high
+    ${chalk.gray('$')} todo list --tag work,home
+    ${chalk.gray('$')} todo list --tag work+urgent
+    ${chalk.gray('$')} todo depend 14 --on 12 13
+    ${chalk.gray('$')} todo list --actionable
+    ${chalk.gray('$')} todo next
     ${chalk.gray('$')} todo stats
     ${chalk.gray('$')} todo search "bug"
-    ${chalk.gray('$')} todo update 1234567890 "Buy groceries at Alfamidi"
-    ${chalk.gray('$')} todo done   1234567890
-    ${chalk.gray('$')} todo undone 1234567890
-    ${chalk.gray('$')} todo delete 1234567890
+    ${chalk.gray('$')} todo update 12 "Buy groceries at Alfamidi"
+    ${chalk.gray('$')} todo update 12 +urgent -someday
+    ${chalk.gray('$')} todo note 12 "Waiting for the review"
+    ${chalk.gray('$')} todo note 12 --edit
+    ${chalk.gray('$')} todo show 12
+    ${chalk.gray('$')} todo start 12
+    ${chalk.gray('$')} todo stop
+    ${chalk.gray('$')} todo log-time 12 1h30m
+    ${chalk.gray('$')} todo timesheet --from 2026-10-01 --to 2026-10-31 --tag client-a --csv
+    ${chalk.gray('$')} todo tags
+    ${chalk.gray('$')} todo tags rename bug bugs
+    ${chalk.gray('$')} todo tags merge bug defect bugs
+    ${chalk.gray('$')} todo done   12
+    ${chalk.gray('$')} todo done   @1
+    ${chalk.gray('$')} todo done   3 5 7-9
+    ${chalk.gray('$')} todo done   --tag sprint-12
+    ${chalk.gray('$')} todo undone 12
+    ${chalk.gray('$')} todo delete 12
+    ${chalk.gray('$')} todo delete --completed --before 2026-01-01
     ${chalk.gray('$')} todo clear
+    ${chalk.gray('$')} todo archive --older-than 2w
+    ${chalk.gray('$')} todo list --archived
+    ${chalk.gray('$')} todo trash
+    ${chalk.gray('$')} todo restore 12
+    ${chalk.gray('$')} todo trash empty --older-than 30d
+    ${chalk.gray('$')} todo undo
+    ${chalk.gray('$')} todo undo --list
     ${chalk.gray('$')} todo export
     ${chalk.gray('$')} todo import todos-export-2025-11-07.json
+    ${chalk.gray('$')} todo sync ~/Dropbox/todos.json --strategy newest
+    ${chalk.gray('$')} todo git init
+    ${chalk.gray('$')} todo history
+    ${chalk.gray('$')} todo history show HEAD~1
+    ${chalk.gray('$')} todo git push
+    ${chalk.gray('$')} todo storage migrate --to sqlite
+    ${chalk.gray('$')} todo migrate --dry-run
+    ${chalk.gray('$')} todo backup list
+    ${chalk.gray('$')} todo backup restore 1
+    ${chalk.gray('$')} todo restore 20251104T100000000Z-purge
+    ${chalk.gray('$')} todo doctor --fix
+    ${chalk.gray('$')} todo encrypt
+    ${chalk.gray('$')} todo --data ~/work-todos.json list
+    ${chalk.gray('$')} todo init
+    ${chalk.gray('$')} todo --global list
+    ${chalk.gray('$')} todo lists create work
+    ${chalk.gray('$')} todo --list work add "Prepare slides"
+    ${chalk.gray('$')} todo lists use work
+    ${chalk.gray('$')} todo move 12 default
 
 ${chalk.bold('\nVisual Indicators:')}
     Priority: ${chalk.red('🔴')} High | ${chalk.yellow('🟡')} Medium | ${chalk.green('🟢')} Low
     Status: ${chalk.cyan('✓')} Completed | ${chalk.gray('○')} Pending
     Due Date: ${chalk.blue('📅')} Normal | ${chalk.red('⚠️')} Overdue
-    Tag: ${chalk.magenta('🏷️')} Category label
+    Tags: ${chalk.magenta('🏷️')} Category labels
+    Blocked: ${chalk.red('⛔')} Waits for other tasks
+    Repeats: ${chalk.cyan('🔁')} Comes back once completed
+    Notes: 📝 Has notes, see "todo show"
+    Time: ${chalk.yellow('⏱️')} Time spent | ${chalk.green('⏱️')} Timer running
 `);
 
 /**
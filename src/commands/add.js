@@ -1,7 +1,7 @@
 /**
  * @fileoverview Command handler for adding new tasks.
  * @module commands/add
- * @description Handles the 'add' command to create new todos with optional priority, due date, and tag.
+ * @description Handles the 'add' command to create new todos with optional priority, due date, and tags.
  */
 
 import chalk from "chalk";
@@ -10,7 +10,8 @@ import todoService from "../services/todoService.js";
 import { parser } from "../utils/parser.js";
 import { formatter } from "../utils/formatter.js";
 import { ValidationError, validator } from "../utils/validator.js";
-import { EMOJI } from "../config/constants.js";
+import { EMOJI, RECURRENCE_MODE } from "../config/constants.js";
+import { recurrence } from "../utils/recurrence.js";
 
 /**
  * Adds a new task to the todo list.
@@ -20,11 +21,16 @@ import { EMOJI } from "../config/constants.js";
  * @param {Object} [options={}] - Command options from Commander.js.
  * @param {string} [options.priority] - Priority level (high, medium, low).
  * @param {string} [options.due] - Due date in YYYY-MM-DD format.
- * @param {string} [options.tag] - Tag name for the task.
+ * @param {Array<string>} [options.tag] - Tag names for the task, from repeated `--tag` options.
+ * @param {string} [options.parent] - ID, the start of it, or list position of the task to add this one as a subtask of.
+ * @param {string} [options.every] - Repeat rule, like `week`, `week:mon,thu`, `month:15` or `3d`.
+ * @param {boolean} [options.afterCompletion] - Count the next due date from the day of completion instead of the schedule.
  * @returns {Promise<void>}
  * @throws {ValidationError} If validation fails.
  * @example
- * addCommand("Buy groceries", { priority: "high", due: "2025-12-31", tag: "shopping" });
+ * addCommand("Buy groceries", { priority: "high", due: "2025-12-31", tag: ["shopping", "errands"] });
+ * addCommand("Buy milk", { parent: "12" });
+ * addCommand("Weekly report", { every: "week:fri" });
  */
 export async function addCommand(description, options = {}) {
     const spinner = ora('Adding task...').start();
@@ -38,7 +44,7 @@ export async function addCommand(description, options = {}) {
                 description: description.trim(),
                 priority: options.priority || null,
                 dueDate: options.due || null,
-                tag: options.tag || null
+                tags: options.tag || []
             };
 
             // Validate inputs
@@ -49,14 +55,25 @@ export async function addCommand(description, options = {}) {
             if (parsed.dueDate) {
                 parsed.dueDate = validator.validateDate(parsed.dueDate);
             }
-            if (parsed.tag) {
-                parsed.tag = validator.validateTag(parsed.tag);
-            }
+            parsed.tags = validator.validateTags(parsed.tags);
         } else {
             // Fallback to regex parsing for backward compability
             parsed = parser.parseTaskInput(description);
         }
 
+        if (options.parent) {
+            parsed.parentId = todoService.resolveId(validator.validateId(options.parent));
+        }
+
+        if (options.every) {
+            parsed.recurrence = {
+                ...validator.validateRecurrence(options.every),
+                mode: options.afterCompletion ? RECURRENCE_MODE.AFTER_COMPLETION : RECURRENCE_MODE.FIXED
+            };
+        } else if (options.afterCompletion) {
+            throw new ValidationError('--after-completion needs a repeat rule given with --every');
+        }
+
         // Create task
         const newTodo = todoService.create(parsed);
 
@@ -71,8 +88,16 @@ export async function addCommand(description, options = {}) {
             console.log(chalk.cyan('Due Date:') + ` ${EMOJI.CALENDAR} ${chalk.blue(newTodo.dueDate)}`);
         }
 
-        if (newTodo.tag) {
-            console.log(chalk.cyan('Tag:') + ` ${EMOJI.TAG} ${chalk.magenta(newTodo.tag)}`);
+        if (newTodo.recurrence) {
+            console.log(chalk.cyan('Repeats:') + ` ${EMOJI.REPEAT} ${recurrence.describe(newTodo.recurrence)}`);
+        }
+
+        if (newTodo.tags.length > 0) {
+            console.log(chalk.cyan('Tags:') + ` ${EMOJI.TAG} ${chalk.magenta(newTodo.tags.join(', '))}`);
+        }
+
+        if (newTodo.parentId) {
+            console.log(chalk.cyan('Subtask of:') + ` ${todoService.getById(newTodo.parentId).description}` + chalk.gray(` (ID: ${newTodo.parentId})`));
         }
 
         formatter.emptyLine();
@@ -82,7 +107,7 @@ export async function addCommand(description, options = {}) {
 
         if (error instanceof ValidationError) {
             formatter.error(error.message);
-            console.log(chalk.gray('Usage: todo add <description> [--priority high|medium|low] [--due YYYY-MM-DD] [--tag tagname'));
+            console.log(chalk.gray('Usage: todo add <description> [--priority high|medium|low] [--due YYYY-MM-DD] [--tag tagname...] [--parent <id>] [--every <rule> [--after-completion]]'));
         } else {
             formatter.error(error.message);
         }
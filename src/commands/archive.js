@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Command handlers for the archive of completed tasks.
+ * @module commands/archive
+ * @description Handles the 'archive' and 'unarchive' commands.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Moves completed tasks to the archive.
+ * @async
+ * @function archiveCommand
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {string} [options.olderThan] - Only archive tasks completed longer ago than this, like `30d` or `2w`.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If the age is invalid.
+ * @example
+ * archiveCommand({ olderThan: '2w' });
+ */
+export async function archiveCommand(options = {}) {
+    let olderThanDays;
+
+    try {
+        olderThanDays = options.olderThan === undefined ? null : validator.validateAge(options.olderThan);
+    } catch (error) {
+        formatter.error(error.message);
+        console.log(chalk.gray('Usage: todo archive [--older-than <age>]'));
+        process.exit(1);
+    }
+
+    const spinner = ora('Archiving completed tasks...').start();
+
+    try {
+        const { archived, remaining } = todoService.archiveCompleted({ olderThanDays });
+
+        if (archived.length === 0) {
+            spinner.info(chalk.blue(olderThanDays === null
+                ? ' No completed tasks to archive!'
+                : ` No tasks were completed more than ${olderThanDays} day(s) ago`));
+            return;
+        }
+
+        spinner.succeed(chalk.green(` ${EMOJI.CLEAN} Archived ${chalk.bold(archived.length)} completed task(s)`));
+        console.log(`Remaining tasks: ${chalk.bold(remaining)}`);
+        console.log(chalk.gray('See them with "todo list --archived"'));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to archive completed tasks'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Brings archived tasks back to the list in one change.
+ * @async
+ * @function unarchiveCommand
+ * @param {Array<string>} taskIds - IDs, the start of them, positions in the archive like `@2` or ranges like `7-9`.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If validation fails.
+ * @throws {Error} If a task is not in the archive.
+ * @example
+ * unarchiveCommand(['12']);
+ */
+export async function unarchiveCommand(taskIds) {
+    let todos;
+
+    try {
+        const refs = validator.validateIds(taskIds);
+        if (refs.length === 0) {
+            throw new ValidationError('Task ID is required');
+        }
+        todos = todoService.selectArchive(refs);
+    } catch (error) {
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo unarchive <id...>'));
+            console.log(chalk.gray('Tip: Use "todo list --archived" to see archived tasks'));
+        }
+
+        process.exit(1);
+    }
+
+    const spinner = ora(todos.length === 1 ? 'Unarchiving task...' : `Unarchiving ${todos.length} tasks...`).start();
+
+    try {
+        const { changed } = todoService.unarchive(todos.map(todo => todo.id));
+
+        spinner.succeed(chalk.green(` ${EMOJI.RECYCLE} ${changed.length === 1 ? 'Task' : `${changed.length} tasks`} back from the archive`));
+        changed.forEach(todo => console.log(formatter.formatTask(todo)));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(todos.length === 1 ? ' Failed to unarchive task' : ' Failed to unarchive tasks'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Command handlers for managing snapshots of the task list.
+ * @module commands/backup
+ * @description Handles the 'backup list' and 'backup create' commands.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { formatter } from '../utils/formatter.js';
+
+/**
+ * Lists stored snapshots, newest first, numbered so they can be passed to `todo backup restore`.
+ * @function backupListCommand
+ * @returns {void}
+ * @example
+ * backupListCommand();
+ */
+export function backupListCommand() {
+    try {
+        const snapshots = todoService.getBackups();
+
+        if (snapshots.length === 0) {
+            formatter.info('No backups yet. Create one with "todo backup create"');
+            return;
+        }
+
+        formatter.header(`${snapshots.length} backup(s)`);
+        snapshots.forEach((snapshot, index) => {
+            const tasks = snapshot.tasks === null ? chalk.red('unreadable') : `${snapshot.tasks} task(s)`;
+            console.log(`${chalk.gray(`${index + 1}.`)} ${snapshot.name} ${chalk.cyan(new Date(snapshot.createdAt).toLocaleString())} ${chalk.gray(`(${snapshot.reason}, ${tasks})`)}`);
+        });
+        formatter.emptyLine();
+
+    } catch (error) {
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Takes a snapshot of the current tasks.
+ * @async
+ * @function backupCreateCommand
+ * @returns {Promise<void>}
+ * @example
+ * backupCreateCommand();
+ */
+export async function backupCreateCommand() {
+    const spinner = ora('Creating backup...').start();
+
+    try {
+        const snapshot = todoService.backup();
+
+        spinner.succeed(chalk.green(` Backup created: ${chalk.bold(snapshot.name)}`));
+        console.log(chalk.cyan('File:') + ` ${snapshot.file}`);
+        console.log(chalk.cyan('Tasks:') + ` ${snapshot.tasks}`);
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to create backup'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
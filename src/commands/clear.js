@@ -1,17 +1,18 @@
 /**
  * @fileoverview Command handler for clearing completed tasks.
  * @module commands/clear
- * @description Handles the 'clear' command to remove all completed tasks from the list.
+ * @description Handles the 'clear' command to move all completed tasks from the list to the trash, or to the archive.
  */
 
 import chalk from 'chalk';
 import ora from 'ora';
 import todoService from '../services/todoService.js';
+import configService from '../services/configService.js';
 import { formatter } from '../utils/formatter.js';
 import { EMOJI } from '../config/constants.js';
 
 /**
- * Removes all completed tasks from the todo list.
+ * Moves all completed tasks from the todo list to the trash, or to the archive if the `archiveOnClear` setting is on.
  * @async
  * @function clearCommand
  * @returns {Promise<void>}
@@ -22,15 +23,28 @@ export async function clearCommand() {
     const spinner = ora('Clearing completed tasks...').start();
 
     try {
-        const result = todoService.clearCompleted();
+        const archive = configService.get('archiveOnClear');
+        let cleared;
+        let remaining;
 
-        if (result.cleared === 0) {
+        if (archive) {
+            const result = todoService.archiveCompleted();
+            cleared = result.archived.length;
+            remaining = result.remaining;
+        } else {
+            ({ cleared, remaining } = todoService.clearCompleted());
+        }
+
+        if (cleared === 0) {
             spinner.info(chalk.blue(' No completed tasks to clear!'));
             return;
         }
 
-        spinner.succeed(chalk.green(` ${EMOJI.CLEAN} Cleared ${chalk.bold(result.cleared)} completed task(s)`));
-        console.log(`Remaining tasks: ${chalk.bold(result.remaining)}`);
+        spinner.succeed(chalk.green(` ${EMOJI.CLEAN} Cleared ${chalk.bold(cleared)} completed task(s)`));
+        console.log(`Remaining tasks: ${chalk.bold(remaining)}`);
+        console.log(chalk.gray(archive
+            ? 'Cleared tasks are in the archive. See them with "todo list --archived"'
+            : 'Cleared tasks are in the trash. See them with "todo trash"'));
         formatter.emptyLine();
 
     } catch (error) {
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Command handler for compacting the operation journal.
+ * @module commands/compact
+ * @description Handles the 'compact' command, which folds recorded changes into the data file right away.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { formatter } from '../utils/formatter.js';
+
+/**
+ * Compacts the journal, keeping only the most recent events as history.
+ * @async
+ * @function compactCommand
+ * @returns {Promise<void>}
+ * @example
+ * compactCommand();
+ */
+export async function compactCommand() {
+    const spinner = ora('Compacting journal...').start();
+
+    try {
+        const { compacted, kept } = todoService.compact();
+
+        spinner.succeed(chalk.green(` Compacted ${chalk.bold(compacted)} journal event(s)`));
+        console.log(chalk.gray(`${kept} recent event(s) are kept as history.`));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to compact journal'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
@@ -7,85 +7,117 @@
 import chalk from 'chalk';
 import ora from 'ora';
 import todoService from '../services/todoService.js';
-import { validator, ValidationError } from '../utils/validator.js';
+import { ValidationError } from '../utils/validator.js';
 import { formatter } from '../utils/formatter.js';
+import { timeTracking } from '../utils/timeTracking.js';
+import { selectTasks, confirmSelection, printSkipped, FILTER_USAGE } from './selection.js';
 import { EMOJI } from '../config/constants.js';
 
 /**
- * Marks a task as completed.
+ * Marks tasks as completed in one change. Tasks that already are completed are skipped.
  * @async
  * @function completeCommand
- * @param {string|number} taskId - The ID of the task to mark as complete.
+ * @param {Array<string>} taskIds - IDs, the start of them, list positions like `@2` or ranges like `7-9`.
+ * @param {Object} [options={}] - Filter options from Commander.js, see `validator.validateSelection`.
+ * @param {boolean} [options.yes] - Change many tasks without asking for confirmation.
  * @returns {Promise<void>}
  * @throws {ValidationError} If validation fails.
- * @throws {Error} If the task is not found or already completed.
+ * @throws {Error} If a task is not found, or every selected task is already completed.
  * @example
- * completeCommand(1234567890);
+ * completeCommand(['12']);
+ * completeCommand(['3', '5', '7-9']);
+ * completeCommand([], { tag: 'sprint-12' });
  */
-export async function completeCommand(taskId) {
-    const spinner = ora('Marking task as complete...').start();
+export async function completeCommand(taskIds, options = {}) {
+    let todos;
 
     try {
-        const id  = validator.validateId(taskId);
-        const  { updated } = todoService.complete(id);
-
-        spinner.succeed(chalk.green(' Task marked as complete!'));
-        console.log(`${EMOJI.SUCCESS} ${chalk.green(updated.description)}`);
-        formatter.emptyLine();
-
+        todos = selectTasks(taskIds, options);
+        if (!(await confirmSelection(todos, `Complete ${todos.length} task(s)?`, options))) return;
     } catch (error) {
-        spinner.fail(chalk.red('Failed to complete task'));
+        formatter.error(error.message);
 
         if (error instanceof ValidationError) {
-            formatter.error(error.message);
-            console.log(chalk.gray('Usage: todo done <id>'));
-        } else if (error.message.includes('already completed')) {
-            formatter.info(error.message);
-            const todo = todoService.getById(validator.validateId(taskId));
-            console.log(chalk.gray('Task: ') + chalk.green(todo.description));
-        } else {
-            formatter.error(error.message);
+            console.log(chalk.gray(`Usage: todo done <id...> ${FILTER_USAGE}`));
+        }
+
+        process.exit(1);
+    }
+
+    const spinner = ora(todos.length === 1 ? 'Marking task as complete...' : `Marking ${todos.length} tasks as complete...`).start();
+
+    try {
+        const { changed, skipped, unblocked, spawned, stopped } = todoService.completeMany(todos.map(todo => todo.id));
+
+        if (changed.length === 0) {
+            spinner.fail(chalk.red(todos.length === 1 ? 'Failed to complete task' : 'Failed to complete tasks'));
+            printSkipped(skipped);
+            process.exit(1);
         }
 
+        spinner.succeed(chalk.green(changed.length === 1 ? ' Task marked as complete!' : ` ${changed.length} tasks marked as complete!`));
+        changed.forEach(todo => console.log(`${EMOJI.SUCCESS} ${chalk.green(todo.description)}` + chalk.gray(` (ID: ${todo.id})`)));
+        printSkipped(skipped);
+        unblocked.forEach(todo => console.log(`${EMOJI.UNLOCK} ${todo.description}` + chalk.gray(` (ID: ${todo.id}) can be worked on now`)));
+        spawned.forEach(todo => console.log(`${EMOJI.REPEAT} ${todo.description}` + chalk.gray(` (ID: ${todo.id}) is back, due ${todo.dueDate}`)));
+        stopped.forEach(({ todo, seconds }) => console.log(`${EMOJI.TIMER} Timer stopped after ${timeTracking.format(seconds)}` + chalk.gray(` (ID: ${todo.id})`)));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(todos.length === 1 ? 'Failed to complete task' : 'Failed to complete tasks'));
+        formatter.error(error.message);
         process.exit(1);
     }
 }
 
 /**
- * Marks a task as incomplete.
+ * Marks completed tasks as incomplete in one change. Tasks that are not completed are skipped.
  * @async
  * @function uncompleteCommand
- * @param {string|number} taskId - The ID of the task to mark as incomplete.
+ * @param {Array<string>} taskIds - IDs, the start of them, list positions like `@2` or ranges like `7-9`.
+ * @param {Object} [options={}] - Filter options from Commander.js, see `validator.validateSelection`.
+ * @param {boolean} [options.yes] - Change many tasks without asking for confirmation.
  * @returns {Promise<void>}
  * @throws {ValidationError} If validation fails.
- * @throws {Error} If the task is not found or not completed.
+ * @throws {Error} If a task is not found, or no selected task is completed.
  * @example
- * uncompleteCommand(1234567890);
+ * uncompleteCommand(['12']);
  */
-export async function uncompleteCommand(taskId) {
-    const spinner = ora('Marking task as incomplete...').start();
+export async function uncompleteCommand(taskIds, options = {}) {
+    let todos;
 
     try {
-        const id  = validator.validateId(taskId);
-        const  { updated } = todoService.uncomplete(id);
-
-        spinner.succeed(chalk.yellow('Task marked as incomplete!'));
-        console.log(`${EMOJI.RECYCLE} ${updated.description}`);
-        formatter.emptyLine();
+        todos = selectTasks(taskIds, options);
+        if (!(await confirmSelection(todos, `Mark ${todos.length} task(s) as incomplete?`, options))) return;
     } catch (error) {
-        spinner.fail(chalk.red('Failed to mark task as incomplete'));
+        formatter.error(error.message);
 
         if (error instanceof ValidationError) {
-            formatter.error(error.message);
-            console.log(chalk.gray('Usage: todo undone <id>'));
-        } else if (error.message.includes('not completed yet')) {
-            formatter.info(error.message);
-            const todo = todoService.getById(validator.validateId(taskId));
-            console.log(chalk.gray('Task: ') + todo.description);
-        } else {
-            formatter.error(error.message);
+            console.log(chalk.gray(`Usage: todo undone <id...> ${FILTER_USAGE}`));
+        }
+
+        process.exit(1);
+    }
+
+    const spinner = ora(todos.length === 1 ? 'Marking task as incomplete...' : `Marking ${todos.length} tasks as incomplete...`).start();
+
+    try {
+        const { changed, skipped } = todoService.uncompleteMany(todos.map(todo => todo.id));
+
+        if (changed.length === 0) {
+            spinner.fail(chalk.red(todos.length === 1 ? 'Failed to mark task as incomplete' : 'Failed to mark tasks as incomplete'));
+            printSkipped(skipped);
+            process.exit(1);
         }
 
+        spinner.succeed(chalk.yellow(changed.length === 1 ? 'Task marked as incomplete!' : `${changed.length} tasks marked as incomplete!`));
+        changed.forEach(todo => console.log(`${EMOJI.RECYCLE} ${todo.description}` + chalk.gray(` (ID: ${todo.id})`)));
+        printSkipped(skipped);
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(todos.length === 1 ? 'Failed to mark task as incomplete' : 'Failed to mark tasks as incomplete'));
+        formatter.error(error.message);
         process.exit(1);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Command handler for viewing and changing settings.
+ * @module commands/config
+ * @description Handles the 'config' command to show or update user configuration values.
+ */
+
+import chalk from 'chalk';
+import configService from '../services/configService.js';
+import { ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { CONFIG_FILE } from '../config/constants.js';
+
+/**
+ * Shows all settings, shows a single setting, or updates a setting.
+ * @function configCommand
+ * @param {string} [key] - Setting name. Lists every setting when omitted.
+ * @param {string} [value] - New value. Prints the current value when omitted.
+ * @returns {void}
+ * @example
+ * configCommand(); // List all settings
+ * configCommand('storage', 'sqlite'); // Switch to the SQLite backend
+ */
+export function configCommand(key, value) {
+    try {
+        if (!key) {
+            formatter.header('Settings');
+            Object.entries(configService.getAll()).forEach(([name, current]) => {
+                console.log(`${chalk.cyan(name.padEnd(16))} ${current}`);
+            });
+            formatter.emptyLine();
+            console.log(chalk.gray(`Config file: ${CONFIG_FILE}`));
+            return;
+        }
+
+        if (value === undefined) {
+            console.log(configService.get(key));
+            return;
+        }
+
+        const stored = configService.set(key, value);
+        formatter.success(`${key} set to ${chalk.bold(stored)}`);
+
+    } catch (error) {
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo config [key] [value]'));
+        }
+
+        process.exit(1);
+    }
+}
@@ -1,49 +1,61 @@
 /**
  * @fileoverview Command handler for deleting tasks.
  * @module commands/delete
- * @description Handles the 'delete' command to remove tasks from the list.
+ * @description Handles the 'delete' command to move tasks from the list to the trash.
  */
 
 import chalk from 'chalk';
 import ora from 'ora';
 import todoService from '../services/todoService.js';
-import { validator, ValidationError } from '../utils/validator.js';
+import { ValidationError } from '../utils/validator.js';
 import { formatter } from '../utils/formatter.js';
+import { selectTasks, confirmSelection, FILTER_USAGE } from './selection.js';
 import { EMOJI } from '../config/constants.js';
 
 /**
- * Deletes a task by ID.
+ * Deletes tasks in one change, moving them to the trash.
  * @async
  * @function deleteCommand
- * @param {string|number} taskId - The ID of the task to delete.
+ * @param {Array<string>} taskIds - Full IDs, list positions like `@2` or ranges like `7-9`.
+ * @param {Object} [options={}] - Filter options from Commander.js, see `validator.validateSelection`.
+ * @param {boolean} [options.yes] - Delete many tasks without asking for confirmation.
  * @returns {Promise<void>}
  * @throws {ValidationError} If validation fails.
- * @throws {Error} If the task is not found.
+ * @throws {Error} If a task is not found.
  * @example
- * deleteCommand(1234567890);
+ * deleteCommand(['12']);
+ * deleteCommand([], { completed: true, before: '2026-01-01' });
  */
-export async function deleteCommand(taskId) {
-    const spinner = ora('Deleting task...').start();
+export async function deleteCommand(taskIds, options = {}) {
+    let todos;
 
     try {
-        const id = validator.validateId(taskId);
-        const deletedTask = todoService.delete(id);
-
-        spinner.succeed(chalk.green(' Task deleted successfully!'));
-        console.log(`${EMOJI.TRASH} Deleted: ${chalk.strikethrough(deletedTask.description)}`);
-        formatter.emptyLine();
-
+        todos = selectTasks(taskIds, options, { exact: true });
+        if (!(await confirmSelection(todos, `Delete ${todos.length} task(s)?`, options))) return;
     } catch (error) {
-        spinner.fail(chalk.red(' Failed to delete task'));
-        
+        formatter.error(error.message);
+
         if (error instanceof ValidationError) {
-            formatter.error(error.message);
-            console.log(chalk.gray('Usage: todo delete <id>'));
+            console.log(chalk.gray(`Usage: todo delete <id...> ${FILTER_USAGE}`));
             console.log(chalk.gray('Tip: Use "todo list" to see all task IDs'));
-        } else {
-            formatter.error(error.message);
         }
 
         process.exit(1);
     }
-}
\ No newline at end of file
+
+    const spinner = ora(todos.length === 1 ? 'Deleting task...' : `Deleting ${todos.length} tasks...`).start();
+
+    try {
+        const { changed } = todoService.deleteMany(todos.map(todo => todo.id));
+
+        spinner.succeed(chalk.green(changed.length === 1 ? ' Task deleted successfully!' : ` ${changed.length} tasks deleted successfully!`));
+        changed.forEach(todo => console.log(`${EMOJI.TRASH} Deleted: ${chalk.strikethrough(todo.description)}` + chalk.gray(` (ID: ${todo.id})`)));
+        console.log(chalk.gray(`Changed your mind? Bring ${changed.length === 1 ? 'it' : 'them'} back with "todo restore ${changed.map(todo => todo.id).join(' ')}"`));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(todos.length === 1 ? ' Failed to delete task' : ' Failed to delete tasks'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Command handler for dependencies between tasks.
+ * @module commands/depend
+ * @description Handles the 'depend' command to make a task wait for other tasks, or stop waiting for them.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Resolves task references to IDs.
+ * @function resolveIds
+ * @param {Array<string>} refs - IDs, the start of them, list positions like `@2` or ranges like `7-9`.
+ * @returns {Array<number>} The IDs of the tasks.
+ * @throws {ValidationError} If no task is given or a reference is invalid.
+ * @private
+ */
+function resolveIds(refs) {
+    const valid = validator.validateIds(refs);
+    if (valid.length === 0) {
+        throw new ValidationError('Task ID is required');
+    }
+    return todoService.select({ refs: valid }).map(todo => todo.id);
+}
+
+/**
+ * Makes a task wait for other tasks, or stop waiting for them.
+ * @async
+ * @function dependCommand
+ * @param {string} taskId - The ID of the task that waits, the start of it, or its list position like `@2`.
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {Array<string>} [options.on] - Tasks to wait for.
+ * @param {Array<string>|boolean} [options.remove] - Tasks to stop waiting for, or true for all of them.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If validation fails.
+ * @throws {Error} If a task is not found, or the tasks would wait for each other.
+ * @example
+ * dependCommand('7', { on: ['3', '5'] });
+ * dependCommand('7', { remove: ['3'] });
+ */
+export async function dependCommand(taskId, options = {}) {
+    const spinner = ora('Updating dependencies...').start();
+
+    try {
+        const id = todoService.resolveId(validator.validateId(taskId));
+
+        if (!options.on && !options.remove) {
+            throw new ValidationError('Give the tasks to wait for with --on, or the tasks to stop waiting for with --remove');
+        }
+        if (options.on && options.remove) {
+            throw new ValidationError('Use either --on or --remove, not both');
+        }
+
+        const { updated } = options.on
+            ? todoService.addDependencies(id, resolveIds(options.on))
+            : todoService.removeDependencies(id, options.remove === true ? null : resolveIds(options.remove));
+        const blockers = todoService.blockersOf(updated);
+
+        spinner.succeed(chalk.green(' Dependencies updated successfully!'));
+        console.log(formatter.formatTask(updated, null, { blockedBy: blockers.map(blocker => blocker.id) }));
+
+        if (blockers.length > 0) {
+            console.log(chalk.cyan(`${EMOJI.BLOCKED} Waits for:`));
+            blockers.forEach(blocker => console.log(formatter.formatTask(blocker)));
+        } else {
+            console.log(chalk.gray('It does not wait for any task'));
+        }
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to update dependencies'));
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo depend <id> --on <id...> | --remove [id...]'));
+        }
+
+        process.exit(1);
+    }
+}
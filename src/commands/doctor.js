@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Command handler for checking the integrity of stored tasks.
+ * @module commands/doctor
+ * @description Handles the 'doctor' command, which reports invalid tasks grouped by problem and can fix them.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { formatter } from '../utils/formatter.js';
+import { DOCTOR_ISSUE } from '../config/constants.js';
+
+/**
+ * Validates every stored task and reports problems grouped by type.
+ * @async
+ * @function doctorCommand
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {boolean} [options.fix] - Re-ID duplicates, normalize fields and drop unrecoverable records.
+ * @returns {Promise<void>}
+ * @example
+ * doctorCommand({ fix: true });
+ */
+export async function doctorCommand(options = {}) {
+    const spinner = ora('Checking tasks...').start();
+
+    try {
+        const { issues, fixed, total, backup } = todoService.doctor({ fix: options.fix });
+
+        if (issues.length === 0) {
+            spinner.succeed(chalk.green(` No problems found in ${total} task(s)`));
+            return;
+        }
+
+        spinner.warn(chalk.yellow(` Found ${chalk.bold(issues.length)} problem(s)`));
+
+        Object.entries(DOCTOR_ISSUE).forEach(([type, label]) => {
+            const group = issues.filter(issue => issue.type === type);
+            if (group.length === 0) return;
+
+            console.log(chalk.bold(`\n${label} (${group.length})`));
+            group.forEach(({ index, id, message, action }) => {
+                const where = id === null ? `#${index + 1}` : `ID ${id}`;
+                console.log(`  ${chalk.gray(where)} ${message} ${chalk.cyan(`→ ${action}`)}`);
+            });
+        });
+
+        formatter.emptyLine();
+        if (fixed) {
+            formatter.success(`Fixed ${issues.length} problem(s). ${total} task(s) remain.`);
+            if (backup) {
+                console.log(chalk.gray(`The previous data was saved as backup ${backup.name}`));
+            }
+        } else {
+            console.log(chalk.gray('Run "todo doctor --fix" to apply these fixes.'));
+        }
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to check tasks'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Command handlers for encrypting and decrypting the data file.
+ * @module commands/encrypt
+ * @description Handles the 'encrypt' and 'decrypt' commands, which convert the data file and its backups in place.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { formatter } from '../utils/formatter.js';
+import { prompt } from '../utils/prompt.js';
+import { ENCRYPTION, EMOJI } from '../config/constants.js';
+
+/**
+ * Reads the new passphrase from the environment, or asks for it twice.
+ * @async
+ * @function askNewPassphrase
+ * @returns {Promise<string>} The passphrase.
+ * @throws {Error} If the passphrase is empty or the two answers differ.
+ * @private
+ */
+async function askNewPassphrase() {
+    if (process.env[ENCRYPTION.PASSPHRASE_ENV]) {
+        return process.env[ENCRYPTION.PASSPHRASE_ENV];
+    }
+
+    const passphrase = await prompt.password('New passphrase:');
+    if (!passphrase) {
+        throw new Error('Passphrase cannot be empty');
+    }
+    if (await prompt.password('Repeat passphrase:') !== passphrase) {
+        throw new Error('Passphrases do not match');
+    }
+    return passphrase;
+}
+
+/**
+ * Encrypts the data file and its backups with a passphrase.
+ * @async
+ * @function encryptCommand
+ * @returns {Promise<void>}
+ * @example
+ * encryptCommand();
+ */
+export async function encryptCommand() {
+    let passphrase;
+
+    try {
+        passphrase = await askNewPassphrase();
+    } catch (error) {
+        formatter.error(error.message);
+        process.exit(1);
+    }
+
+    const spinner = ora('Encrypting tasks...').start();
+
+    try {
+        const { snapshots } = todoService.encrypt(passphrase);
+
+        spinner.succeed(chalk.green(` ${EMOJI.LOCK} Tasks encrypted`));
+        console.log(chalk.gray(`${snapshots} backup(s) were encrypted as well.`));
+        console.log(chalk.gray('Keep your passphrase safe: without it your tasks cannot be recovered.'));
+        console.log(chalk.gray(`Set ${ENCRYPTION.PASSPHRASE_ENV} to avoid being asked for it on every command.`));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to encrypt tasks'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Stores the data file and its backups without encryption again.
+ * @async
+ * @function decryptCommand
+ * @returns {Promise<void>}
+ * @example
+ * decryptCommand();
+ */
+export async function decryptCommand() {
+    const spinner = ora('Decrypting tasks...').start();
+
+    try {
+        const { snapshots } = todoService.decrypt();
+
+        spinner.succeed(chalk.green(` ${EMOJI.UNLOCK} Tasks decrypted`));
+        console.log(chalk.gray(`${snapshots} backup(s) were decrypted as well.`));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to decrypt tasks'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
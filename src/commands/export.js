@@ -10,6 +10,7 @@ import ora from 'ora';
 import { fileURLToPath } from 'url';
 import todoService from '../services/todoService.js';
 import storageService from '../services/storageService.js';
+import migrationService from '../services/migrationService.js';
 import { formatter } from '../utils/formatter.js';
 import { EMOJI } from '../config/constants.js';
 
@@ -18,14 +19,17 @@ const __dirname = path.dirname(__filename);
 
 /**
  * Exports all tasks to a JSON file with a timestamp in the filename.
+ * The file holds a bare array of tasks, or the versioned data format with `--versioned`.
  * @async
  * @function exportCommand
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {boolean} [options.versioned] - Write the `{ version, tasks, meta }` format, like the data file.
  * @returns {Promise<void>}
  * @throws {Error} If the export operation fails.
  * @example
  * exportCommand(); // Exports to todos-export-2025-11-07.json
  */
-export async function exportCommand() {
+export async function exportCommand(options = {}) {
     const spinner = ora('Exporting tasks...').start();
 
     try {
@@ -40,7 +44,7 @@ export async function exportCommand() {
         const filename = `todos-export-${timestamp}.json`;
         const exportPath = path.join(__dirname, '../../', filename);
 
-        storageService.writeFile(exportPath, todos);
+        storageService.writeFile(exportPath, options.versioned ? migrationService.createEnvelope(todos) : todos);
 
         spinner.succeed(chalk.green(` ${EMOJI.EXPORT} Task exported successfully`));
         console.log(chalk.cyan('File:') + ` ${filename}`);
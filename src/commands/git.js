@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Command handlers for keeping the task history in git.
+ * @module commands/git
+ * @description Handles the 'git init', 'git remote', 'git push' and 'git pull' commands.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import locationService from '../services/locationService.js';
+import { GitService } from '../services/gitService.js';
+import { formatter } from '../utils/formatter.js';
+import { ValidationError } from '../utils/validator.js';
+import { EMOJI, GIT } from '../config/constants.js';
+
+/**
+ * Turns the data directory into a git repository, so every change to the tasks becomes a commit.
+ * @async
+ * @function gitInitCommand
+ * @param {string} [url] - Repository to clone the history from instead, e.g. on a second machine.
+ * @returns {Promise<void>}
+ * @example
+ * gitInitCommand();
+ * gitInitCommand('/srv/git/todos.git');
+ */
+export async function gitInitCommand(url) {
+    const dir = locationService.getDataDir();
+    const spinner = ora(url ? 'Cloning task history...' : 'Starting task history...').start();
+
+    try {
+        const commit = new GitService(dir).init(url);
+
+        spinner.succeed(chalk.green(` ${EMOJI.CLIPBOARD} Task history is now kept in git`));
+        console.log(chalk.cyan('Repository:') + ` ${dir}`);
+        console.log(chalk.cyan('Latest commit:') + ` ${commit.shortHash} ${commit.message}`);
+        console.log(chalk.gray('Every change to your tasks is committed. Use "todo history" to see them.'));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to start task history'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Shows the configured remotes, or adds one (changing its URL if it exists).
+ * @function gitRemoteCommand
+ * @param {string} [name] - Remote name.
+ * @param {string} [url] - Remote URL or path, e.g. a bare repository.
+ * @returns {void}
+ * @example
+ * gitRemoteCommand('origin', '/srv/git/todos.git');
+ */
+export function gitRemoteCommand(name, url) {
+    try {
+        const git = new GitService(locationService.getDataDir());
+        git.assertEnabled();
+
+        if (name && url) {
+            git.setRemote(name, url);
+            formatter.success(`Remote "${name}" set to ${url}`);
+            return;
+        }
+
+        if (name) {
+            throw new ValidationError('Remote URL is required');
+        }
+
+        const remotes = git.remotes();
+        if (remotes.length === 0) {
+            formatter.info('No remotes yet. Add one with "todo git remote origin <url>"');
+            return;
+        }
+
+        remotes.forEach(remote => console.log(`${chalk.bold(remote.name)} ${chalk.gray(remote.url)}`));
+
+    } catch (error) {
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo git remote [<name> <url>]'));
+        }
+
+        process.exit(1);
+    }
+}
+
+/**
+ * Pushes the task history to a remote.
+ * @async
+ * @function gitPushCommand
+ * @param {string} [remote] - Remote name; `origin` by default.
+ * @returns {Promise<void>}
+ * @example
+ * gitPushCommand();
+ */
+export async function gitPushCommand(remote) {
+    const spinner = ora('Pushing task history...').start();
+
+    try {
+        const git = new GitService(locationService.getDataDir());
+        git.assertEnabled();
+        git.push(remote);
+
+        spinner.succeed(chalk.green(` Pushed task history to ${chalk.bold(remote ?? GIT.DEFAULT_REMOTE)}`));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to push task history'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Pulls the task history from a remote.
+ * @async
+ * @function gitPullCommand
+ * @param {string} [remote] - Remote name; `origin` by default.
+ * @returns {Promise<void>}
+ * @example
+ * gitPullCommand();
+ */
+export async function gitPullCommand(remote) {
+    const spinner = ora('Pulling task history...').start();
+
+    try {
+        const git = new GitService(locationService.getDataDir());
+        git.assertEnabled();
+        const commits = git.pull(remote);
+
+        if (commits.length === 0) {
+            spinner.info(chalk.cyan(' Task history is already up to date'));
+        } else {
+            spinner.succeed(chalk.green(` Pulled ${chalk.bold(commits.length)} commit(s) from ${chalk.bold(remote ?? GIT.DEFAULT_REMOTE)}`));
+            commits.forEach(commit => console.log(`${chalk.yellow(commit.shortHash)} ${commit.message}`));
+        }
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to pull task history'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Command handlers for the git history of the task list.
+ * @module commands/history
+ * @description Handles the 'history' and 'history show' commands, which list commits and show how one changed the tasks.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import configService from '../services/configService.js';
+import locationService from '../services/locationService.js';
+import undoService from '../services/undoService.js';
+import { GitService } from '../services/gitService.js';
+import { createFileAdapter } from '../services/adapters/createAdapter.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { prompt } from '../utils/prompt.js';
+import { dataPaths } from '../utils/dataPaths.js';
+import { STORAGE_BACKEND } from '../config/constants.js';
+
+/**
+ * Fields left out of the changes `history show` lists, since they only record when and how a task changed.
+ * @type {Array<string>}
+ * @constant
+ * @private
+ */
+const HIDDEN_FIELDS = ['updatedAt', 'history'];
+
+/**
+ * Gets the files the current list is stored in. The journal of a project list is left out: it is kept in the ignored
+ * state directory, and the data file of a project is always complete.
+ * @function getListFiles
+ * @returns {Array<string>} The data file or database first, then its journal if the backend keeps one beside it.
+ * @private
+ */
+function getListFiles() {
+    const file = locationService.getBackendFile();
+    const journal = configService.get('storage') === STORAGE_BACKEND.JSON && dataPaths.projectRoot(file) === null;
+    return journal ? [file, dataPaths.journalFile(file)] : [file];
+}
+
+/**
+ * Opens the current list as it was in a commit.
+ * @function openRevision
+ * @param {GitService} git - Repository of the data directory.
+ * @param {string|null} rev - Commit hash, or null for the state before the first commit.
+ * @param {string} dir - Empty directory to extract the files to.
+ * @returns {StorageAdapter} Storage of the extracted files; empty if the list did not exist yet.
+ * @private
+ */
+function openRevision(git, rev, dir) {
+    const files = getListFiles();
+    git.extract(rev, files, dir);
+    return createFileAdapter(path.join(dir, path.basename(files[0])));
+}
+
+/**
+ * Works out the old and new values of the fields a commit changed, for each task it changed.
+ * @function fieldChanges
+ * @param {Array<Todo>} before - Tasks before the commit.
+ * @param {Array<Todo>} changed - Changed tasks after the commit, from the diff.
+ * @returns {Map<number, Array<{field: string, from: *, to: *}>>} Changed fields by task ID.
+ * @private
+ */
+function fieldChanges(before, changed) {
+    const previous = new Map(before.map(todo => [todo.id, todo]));
+
+    return new Map(changed.map(after => {
+        const change = { before: previous.get(after.id), after };
+        const fields = undoService.fields(change).filter(field => !HIDDEN_FIELDS.includes(field));
+        return [after.id, fields.map(field => ({ field, from: change.before[field] ?? null, to: after[field] ?? null }))];
+    }));
+}
+
+/**
+ * Closes the storages opened for old commits and removes their extracted files.
+ * @function discard
+ * @param {Array<StorageAdapter>} storages - Storages to close.
+ * @param {string} dir - Directory the files were extracted to.
+ * @returns {void}
+ * @private
+ */
+function discard(storages, dir) {
+    storages.forEach(storage => storage.close());
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Lists the commits that changed the current list, newest first.
+ * @function historyCommand
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {string} [options.limit] - Maximum number of commits to show.
+ * @returns {void}
+ * @example
+ * historyCommand({ limit: '5' });
+ */
+export function historyCommand(options = {}) {
+    try {
+        const git = new GitService(locationService.getDataDir());
+        git.assertEnabled();
+
+        const commits = git.log({
+            limit: options.limit ? validator.validateLimit(options.limit) : undefined,
+            files: getListFiles()
+        });
+
+        if (commits.length === 0) {
+            formatter.info('No commits for this list yet');
+            return;
+        }
+
+        formatter.header(`${commits.length} commit(s)`);
+        commits.forEach(commit => {
+            console.log(`${chalk.yellow(commit.shortHash)} ${chalk.cyan(new Date(commit.date).toLocaleString())} ${commit.message}`);
+        });
+        console.log(chalk.gray('Use "todo history show <commit>" to see what a commit changed'));
+        formatter.emptyLine();
+
+    } catch (error) {
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo history [--limit <count>]'));
+        }
+
+        process.exit(1);
+    }
+}
+
+/**
+ * Shows how a commit changed the tasks of the current list.
+ * @async
+ * @function historyShowCommand
+ * @param {string} rev - Commit hash or other git revision, e.g. `HEAD~1`.
+ * @returns {Promise<void>}
+ * @example
+ * historyShowCommand('a1b2c3d');
+ */
+export async function historyShowCommand(rev) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-history-'));
+    const storages = [];
+
+    try {
+        const git = new GitService(locationService.getDataDir());
+        git.assertEnabled();
+
+        const commit = git.getCommit(rev);
+        const before = openRevision(git, commit.parent, path.join(dir, 'before'));
+        storages.push(before);
+        const after = openRevision(git, commit.hash, path.join(dir, 'after'));
+        storages.push(after);
+
+        const locked = storages.filter(storage => storage.needsPassphrase());
+        if (locked.length > 0) {
+            const passphrase = await prompt.password(`Passphrase for commit ${commit.shortHash}:`);
+            locked.forEach(storage => storage.unlock(passphrase));
+        }
+
+        const previous = before.query();
+        const diff = after.backups.diff(previous, after.query());
+
+        formatter.header(`${commit.shortHash} ${commit.message}`);
+        console.log(chalk.gray(new Date(commit.date).toLocaleString()));
+        formatter.formatDiff(diff, fieldChanges(previous, diff.changed));
+        formatter.emptyLine();
+
+    } catch (error) {
+        discard(storages, dir);
+        formatter.error(error.message);
+        process.exit(1);
+    }
+
+    discard(storages, dir);
+}
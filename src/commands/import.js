@@ -10,6 +10,7 @@ import ora from 'ora';
 import { fileURLToPath } from 'url';
 import todoService from '../services/todoService.js';
 import storageService from '../services/storageService.js';
+import migrationService from '../services/migrationService.js';
 import { validator, ValidationError } from '../utils/validator.js';
 import { formatter } from '../utils/formatter.js';
 import { EMOJI } from '../config/constants.js';
@@ -19,6 +20,7 @@ const __dirname = path.dirname(__filename);
 
 /**
  * Imports tasks from a JSON file and merges them with existing tasks.
+ * Exports from older versions are upgraded to the current schema first, and records that are not tasks are skipped.
  * @async
  * @function importCommand
  * @param {string} filename - The name of the JSON file to import from.
@@ -39,11 +41,15 @@ export async function importCommand(filename) {
             throw new Error(`File "${validFilename}" not found!\n  Make sure the file is in the project directory.`);
         }
 
-        const importedTodos = storageService.readFile(importPath);
-        const result = todoService.import(importedTodos);
+        const { envelope } = migrationService.migrate(storageService.readFile(importPath));
+        const result = todoService.import(envelope.tasks);
 
         spinner.succeed(chalk.green(` ${EMOJI.IMPORT} Tasks imported successfully!`));
         console.log(chalk.cyan('Imported:') + ` ${chalk.bold(result.imported)} tasks`);
+        if (result.skipped.length > 0) {
+            console.log(chalk.yellow('Skipped:') + ` ${chalk.bold(result.skipped.length)} records that are not tasks`);
+            result.skipped.forEach(({ position, reason }) => console.log(chalk.gray(`  record ${position}: ${reason}`)));
+        }
         console.log(chalk.cyan('Total now:') + ` ${chalk.bold(result.total)} tasks`);
         formatter.emptyLine();
 
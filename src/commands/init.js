@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Command handler for creating a project-local task list.
+ * @module commands/init
+ * @description Handles the 'init' command, which creates a project file in the current directory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import ora from 'ora';
+import configService from '../services/configService.js';
+import locationService from '../services/locationService.js';
+import { createStorage } from '../services/adapters/createAdapter.js';
+import { formatter } from '../utils/formatter.js';
+import { EMOJI, PROJECT_STATE_DIR } from '../config/constants.js';
+
+/**
+ * Adds the project's state directory to the `.gitignore` of a directory in a git work tree, unless it is listed already.
+ * @function ignoreStateDir
+ * @param {string} dir - Directory of the project file.
+ * @returns {boolean} True if the entry was added; false if it was there already or the directory is not in git.
+ * @private
+ */
+function ignoreStateDir(dir) {
+    const ignoreFile = path.join(dir, '.gitignore');
+    const entry = `${PROJECT_STATE_DIR}/`;
+    const hasIgnoreFile = fs.existsSync(ignoreFile);
+
+    if (!hasIgnoreFile && !fs.existsSync(path.join(dir, '.git'))) {
+        return false;
+    }
+
+    const content = hasIgnoreFile ? fs.readFileSync(ignoreFile, 'utf-8') : '';
+    const lines = content.split(/\r?\n/).map(line => line.trim());
+    if (lines.some(line => [entry, PROJECT_STATE_DIR, `/${entry}`, `/${PROJECT_STATE_DIR}`].includes(line))) {
+        return false;
+    }
+
+    fs.appendFileSync(ignoreFile, `${content === '' || content.endsWith('\n') ? '' : '\n'}${entry}\n`);
+    return true;
+}
+
+/**
+ * Creates an empty project file in the current directory, and adds its state directory to the `.gitignore` there.
+ * Commands run in this directory or below then use it instead of your personal tasks.
+ * @async
+ * @function initCommand
+ * @returns {Promise<void>}
+ * @example
+ * initCommand();
+ */
+export async function initCommand() {
+    const spinner = ora('Creating project task list...').start();
+
+    try {
+        const file = createStorage(configService.get('storage'), locationService.getInitFile());
+        const dir = path.dirname(file);
+        const ignored = ignoreStateDir(dir);
+
+        spinner.succeed(chalk.green(` ${EMOJI.CLIPBOARD} Project task list created`));
+        console.log(chalk.cyan('File:') + ` ${file}`);
+        console.log(chalk.gray('Commands run in this directory or below now use it. Add --global to use your personal tasks.'));
+        if (ignored) {
+            console.log(chalk.gray(`Added ${PROJECT_STATE_DIR}/ to ${path.join(dir, '.gitignore')}: it holds the undo history and backups.`));
+        } else if (!fs.existsSync(path.join(dir, '.gitignore'))) {
+            console.log(chalk.gray(`Undo history and backups are kept in ${PROJECT_STATE_DIR}/; add it to your .gitignore to keep them out of git.`));
+        }
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to create project task list'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
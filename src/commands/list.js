@@ -1,12 +1,14 @@
 /**
  * @fileoverview Command handler for listing tasks.
  * @module commands/list
- * @description Handles the 'list' command to display todos with optional filtering.
+ * @description Handles the 'list' command to display todos with optional filtering, subtasks nested under their parents.
  */
 
 import chalk from "chalk";
 import todoService from "../services/todoService.js";
 import { formatter } from "../utils/formatter.js";
+import { validator } from "../utils/validator.js";
+import { TAGS } from "../config/constants.js";
 
 /**
  * Lists all tasks with optional filtering.
@@ -15,29 +17,39 @@ import { formatter } from "../utils/formatter.js";
  * @param {boolean} [options.completed] - Show only completed tasks.
  * @param {boolean} [options.pending] - Show only pending tasks.
  * @param {string} [options.priority] - Filter by priority level (high, medium, low).
- * @param {string} [options.tag] - Filter by tag name.
+ * @param {Array<string>} [options.tag] - Filter by tags: `work,home` for any of them, `work+urgent` for all of them.
+ * @param {boolean} [options.archived] - Show archived tasks instead of the list.
+ * @param {boolean} [options.actionable] - Show only pending tasks that do not wait for another task.
  * @returns {void}
  * @example
  * listCommand({ completed: true }); // List only completed tasks
  * listCommand({ priority: "high" }); // List only high priority tasks
+ * listCommand({ archived: true, tag: ["work"] }); // List archived tasks tagged work
+ * listCommand({ tag: ["work+urgent"] }); // List tasks tagged both work and urgent
+ * listCommand({ actionable: true }); // List tasks that can be worked on now
  */
 export function listCommand(options = {}) {
     try {
-        const { completed, pending, priority, tag } = options;
+        const { completed, pending, priority, tag, archived = false, actionable = false } = options;
+
+        const tags = tag ? validator.validateTagFilter(tag) : null;
+        const tagLabel = tags?.map(group => group.join(TAGS.ALL_SEPARATOR)).join(TAGS.ANY_SEPARATOR);
 
         // Get filtered todos
         const todos = todoService.filter({
             completed: completed || null,
             pending: pending || null,
             priority: priority || null,
-            tag: tag || null
+            tags,
+            archived,
+            actionable
         });
 
         // Check if any todos exist
-        const allTodos = todoService.getAll();
+        const allTodos = archived ? todoService.getArchive() : todoService.getAll();
 
         if (allTodos.length === 0) {
-            formatter.info('No tasks yet! Add one with: todo add "Your Task Here! boi"');
+            formatter.info(archived ? 'The archive is empty. Archive completed tasks with: todo archive' : 'No tasks yet! Add one with: todo add "Your Task Here! boi"');
             return;
         }
 
@@ -45,10 +57,11 @@ export function listCommand(options = {}) {
             let filterLabel = '';
             if (completed) filterLabel = 'completed';
             else if (pending) filterLabel = 'pending';
+            else if (actionable) filterLabel = 'actionable';
             else if (priority) filterLabel = `with priority ${priority}`;
-            else if (tag) filterLabel = `with tag ${tag}`;
+            else if (tags) filterLabel = `with tag ${tagLabel}`;
 
-            formatter.info(`No ${filterLabel} tasks found!`);
+            formatter.info(`No ${filterLabel} ${archived ? 'archived ' : ''}tasks found!`);
             return;
         }
 
@@ -56,13 +69,16 @@ export function listCommand(options = {}) {
         let filterLabel = '';
         if (completed) filterLabel = ' (Completed)';
         else if (pending) filterLabel = ' (Pending)';
+        else if (actionable) filterLabel = ' (Actionable)';
         else if (priority) filterLabel = ` (Priority: ${priority.toUpperCase()})`;
-        else if (tag) filterLabel = ` (Tag: ${tag})`;
+        else if (tags) filterLabel = ` (Tag: ${tagLabel})`;
 
-        formatter.header(`You have ${chalk.bold(todos.length)} task(s)${filterLabel}`);
+        formatter.header(archived
+            ? `${chalk.bold(todos.length)} archived task(s)${filterLabel}`
+            : `You have ${chalk.bold(todos.length)} task(s)${filterLabel}`);
 
-        todos.forEach((todo, index) => {
-            console.log(formatter.formatTask(todo, index));
+        todoService.outline(todos).forEach(({ todo, ...outline }, index) => {
+            console.log(formatter.formatTask(todo, index, outline));
         });
 
         formatter.emptyLine();
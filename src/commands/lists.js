@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Command handlers for managing named task lists.
+ * @module commands/lists
+ * @description Handles the 'lists' command and its 'create', 'rename', 'delete' and 'use' subcommands.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import listService from '../services/listService.js';
+import { formatter } from '../utils/formatter.js';
+import { prompt } from '../utils/prompt.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Shows every list with its task counts, marking the current one.
+ * @function listsCommand
+ * @returns {void}
+ * @example
+ * listsCommand();
+ */
+export function listsCommand() {
+    try {
+        const lists = listService.summary();
+
+        formatter.header(`${lists.length} list(s)`);
+        lists.forEach(({ name, current, stats, error }) => {
+            const marker = current ? chalk.green('*') : ' ';
+            const label = current ? chalk.bold(name) : name;
+            const counts = stats
+                ? chalk.gray(`${stats.completed}/${stats.total} done (${stats.percentage}%)`)
+                : chalk.red(error);
+            console.log(`${marker} ${label} ${counts}`);
+        });
+        formatter.emptyLine();
+
+    } catch (error) {
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Creates an empty list.
+ * @async
+ * @function listsCreateCommand
+ * @param {string} name - List name.
+ * @returns {Promise<void>}
+ * @example
+ * listsCreateCommand('work');
+ */
+export async function listsCreateCommand(name) {
+    const spinner = ora('Creating list...').start();
+
+    try {
+        const list = listService.create(name);
+
+        spinner.succeed(chalk.green(` List ${chalk.bold(list)} created`));
+        console.log(chalk.gray(`Use it with "todo --list ${list} add ..." or "todo lists use ${list}"`));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to create list'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Renames a list.
+ * @async
+ * @function listsRenameCommand
+ * @param {string} from - Current list name.
+ * @param {string} to - New list name.
+ * @returns {Promise<void>}
+ * @example
+ * listsRenameCommand('work', 'office');
+ */
+export async function listsRenameCommand(from, to) {
+    const spinner = ora('Renaming list...').start();
+
+    try {
+        const result = listService.rename(from, to);
+
+        spinner.succeed(chalk.green(` ${EMOJI.EDIT} Renamed ${chalk.bold(result.from)} to ${chalk.bold(result.to)}`));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to rename list'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Deletes a list after asking for confirmation. Its tasks are backed up first.
+ * @async
+ * @function listsDeleteCommand
+ * @param {string} name - List name.
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {boolean} [options.yes] - Delete without asking for confirmation.
+ * @returns {Promise<void>}
+ * @example
+ * listsDeleteCommand('work', { yes: true });
+ */
+export async function listsDeleteCommand(name, options = {}) {
+    if (!options.yes && !(await prompt.confirm(`Delete the list "${name}" and all its tasks?`))) {
+        formatter.info('Delete cancelled');
+        return;
+    }
+
+    const spinner = ora('Deleting list...').start();
+
+    try {
+        const { name: list, backup } = listService.delete(name);
+
+        spinner.succeed(chalk.green(` ${EMOJI.TRASH} List ${chalk.bold(list)} deleted`));
+        if (backup) {
+            console.log(chalk.gray(`Its tasks were saved as ${backup.name}`));
+        }
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to delete list'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Makes a list the current one for later commands.
+ * @function listsUseCommand
+ * @param {string} name - List name.
+ * @returns {void}
+ * @example
+ * listsUseCommand('work');
+ */
+export function listsUseCommand(name) {
+    try {
+        const list = listService.use(name);
+
+        formatter.success(`Now using the list ${chalk.bold(list)}`);
+        formatter.emptyLine();
+
+    } catch (error) {
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Command handler for upgrading the data file schema.
+ * @module commands/migrate
+ * @description Handles the 'migrate' command to preview or apply pending data migrations.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { formatter } from '../utils/formatter.js';
+
+/**
+ * Upgrades stored data to the current schema version, or previews the upgrade.
+ * Data is also upgraded automatically when it is loaded; this command makes the upgrade explicit.
+ * @async
+ * @function migrateCommand
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {boolean} [options.dryRun] - Show pending migrations without writing anything.
+ * @returns {Promise<void>}
+ * @example
+ * migrateCommand({ dryRun: true });
+ */
+export async function migrateCommand(options = {}) {
+    const spinner = ora(options.dryRun ? 'Checking data version...' : 'Migrating data...').start();
+
+    try {
+        const { fromVersion, toVersion, applied, backupFile } = todoService.upgrade({ dryRun: options.dryRun });
+
+        if (applied.length === 0) {
+            spinner.info(chalk.blue(` Data is up to date (schema version ${toVersion})`));
+            return;
+        }
+
+        if (options.dryRun) {
+            spinner.info(chalk.blue(` ${applied.length} migration(s) pending`));
+        } else {
+            spinner.succeed(chalk.green(` Data migrated successfully!`));
+        }
+
+        console.log(chalk.cyan('Schema version:') + ` ${fromVersion} → ${chalk.bold(toVersion)}`);
+        applied.forEach(({ version, description, changed }) => {
+            console.log(`  ${chalk.gray(`v${version}`)} ${description} ${chalk.gray(`(${changed} task(s) changed)`)}`);
+        });
+
+        if (options.dryRun) {
+            console.log(chalk.gray('\nDry run: nothing was written. Run "todo migrate" to apply.'));
+        } else if (backupFile) {
+            console.log(chalk.cyan('Backup:') + ` ${backupFile}`);
+        }
+
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to migrate data'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
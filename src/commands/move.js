@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Command handler for moving tasks between lists.
+ * @module commands/move
+ * @description Handles the 'move' command, which moves tasks from the current list to another one.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import listService from '../services/listService.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { prompt } from '../utils/prompt.js';
+import { selectTasks, confirmSelection, FILTER_USAGE } from './selection.js';
+
+/**
+ * Moves tasks to another list in one change, keeping their dates, priority and tags.
+ * The tasks get the next IDs of that list.
+ * @async
+ * @function moveCommand
+ * @param {Array<string>} args - Full IDs, list positions like `@2` or ranges like `7-9`,
+ * followed by the name of the list to move the tasks to.
+ * @param {Object} [options={}] - Filter options from Commander.js, see `validator.validateSelection`.
+ * @param {boolean} [options.yes] - Move many tasks without asking for confirmation.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If validation fails.
+ * @throws {Error} If a task or the list is not found.
+ * @example
+ * moveCommand(['12', 'work']);
+ * moveCommand(['work'], { tag: ['office'] });
+ */
+export async function moveCommand(args, options = {}) {
+    const taskIds = args.slice(0, -1);
+    let todos;
+    let list;
+    let target;
+
+    try {
+        list = validator.validateListName(args[args.length - 1]);
+        todos = selectTasks(taskIds, options, { exact: true });
+        if (list === listService.getCurrent()) {
+            throw new ValidationError(`The tasks are already in the list "${list}"`);
+        }
+
+        target = listService.open(list);
+        if (target.needsPassphrase()) {
+            target.unlock(await prompt.password(`Passphrase for the list "${list}":`));
+        }
+
+        if (!(await confirmSelection(todos, `Move ${todos.length} task(s) to ${list}?`, options))) {
+            target.close();
+            return;
+        }
+    } catch (error) {
+        target?.close();
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray(`Usage: todo move <id...> <list> ${FILTER_USAGE}`));
+            console.log(chalk.gray('Tip: Use "todo lists" to see all lists'));
+        }
+
+        process.exit(1);
+    }
+
+    const spinner = ora(todos.length === 1 ? 'Moving task...' : `Moving ${todos.length} tasks...`).start();
+
+    try {
+        const { changed } = todoService.moveMany(todos.map(todo => todo.id), target);
+
+        spinner.succeed(chalk.green(` ${changed.length === 1 ? 'Task' : `${changed.length} tasks`} moved to ${chalk.bold(list)}`));
+        changed.forEach(todo => console.log(formatter.formatTask(todo)));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(todos.length === 1 ? ' Failed to move task' : ' Failed to move tasks'));
+        formatter.error(error.message);
+        process.exit(1);
+    } finally {
+        target.close();
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Command handler for picking the next task.
+ * @module commands/next
+ * @description Handles the 'next' command to show the single best task to work on now.
+ */
+
+import chalk from 'chalk';
+import todoService from '../services/todoService.js';
+import { formatter } from '../utils/formatter.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Shows the task to work on next: the pending task that does not wait for another one, with the highest
+ * priority, then the earliest due date.
+ * @function nextCommand
+ * @returns {void}
+ * @example
+ * nextCommand();
+ */
+export function nextCommand() {
+    try {
+        const todo = todoService.next();
+
+        if (!todo) {
+            formatter.info(todoService.getAll().some(task => !task.completed)
+                ? 'Every pending task waits for another task. See them with: todo list --pending'
+                : 'Nothing to do! Add a task with: todo add "Your Task Here! boi"');
+            return;
+        }
+
+        formatter.header(`${EMOJI.ROCKET} Next up`);
+        console.log(formatter.formatTask(todo));
+        console.log(chalk.gray(`Mark it done with "todo done ${todo.id}"`));
+        formatter.emptyLine();
+
+    } catch (error) {
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
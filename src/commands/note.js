@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Command handler for notes on tasks.
+ * @module commands/note
+ * @description Handles the 'note' command to annotate a task or edit its notes in the user's editor.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { prompt } from '../utils/prompt.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Adds a timestamped annotation to a task, or edits its notes in `$EDITOR`.
+ * @async
+ * @function noteCommand
+ * @param {string} taskId - The ID of the task, the start of it, or its list position like `@2`.
+ * @param {Array<string>} words - The annotation to add.
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {boolean} [options.edit] - Edit the notes of the task instead.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If validation fails.
+ * @throws {Error} If the task is not found or the editor fails.
+ * @example
+ * noteCommand('12', ['Waiting', 'for', 'review']);
+ * noteCommand('12', [], { edit: true });
+ */
+export async function noteCommand(taskId, words = [], options = {}) {
+    let id;
+    let change;
+
+    try {
+        id = todoService.resolveId(validator.validateId(taskId));
+        const text = words.join(' ');
+
+        if (options.edit && text.trim() !== '') {
+            throw new ValidationError('Give either a note to add or --edit, not both');
+        }
+
+        change = options.edit
+            ? { notes: validator.validateNotes(prompt.edit(todoService.getById(id).notes ?? '')) }
+            : { annotation: validator.validateAnnotation(text) };
+    } catch (error) {
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo note <id> <text> | todo note <id> --edit'));
+        }
+
+        process.exit(1);
+    }
+
+    const spinner = ora('Saving note...').start();
+
+    try {
+        const { old, updated } = change.annotation !== undefined
+            ? todoService.annotate(id, change.annotation)
+            : todoService.setNotes(id, change.notes);
+
+        if (change.annotation !== undefined) {
+            spinner.succeed(chalk.green(` ${EMOJI.NOTE} Note added to ${updated.description}`));
+        } else if ((old.notes ?? '') === (updated.notes ?? '')) {
+            spinner.info(chalk.blue(' Notes left as they were'));
+        } else {
+            spinner.succeed(chalk.green(` ${EMOJI.NOTE} Notes ${updated.notes ? 'saved' : 'removed'} for ${updated.description}`));
+        }
+        console.log(chalk.gray(`See them with "todo show ${updated.id}"`));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to save note'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Command handlers for recurring tasks.
+ * @module commands/recur
+ * @description Handles the 'recur list' and 'recur stop' commands.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Lists the recurring tasks with their repeat rules and next due dates.
+ * @function recurListCommand
+ * @returns {void}
+ * @example
+ * recurListCommand();
+ */
+export function recurListCommand() {
+    try {
+        const todos = todoService.getRecurring();
+
+        if (todos.length === 0) {
+            formatter.info('No recurring tasks. Add one with: todo add "Weekly report" --every week');
+            return;
+        }
+
+        formatter.header(`${EMOJI.REPEAT} ${todos.length} recurring task(s)`);
+        todos.forEach((todo, index) => console.log(formatter.formatTask(todo, index)));
+        console.log(chalk.gray('Completing a recurring task adds its next occurrence. Use "todo recur stop <id>" to end a series'));
+        formatter.emptyLine();
+
+    } catch (error) {
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Stops a task from coming back once it is completed.
+ * @async
+ * @function recurStopCommand
+ * @param {string} taskId - The ID of the recurring task, the start of it, or its list position like `@2`.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If validation fails.
+ * @throws {Error} If the task is not found or does not repeat.
+ * @example
+ * recurStopCommand('12');
+ */
+export async function recurStopCommand(taskId) {
+    const spinner = ora('Stopping the series...').start();
+
+    try {
+        const id = todoService.resolveId(validator.validateId(taskId));
+        const { updated } = todoService.stopRecurrence(id);
+
+        spinner.succeed(chalk.green(' Task no longer repeats'));
+        console.log(formatter.formatTask(updated));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to stop the series'));
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo recur stop <id>'));
+        }
+
+        process.exit(1);
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Command handler for checking and recovering damaged data.
+ * @module commands/repair
+ * @description Handles the 'repair' command. The same check also runs automatically before every other command.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { formatter } from '../utils/formatter.js';
+
+/**
+ * Checks stored data and recovers it if it is damaged, reporting exactly what was recovered.
+ * @async
+ * @function repairCommand
+ * @returns {Promise<void>}
+ * @example
+ * repairCommand();
+ */
+export async function repairCommand() {
+    const spinner = ora('Checking data...').start();
+
+    try {
+        const report = todoService.repair();
+
+        if (!report.repaired) {
+            spinner.succeed(chalk.green(` Data is healthy (${report.total} task(s))`));
+            return;
+        }
+
+        spinner.warn(chalk.yellow(' Data was damaged and has been repaired'));
+        formatter.formatRepairReport(report);
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to repair data'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Command handler for restoring a snapshot of the task list.
+ * @module commands/restore
+ * @description Handles the 'backup restore' command, which shows what would change and asks before replacing all tasks.
+ * `restore` given a snapshot name runs it too.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { formatter } from '../utils/formatter.js';
+import { prompt } from '../utils/prompt.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Replaces all tasks with the content of a snapshot after showing a diff summary.
+ * @async
+ * @function restoreCommand
+ * @param {string} ref - Snapshot name or its number in `todo backup list`.
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {boolean} [options.yes] - Restore without asking for confirmation.
+ * @returns {Promise<void>}
+ * @example
+ * restoreCommand('1', { yes: true });
+ */
+export async function restoreCommand(ref, options = {}) {
+    let name;
+
+    try {
+        const { snapshot, diff } = todoService.compareBackup(ref);
+        name = snapshot.name;
+
+        formatter.header(`Restore ${snapshot.name}`);
+        formatter.formatDiff(diff);
+        formatter.emptyLine();
+
+        if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+            formatter.info('Your tasks already match this backup. Nothing to restore.');
+            return;
+        }
+
+        if (!options.yes && !(await prompt.confirm('Replace your current tasks with this backup?'))) {
+            formatter.info('Restore cancelled');
+            return;
+        }
+    } catch (error) {
+        formatter.error(error.message);
+        process.exit(1);
+    }
+
+    const spinner = ora('Restoring backup...').start();
+
+    try {
+        const { snapshot, backup } = todoService.restore(name);
+
+        spinner.succeed(chalk.green(` ${EMOJI.RECYCLE} Restored ${chalk.bold(snapshot.name)}`));
+        if (backup) {
+            console.log(chalk.gray(`Your previous tasks were saved as ${backup.name}`));
+        }
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to restore backup'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
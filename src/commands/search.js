@@ -15,23 +15,25 @@ import { EMOJI } from '../config/constants.js';
  * @async
  * @function searchCommand
  * @param {string} keyword - The search keyword to match against task descriptions and tags.
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {boolean} [options.archived] - Search archived tasks instead of the list.
  * @returns {Promise<void>}
  * @throws {ValidationError} If validation fails.
  * @example
  * searchCommand("groceries");
  */
-export async function searchCommand(keyword) {
+export async function searchCommand(keyword, options = {}) {
     try {
         const validKeyword = validator.validateKeyword(keyword);
-        const results = todoService.search(validKeyword);
+        const results = todoService.search(validKeyword, { archived: Boolean(options.archived) });
 
         if (results.length === 0) {
-            formatter.info(`No tasks found matching "${chalk.bold(keyword)}"`);
+            formatter.info(`No ${options.archived ? 'archived ' : ''}tasks found matching "${chalk.bold(keyword)}"`);
             console.log(chalk.gray('Try a different keyword or use "todo list" to see all tasks'));
             return;
         }
 
-        formatter.header(`${EMOJI.SEARCH} Found ${chalk.bold(results.length)} task(s) matching "${chalk.bold(keyword)}"`);
+        formatter.header(`${EMOJI.SEARCH} Found ${chalk.bold(results.length)} ${options.archived ? 'archived ' : ''}task(s) matching "${chalk.bold(keyword)}"`);
 
         results.forEach((todo, index) => {
             console.log(formatter.formatTask(todo, index));
@@ -42,7 +44,7 @@ export async function searchCommand(keyword) {
     } catch (error) {
         if (error instanceof ValidationError) {
             formatter.error(error.message);
-            console.log(chalk.gray('Usage: todo search <keyword>'));
+            console.log(chalk.gray('Usage: todo search <keyword> [--archived]'));
         } else {
             formatter.error(error.message);
         }
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Shared helpers for commands that change several tasks at once.
+ * @module commands/selection
+ * @description Finds the tasks named by IDs, ranges and filters, asks before changing many of them, and reports
+ * the tasks that were left alone.
+ */
+
+import chalk from 'chalk';
+import todoService from '../services/todoService.js';
+import configService from '../services/configService.js';
+import { validator } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { prompt } from '../utils/prompt.js';
+
+/**
+ * Usage text of the filter options shared by these commands.
+ * @type {string}
+ * @constant
+ */
+export const FILTER_USAGE = '[--completed | --pending] [--priority <level>] [--tag <tags>] [--before <date>]';
+
+/**
+ * Finds the tasks a command should change.
+ * @function selectTasks
+ * @param {Array<string>} taskIds - IDs, ID prefixes, list positions like `@2` and ranges like `7-9`.
+ * @param {Object} [options={}] - Filter options from Commander.js, see `validator.validateSelection`.
+ * @param {ResolveOptions} [resolveOptions={}] - `exact` for commands that take tasks out of the list, so an ID that is
+ * gone does not pick another task that starts with it.
+ * @returns {Array<Todo>} The selected tasks.
+ * @throws {ValidationError} If neither IDs nor filters are given, or one of them is invalid.
+ * @throws {Error} If an ID is not found, or no task matches.
+ * @example
+ * selectTasks(['3', '7-9'], { pending: true });
+ * selectTasks(['5'], {}, { exact: true });
+ */
+export function selectTasks(taskIds, options = {}, resolveOptions = {}) {
+    const todos = todoService.select(validator.validateSelection(taskIds, options), resolveOptions);
+
+    if (todos.length === 0) {
+        throw new Error('No tasks match these IDs and filters');
+    }
+
+    return todos;
+}
+
+/**
+ * Lists the selected tasks and asks before changing them if there are more than the `confirmThreshold` setting.
+ * @async
+ * @function confirmSelection
+ * @param {Array<Todo>} todos - The selected tasks.
+ * @param {string} question - Question to ask, e.g. `Delete 7 tasks?`.
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {boolean} [options.yes] - Change them without asking.
+ * @returns {Promise<boolean>} True if the command should go ahead.
+ * @example
+ * if (!(await confirmSelection(todos, `Delete ${todos.length} task(s)?`, options))) return;
+ */
+export async function confirmSelection(todos, question, options = {}) {
+    if (options.yes || todos.length <= configService.get('confirmThreshold')) {
+        return true;
+    }
+
+    formatter.header(`${todos.length} task(s) selected`);
+    todos.forEach(todo => console.log(formatter.formatTask(todo)));
+    formatter.emptyLine();
+
+    if (await prompt.confirm(question)) {
+        return true;
+    }
+
+    formatter.info('Nothing changed');
+    return false;
+}
+
+/**
+ * Shows the tasks a command left alone, and why.
+ * @function printSkipped
+ * @param {Array<{todo: Todo, reason: string}>} skipped - Skipped tasks, as in a `BulkResult`.
+ * @returns {void}
+ */
+export function printSkipped(skipped) {
+    skipped.forEach(({ todo, reason }) => {
+        formatter.info(reason);
+        console.log(chalk.gray('Task: ') + todo.description + chalk.gray(` (ID: ${todo.id})`));
+    });
+}
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Command handler for showing a task.
+ * @module commands/show
+ * @description Handles the 'show' command to display every detail of a task, with its notes and the history of its changes.
+ */
+
+import chalk from 'chalk';
+import todoService from '../services/todoService.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Shows a task with its notes and annotations, its subtasks, the tasks it waits for, and every change made to it.
+ * @function showCommand
+ * @param {string} taskId - The ID of the task, the start of it, or its list position like `@2`.
+ * @returns {void}
+ * @throws {ValidationError} If validation fails.
+ * @throws {Error} If the task is not found.
+ * @example
+ * showCommand('12');
+ */
+export function showCommand(taskId) {
+    try {
+        const todo = todoService.getById(todoService.resolveId(validator.validateId(taskId)));
+        const [entry] = todoService.outline([todo]);
+
+        formatter.formatTaskDetail(todo);
+
+        if (todo.parentId) {
+            const parent = todoService.getAll().find(task => task.id === todo.parentId);
+            if (parent) {
+                console.log(chalk.cyan('Subtask of:'));
+                console.log(formatter.formatTask(parent));
+            }
+        }
+
+        const subtasks = todoService.getAll().filter(task => task.parentId === todo.id);
+        if (subtasks.length > 0) {
+            console.log(chalk.cyan(`Subtasks: ${entry.progress.done}/${entry.progress.total}`));
+            todoService.outline(subtasks).forEach(({ todo: subtask, ...outline }) => console.log(formatter.formatTask(subtask, null, outline)));
+        }
+
+        const blockers = todoService.blockersOf(todo);
+        if (blockers.length > 0) {
+            console.log(chalk.cyan(`${EMOJI.BLOCKED} Waits for:`));
+            blockers.forEach(blocker => console.log(formatter.formatTask(blocker)));
+        }
+
+        formatter.formatHistory(todo);
+        formatter.emptyLine();
+
+    } catch (error) {
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo show <id>'));
+        }
+
+        process.exit(1);
+    }
+}
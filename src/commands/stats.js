@@ -6,10 +6,12 @@
 
 import chalk from 'chalk';
 import todoService from '../services/todoService.js';
+import locationService from '../services/locationService.js';
 import { formatter } from '../utils/formatter.js';
+import { LOCATION_SOURCE_LABEL } from '../config/constants.js';
 
 /**
- * Displays task statistics including total, completed, pending tasks, and progress.
+ * Displays task statistics including total, completed, pending tasks, and progress, and which file they come from.
  * @function statsCommand
  * @returns {void}
  * @example
@@ -24,6 +26,15 @@ export function statsCommand() {
         // Show motivational message
         console.log(chalk.bold.green(stats.motivationalMessage));
         formatter.emptyLine();
+
+        if (stats.archived > 0) {
+            console.log(`${chalk.cyan('Archived:')} ${chalk.bold(stats.archived)} task(s), ${chalk.bold(stats.completed + stats.archived)} completed in all`);
+            formatter.emptyLine();
+        }
+
+        const { source } = locationService.getLocation();
+        console.log(chalk.gray(`File: ${locationService.getBackendFile()} (${LOCATION_SOURCE_LABEL[source]})`));
+        formatter.emptyLine();
         
     } catch (error) {
         formatter.error(error.message);
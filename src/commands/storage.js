@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Command handlers for inspecting and switching storage backends.
+ * @module commands/storage
+ * @description Handles the 'storage' command and its 'migrate' subcommand, which copies tasks between backends.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import configService from '../services/configService.js';
+import locationService from '../services/locationService.js';
+import { createAdapter } from '../services/adapters/createAdapter.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { STORAGE_BACKEND, LOCATION_SOURCE_LABEL } from '../config/constants.js';
+
+/**
+ * Shows the active storage backend, where it keeps its data, and why that location was chosen.
+ * @function storageCommand
+ * @returns {void}
+ * @example
+ * storageCommand();
+ */
+export function storageCommand() {
+    try {
+        const backend = configService.get('storage');
+        const { source } = locationService.getLocation();
+
+        formatter.header('Storage');
+        console.log(chalk.cyan('Backend:') + `  ${chalk.bold(backend)}`);
+        console.log(chalk.cyan('Location:') + ` ${locationService.getBackendFile(backend)} ${chalk.gray(`(${LOCATION_SOURCE_LABEL[source]})`)}`);
+        formatter.emptyLine();
+
+    } catch (error) {
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Copies every task from the active backend to another backend and switches to it.
+ * @async
+ * @function storageMigrateCommand
+ * @param {Object} options - Command options from Commander.js.
+ * @param {string} options.to - Target backend name.
+ * @param {boolean} [options.force] - Replace tasks already present in the target backend.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If the target backend is invalid or already active.
+ * @example
+ * storageMigrateCommand({ to: 'sqlite' });
+ */
+export async function storageMigrateCommand(options) {
+    const spinner = ora('Migrating tasks...').start();
+    let source;
+    let target;
+
+    try {
+        const from = configService.get('storage');
+        const to = validator.validateBackend(options.to);
+
+        if (from === to) {
+            throw new ValidationError(`Already using the ${to} backend`);
+        }
+
+        source = createAdapter(from, locationService.getDataFile());
+        target = createAdapter(to, locationService.getDataFile());
+
+        if (source.isEncrypted()) {
+            throw new Error(`Your tasks are encrypted and the ${to} backend cannot store encrypted data. Run "todo decrypt" first`);
+        }
+
+        const tasks = source.query();
+
+        target.transaction(() => {
+            const existing = target.query();
+
+            if (existing.length > 0 && !options.force) {
+                throw new Error(`The ${to} backend already contains ${existing.length} task(s). Use --force to replace them`);
+            }
+
+            existing.forEach(task => target.delete(task.id));
+            tasks.forEach(task => target.insert(task));
+        });
+
+        configService.set('storage', to);
+
+        spinner.succeed(chalk.green(` Migrated ${chalk.bold(tasks.length)} task(s) from ${from} to ${to}`));
+        console.log(chalk.cyan('Now using:') + ` ${locationService.getBackendFile(to)}`);
+        console.log(chalk.gray(`The ${from} data was left in place at ${locationService.getBackendFile(from)}`));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to migrate tasks'));
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray(`Usage: todo storage migrate --to <${Object.values(STORAGE_BACKEND).join('|')}>`));
+        }
+
+        process.exit(1);
+    } finally {
+        source?.close();
+        target?.close();
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Command handler for syncing the task list with another file.
+ * @module commands/sync
+ * @description Handles the 'sync' command, which merges the tasks with another copy and asks about conflicts.
+ */
+
+import path from 'path';
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import locationService from '../services/locationService.js';
+import { createFileAdapter } from '../services/adapters/createAdapter.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { prompt } from '../utils/prompt.js';
+import { SYNC_STRATEGY, EMOJI } from '../config/constants.js';
+
+/**
+ * Asks which version to keep for every conflict.
+ * @async
+ * @function askResolutions
+ * @param {Array<SyncConflict>} conflicts - Conflicts to settle.
+ * @returns {Promise<Object<string, string>|null>} `ours` or `theirs` by task identity, or null if the user stopped answering.
+ * @private
+ */
+async function askResolutions(conflicts) {
+    const resolutions = {};
+
+    for (const conflict of conflicts) {
+        formatter.formatConflict(conflict);
+        const side = await prompt.choose('Keep which version?', [SYNC_STRATEGY.OURS, SYNC_STRATEGY.THEIRS]);
+        if (!side) return null;
+
+        resolutions[conflict.uid] = side;
+        formatter.emptyLine();
+    }
+
+    return resolutions;
+}
+
+/**
+ * Merges the tasks with another file so both hold the same tasks.
+ * Without a strategy, each conflict is shown and the user picks which version to keep.
+ * @async
+ * @function syncCommand
+ * @param {string} file - Path to the other JSON data file or SQLite database.
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {string} [options.strategy] - Settle conflicts with `ours`, `theirs` or `newest` instead of asking.
+ * @param {boolean} [options.dryRun] - Show what would change without changing anything.
+ * @returns {Promise<void>}
+ * @example
+ * syncCommand('~/Dropbox/todos.json', { strategy: 'newest' });
+ */
+export async function syncCommand(file, options = {}) {
+    let remote;
+    let remoteFile;
+    let strategy = null;
+    let resolutions = {};
+
+    try {
+        strategy = options.strategy ? validator.validateSyncStrategy(options.strategy) : null;
+        remoteFile = path.resolve(validator.validateFilename(file));
+        if (remoteFile === locationService.getBackendFile()) {
+            throw new ValidationError('Cannot sync the task list with itself');
+        }
+
+        remote = createFileAdapter(remoteFile);
+        if (remote.needsPassphrase()) {
+            remote.unlock(await prompt.password(`Passphrase for ${remoteFile}:`));
+        }
+
+        if (!strategy && !options.dryRun) {
+            const { conflicts } = todoService.sync(remote, remoteFile, { dryRun: true });
+            if (conflicts.length > 0) {
+                formatter.header(`${conflicts.length} conflict(s)`);
+                resolutions = await askResolutions(conflicts);
+            }
+
+            if (!resolutions) {
+                formatter.info('Sync cancelled. Use --strategy to settle conflicts without asking');
+                remote.close();
+                return;
+            }
+        }
+    } catch (error) {
+        remote?.close();
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray(`Usage: todo sync <path> [--strategy <${Object.values(SYNC_STRATEGY).join('|')}>]`));
+        }
+
+        process.exit(1);
+    }
+
+    const spinner = ora('Syncing tasks...').start();
+
+    try {
+        const result = todoService.sync(remote, remoteFile, { strategy, resolutions, dryRun: options.dryRun });
+        const open = result.conflicts.filter(conflict => conflict.resolution === null);
+
+        if (options.dryRun) {
+            spinner.info(chalk.cyan(' Dry run: nothing was changed'));
+        } else if (!result.applied) {
+            throw new Error('Tasks changed while syncing. Run "todo sync" again');
+        } else {
+            spinner.succeed(chalk.green(` ${EMOJI.RECYCLE} Synced with ${remoteFile}`));
+        }
+
+        if (result.firstSync) {
+            console.log(chalk.gray('First sync with this file: tasks only on one side are copied to the other'));
+        }
+        console.log(chalk.cyan('This list:'));
+        formatter.formatDiff(result.local);
+        console.log(chalk.cyan('Other file:'));
+        formatter.formatDiff(result.remote);
+
+        if (result.conflicts.length > 0) {
+            const settled = result.conflicts.length - open.length;
+            console.log(chalk.yellow(`${result.conflicts.length} conflict(s), ${settled} settled${open.length > 0 ? `, ${open.length} to settle with --strategy or by running without --dry-run` : ''}`));
+        }
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to sync tasks'));
+        formatter.error(error.message);
+        process.exit(1);
+    } finally {
+        remote.close();
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Command handlers for managing tags across all tasks.
+ * @module commands/tags
+ * @description Handles the 'tags' command and its 'rename' and 'merge' subcommands.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Shows every tag in the list with how many pending and completed tasks have it.
+ * @function tagsCommand
+ * @returns {void}
+ * @example
+ * tagsCommand();
+ */
+export function tagsCommand() {
+    try {
+        const tags = todoService.getTags();
+
+        if (tags.length === 0) {
+            formatter.info('No tags yet! Tag a task with: todo update <id> +tagname');
+            return;
+        }
+
+        formatter.header(`${tags.length} tag(s)`);
+        tags.forEach(({ tag, pending, completed }) => {
+            console.log(`${EMOJI.TAG} ${chalk.magenta(tag)} ${chalk.gray(`${pending} pending, ${completed} completed`)}`);
+        });
+        formatter.emptyLine();
+
+    } catch (error) {
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Renames a tag on every task, including those in the trash and the archive.
+ * @async
+ * @function tagsRenameCommand
+ * @param {string} from - Current tag.
+ * @param {string} to - New tag.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If a tag is invalid or both are the same.
+ * @throws {Error} If no task has the tag.
+ * @example
+ * tagsRenameCommand('bug', 'bugs');
+ */
+export async function tagsRenameCommand(from, to) {
+    let tags;
+
+    try {
+        tags = [validator.validateTag(from), validator.validateTag(to)];
+        if (tags[0] === tags[1]) {
+            throw new ValidationError(`The tag is already called "${tags[1]}"`);
+        }
+    } catch (error) {
+        formatter.error(error.message);
+        console.log(chalk.gray('Usage: todo tags rename <old> <new>'));
+        process.exit(1);
+    }
+
+    const spinner = ora('Renaming tag...').start();
+
+    try {
+        const { changed } = todoService.renameTag(...tags);
+
+        spinner.succeed(chalk.green(` ${EMOJI.EDIT} Renamed ${chalk.bold(tags[0])} to ${chalk.bold(tags[1])} on ${changed.length} task(s)`));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to rename tag'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Replaces several tags with one on every task, including those in the trash and the archive.
+ * @async
+ * @function tagsMergeCommand
+ * @param {Array<string>} args - The tags to merge, followed by the tag to merge them into.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If a tag is invalid or fewer than two tags are given.
+ * @throws {Error} If no task has any of the tags.
+ * @example
+ * tagsMergeCommand(['bug', 'defect', 'bugs']);
+ */
+export async function tagsMergeCommand(args) {
+    let sources;
+    let target;
+
+    try {
+        const tags = args.map(tag => validator.validateTag(tag));
+        target = tags.at(-1);
+        sources = [...new Set(tags.slice(0, -1))].filter(tag => tag !== target);
+        if (sources.length === 0) {
+            throw new ValidationError('Give the tags to merge and then the tag to merge them into');
+        }
+    } catch (error) {
+        formatter.error(error.message);
+        console.log(chalk.gray('Usage: todo tags merge <tag...> <into>'));
+        process.exit(1);
+    }
+
+    const spinner = ora('Merging tags...').start();
+
+    try {
+        const { changed } = todoService.mergeTags(sources, target);
+
+        spinner.succeed(chalk.green(` ${EMOJI.EDIT} Merged ${chalk.bold(sources.join(', '))} into ${chalk.bold(target)} on ${changed.length} task(s)`));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to merge tags'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Command handlers for tracking the time spent on tasks.
+ * @module commands/timer
+ * @description Handles the 'start', 'stop' and 'log-time' commands.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { timeTracking } from '../utils/timeTracking.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Prints a timer that was stopped and how long it ran.
+ * @function printStopped
+ * @param {StoppedTimer} stopped - The timer.
+ * @returns {void}
+ * @private
+ */
+function printStopped({ todo, seconds }) {
+    console.log(`${EMOJI.TIMER} Stopped ${todo.description}` +
+        chalk.gray(` (ID: ${todo.id}) after ${timeTracking.format(seconds)}, ${timeTracking.format(timeTracking.total(todo))} in all`));
+}
+
+/**
+ * Starts timing the work on a task. A timer running for another task stops first.
+ * @async
+ * @function startCommand
+ * @param {string} taskId - The ID of the task, the start of it, or its list position like `@2`.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If validation fails.
+ * @throws {Error} If the task is not found, completed, or already timed.
+ * @example
+ * startCommand('12');
+ */
+export async function startCommand(taskId) {
+    const spinner = ora('Starting timer...').start();
+
+    try {
+        const id = todoService.resolveId(validator.validateId(taskId));
+        const { started, stopped } = todoService.startTimer(id);
+
+        spinner.succeed(chalk.green(` ${EMOJI.TIMER} Timer started for ${started.description}`));
+        if (stopped) {
+            printStopped(stopped);
+        }
+        console.log(chalk.gray('Use "todo stop" when you are done'));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to start timer'));
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo start <id>'));
+        }
+
+        process.exit(1);
+    }
+}
+
+/**
+ * Stops the running timer, adding the time to its task.
+ * @async
+ * @function stopCommand
+ * @returns {Promise<void>}
+ * @throws {Error} If no timer is running.
+ * @example
+ * stopCommand();
+ */
+export async function stopCommand() {
+    const spinner = ora('Stopping timer...').start();
+
+    try {
+        const stopped = todoService.stopTimer();
+
+        spinner.succeed(chalk.green(' Timer stopped'));
+        printStopped(stopped);
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to stop timer'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Logs time spent on a task without timing it.
+ * @async
+ * @function logTimeCommand
+ * @param {string} taskId - The ID of the task, the start of it, or its list position like `@2`.
+ * @param {string} duration - The time spent, like `1h30m`, `45m` or `1:30`.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If validation fails.
+ * @throws {Error} If the task is not found.
+ * @example
+ * logTimeCommand('12', '1h30m');
+ */
+export async function logTimeCommand(taskId, duration) {
+    let id;
+    let minutes;
+
+    try {
+        id = todoService.resolveId(validator.validateId(taskId));
+        minutes = validator.validateDuration(duration);
+    } catch (error) {
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo log-time <id> <duration>, e.g. todo log-time 12 1h30m'));
+        }
+
+        process.exit(1);
+    }
+
+    const spinner = ora('Logging time...').start();
+
+    try {
+        const { updated } = todoService.logTime(id, minutes);
+
+        spinner.succeed(chalk.green(` ${EMOJI.TIMER} Logged ${timeTracking.format(minutes * 60)} on ${updated.description}`));
+        console.log(`Time spent in all: ${chalk.bold(timeTracking.format(timeTracking.total(updated)))}`);
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to log time'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
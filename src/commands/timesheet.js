@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Command handler for the timesheet.
+ * @module commands/timesheet
+ * @description Handles the 'timesheet' command to sum up the hours spent per task and per tag, as a table or as CSV.
+ */
+
+import chalk from 'chalk';
+import todoService from '../services/todoService.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { timeTracking } from '../utils/timeTracking.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Quotes a CSV field if it contains a separator, a quote or a line break.
+ * Text starting like a formula (`=`, `+`, `-` or `@`) gets a leading `'`, so spreadsheets show it instead of running it.
+ * @function csvField
+ * @param {string|number} value - The field.
+ * @returns {string} The field as it goes in a CSV line.
+ * @private
+ */
+function csvField(value) {
+    const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Prints a timesheet as CSV: a line per task, then a line per tag and the total, with the hours in decimals.
+ * @function printCsv
+ * @param {Timesheet} sheet - The timesheet.
+ * @returns {void}
+ * @private
+ */
+function printCsv({ tasks, tags, total }) {
+    const lines = [
+        ['type', 'id', 'description', 'tags', 'hours'],
+        ...tasks.map(({ todo, seconds }) => ['task', todo.id, todo.description, (todo.tags ?? []).join(' '), timeTracking.hours(seconds)]),
+        ...tags.map(({ tag, seconds }) => ['tag', '', '', tag, timeTracking.hours(seconds)]),
+        ['total', '', '', '', timeTracking.hours(total)]
+    ];
+
+    lines.forEach(line => console.log(line.map(csvField).join(',')));
+}
+
+/**
+ * Sums up the time spent on tasks in the list and the archive, per task and per tag.
+ * @function timesheetCommand
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {string} [options.from] - First day in YYYY-MM-DD format; from the start by default.
+ * @param {string} [options.to] - Last day in YYYY-MM-DD format, included; until today by default.
+ * @param {Array<string>} [options.tag] - Only tasks with these tags: `work,home` for any of them, `work+urgent` for all of them.
+ * @param {boolean} [options.csv] - Print CSV instead of a table, e.g. to save it for a spreadsheet.
+ * @returns {void}
+ * @throws {ValidationError} If a date or the tag filter is invalid, or the period ends before it starts.
+ * @example
+ * timesheetCommand({ from: '2026-10-01', to: '2026-10-31', tag: ['client-a'], csv: true });
+ */
+export function timesheetCommand(options = {}) {
+    try {
+        const from = validator.validateDate(options.from);
+        const to = validator.validateDate(options.to);
+        const tags = options.tag ? validator.validateTagFilter(options.tag) : null;
+
+        if (from && to && from > to) {
+            throw new ValidationError(`The timesheet cannot end (${to}) before it starts (${from})`);
+        }
+
+        const sheet = todoService.timesheet({ from, to, tags });
+
+        if (options.csv) {
+            printCsv(sheet);
+            return;
+        }
+
+        const period = from || to ? ` ${from ?? 'start'} to ${to ?? 'today'}` : '';
+        if (sheet.tasks.length === 0) {
+            formatter.info(`No time tracked${period ? ` from${period}` : ''}. Start a timer with: todo start <id>`);
+            return;
+        }
+
+        const row = (seconds, label) => `${chalk.bold(timeTracking.hours(seconds).padStart(8))} h  ${label}`;
+
+        formatter.header(`${EMOJI.TIMER} Timesheet${period}`);
+        sheet.tasks.forEach(({ todo, seconds }) => console.log(row(seconds, todo.description) + chalk.gray(` (ID: ${todo.id})`)));
+
+        console.log(chalk.cyan('\nBy tag:'));
+        sheet.tags.forEach(({ tag, seconds }) => console.log(row(seconds, chalk.magenta(tag))));
+
+        console.log(`\n${row(sheet.total, chalk.bold('Total'))} ${chalk.gray(`(${timeTracking.format(sheet.total)})`)}`);
+        console.log(chalk.gray('Tasks with several tags count for each of them. Use --csv to save it for a spreadsheet'));
+        formatter.emptyLine();
+
+    } catch (error) {
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo timesheet [--from <date>] [--to <date>] [--tag <tags>] [--csv]'));
+        }
+
+        process.exit(1);
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Command handlers for the trash of deleted tasks.
+ * @module commands/trash
+ * @description Handles the 'trash', 'trash empty' and 'restore' commands.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import configService from '../services/configService.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { confirmSelection } from './selection.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Lists the deleted tasks with when they were deleted.
+ * @function trashListCommand
+ * @returns {void}
+ * @example
+ * trashListCommand();
+ */
+export function trashListCommand() {
+    try {
+        const todos = todoService.getTrash();
+
+        if (todos.length === 0) {
+            formatter.info('The trash is empty');
+            return;
+        }
+
+        formatter.header(`${todos.length} task(s) in the trash`);
+        todos.forEach((todo, index) => {
+            console.log(formatter.formatTask(todo, index) + chalk.gray(` deleted ${new Date(todo.deletedAt).toLocaleString()}`));
+        });
+
+        const maxAgeDays = configService.get('trashMaxAgeDays');
+        if (maxAgeDays > 0) {
+            console.log(chalk.gray(`Deleted tasks are purged after ${maxAgeDays} day(s)`));
+        }
+        console.log(chalk.gray('Use "todo restore <id>" to bring a task back, or "todo trash empty" to purge them now'));
+        formatter.emptyLine();
+
+    } catch (error) {
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Removes deleted tasks for good, asking first if there are many of them.
+ * @async
+ * @function trashEmptyCommand
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {string} [options.olderThan] - Only purge tasks deleted longer ago than this, like `30d` or `2w`.
+ * @param {boolean} [options.yes] - Purge without asking for confirmation.
+ * @returns {Promise<void>}
+ * @example
+ * trashEmptyCommand({ olderThan: '30d' });
+ */
+export async function trashEmptyCommand(options = {}) {
+    let olderThanDays;
+
+    try {
+        olderThanDays = options.olderThan === undefined ? null : validator.validateAge(options.olderThan);
+        const todos = todoService.getTrash(olderThanDays);
+
+        if (todos.length === 0) {
+            formatter.info(olderThanDays === null ? 'The trash is empty' : `No tasks were deleted more than ${olderThanDays} day(s) ago`);
+            return;
+        }
+
+        if (!(await confirmSelection(todos, `Delete ${todos.length} task(s) for good?`, options))) return;
+    } catch (error) {
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo trash empty [--older-than <age>] [--yes]'));
+        }
+
+        process.exit(1);
+    }
+
+    const spinner = ora('Emptying the trash...').start();
+
+    try {
+        const { purged, remaining } = todoService.emptyTrash({ olderThanDays });
+
+        spinner.succeed(chalk.green(` ${EMOJI.TRASH} Purged ${chalk.bold(purged.length)} task(s) from the trash`));
+        if (remaining > 0) {
+            console.log(`Left in the trash: ${chalk.bold(remaining)}`);
+        }
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(' Failed to empty the trash'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Brings deleted tasks back from the trash in one change.
+ * @async
+ * @function trashRestoreCommand
+ * @param {Array<string>} taskIds - IDs, the start of them, positions in the trash like `@2` or ranges like `7-9`.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If validation fails.
+ * @throws {Error} If a task is not in the trash.
+ * @example
+ * trashRestoreCommand(['12']);
+ */
+export async function trashRestoreCommand(taskIds) {
+    let todos;
+
+    try {
+        const refs = validator.validateIds(taskIds);
+        if (refs.length === 0) {
+            throw new ValidationError('Task ID is required');
+        }
+        todos = todoService.selectTrash(refs);
+    } catch (error) {
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray('Usage: todo restore <id...> | <snapshot>'));
+            console.log(chalk.gray('Tip: Use "todo trash" to see deleted tasks, or "todo backup restore <number>" to restore a backup by its number'));
+        }
+
+        process.exit(1);
+    }
+
+    const spinner = ora(todos.length === 1 ? 'Restoring task...' : `Restoring ${todos.length} tasks...`).start();
+
+    try {
+        const { changed } = todoService.restoreFromTrash(todos.map(todo => todo.id));
+
+        spinner.succeed(chalk.green(` ${EMOJI.RECYCLE} ${changed.length === 1 ? 'Task' : `${changed.length} tasks`} restored from the trash`));
+        changed.forEach(todo => console.log(formatter.formatTask(todo)));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(todos.length === 1 ? ' Failed to restore task' : ' Failed to restore tasks'));
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Command handlers for undoing and redoing changes to the tasks.
+ * @module commands/undo
+ * @description Handles the 'undo' and 'redo' commands, and shows the operations that can be undone.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import todoService from '../services/todoService.js';
+import undoService from '../services/undoService.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { formatter } from '../utils/formatter.js';
+import { EMOJI } from '../config/constants.js';
+
+/**
+ * Tells where a task is kept apart from the list.
+ * @function placeOf
+ * @param {Todo} task - The task.
+ * @returns {string|null} `trash`, `archive`, or null if it is in the list.
+ * @private
+ */
+function placeOf(task) {
+    if (task.deletedAt) return 'trash';
+    if (task.archivedAt) return 'archive';
+    return null;
+}
+
+/**
+ * Shows an operation and what undoing (or redoing) it changes.
+ * @function printOperation
+ * @param {Operation} operation - The operation.
+ * @param {number|null} index - Position to show in front of it, or null for none.
+ * @param {boolean} [redo=false] - Describe redoing the operation rather than undoing it.
+ * @returns {void}
+ * @private
+ */
+function printOperation(operation, index, redo = false) {
+    const number = index !== null ? chalk.gray(`${index + 1}. `) : '';
+    console.log(`${number}${chalk.bold(operation.message)} ${chalk.gray(new Date(operation.at).toLocaleString())}`);
+
+    operation.changes.forEach(change => {
+        const [from, to] = redo ? [change.before, change.after] : [change.after, change.before];
+        const task = to ?? from;
+        const id = chalk.gray(` (ID: ${change.id})`);
+
+        if (!to) {
+            console.log(chalk.red(`   - remove ${task.description}`) + id);
+        } else if (!from) {
+            console.log(chalk.green(`   + restore ${task.description}${placeOf(to) ? ` to the ${placeOf(to)}` : ''}`) + id);
+        } else if (placeOf(to) && placeOf(to) !== placeOf(from)) {
+            console.log(chalk.red(`   - move ${task.description} to the ${placeOf(to)}`) + id);
+        } else if (placeOf(from) && placeOf(to) !== placeOf(from)) {
+            console.log(chalk.green(`   + restore ${task.description} from the ${placeOf(from)}`) + id);
+        } else {
+            console.log(chalk.yellow(`   ~ ${task.description}: ${undoService.fields(change).join(', ')}`) + id);
+        }
+    });
+}
+
+/**
+ * Undoes or redoes operations and shows what changed.
+ * @async
+ * @function revertCommand
+ * @param {string} [count] - Number of operations; 1 by default.
+ * @param {boolean} redo - Redo rather than undo.
+ * @returns {Promise<void>}
+ * @private
+ */
+async function revertCommand(count, redo) {
+    const action = redo ? 'redo' : 'undo';
+    const spinner = ora(redo ? 'Redoing...' : 'Undoing...').start();
+
+    try {
+        const times = count === undefined ? 1 : validator.validateLimit(count);
+        const operations = redo ? todoService.redo(times) : todoService.undo(times);
+
+        spinner.succeed(chalk.green(` ${EMOJI.RECYCLE} ${redo ? 'Redid' : 'Undid'} ${operations.length} operation(s)`));
+        operations.forEach(operation => printOperation(operation, null, redo));
+        formatter.emptyLine();
+
+    } catch (error) {
+        spinner.fail(chalk.red(` Failed to ${action}`));
+        formatter.error(error.message);
+
+        if (error instanceof ValidationError) {
+            console.log(chalk.gray(`Usage: todo ${action} [count]${redo ? '' : ' [--list]'}`));
+        }
+
+        process.exit(1);
+    }
+}
+
+/**
+ * Lists the operations that can be undone, newest first, with what undoing each would change,
+ * and the operations that can be redone.
+ * @function undoListCommand
+ * @returns {void}
+ * @private
+ */
+function undoListCommand() {
+    try {
+        const { done, undone } = todoService.undoHistory();
+
+        if (done.length === 0 && undone.length === 0) {
+            formatter.info('Nothing to undo yet');
+            return;
+        }
+
+        formatter.header(`${done.length} operation(s) can be undone`);
+        [...done].reverse().forEach((operation, index) => printOperation(operation, index));
+
+        if (undone.length > 0) {
+            formatter.header(`${undone.length} operation(s) can be redone`);
+            [...undone].reverse().forEach((operation, index) => printOperation(operation, index, true));
+        }
+
+        console.log(chalk.gray('Use "todo undo <count>" to undo the newest operations'));
+        formatter.emptyLine();
+
+    } catch (error) {
+        formatter.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Undoes the latest operations, or lists them.
+ * @async
+ * @function undoCommand
+ * @param {string} [count] - Number of operations to undo; 1 by default.
+ * @param {Object} [options={}] - Command options from Commander.js.
+ * @param {boolean} [options.list] - Only show the operations that can be undone.
+ * @returns {Promise<void>}
+ * @example
+ * undoCommand();
+ * undoCommand('3');
+ * undoCommand(undefined, { list: true });
+ */
+export async function undoCommand(count, options = {}) {
+    if (options.list) {
+        undoListCommand();
+        return;
+    }
+
+    await revertCommand(count, false);
+}
+
+/**
+ * Redoes the operations undone last.
+ * @async
+ * @function redoCommand
+ * @param {string} [count] - Number of operations to redo; 1 by default.
+ * @returns {Promise<void>}
+ * @example
+ * redoCommand();
+ */
+export async function redoCommand(count) {
+    await revertCommand(count, true);
+}
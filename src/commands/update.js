@@ -1,50 +1,63 @@
 /**
  * @fileoverview Command handler for updating tasks.
  * @module commands/update
- * @description Handles the 'update' command to modify task descriptions.
+ * @description Handles the 'update' command to modify task descriptions and tags.
  */
 
 import chalk from 'chalk';
 import ora from 'ora';
 import todoService from '../services/todoService.js';
 import { validator, ValidationError } from '../utils/validator.js';
+import { parser } from '../utils/parser.js';
 import { formatter } from '../utils/formatter.js';
 import { EMOJI } from '../config/constants.js';
 
 /**
- * Updates a task's description.
+ * Updates a task's description and tags.
  * @async
  * @function updateCommand
- * @param {string|number} taskId - The ID of the task to update.
- * @param {string} newDescription - The new description for the task.
+ * @param {string|number} taskId - The ID of the task to update, the start of it, or its list position like `@2`.
+ * @param {Array<string>} words - The new description; words like `+tag` add a tag and `-tag` remove one.
  * @returns {Promise<void>}
  * @throws {ValidationError} If validation fails.
  * @throws {Error} If the task is not found.
  * @example
- * updateCommand(1234567890, "Updated task description");
+ * updateCommand(12, ["Updated", "task", "description"]);
+ * updateCommand(12, ["+urgent", "-someday"]);
  */
-export async function updateCommand(taskId, newDescription) {
+export async function updateCommand(taskId, words) {
     const spinner = ora('Updating task...').start();
 
     try {
-        const id = validator.validateId(taskId);
-        const description = validator.validateDescription(newDescription);
+        const id = todoService.resolveId(validator.validateId(taskId));
+        const { description, tagChanges } = parser.parseUpdateInput(words);
+        const retagged = tagChanges.add.length > 0 || tagChanges.remove.length > 0;
 
-        const { old, updated } = todoService.update(id, { description });
+        if (!description && !retagged) {
+            throw new ValidationError('Give a new description, or tags to add (+tag) or remove (-tag)');
+        }
+
+        const { old, updated } = todoService.update(id, description ? { description } : {}, retagged ? tagChanges : null);
 
         spinner.succeed(chalk.green(' Task updated successfully!'));
-        console.log(chalk.cyan('Old:') + ` ${chalk.strikethrough(old.description)}`);
-        console.log(chalk.cyan('New:') + ` ${chalk.bold(updated.description)}`);
+        if (description) {
+            console.log(chalk.cyan('Old:') + ` ${chalk.strikethrough(old.description)}`);
+            console.log(chalk.cyan('New:') + ` ${chalk.bold(updated.description)}`);
+        }
+        if (retagged) {
+            const tags = updated.tags.length > 0 ? chalk.magenta(updated.tags.join(', ')) : chalk.gray('none');
+            console.log(chalk.cyan('Tags:') + ` ${EMOJI.TAG} ${tags}`);
+        }
     } catch (error) {
         spinner.fail(chalk.red(' Failed to update task'));
 
         if (error instanceof ValidationError) {
             formatter.error(error.message);
-            console.log(chalk.gray('Usage: todo update <id> <new description>'));
+            console.log(chalk.gray('Usage: todo update <id> [new description] [+tag...] [-tag...]'));
         } else {
             formatter.error(error.message);
         }
 
         process.exit(1);
     }
-}
\ No newline at end of file
+}
@@ -4,6 +4,7 @@
  * @description Contains all constant values used throughout the application including file paths, priorities, emojis, messages, and validation rules.
  */
 
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -11,11 +12,420 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Path to the JSON file where todos are stored.
+ * Directory for user data, following the XDG Base Directory specification.
+ * Uses `$XDG_DATA_HOME/todo`, `%APPDATA%/todo` on Windows, or `~/.local/share/todo`.
  * @type {string}
  * @constant
  */
-export const DATA_FILE = path.join(__dirname, '../../todos.json');
+export const DATA_DIR = process.env.XDG_DATA_HOME
+    ? path.join(process.env.XDG_DATA_HOME, 'todo')
+    : process.platform === 'win32' && process.env.APPDATA
+        ? path.join(process.env.APPDATA, 'todo')
+        : path.join(os.homedir(), '.local', 'share', 'todo');
+
+/**
+ * Default path to the JSON file where todos are stored.
+ * @type {string}
+ * @constant
+ */
+export const DEFAULT_DATA_FILE = path.join(DATA_DIR, 'todos.json');
+
+/**
+ * Path where versions before 2.1 stored todos, inside the installed package.
+ * Found files are moved to the default location once.
+ * @type {string}
+ * @constant
+ */
+export const LEGACY_DATA_FILE = path.join(__dirname, '../../todos.json');
+
+/**
+ * Name of a project-local data file. The nearest one in the current directory or above is used.
+ * @type {string}
+ * @constant
+ */
+export const PROJECT_FILE = '.todo.json';
+
+/**
+ * Name of the hidden directory beside a project file that holds the journal, undo history, snapshots and sync bases
+ * of the project's lists, so they stay out of the project and its git repository.
+ * @type {string}
+ * @constant
+ */
+export const PROJECT_STATE_DIR = '.todo';
+
+/**
+ * Path to the user configuration file.
+ * Honors `TODO_CONFIG_FILE`, then `$XDG_CONFIG_HOME/todo/config.json`, then `~/.config/todo/config.json`.
+ * @type {string}
+ * @constant
+ */
+export const CONFIG_FILE = process.env.TODO_CONFIG_FILE ||
+    path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'todo', 'config.json');
+
+/**
+ * Human-readable explanations of where the data file location came from.
+ * @type {Object<string, string>}
+ * @constant
+ */
+export const LOCATION_SOURCE_LABEL = {
+    option: 'from --data',
+    env: 'from TODO_DATA_FILE',
+    project: 'project file',
+    config: 'from config file',
+    default: 'default location'
+};
+
+/**
+ * Available storage backends.
+ * @type {Object<string, string>}
+ * @constant
+ * @property {string} JSON - Whole list kept in a single JSON file (default).
+ * @property {string} SQLITE - Tasks stored as rows in a SQLite database via `node:sqlite`.
+ */
+export const STORAGE_BACKEND = {
+    JSON: 'json',
+    SQLITE: 'sqlite'
+};
+
+/**
+ * What deleting a task does to its subtasks.
+ * @type {Object<string, string>}
+ * @constant
+ * @property {string} CASCADE - Move the subtasks to the trash along with it.
+ * @property {string} ORPHAN - Keep the subtasks as tasks of their own.
+ */
+export const SUBTASK_DELETION = {
+    CASCADE: 'cascade',
+    ORPHAN: 'orphan'
+};
+
+/**
+ * Default values for every supported configuration key.
+ * The type of each default determines how values set from the command line are parsed.
+ * @type {Object<string, string|number|boolean>}
+ * @constant
+ * @property {string} storage - Storage backend to use (json, sqlite).
+ * @property {string} dataFile - Path to the data file; empty to use the default location.
+ * @property {number} backupCount - Number of snapshots to keep; 0 disables automatic snapshots.
+ * @property {number} backupMaxAgeDays - Snapshots older than this many days are removed; 0 keeps them regardless of age.
+ * @property {string} list - Task list used when no `--list` option is given.
+ * @property {number} confirmThreshold - Commands that change more tasks than this at once ask first; 0 always asks.
+ * @property {number} trashMaxAgeDays - Deleted tasks are purged from the trash after this many days; 0 keeps them until emptied.
+ * @property {boolean} archiveOnClear - Whether `todo clear` moves completed tasks to the archive rather than the trash.
+ * @property {number} autoArchiveDays - Tasks completed more than this many days ago are archived; 0 never archives automatically.
+ * @property {boolean} autoCompleteParents - Whether completing the last open subtask of a task completes the task too.
+ * @property {string} subtaskDeletion - What deleting a task does to its subtasks (cascade, orphan).
+ */
+export const DEFAULT_CONFIG = {
+    storage: STORAGE_BACKEND.JSON,
+    dataFile: '',
+    backupCount: 10,
+    backupMaxAgeDays: 30,
+    list: 'default',
+    confirmThreshold: 5,
+    trashMaxAgeDays: 30,
+    archiveOnClear: false,
+    autoArchiveDays: 0,
+    autoCompleteParents: false,
+    subtaskDeletion: SUBTASK_DELETION.CASCADE
+};
+
+/**
+ * Allowed values for configuration keys that only accept a fixed set of choices.
+ * @type {Object<string, Array<string>>}
+ * @constant
+ */
+export const CONFIG_CHOICES = {
+    storage: Object.values(STORAGE_BACKEND),
+    subtaskDeletion: Object.values(SUBTASK_DELETION)
+};
+
+/**
+ * Environment variables that override configuration keys.
+ * @type {Object<string, string>}
+ * @constant
+ */
+export const CONFIG_ENV = {
+    storage: 'TODO_STORAGE',
+    dataFile: 'TODO_DATA_FILE',
+    backupCount: 'TODO_BACKUP_COUNT',
+    backupMaxAgeDays: 'TODO_BACKUP_MAX_AGE_DAYS',
+    list: 'TODO_LIST',
+    confirmThreshold: 'TODO_CONFIRM_THRESHOLD',
+    trashMaxAgeDays: 'TODO_TRASH_MAX_AGE_DAYS',
+    archiveOnClear: 'TODO_ARCHIVE_ON_CLEAR',
+    autoArchiveDays: 'TODO_AUTO_ARCHIVE_DAYS',
+    autoCompleteParents: 'TODO_AUTO_COMPLETE_PARENTS',
+    subtaskDeletion: 'TODO_SUBTASK_DELETION'
+};
+
+/**
+ * Named task list settings.
+ * @type {Object<string, string|RegExp>}
+ * @constant
+ * @property {string} DEFAULT - Name of the list stored in the data file itself.
+ * @property {string} DIR - Directory next to the data file that holds the other lists, one data file per list.
+ * @property {RegExp} NAME_REGEX - Allowed list names; they double as file names.
+ */
+export const LISTS = {
+    DEFAULT: 'default',
+    DIR: 'lists',
+    NAME_REGEX: /^[a-z0-9][a-z0-9_-]{0,31}$/
+};
+
+/**
+ * Snapshot settings.
+ * @type {Object<string, string|RegExp>}
+ * @constant
+ * @property {string} DIR - Directory next to the data file that holds snapshots, one subdirectory per data file.
+ * @property {RegExp} NAME_REGEX - Snapshot file name: compact UTC timestamp followed by the reason it was taken.
+ */
+export const BACKUP = {
+    DIR: 'backups',
+    NAME_REGEX: /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z-([a-z0-9-]+)\.json$/
+};
+
+/**
+ * Schema version of the data file written by this version of the application.
+ * Must match the version of the last entry in `MIGRATIONS`.
+ * @type {number}
+ * @constant
+ */
+export const SCHEMA_VERSION = 3;
+
+/**
+ * Task ID settings.
+ * @type {Object<string, string|number>}
+ * @constant
+ * @property {string} POSITION_PREFIX - Marks a task reference as a position in the list, e.g. `@3` for the third task.
+ * @property {number} UID_LENGTH - Length of the hex identity that follows a task across lists and synced files.
+ * @property {number} MAX_CANDIDATES - Number of matching tasks listed when an ID prefix is ambiguous.
+ */
+export const TASK_ID = {
+    POSITION_PREFIX: '@',
+    UID_LENGTH: 12,
+    MAX_CANDIDATES: 5
+};
+
+/**
+ * Tag syntax on the command line.
+ * @type {Object<string, string>}
+ * @constant
+ * @property {string} ANY_SEPARATOR - Separates tags of which a task needs any one, e.g. `--tag work,home`.
+ * @property {string} ALL_SEPARATOR - Separates tags a task needs all of, e.g. `--tag work+urgent`.
+ * @property {string} ADD_PREFIX - Marks a word of `todo update` as a tag to add, e.g. `+urgent`.
+ * @property {string} REMOVE_PREFIX - Marks a word of `todo update` as a tag to remove, e.g. `-urgent`.
+ */
+export const TAGS = {
+    ANY_SEPARATOR: ',',
+    ALL_SEPARATOR: '+',
+    ADD_PREFIX: '+',
+    REMOVE_PREFIX: '-'
+};
+
+/**
+ * How often a recurring task comes back.
+ * @type {Object<string, string>}
+ * @constant
+ * @property {string} DAYS - Every day, or every few days.
+ * @property {string} WEEKDAYS - Every Monday to Friday.
+ * @property {string} WEEK - Every week on some days of the week.
+ * @property {string} MONTH - Every month on a day of the month.
+ */
+export const RECURRENCE = {
+    DAYS: 'days',
+    WEEKDAYS: 'weekdays',
+    WEEK: 'week',
+    MONTH: 'month'
+};
+
+/**
+ * What the due date of the next occurrence of a recurring task is counted from.
+ * @type {Object<string, string>}
+ * @constant
+ * @property {string} FIXED - The due date of the completed occurrence, so the schedule never shifts.
+ * @property {string} AFTER_COMPLETION - The day the occurrence was completed.
+ */
+export const RECURRENCE_MODE = {
+    FIXED: 'fixed',
+    AFTER_COMPLETION: 'after-completion'
+};
+
+/**
+ * Short names of the days of the week, Sunday first like `Date.prototype.getDay`.
+ * @type {Array<string>}
+ * @constant
+ */
+export const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Encryption settings for data files protected with a passphrase.
+ * @type {Object<string, string|number|Object>}
+ * @constant
+ * @property {string} CIPHER - Authenticated cipher used for the file content.
+ * @property {number} KEY_LENGTH - Key length in bytes.
+ * @property {number} IV_LENGTH - Initialization vector length in bytes; a new one is used for every write.
+ * @property {number} SALT_LENGTH - Key derivation salt length in bytes.
+ * @property {Object<string, number>} SCRYPT - scrypt cost parameters for new files; existing files keep the ones they were written with.
+ * @property {string} PASSPHRASE_ENV - Environment variable the passphrase is read from.
+ */
+export const ENCRYPTION = {
+    CIPHER: 'aes-256-gcm',
+    KEY_LENGTH: 32,
+    IV_LENGTH: 12,
+    SALT_LENGTH: 16,
+    SCRYPT: { N: 2 ** 15, r: 8, p: 1 },
+    PASSPHRASE_ENV: 'TODO_PASSPHRASE'
+};
+
+/**
+ * Advisory lock settings used to serialize read-modify-write cycles across processes.
+ * @type {Object<string, string|number>}
+ * @constant
+ * @property {string} SUFFIX - Suffix appended to the data file path to build the lock file path.
+ * @property {number} TIMEOUT_MS - Maximum time to wait for a lock before giving up.
+ * @property {number} RETRY_MS - Delay between lock acquisition attempts.
+ * @property {number} STALE_MS - Age after which a lock is considered abandoned and reclaimed.
+ */
+export const LOCK = {
+    SUFFIX: '.lock',
+    TIMEOUT_MS: 5000,
+    RETRY_MS: 25,
+    STALE_MS: 30000
+};
+
+/**
+ * Sync settings.
+ * @type {Object<string, string|number>}
+ * @constant
+ * @property {string} BASE_PREFIX - File name prefix of the last-sync base kept with the backups of a data file.
+ * @property {number} TOMBSTONE_DAYS - Number of days a deleted task's identity is remembered so stale copies are not brought back.
+ */
+export const SYNC = {
+    BASE_PREFIX: 'sync-',
+    TOMBSTONE_DAYS: 90
+};
+
+/**
+ * Undo settings.
+ * @type {Object<string, string|number>}
+ * @constant
+ * @property {string} FILE - File name of the undo history kept with the backups of a data file.
+ * @property {number} LIMIT - Number of operations that can be undone; older ones are forgotten.
+ */
+export const UNDO = {
+    FILE: 'undo.json',
+    LIMIT: 50
+};
+
+/**
+ * Policies for resolving sync conflicts without asking.
+ * @type {Object<string, string>}
+ * @constant
+ * @property {string} OURS - Keep the local version.
+ * @property {string} THEIRS - Keep the version from the other file.
+ * @property {string} NEWEST - Keep the version changed most recently.
+ */
+export const SYNC_STRATEGY = {
+    OURS: 'ours',
+    THEIRS: 'theirs',
+    NEWEST: 'newest'
+};
+
+/**
+ * Git history settings for a data directory kept in a git repository.
+ * @type {Object<string, string|number|Array<string>|Object<string, string>>}
+ * @constant
+ * @property {string} ENABLED_KEY - Repository setting that marks a repository created by `todo git init`; only those get commits.
+ * @property {Array<string>} IGNORE - Files in the data directory that are never committed.
+ * @property {string} DEFAULT_REMOTE - Remote used by `todo git push` and `todo git pull` when none is given.
+ * @property {number} LOG_LIMIT - Number of commits `todo history` shows by default.
+ * @property {Object<string, string>} AUTHOR - Committer identity used when git has none configured.
+ */
+export const GIT = {
+    ENABLED_KEY: 'todo.history',
+    IGNORE: ['*.lock', '*.tmp', '*.bak', '*.corrupt-*', '*-wal', '*-shm', 'backups/', `${PROJECT_STATE_DIR}/`],
+    DEFAULT_REMOTE: 'origin',
+    LOG_LIMIT: 20,
+    AUTHOR: { name: 'todo', email: 'todo@localhost' }
+};
+
+/**
+ * Operation journal settings.
+ * @type {Object<string, string|number>}
+ * @constant
+ * @property {string} SUFFIX - Suffix appended to the data file name for its JSONL journal.
+ * @property {string} FILE - File name of the journal of a project list, kept in its state directory.
+ * @property {number} COMPACT_AFTER - Number of journal events after which they are folded into the data file.
+ * @property {number} KEEP - Number of recent events kept as history after compaction.
+ */
+export const JOURNAL = {
+    SUFFIX: '.journal.jsonl',
+    FILE: 'journal.jsonl',
+    COMPACT_AFTER: 200,
+    KEEP: 50
+};
+
+/**
+ * Settings for the history each task keeps of its changes, all of them from its creation on.
+ * @type {Object}
+ * @constant
+ * @property {Array<string>} UNTRACKED_FIELDS - Fields whose changes are not kept, because they track time themselves.
+ */
+export const TASK_HISTORY = {
+    UNTRACKED_FIELDS: ['updatedAt', 'history', 'annotations', 'timeEntries']
+};
+
+/**
+ * Settings for tracking the time spent on tasks.
+ * @type {Object<string, number|string>}
+ * @constant
+ * @property {number} MAX_LOGGED_MINUTES - Longest time that can be logged at once.
+ * @property {string} UNTAGGED - Name the timesheet gives the time spent on tasks without tags.
+ */
+export const TIME_TRACKING = {
+    MAX_LOGGED_MINUTES: 24 * 60,
+    UNTAGGED: '(untagged)'
+};
+
+/**
+ * Types of journal events.
+ * @type {Object<string, string>}
+ * @constant
+ */
+export const JOURNAL_EVENT = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    COMPLETE: 'complete',
+    UNCOMPLETE: 'uncomplete',
+    DELETE: 'delete'
+};
+
+/**
+ * Problems `todo doctor` looks for, mapped to the heading they are reported under.
+ * Keys are issue types; the order is the order in which groups are reported.
+ * @type {Object<string, string>}
+ * @constant
+ */
+export const DOCTOR_ISSUE = {
+    'unrecoverable': 'Unrecoverable records',
+    'invalid-id': 'Missing or invalid IDs',
+    'duplicate-id': 'Duplicate IDs',
+    'invalid-uid': 'Missing or duplicate sync identities',
+    'invalid-description': 'Descriptions needing cleanup',
+    'invalid-completed': 'Invalid completion status',
+    'invalid-priority': 'Missing or invalid priority',
+    'invalid-due-date': 'Invalid due dates',
+    'invalid-tag': 'Invalid tags',
+    'invalid-parent': 'Subtasks without a valid parent',
+    'invalid-dependency': 'Tasks waiting for missing or circular tasks',
+    'invalid-recurrence': 'Invalid repeat rules',
+    'invalid-note': 'Invalid notes and annotations',
+    'invalid-history': 'Invalid task history',
+    'invalid-time-entry': 'Invalid time entries',
+    'invalid-timestamp': 'Invalid timestamps',
+    'completion-mismatch': 'Completion timestamp mismatch'
+};
 
 /**
  * Task priority levels.
@@ -80,7 +490,13 @@ export const EMOJI = {
     THUMBS: '👍',
     SPROUT: '🌱',
     BULB: '💡',
-    CLIPBOARD: '📋'
+    CLIPBOARD: '📋',
+    LOCK: '🔒',
+    UNLOCK: '🔓',
+    BLOCKED: '⛔',
+    REPEAT: '🔁',
+    NOTE: '📝',
+    TIMER: '⏱️'
 };
 
 /**
@@ -128,10 +544,14 @@ export const DATE_FORMAT = {
  * @constant
  * @property {number} MAX_DESCRIPTION_LENGTH - Maximum length for task descriptions.
  * @property {number} MIN_DESCRIPTION_LENGTH - Minimum length for task descriptions.
+ * @property {number} MAX_NOTES_LENGTH - Maximum length for the notes of a task.
+ * @property {number} MAX_ANNOTATION_LENGTH - Maximum length for each annotation of a task.
  * @property {RegExp} DATE_REGEX - Regular expression for validating date format (YYYY-MM-DD).
  */
 export const VALIDATION = {
     MAX_DESCRIPTION_LENGTH: 500,
     MIN_DESCRIPTION_LENGTH: 1,
+    MAX_NOTES_LENGTH: 10000,
+    MAX_ANNOTATION_LENGTH: 1000,
     DATE_REGEX: /^\d{4}-\d{2}-\d{2}$/
 };
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Factory for storage adapters.
+ * @module services/adapters/createAdapter
+ * @description Builds the storage adapter for a backend name and data file location.
+ */
+
+import { STORAGE_BACKEND } from '../../config/constants.js';
+import { StorageService } from '../storageService.js';
+import migrationService from '../migrationService.js';
+import { JsonAdapter } from './jsonAdapter.js';
+import { SqliteAdapter } from './sqliteAdapter.js';
+
+/**
+ * Derives the SQLite database path that sits next to a JSON data file.
+ * @function getSqliteFile
+ * @param {string} dataFile - Path to the JSON data file.
+ * @returns {string} Path to the database file (e.g. `todos.json` -> `todos.db`).
+ */
+export function getSqliteFile(dataFile) {
+    return dataFile.replace(/\.json$/i, '') + '.db';
+}
+
+/**
+ * Creates the storage adapter for a backend.
+ * @function createAdapter
+ * @param {string} backend - Backend name (json, sqlite).
+ * @param {string} dataFile - Path to the JSON data file; other backends store their files next to it.
+ * @returns {StorageAdapter} The storage adapter.
+ * @throws {Error} If the backend is unknown.
+ * @example
+ * const adapter = createAdapter('sqlite', '/home/me/todos.json'); // uses /home/me/todos.db
+ */
+export function createAdapter(backend, dataFile) {
+    switch (backend) {
+        case STORAGE_BACKEND.JSON:
+            return new JsonAdapter(new StorageService(dataFile));
+        case STORAGE_BACKEND.SQLITE:
+            return new SqliteAdapter(getSqliteFile(dataFile));
+        default:
+            throw new Error(`Unknown storage backend "${backend}". Available: ${Object.values(STORAGE_BACKEND).join(', ')}`);
+    }
+}
+
+/**
+ * Creates the storage adapter for a file, choosing the backend from its extension.
+ * @function createFileAdapter
+ * @param {string} file - Path to a JSON data file or a SQLite database (`.db`).
+ * @returns {StorageAdapter} The storage adapter.
+ * @example
+ * const adapter = createFileAdapter('/mnt/shared/todos.db'); // SQLite backend
+ */
+export function createFileAdapter(file) {
+    return /\.db$/i.test(file)
+        ? createAdapter(STORAGE_BACKEND.SQLITE, file.replace(/\.db$/i, '.json'))
+        : createAdapter(STORAGE_BACKEND.JSON, file);
+}
+
+/**
+ * Creates empty storage for a backend, e.g. for a new list or project.
+ * @function createStorage
+ * @param {string} backend - Backend name (json, sqlite).
+ * @param {string} dataFile - Path to the JSON data file; other backends store their files next to it.
+ * @returns {string} Path to the file that was created.
+ * @throws {Error} If the backend is unknown or the file cannot be written.
+ */
+export function createStorage(backend, dataFile) {
+    if (backend === STORAGE_BACKEND.JSON) {
+        new StorageService(dataFile).write(migrationService.createEnvelope());
+        return dataFile;
+    }
+
+    const adapter = createAdapter(backend, dataFile);
+    try {
+        adapter.query(); // Opening the database creates its tables
+    } finally {
+        adapter.close();
+    }
+    return getSqliteFile(dataFile);
+}
@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Storage adapter that keeps the whole task list in a JSON file.
+ * @module services/adapters/jsonAdapter
+ * @description Implements the storage adapter interface on top of a StorageService file.
+ */
+
+import { matchesCriteria, withoutUndefined } from './storageAdapter.js';
+import { createEvent, updateEvent, deleteEvent } from '../journalService.js';
+
+/**
+ * Storage adapter backed by a single JSON file.
+ * @class JsonAdapter
+ * @implements {StorageAdapter}
+ * @description Loads the task array once per transaction and records what changed in the journal.
+ */
+class JsonAdapter {
+    /**
+     * Creates a new JsonAdapter instance.
+     * @param {StorageService} storage - File storage providing `read`, `commit` and `withLock`.
+     * @constructor
+     */
+    constructor(storage) {
+        /**
+         * File storage instance.
+         * @type {StorageService}
+         * @private
+         */
+        this.storage = storage;
+
+        /**
+         * Data loaded by the running transaction, or null outside a transaction.
+         * @type {Envelope|null}
+         * @private
+         */
+        this.envelope = null;
+
+        /**
+         * Tasks of the running transaction, or null outside a transaction.
+         * @type {Array<Todo>|null}
+         * @private
+         */
+        this.todos = null;
+
+        /**
+         * Journal events for the changes made by the running transaction, or null outside a transaction.
+         * @type {Array<JournalEvent>|null}
+         * @private
+         */
+        this.events = null;
+    }
+
+    /**
+     * Runs a function atomically while holding the file lock.
+     * The file is read once at the start and the changes are committed once at the end; nested calls join the outer transaction.
+     * @method transaction
+     * @param {Function} fn - Function to run.
+     * @returns {*} The return value of `fn`.
+     */
+    transaction(fn) {
+        if (this.todos) {
+            return fn();
+        }
+
+        return this.storage.withLock(() => {
+            this.envelope = this.storage.read();
+            this.todos = this.envelope.tasks;
+            this.events = [];
+
+            try {
+                const result = fn();
+                if (this.events.length > 0) {
+                    this.storage.commit({ ...this.envelope, tasks: this.todos }, this.events);
+                }
+                return result;
+            } finally {
+                this.envelope = null;
+                this.todos = null;
+                this.events = null;
+            }
+        });
+    }
+
+    /**
+     * Returns the tasks of the running transaction, or reads them from the file.
+     * @method load
+     * @returns {Array<Todo>} Array of tasks.
+     * @private
+     */
+    load() {
+        return this.todos ?? this.storage.read().tasks;
+    }
+
+    /**
+     * Retrieves a task by its ID.
+     * @method get
+     * @param {number} id - Task ID.
+     * @returns {Todo|null} A copy of the task, or null if not found.
+     */
+    get(id) {
+        const todo = this.load().find(t => t.id === id);
+        return todo ? { ...todo } : null;
+    }
+
+    /**
+     * Retrieves tasks matching the given criteria, in insertion order.
+     * @method query
+     * @param {Object<string, *>} [criteria={}] - Field values every returned task must equal.
+     * @returns {Array<Todo>} Copies of the matching tasks.
+     */
+    query(criteria = {}) {
+        return this.load()
+            .filter(todo => matchesCriteria(todo, criteria))
+            .map(todo => ({ ...todo }));
+    }
+
+    /**
+     * Appends a task.
+     * @method insert
+     * @param {Todo} todo - Task to insert.
+     * @returns {Todo} The inserted task.
+     */
+    insert(todo) {
+        return this.transaction(() => {
+            const record = withoutUndefined(todo);
+            this.todos.push(record);
+            this.envelope.meta = { ...this.envelope.meta, lastId: this.lastId() };
+            this.events.push(createEvent(record));
+            return { ...record };
+        });
+    }
+
+    /**
+     * Hands out the next task ID. The highest ID handed out is kept in `meta.lastId`, and it is stored by the insert
+     * that follows in the same transaction.
+     * @method nextId
+     * @returns {number} A task ID higher than any handed out before.
+     */
+    nextId() {
+        return this.transaction(() => {
+            const id = this.lastId() + 1;
+            this.envelope.meta = { ...this.envelope.meta, lastId: id };
+            return id;
+        });
+    }
+
+    /**
+     * Gets the highest task ID handed out so far. Must run inside a transaction.
+     * @method lastId
+     * @returns {number} The highest ID, or 0 for an empty list.
+     * @private
+     */
+    lastId() {
+        const stored = this.todos.map(todo => todo.id).filter(Number.isSafeInteger);
+        return Math.max(this.envelope.meta.lastId ?? 0, ...stored, 0);
+    }
+
+    /**
+     * Merges changes into a task. Fields set to `undefined` are removed.
+     * @method update
+     * @param {number} id - Task ID.
+     * @param {Object} changes - Fields to change.
+     * @returns {Todo|null} The updated task, or null if not found.
+     */
+    update(id, changes) {
+        return this.transaction(() => {
+            const index = this.todos.findIndex(t => t.id === id);
+            if (index === -1) return null;
+
+            this.events.push(updateEvent(this.todos[index], changes));
+            this.todos[index] = withoutUndefined({ ...this.todos[index], ...changes });
+            return { ...this.todos[index] };
+        });
+    }
+
+    /**
+     * Deletes a task.
+     * @method delete
+     * @param {number} id - Task ID.
+     * @returns {boolean} True if a task was deleted.
+     */
+    delete(id) {
+        return this.transaction(() => {
+            const index = this.todos.findIndex(t => t.id === id);
+            if (index === -1) return false;
+
+            this.events.push(deleteEvent(this.todos[index]));
+            this.todos.splice(index, 1);
+            return true;
+        });
+    }
+
+    /**
+     * Snapshots of the data file.
+     * @type {BackupService}
+     */
+    get backups() {
+        return this.storage.backups;
+    }
+
+    /**
+     * Stores a snapshot of the current tasks, including changes made earlier in the running transaction.
+     * @method snapshot
+     * @param {string} [reason='manual'] - What triggered the snapshot.
+     * @param {Object} [options={}] - Snapshot options, see {@link BackupService#create}.
+     * @returns {Snapshot|null} The new snapshot, or null if it was skipped.
+     */
+    snapshot(reason = 'manual', options = {}) {
+        return this.transaction(() => {
+            return this.storage.snapshot({ ...this.envelope, tasks: this.todos }, reason, options);
+        });
+    }
+
+    /**
+     * Lists recent changes recorded in the journal, oldest first.
+     * @method history
+     * @returns {Array<JournalEvent>} Recorded events.
+     */
+    history() {
+        return this.storage.history();
+    }
+
+    /**
+     * Folds the journal into the data file.
+     * @method compact
+     * @returns {{compacted: number, kept: number}} Number of events folded in and number kept as history.
+     */
+    compact() {
+        return this.storage.compact();
+    }
+
+    /**
+     * Checks the data file and recovers it if it cannot be parsed.
+     * @method repair
+     * @returns {RepairReport} What was wrong and what was recovered.
+     */
+    repair() {
+        return this.storage.repair();
+    }
+
+    /**
+     * Checks whether a passphrase must be supplied before the data file can be read.
+     * @method needsPassphrase
+     * @returns {boolean} True if the data file is encrypted and no passphrase is set.
+     */
+    needsPassphrase() {
+        return this.storage.needsPassphrase();
+    }
+
+    /**
+     * Sets the passphrase and checks it against the data file.
+     * @method unlock
+     * @param {string} passphrase - Passphrase to use.
+     * @returns {void}
+     */
+    unlock(passphrase) {
+        this.storage.unlock(passphrase);
+    }
+
+    /**
+     * Checks whether the data file is encrypted.
+     * @method isEncrypted
+     * @returns {boolean} True if the data file is encrypted.
+     */
+    isEncrypted() {
+        return this.storage.isEncrypted();
+    }
+
+    /**
+     * Encrypts the data file and its snapshots with a passphrase.
+     * @method encrypt
+     * @param {string} passphrase - Passphrase to derive the key from.
+     * @returns {{snapshots: number}} Number of snapshots that were encrypted as well.
+     */
+    encrypt(passphrase) {
+        return this.storage.encrypt(passphrase);
+    }
+
+    /**
+     * Decrypts the data file and its snapshots.
+     * @method decrypt
+     * @returns {{snapshots: number}} Number of snapshots that were decrypted as well.
+     */
+    decrypt() {
+        return this.storage.decrypt();
+    }
+
+    /**
+     * Upgrades the data file to the current schema version.
+     * @method upgrade
+     * @param {Object} [options={}] - Upgrade options.
+     * @param {boolean} [options.dryRun=false] - Only report what would change.
+     * @returns {MigrationResult & {backupFile: string|null}} Applied migrations and the backup that was made.
+     */
+    upgrade(options = {}) {
+        return this.storage.upgrade(options);
+    }
+
+    /**
+     * Makes sure every change is in the files. Nothing to do for JSON files, whose journal is part of the data.
+     * @method flush
+     * @returns {void}
+     */
+    flush() {}
+
+    /**
+     * Releases resources held by the adapter. Nothing to do for JSON files.
+     * @method close
+     * @returns {void}
+     */
+    close() {}
+}
+
+/**
+ * JsonAdapter class export.
+ * @exports JsonAdapter
+ */
+export { JsonAdapter };
@@ -0,0 +1,594 @@
+/**
+ * @fileoverview Storage adapter that keeps tasks as rows in a SQLite database.
+ * @module services/adapters/sqliteAdapter
+ * @description Implements the storage adapter interface with Node's built-in `node:sqlite` module.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { LOCK, JOURNAL } from '../../config/constants.js';
+import migrationService from '../migrationService.js';
+import { BackupService } from '../backupService.js';
+import recoveryService from '../recoveryService.js';
+import { createEvent, updateEvent, deleteEvent } from '../journalService.js';
+import { withoutUndefined } from './storageAdapter.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Loads the built-in SQLite module. The warning Node.js prints the first time because the module is experimental is
+ * left out; every other warning still goes through.
+ * @returns {Object} The `node:sqlite` module.
+ * @throws {Error} If the running Node.js version does not provide `node:sqlite`.
+ * @private
+ */
+function loadSqlite() {
+    const emitWarning = process.emitWarning;
+    process.emitWarning = (warning, ...args) => {
+        const type = typeof args[0] === 'string' ? args[0] : args[0]?.type;
+        if (type === 'ExperimentalWarning' && /SQLite/.test(String(warning?.message ?? warning))) return;
+        emitWarning.call(process, warning, ...args);
+    };
+
+    try {
+        return require('node:sqlite');
+    } catch {
+        throw new Error(`SQLite storage requires Node.js 22.5 or newer (running ${process.version}). Switch back with: todo config storage json`);
+    } finally {
+        process.emitWarning = emitWarning;
+    }
+}
+
+/**
+ * Converts a JavaScript value into a value SQLite can compare with `json_extract` results.
+ * @param {*} value - Value to convert.
+ * @returns {*} Converted value.
+ * @private
+ */
+function toSqlValue(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+}
+
+/**
+ * Error thrown by encryption operations, which only the JSON backend supports.
+ * @returns {Error} The error.
+ * @private
+ */
+function encryptionUnsupported() {
+    return new Error('Encryption is only available with the json storage backend. Switch with: todo storage migrate --to json');
+}
+
+/**
+ * Storage adapter backed by a SQLite database.
+ * @class SqliteAdapter
+ * @implements {StorageAdapter}
+ * @description Stores each task as a JSON document in its own row, so new task fields need no schema changes.
+ * Every change is also recorded as a journal event in the `events` table of the same transaction.
+ */
+class SqliteAdapter {
+    /**
+     * Creates a new SqliteAdapter instance. The database is opened on first use.
+     * @param {string} dbFile - Path to the SQLite database file.
+     * @constructor
+     */
+    constructor(dbFile) {
+        /**
+         * Path to the database file.
+         * @type {string}
+         * @private
+         */
+        this.dbFile = dbFile;
+
+        /**
+         * Open database handle, or null until first use.
+         * @type {Object|null}
+         * @private
+         */
+        this.connection = null;
+
+        /**
+         * Number of nested transactions currently running.
+         * @type {number}
+         * @private
+         */
+        this.depth = 0;
+
+        /**
+         * Whether stored tasks have been checked against the current schema version.
+         * @type {boolean}
+         * @private
+         */
+        this.upgraded = false;
+
+        /**
+         * Snapshots of the database contents, stored as JSON next to the database file.
+         * @type {BackupService}
+         */
+        this.backups = new BackupService(dbFile);
+    }
+
+    /**
+     * Opens the database, creates the schema and upgrades stored tasks if needed.
+     * @method db
+     * @returns {Object} The `DatabaseSync` handle.
+     * @private
+     */
+    db() {
+        this.open();
+
+        if (!this.upgraded) {
+            this.upgrade();
+        }
+
+        return this.connection;
+    }
+
+    /**
+     * Opens the database and creates the tables if needed, without upgrading stored tasks.
+     * @method open
+     * @returns {Object} The `DatabaseSync` handle.
+     * @private
+     */
+    open() {
+        if (!this.connection) {
+            const { DatabaseSync } = loadSqlite();
+
+            fs.mkdirSync(path.dirname(this.dbFile), { recursive: true });
+            this.connection = new DatabaseSync(this.dbFile);
+            this.connection.exec(`
+                PRAGMA journal_mode = WAL;
+                PRAGMA busy_timeout = ${LOCK.TIMEOUT_MS};
+                CREATE TABLE IF NOT EXISTS todos (
+                    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                    id INTEGER NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS todos_id ON todos (id);
+                CREATE TABLE IF NOT EXISTS events (
+                    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                    data TEXT NOT NULL
+                );
+                CREATE TABLE IF NOT EXISTS meta (
+                    key TEXT PRIMARY KEY,
+                    value TEXT NOT NULL
+                );
+            `);
+        }
+
+        return this.connection;
+    }
+
+    /**
+     * Runs a function inside an immediate transaction, rolling back if it throws.
+     * @method transaction
+     * @param {Function} fn - Function to run.
+     * @returns {*} The return value of `fn`.
+     */
+    transaction(fn) {
+        if (this.depth > 0) {
+            return fn();
+        }
+
+        const db = this.db();
+        db.exec('BEGIN IMMEDIATE');
+        this.depth++;
+
+        try {
+            const result = fn();
+            db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            db.exec('ROLLBACK');
+            throw error;
+        } finally {
+            this.depth--;
+        }
+    }
+
+    /**
+     * Retrieves a task by its ID.
+     * @method get
+     * @param {number} id - Task ID.
+     * @returns {Todo|null} The task, or null if not found.
+     */
+    get(id) {
+        const row = this.db()
+            .prepare('SELECT data FROM todos WHERE id = ? ORDER BY seq LIMIT 1')
+            .get(id);
+
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Retrieves tasks matching the given criteria, in insertion order.
+     * @method query
+     * @param {Object<string, *>} [criteria={}] - Field values every returned task must equal.
+     * @returns {Array<Todo>} Matching tasks.
+     * @throws {Error} If a criteria field name is not a plain identifier.
+     */
+    query(criteria = {}) {
+        const clauses = [];
+        const params = [];
+
+        for (const [field, value] of Object.entries(criteria)) {
+            if (!/^\w+$/.test(field)) {
+                throw new Error(`Invalid query field: ${field}`);
+            }
+
+            if (value === null) {
+                clauses.push(`json_extract(data, '$.${field}') IS NULL`);
+            } else {
+                clauses.push(`json_extract(data, '$.${field}') = ?`);
+                params.push(toSqlValue(value));
+            }
+        }
+
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+        return this.db()
+            .prepare(`SELECT data FROM todos ${where} ORDER BY seq`)
+            .all(...params)
+            .map(row => JSON.parse(row.data));
+    }
+
+    /**
+     * Appends a task.
+     * @method insert
+     * @param {Todo} todo - Task to insert.
+     * @returns {Todo} The inserted task.
+     */
+    insert(todo) {
+        return this.transaction(() => {
+            const record = withoutUndefined(todo);
+
+            this.db()
+                .prepare('INSERT INTO todos (id, data) VALUES (?, ?)')
+                .run(record.id, JSON.stringify(record));
+            this.setLastId(this.lastId());
+            this.record(createEvent(record));
+
+            return record;
+        });
+    }
+
+    /**
+     * Hands out the next task ID. The highest ID handed out is kept in the `meta` table.
+     * @method nextId
+     * @returns {number} A task ID higher than any handed out before.
+     */
+    nextId() {
+        return this.transaction(() => {
+            const id = this.lastId() + 1;
+            this.setLastId(id);
+            return id;
+        });
+    }
+
+    /**
+     * Gets the highest task ID handed out so far.
+     * @method lastId
+     * @returns {number} The highest ID, or 0 for an empty database.
+     * @private
+     */
+    lastId() {
+        const db = this.db();
+        const stored = db.prepare("SELECT value FROM meta WHERE key = 'lastId'").get();
+        const { max } = db.prepare('SELECT MAX(id) AS max FROM todos').get();
+
+        return Math.max(Number(stored?.value ?? 0), max ?? 0);
+    }
+
+    /**
+     * Stores the highest task ID handed out so far. Must run inside a transaction.
+     * @method setLastId
+     * @param {number} id - The highest ID.
+     * @returns {void}
+     * @private
+     */
+    setLastId(id) {
+        this.db()
+            .prepare("INSERT INTO meta (key, value) VALUES ('lastId', ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+            .run(String(id));
+    }
+
+    /**
+     * Merges changes into a task. Fields set to `undefined` are removed.
+     * @method update
+     * @param {number} id - Task ID.
+     * @param {Object} changes - Fields to change.
+     * @returns {Todo|null} The updated task, or null if not found.
+     */
+    update(id, changes) {
+        return this.transaction(() => {
+            const row = this.db()
+                .prepare('SELECT seq, data FROM todos WHERE id = ? ORDER BY seq LIMIT 1')
+                .get(id);
+            if (!row) return null;
+
+            const previous = JSON.parse(row.data);
+            const record = withoutUndefined({ ...previous, ...changes });
+            this.db()
+                .prepare('UPDATE todos SET id = ?, data = ? WHERE seq = ?')
+                .run(record.id, JSON.stringify(record), row.seq);
+            this.record(updateEvent(previous, changes));
+
+            return record;
+        });
+    }
+
+    /**
+     * Deletes a task.
+     * @method delete
+     * @param {number} id - Task ID.
+     * @returns {boolean} True if a task was deleted.
+     */
+    delete(id) {
+        return this.transaction(() => {
+            const row = this.db()
+                .prepare('SELECT seq, data FROM todos WHERE id = ? ORDER BY seq LIMIT 1')
+                .get(id);
+            if (!row) return false;
+
+            this.db().prepare('DELETE FROM todos WHERE seq = ?').run(row.seq);
+            this.record(deleteEvent(JSON.parse(row.data)));
+
+            return true;
+        });
+    }
+
+    /**
+     * Records a journal event, trimming old events once enough have built up.
+     * Must run inside a transaction.
+     * @method record
+     * @param {JournalEvent} event - Event without a sequence number.
+     * @returns {void}
+     * @private
+     */
+    record(event) {
+        const db = this.db();
+        db.prepare('INSERT INTO events (data) VALUES (?)').run(JSON.stringify(event));
+
+        const { count } = db.prepare('SELECT COUNT(*) AS count FROM events').get();
+        if (count >= JOURNAL.COMPACT_AFTER + JOURNAL.KEEP) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Lists recent changes recorded in the journal, oldest first.
+     * @method history
+     * @returns {Array<JournalEvent>} Recorded events.
+     */
+    history() {
+        return this.db()
+            .prepare('SELECT seq, data FROM events ORDER BY seq')
+            .all()
+            .map(row => ({ seq: row.seq, ...JSON.parse(row.data) }));
+    }
+
+    /**
+     * Removes all but the most recent journal events. The rows of the `todos` table always reflect every event,
+     * so nothing has to be folded in.
+     * @method compact
+     * @returns {{compacted: number, kept: number}} Number of events removed and number kept as history.
+     */
+    compact() {
+        return this.transaction(() => {
+            const db = this.db();
+            const { changes } = db
+                .prepare('DELETE FROM events WHERE seq NOT IN (SELECT seq FROM events ORDER BY seq DESC LIMIT ?)')
+                .run(JOURNAL.KEEP);
+            const { count } = db.prepare('SELECT COUNT(*) AS count FROM events').get();
+
+            return { compacted: Number(changes), kept: count };
+        });
+    }
+
+    /**
+     * Checks whether a passphrase is needed. SQLite databases are never encrypted.
+     * @method needsPassphrase
+     * @returns {boolean} Always false.
+     */
+    needsPassphrase() {
+        return false;
+    }
+
+    /**
+     * Accepts a passphrase. Nothing to unlock for SQLite databases.
+     * @method unlock
+     * @returns {void}
+     */
+    unlock() {}
+
+    /**
+     * Checks whether the database is encrypted.
+     * @method isEncrypted
+     * @returns {boolean} Always false.
+     */
+    isEncrypted() {
+        return false;
+    }
+
+    /**
+     * Not supported for SQLite databases.
+     * @method encrypt
+     * @throws {Error} Always.
+     */
+    encrypt() {
+        throw encryptionUnsupported();
+    }
+
+    /**
+     * Not supported for SQLite databases.
+     * @method decrypt
+     * @throws {Error} Always.
+     */
+    decrypt() {
+        throw encryptionUnsupported();
+    }
+
+    /**
+     * Stores a snapshot of the current tasks as a JSON file.
+     * @method snapshot
+     * @param {string} [reason='manual'] - What triggered the snapshot.
+     * @param {Object} [options={}] - Snapshot options, see {@link BackupService#create}.
+     * @returns {Snapshot|null} The new snapshot, or null if it was skipped.
+     * @throws {Error} If the snapshot cannot be written.
+     */
+    snapshot(reason = 'manual', options = {}) {
+        try {
+            return this.backups.create(migrationService.createEnvelope(this.query()), reason, options);
+        } catch (error) {
+            throw new Error(`Failed to create backup: ${error.message}`);
+        }
+    }
+
+    /**
+     * Checks the database and recovers it if it is damaged.
+     * Rows that cannot be parsed are moved to a quarantine file. A database that cannot be opened is
+     * quarantined as a whole, task documents still readable in the raw file are salvaged, and the
+     * latest backup is used when nothing could be salvaged.
+     * @method repair
+     * @returns {RepairReport} What was wrong and what was recovered.
+     * @throws {Error} If the recovered tasks cannot be written.
+     */
+    repair() {
+        if (!fs.existsSync(this.dbFile)) {
+            return recoveryService.healthy(0);
+        }
+
+        loadSqlite(); // A missing SQLite module must not be mistaken for a damaged database
+        let problem;
+        try {
+            const db = this.open();
+            const [check] = Object.values(db.prepare('PRAGMA quick_check').get());
+            if (check !== 'ok') throw new Error(`Integrity check failed: ${check}`);
+
+            const rows = db.prepare('SELECT seq, data FROM todos ORDER BY seq').all();
+            const broken = rows.filter(row => {
+                try {
+                    JSON.parse(row.data);
+                    return false;
+                } catch {
+                    return true;
+                }
+            });
+
+            if (broken.length === 0) {
+                return recoveryService.healthy(rows.length);
+            }
+
+            return this.dropBrokenRows(broken, rows.length);
+        } catch (error) {
+            problem = error.message;
+        }
+
+        this.close();
+        const text = fs.readFileSync(this.dbFile, 'latin1');
+        const quarantineFile = recoveryService.quarantine(this.dbFile);
+        const { tasks, ...recovered } = recoveryService.recover(recoveryService.salvageTasks(text), this.backups);
+
+        this.transaction(() => tasks.forEach(task => this.insert(task)));
+
+        return { repaired: true, problem, quarantineFile, ...recovered, total: tasks.length };
+    }
+
+    /**
+     * Moves rows whose task document cannot be parsed into a quarantine file and deletes them.
+     * @method dropBrokenRows
+     * @param {Array<{seq: number, data: string}>} broken - Rows to remove.
+     * @param {number} total - Number of rows before the repair.
+     * @returns {RepairReport} Report of the removed rows.
+     * @private
+     */
+    dropBrokenRows(broken, total) {
+        const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+        const quarantineFile = `${this.dbFile}.corrupt-${stamp}.json`;
+
+        fs.writeFileSync(quarantineFile, JSON.stringify(broken, null, 2));
+        this.open()
+            .prepare(`DELETE FROM todos WHERE seq IN (${broken.map(() => '?').join(', ')})`)
+            .run(...broken.map(row => row.seq));
+
+        return {
+            ...recoveryService.healthy(total - broken.length),
+            repaired: true,
+            problem: `${broken.length} task row(s) could not be parsed`,
+            quarantineFile,
+            salvaged: total - broken.length
+        };
+    }
+
+    /**
+     * Upgrades stored tasks to the current schema version, tracked in `PRAGMA user_version`.
+     * The database file is copied aside before it is changed.
+     * @method upgrade
+     * @param {Object} [options={}] - Upgrade options.
+     * @param {boolean} [options.dryRun=false] - Only report what would change.
+     * @returns {MigrationResult & {backupFile: string|null}} Applied migrations and the backup that was made.
+     */
+    upgrade({ dryRun = false } = {}) {
+        const db = this.open();
+        if (!dryRun) this.upgraded = true;
+        const { user_version: version } = db.prepare('PRAGMA user_version').get();
+        const tasks = db.prepare('SELECT data FROM todos ORDER BY seq').all().map(row => JSON.parse(row.data));
+
+        const result = migrationService.migrate({ version, tasks, meta: {} });
+        let backupFile = null;
+
+        if (!dryRun && result.applied.length > 0) {
+            if (tasks.length > 0) {
+                backupFile = `${this.dbFile}.v${version}.bak`;
+                db.exec('PRAGMA wal_checkpoint(TRUNCATE)');
+                if (!fs.existsSync(backupFile)) {
+                    fs.copyFileSync(this.dbFile, backupFile);
+                }
+            }
+
+            this.transaction(() => {
+                if (db.prepare('PRAGMA user_version').get().user_version !== version) {
+                    return; // Another process upgraded the database in the meantime
+                }
+
+                db.exec('DELETE FROM todos');
+                const insert = db.prepare('INSERT INTO todos (id, data) VALUES (?, ?)');
+                result.envelope.tasks.forEach(task => insert.run(task.id, JSON.stringify(task)));
+                db.exec(`PRAGMA user_version = ${result.toVersion}`);
+            });
+        }
+
+        return { ...result, backupFile };
+    }
+
+    /**
+     * Copies the changes waiting in the write-ahead log into the database file, so the file alone holds every task.
+     * @method flush
+     * @returns {void}
+     */
+    flush() {
+        if (this.connection) {
+            this.connection.exec('PRAGMA wal_checkpoint(TRUNCATE)');
+        }
+    }
+
+    /**
+     * Closes the database handle if it is open.
+     * @method close
+     * @returns {void}
+     */
+    close() {
+        if (this.connection) {
+            this.connection.close();
+            this.connection = null;
+            this.upgraded = false;
+        }
+    }
+}
+
+/**
+ * SqliteAdapter class export.
+ * @exports SqliteAdapter
+ */
+export { SqliteAdapter };
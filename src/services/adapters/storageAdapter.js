@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Storage adapter interface shared by all storage backends.
+ * @module services/adapters/storageAdapter
+ * @description Documents the contract TodoService relies on and provides helpers common to adapter implementations.
+ */
+
+/**
+ * Interface implemented by every storage backend.
+ * Adapters return copies of stored tasks, so callers may mutate results freely.
+ * @typedef {Object} StorageAdapter
+ * @property {function(number): (Todo|null)} get - Retrieves a task by ID.
+ * @property {function(Object<string, *>=): Array<Todo>} query - Retrieves tasks whose fields equal the given criteria, in insertion order.
+ * @property {function(Todo): Todo} insert - Appends a task and returns it.
+ * @property {function(): number} nextId - Hands out the next task ID; IDs are never handed out twice, even after their task is deleted.
+ * @property {function(number, Object): (Todo|null)} update - Merges changes into a task; fields set to `undefined` are removed.
+ * @property {function(number): boolean} delete - Deletes a task and reports whether it existed.
+ * @property {function(Function): *} transaction - Runs a function atomically; nested calls join the outer transaction.
+ * @property {function(string=, Object=): (Snapshot|null)} snapshot - Stores a snapshot of the current tasks and rotates old ones out.
+ * @property {BackupService} backups - Snapshots taken of this storage.
+ * @property {function(): boolean} isEncrypted - Reports whether stored data is encrypted.
+ * @property {function(): boolean} needsPassphrase - Reports whether data is encrypted and no passphrase is set yet.
+ * @property {function(string): void} unlock - Sets the passphrase for encrypted data.
+ * @property {function(string): Object} encrypt - Encrypts stored data with a passphrase.
+ * @property {function(): Object} decrypt - Stores encrypted data in plain form again.
+ * @property {function(): Array<JournalEvent>} history - Lists recently recorded changes, oldest first.
+ * @property {function(): Object} compact - Compacts the journal, keeping only recent events (`{ compacted, kept }`).
+ * @property {function(): RepairReport} repair - Checks stored data and recovers it if it is damaged.
+ * @property {function(Object=): Object} upgrade - Upgrades stored data to the current schema version (`{ dryRun }` only previews).
+ * @property {function(): void} flush - Makes sure every change is in the data file itself, e.g. before it is committed to git.
+ * @property {function(): void} close - Releases resources held by the adapter.
+ */
+
+/**
+ * Checks whether a task matches query criteria.
+ * A criterion of `null` also matches tasks that do not have the field at all.
+ * @function matchesCriteria
+ * @param {Todo} todo - Task to check.
+ * @param {Object<string, *>} criteria - Field values the task must equal.
+ * @returns {boolean} True if every criterion matches.
+ */
+export function matchesCriteria(todo, criteria) {
+    return Object.entries(criteria).every(([field, value]) => (todo[field] ?? null) === value);
+}
+
+/**
+ * Returns a shallow copy of a record without the fields whose value is `undefined`.
+ * @function withoutUndefined
+ * @param {Object} record - Record to clean.
+ * @returns {Object} Cleaned copy of the record.
+ */
+export function withoutUndefined(record) {
+    return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,408 @@
+/**
+ * @fileoverview Backup service for taking and rotating snapshots of the task list.
+ * @module services/backupService
+ * @description Keeps timestamped JSON snapshots next to the data file so destructive changes can be undone.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BACKUP, SYNC, UNDO } from '../config/constants.js';
+import configService from './configService.js';
+import migrationService from './migrationService.js';
+import { dataPaths } from '../utils/dataPaths.js';
+
+/**
+ * Summary of a stored snapshot.
+ * @typedef {Object} Snapshot
+ * @property {string} name - Snapshot name, used to refer to it on the command line.
+ * @property {string} file - Absolute path to the snapshot file.
+ * @property {string} createdAt - ISO timestamp of when the snapshot was taken.
+ * @property {string} reason - What triggered the snapshot (e.g. `manual`, `clear`, `import`).
+ * @property {number|null} tasks - Number of tasks in the snapshot, or null if it cannot be read.
+ */
+
+/**
+ * Differences between two task lists, matched by task ID.
+ * @typedef {Object} SnapshotDiff
+ * @property {Array<Todo>} added - Tasks only present in the new list.
+ * @property {Array<Todo>} removed - Tasks only present in the old list.
+ * @property {Array<Todo>} changed - Tasks present in both lists with different content, as they are in the new list.
+ * @property {number} unchanged - Number of identical tasks.
+ */
+
+/**
+ * Converts snapshot data to and from file content.
+ * @typedef {Object} SnapshotCodec
+ * @property {function(Envelope): string} encode - Serializes data for writing.
+ * @property {function(string): *} decode - Parses file content.
+ */
+
+/**
+ * Serializes a value with object fields in sorted order, so content can be compared regardless of field order.
+ * @function canonicalize
+ * @param {*} value - Value to serialize.
+ * @returns {string} Canonical JSON text (undefined for undefined).
+ */
+export function canonicalize(value) {
+    return JSON.stringify(value, (key, item) => (item && typeof item === 'object' && !Array.isArray(item)
+        ? Object.fromEntries(Object.keys(item).sort().map(field => [field, item[field]]))
+        : item));
+}
+
+/**
+ * Plain JSON snapshot codec.
+ * @type {SnapshotCodec}
+ * @private
+ */
+const JSON_CODEC = {
+    encode: envelope => JSON.stringify(envelope, null, 2),
+    decode: text => JSON.parse(text)
+};
+
+/**
+ * Service class for managing snapshots of a data file.
+ * @class BackupService
+ * @description Writes snapshots to `backups/<data file name>/`, or to the hidden state directory of a project list,
+ * and prunes them by count and age.
+ * The same directory holds the last-sync base for every file the data file is synced with, and the undo history;
+ * those are never pruned.
+ */
+class BackupService {
+    /**
+     * Creates a new BackupService instance.
+     * @param {string} dataFile - Path to the data file whose snapshots are managed.
+     * @param {Object} [limits={}] - Retention limits; missing values come from the `backupCount` and `backupMaxAgeDays` settings.
+     * @param {number} [limits.count] - Number of snapshots to keep.
+     * @param {number} [limits.maxAgeDays] - Maximum snapshot age in days.
+     * @param {SnapshotCodec} [codec] - How snapshots are serialized; plain JSON by default.
+     * @constructor
+     */
+    constructor(dataFile, limits = {}, codec = JSON_CODEC) {
+        /**
+         * Directory holding the snapshots of this data file.
+         * @type {string}
+         * @private
+         */
+        this.backupDir = dataPaths.stateDir(dataFile);
+
+        /**
+         * Retention limits overriding the configured ones.
+         * @type {{count?: number, maxAgeDays?: number}}
+         * @private
+         */
+        this.limits = limits;
+
+        /**
+         * Snapshot serializer, e.g. one that encrypts snapshots of an encrypted data file.
+         * @type {SnapshotCodec}
+         * @private
+         */
+        this.codec = codec;
+    }
+
+    /**
+     * Gets the effective retention limits.
+     * @method getLimits
+     * @returns {{count: number, maxAgeDays: number}} Number of snapshots to keep and their maximum age in days.
+     */
+    getLimits() {
+        return {
+            count: this.limits.count ?? configService.get('backupCount'),
+            maxAgeDays: this.limits.maxAgeDays ?? configService.get('backupMaxAgeDays')
+        };
+    }
+
+    /**
+     * Writes a snapshot of the given data and prunes old snapshots.
+     * Automatic snapshots are skipped when `backupCount` is 0 or there are no tasks to protect.
+     * @method create
+     * @param {Envelope} envelope - Data to store.
+     * @param {string} [reason='manual'] - What triggered the snapshot.
+     * @param {Object} [options={}] - Snapshot options.
+     * @param {boolean} [options.automatic=false] - Whether the snapshot is taken before a destructive change.
+     * @returns {Snapshot|null} The new snapshot, or null if it was skipped.
+     * @throws {Error} If the snapshot cannot be written.
+     */
+    create(envelope, reason = 'manual', { automatic = false } = {}) {
+        if (automatic && (this.getLimits().count <= 0 || envelope.tasks.length === 0)) {
+            return null;
+        }
+
+        fs.mkdirSync(this.backupDir, { recursive: true });
+
+        const slug = reason.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'manual';
+        let time = Date.now();
+        let file;
+
+        // Names must be unique and sort by time, so move on by a millisecond on collision
+        do {
+            const stamp = new Date(time++).toISOString().replace(/[-:.]/g, '');
+            file = path.join(this.backupDir, `${stamp}-${slug}.json`);
+        } while (fs.existsSync(file));
+
+        fs.writeFileSync(file, this.codec.encode(envelope), { flag: 'wx' });
+
+        const snapshot = this.describe(path.basename(file));
+        this.prune(snapshot.name);
+
+        return snapshot;
+    }
+
+    /**
+     * Lists stored snapshots, newest first.
+     * @method list
+     * @returns {Array<Snapshot>} Stored snapshots.
+     */
+    list() {
+        if (!fs.existsSync(this.backupDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.backupDir)
+            .filter(fileName => BACKUP.NAME_REGEX.test(fileName))
+            .sort()
+            .reverse()
+            .map(fileName => this.describe(fileName));
+    }
+
+    /**
+     * Finds a snapshot by name or by its position in the list (1 is the newest).
+     * @method find
+     * @param {string|number} ref - Snapshot name or position.
+     * @returns {Snapshot} The snapshot.
+     * @throws {Error} If no snapshot matches.
+     */
+    find(ref) {
+        const snapshots = this.list();
+        const text = String(ref).trim().replace(/\.json$/, '');
+        const snapshot = /^\d+$/.test(text)
+            ? snapshots[Number(text) - 1]
+            : snapshots.find(s => s.name === text);
+
+        if (!snapshot) {
+            throw new Error(`Backup "${ref}" not found. Run "todo backup list" to see available backups`);
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Reads a snapshot, upgrading it to the current schema version.
+     * @method read
+     * @param {string|number} ref - Snapshot name or position.
+     * @returns {{snapshot: Snapshot, envelope: Envelope}} The snapshot and its data.
+     * @throws {Error} If the snapshot does not exist or cannot be read.
+     */
+    read(ref) {
+        const snapshot = this.find(ref);
+
+        try {
+            const { envelope } = migrationService.migrate(this.codec.decode(fs.readFileSync(snapshot.file, 'utf-8')));
+            return { snapshot, envelope };
+        } catch (error) {
+            throw new Error(`Failed to read backup "${snapshot.name}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Reads the tasks as they were after the last sync with another file.
+     * @method readSyncBase
+     * @param {string} key - Identifies the other file.
+     * @returns {Envelope|null} The base, with `meta.tombstones` and `meta.syncedAt`, or null before the first sync.
+     * @throws {Error} If the base exists but cannot be read.
+     */
+    readSyncBase(key) {
+        const file = this.getSyncBaseFile(key);
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+
+        try {
+            return migrationService.migrate(this.codec.decode(fs.readFileSync(file, 'utf-8'))).envelope;
+        } catch (error) {
+            throw new Error(`Failed to read the last sync state: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stores the tasks as they are after a sync with another file, replacing the previous base.
+     * @method writeSyncBase
+     * @param {string} key - Identifies the other file.
+     * @param {Envelope} envelope - Synced tasks, with the tombstones in `meta`.
+     * @returns {void}
+     * @throws {Error} If the base cannot be written.
+     */
+    writeSyncBase(key, envelope) {
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        this.writeFile(this.getSyncBaseFile(key), this.codec.encode(envelope));
+    }
+
+    /**
+     * Reads the operations that can be undone and redone.
+     * @method readUndoLog
+     * @returns {UndoLog} The undo history; empty if nothing was recorded yet.
+     * @throws {Error} If the history exists but cannot be read.
+     */
+    readUndoLog() {
+        const file = path.join(this.backupDir, UNDO.FILE);
+        if (!fs.existsSync(file)) {
+            return { done: [], undone: [] };
+        }
+
+        try {
+            return this.codec.decode(fs.readFileSync(file, 'utf-8'));
+        } catch (error) {
+            throw new Error(`Failed to read the undo history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stores the operations that can be undone and redone, replacing the previous history.
+     * @method writeUndoLog
+     * @param {UndoLog} log - The undo history.
+     * @returns {void}
+     * @throws {Error} If the history cannot be written.
+     */
+    writeUndoLog(log) {
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        this.writeFile(path.join(this.backupDir, UNDO.FILE), this.codec.encode(log));
+    }
+
+    /**
+     * Rewrites every readable snapshot, sync base and the undo history with the current codec, e.g. after the data file was encrypted.
+     * @method rewrite
+     * @returns {number} Number of snapshots rewritten.
+     * @throws {Error} If a snapshot cannot be written.
+     */
+    rewrite() {
+        const kept = fs.existsSync(this.backupDir)
+            ? fs.readdirSync(this.backupDir).filter(fileName => fileName.startsWith(SYNC.BASE_PREFIX) || fileName === UNDO.FILE)
+            : [];
+        kept.forEach(fileName => this.recode(path.join(this.backupDir, fileName)));
+
+        return this.list().filter(snapshot => this.recode(snapshot.file)).length;
+    }
+
+    /**
+     * Rewrites a file with the current codec.
+     * @method recode
+     * @param {string} file - Snapshot, sync base or undo history file.
+     * @returns {boolean} True if the file was rewritten, false if it could not be read and was left as it is.
+     * @throws {Error} If the file cannot be written.
+     * @private
+     */
+    recode(file) {
+        let data;
+        try {
+            data = this.codec.decode(fs.readFileSync(file, 'utf-8'));
+        } catch {
+            return false;
+        }
+
+        this.writeFile(file, this.codec.encode(data));
+        return true;
+    }
+
+    /**
+     * Removes snapshots beyond the configured count or older than the configured age.
+     * @method prune
+     * @param {string} [keep] - Name of a snapshot that must never be removed, such as the one just taken.
+     * @returns {Array<Snapshot>} The removed snapshots.
+     */
+    prune(keep) {
+        const { count, maxAgeDays } = this.getLimits();
+        const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+        const removed = this.list().filter((snapshot, index) => {
+            if (snapshot.name === keep) return false;
+            return index >= count || (maxAgeDays > 0 && Date.parse(snapshot.createdAt) < cutoff);
+        });
+
+        removed.forEach(snapshot => fs.rmSync(snapshot.file, { force: true }));
+        return removed;
+    }
+
+    /**
+     * Compares two task lists by task ID.
+     * @method diff
+     * @param {Array<Todo>} before - Current tasks.
+     * @param {Array<Todo>} after - Tasks that would replace them.
+     * @returns {SnapshotDiff} Added, removed and changed tasks.
+     */
+    diff(before, after) {
+        const previous = new Map(before.map(task => [task.id, task]));
+        const result = { added: [], removed: [], changed: [], unchanged: 0 };
+
+        after.forEach(task => {
+            if (!previous.has(task.id)) {
+                result.added.push(task);
+            } else if (canonicalize(previous.get(task.id)) !== canonicalize(task)) {
+                result.changed.push(task);
+            } else {
+                result.unchanged++;
+            }
+            previous.delete(task.id);
+        });
+
+        result.removed = [...previous.values()];
+        return result;
+    }
+
+    /**
+     * Gets the path of the sync base for another file.
+     * @method getSyncBaseFile
+     * @param {string} key - Identifies the other file.
+     * @returns {string} Absolute path to the base file.
+     * @private
+     */
+    getSyncBaseFile(key) {
+        return path.join(this.backupDir, `${SYNC.BASE_PREFIX}${key}.json`);
+    }
+
+    /**
+     * Replaces a file through a temporary file, so it is never left half-written.
+     * @method writeFile
+     * @param {string} file - File to write.
+     * @param {string} content - New content.
+     * @returns {void}
+     * @private
+     */
+    writeFile(file, content) {
+        const tempFile = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, content);
+        fs.renameSync(tempFile, file);
+    }
+
+    /**
+     * Builds the summary of a snapshot file.
+     * @method describe
+     * @param {string} fileName - Snapshot file name.
+     * @returns {Snapshot} Snapshot summary.
+     * @private
+     */
+    describe(fileName) {
+        const [, year, month, day, hour, minute, second, ms, reason] = fileName.match(BACKUP.NAME_REGEX);
+        const file = path.join(this.backupDir, fileName);
+
+        let tasks = null;
+        try {
+            tasks = migrationService.toEnvelope(this.codec.decode(fs.readFileSync(file, 'utf-8'))).tasks.length;
+        } catch {
+            // Unreadable snapshots are still listed so they can be inspected or removed
+        }
+
+        return {
+            name: fileName.replace(/\.json$/, ''),
+            file,
+            createdAt: `${year}-${month}-${day}T${hour}:${minute}:${second}.${ms}Z`,
+            reason,
+            tasks
+        };
+    }
+}
+
+/**
+ * BackupService class export.
+ * @exports BackupService
+ */
+export { BackupService };
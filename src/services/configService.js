@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Service for reading and writing user configuration.
+ * @module services/configService
+ * @description Persists user settings in a JSON config file, with defaults and environment variable overrides.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG_FILE, DEFAULT_CONFIG, CONFIG_ENV, CONFIG_CHOICES } from '../config/constants.js';
+import { ValidationError } from '../utils/validator.js';
+
+/**
+ * Service class for managing user configuration.
+ * @class ConfigService
+ * @description Resolves settings from environment variables, the config file and built-in defaults, in that order.
+ */
+class ConfigService {
+    /**
+     * Creates a new ConfigService instance.
+     * @param {string} [configFile=CONFIG_FILE] - Path to the JSON config file.
+     * @param {Object<string, string|undefined>} [env=process.env] - Environment used for overrides.
+     * @constructor
+     */
+    constructor(configFile = CONFIG_FILE, env = process.env) {
+        /**
+         * Path to the config file.
+         * @type {string}
+         * @private
+         */
+        this.configFile = configFile;
+
+        /**
+         * Environment used for overrides.
+         * @type {Object<string, string|undefined>}
+         * @private
+         */
+        this.env = env;
+    }
+
+    /**
+     * Reads the settings stored in the config file.
+     * @method readFile
+     * @returns {Object<string, *>} Stored settings, or an empty object if the file does not exist.
+     * @throws {Error} If the file exists but cannot be parsed.
+     * @private
+     */
+    readFile() {
+        if (!fs.existsSync(this.configFile)) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.configFile, 'utf-8'));
+        } catch (error) {
+            throw new Error(`Failed to read config file ${this.configFile}: ${error.message}. Fix or remove it`);
+        }
+    }
+
+    /**
+     * Gets the effective value of a setting.
+     * @method get
+     * @param {string} key - Setting name.
+     * @returns {*} Value from the environment, the config file, or the default.
+     * @throws {ValidationError} If the key is unknown.
+     */
+    get(key) {
+        this.assertKnown(key);
+
+        const envName = CONFIG_ENV[key];
+        if (envName && this.env[envName]) {
+            try {
+                return this.parseValue(key, this.env[envName]);
+            } catch (error) {
+                throw new ValidationError(`${error.message} (set by ${envName})`);
+            }
+        }
+
+        const stored = this.readFile();
+        return key in stored ? stored[key] : DEFAULT_CONFIG[key];
+    }
+
+    /**
+     * Tells where the effective value of a setting comes from.
+     * @method getSource
+     * @param {string} key - Setting name.
+     * @returns {string} One of `env`, `config` or `default`.
+     * @throws {ValidationError} If the key is unknown.
+     */
+    getSource(key) {
+        this.assertKnown(key);
+
+        const envName = CONFIG_ENV[key];
+        if (envName && this.env[envName]) {
+            return 'env';
+        }
+
+        return key in this.readFile() ? 'config' : 'default';
+    }
+
+    /**
+     * Gets the effective value of every known setting.
+     * @method getAll
+     * @returns {Object<string, *>} Map of setting names to effective values.
+     */
+    getAll() {
+        return Object.fromEntries(Object.keys(DEFAULT_CONFIG).map(key => [key, this.get(key)]));
+    }
+
+    /**
+     * Stores a setting in the config file.
+     * @method set
+     * @param {string} key - Setting name.
+     * @param {string|number|boolean} value - New value; strings are parsed to the type of the default.
+     * @returns {*} The stored value.
+     * @throws {ValidationError} If the key is unknown or the value has the wrong type.
+     */
+    set(key, value) {
+        const parsed = this.parseValue(key, value);
+        const stored = this.readFile();
+        stored[key] = parsed;
+
+        fs.mkdirSync(path.dirname(this.configFile), { recursive: true });
+        fs.writeFileSync(this.configFile, JSON.stringify(stored, null, 2));
+
+        return parsed;
+    }
+
+    /**
+     * Ensures a setting name is supported.
+     * @method assertKnown
+     * @param {string} key - Setting name.
+     * @returns {void}
+     * @throws {ValidationError} If the key is unknown.
+     * @private
+     */
+    assertKnown(key) {
+        if (!(key in DEFAULT_CONFIG)) {
+            throw new ValidationError(`Unknown setting "${key}". Available: ${Object.keys(DEFAULT_CONFIG).join(', ')}`);
+        }
+    }
+
+    /**
+     * Parses a raw value according to the type of the setting's default.
+     * @method parseValue
+     * @param {string} key - Setting name.
+     * @param {string|number|boolean} value - Raw value.
+     * @returns {string|number|boolean} Parsed value.
+     * @throws {ValidationError} If the key is unknown or the value cannot be parsed.
+     * @private
+     */
+    parseValue(key, value) {
+        this.assertKnown(key);
+
+        const type = typeof DEFAULT_CONFIG[key];
+        if (typeof value === type && !CONFIG_CHOICES[key]) {
+            return value;
+        }
+
+        if (type === 'number') {
+            const number = Number(value);
+            if (value === '' || isNaN(number)) {
+                throw new ValidationError(`Setting "${key}" must be a number`);
+            }
+            return number;
+        }
+
+        if (type === 'boolean') {
+            if (!['true', 'false'].includes(String(value))) {
+                throw new ValidationError(`Setting "${key}" must be true or false`);
+            }
+            return String(value) === 'true';
+        }
+
+        const text = String(value).trim().toLowerCase();
+        if (CONFIG_CHOICES[key] && !CONFIG_CHOICES[key].includes(text)) {
+            throw new ValidationError(`Invalid value for "${key}"! Must be one of: ${CONFIG_CHOICES[key].join(', ')}`);
+        }
+
+        return CONFIG_CHOICES[key] ? text : String(value);
+    }
+}
+
+/**
+ * ConfigService class export.
+ * @exports ConfigService
+ */
+export { ConfigService };
+
+/**
+ * Default ConfigService instance.
+ * @type {ConfigService}
+ * @exports configService
+ */
+export default new ConfigService();
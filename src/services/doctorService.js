@@ -0,0 +1,494 @@
+/**
+ * @fileoverview Doctor service for checking stored tasks against the Todo typedef.
+ * @module services/doctorService
+ * @description Finds records that break the Todo contract and works out how to fix them.
+ */
+
+import { PRIORITY, VALIDATION, RECURRENCE, RECURRENCE_MODE } from '../config/constants.js';
+import { validator } from '../utils/validator.js';
+import { ids } from '../utils/ids.js';
+
+/**
+ * A problem found in a stored task.
+ * @typedef {Object} DoctorIssue
+ * @property {string} type - Issue type, one of the keys of `DOCTOR_ISSUE`.
+ * @property {number} index - Position of the record in the task list.
+ * @property {*} id - ID of the record as stored.
+ * @property {string} message - What is wrong.
+ * @property {string} action - What `--fix` does about it.
+ */
+
+/**
+ * Result of examining a task list.
+ * @typedef {Object} Examination
+ * @property {Array<DoctorIssue>} issues - Problems found, in task order.
+ * @property {Array<Todo>} todos - The task list with every problem fixed and unrecoverable records dropped.
+ */
+
+/**
+ * Checks whether a value is a parseable ISO timestamp.
+ * @param {*} value - Value to check.
+ * @returns {boolean} True if the value is a valid timestamp string.
+ * @private
+ */
+function isTimestamp(value) {
+    return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+/**
+ * Service class for checking the integrity of stored tasks.
+ * @class DoctorService
+ * @description Validates every field with the `validator` functions used for user input.
+ */
+class DoctorService {
+    /**
+     * Checks every task and builds the fixed task list.
+     * Duplicate IDs and identities keep the first task and give the others new ones; subtasks refer to the first task
+     * with their parent's ID.
+     * @method examine
+     * @param {Array<Todo>} todos - Stored tasks.
+     * @param {function(): number} [nextId] - Hands out new IDs; by default they count up from the highest valid ID.
+     * @returns {Examination} Problems found and the fixed task list.
+     */
+    examine(todos, nextId = null) {
+        const issues = [];
+        const fixed = [];
+        const positions = [];
+        const seen = new Set();
+        const seenUids = new Set();
+        let lastId = Math.max(0, ...todos.filter(todo => this.isValidId(todo?.id)).map(todo => todo.id));
+        const newId = nextId ?? (() => ++lastId);
+
+        todos.forEach((todo, index) => {
+            const report = (type, message, action) => {
+                issues.push({ type, index, id: todo?.id ?? null, message, action });
+            };
+
+            if (todo === null || typeof todo !== 'object' || Array.isArray(todo)) {
+                report('unrecoverable', 'Record is not a task object', 'remove it');
+                return;
+            }
+
+            const description = this.checkDescription(todo.description, report);
+            if (description === null) return;
+
+            const task = { ...todo, description };
+
+            if (!this.isValidId(todo.id)) {
+                task.id = newId();
+                report('invalid-id', `ID ${JSON.stringify(todo.id)} is not a positive whole number`, `assign ID ${task.id}`);
+            } else if (seen.has(todo.id)) {
+                task.id = newId();
+                report('duplicate-id', `ID ${todo.id} is already used by an earlier task`, `assign ID ${task.id}`);
+            }
+            seen.add(task.id);
+
+            if (typeof todo.uid !== 'string' || todo.uid === '') {
+                task.uid = ids.createUid();
+                report('invalid-uid', 'Sync identity is missing', `assign ${task.uid}`);
+            } else if (seenUids.has(todo.uid)) {
+                task.uid = ids.createUid();
+                report('invalid-uid', `Sync identity ${todo.uid} is already used by an earlier task`, `assign ${task.uid}`);
+            }
+            seenUids.add(task.uid);
+
+            if (typeof todo.completed !== 'boolean') {
+                task.completed = [true, 'true', 1].includes(todo.completed);
+                report('invalid-completed', `Completion status ${JSON.stringify(todo.completed)} is not true or false`, `set it to ${task.completed}`);
+            }
+
+            task.priority = this.checkPriority(todo.priority, report);
+            task.dueDate = this.checkField(todo.dueDate, value => validator.validateDate(value), 'invalid-due-date', 'Due date', report);
+            task.tags = this.checkTags(todo.tags, report);
+            if (!this.checkRecurrence(todo.recurrence, report)) {
+                delete task.recurrence;
+            }
+            this.checkNotes(task, report);
+            this.checkHistory(task, report);
+            this.checkTimeEntries(task, report);
+
+            this.checkTimestamps(task, report);
+            fixed.push(task);
+            positions.push(index);
+        });
+
+        this.checkParents(fixed, (position, message, action) => {
+            issues.push({ type: 'invalid-parent', index: positions[position], id: fixed[position].id, message, action });
+        });
+        this.checkDependencies(fixed, (position, message, action) => {
+            issues.push({ type: 'invalid-dependency', index: positions[position], id: fixed[position].id, message, action });
+        });
+        issues.sort((a, b) => a.index - b.index);
+
+        return { issues, todos: fixed };
+    }
+
+    /**
+     * Checks whether a stored ID can be used to address a task.
+     * @method isValidId
+     * @param {*} id - Stored ID.
+     * @returns {boolean} True if the ID is a positive safe integer.
+     * @private
+     */
+    isValidId(id) {
+        return Number.isSafeInteger(id) && id > 0;
+    }
+
+    /**
+     * Validates a description, shortening it if it is too long.
+     * @method checkDescription
+     * @param {*} description - Stored description.
+     * @param {Function} report - Records an issue.
+     * @returns {string|null} The fixed description, or null if the record cannot be recovered.
+     * @private
+     */
+    checkDescription(description, report) {
+        if (typeof description === 'string' && description.trim().length > VALIDATION.MAX_DESCRIPTION_LENGTH) {
+            report('invalid-description', `Description is longer than ${VALIDATION.MAX_DESCRIPTION_LENGTH} characters`, 'shorten it');
+            return description.trim().slice(0, VALIDATION.MAX_DESCRIPTION_LENGTH);
+        }
+
+        try {
+            const valid = validator.validateDescription(typeof description === 'string' ? description : '');
+            if (valid !== description) {
+                report('invalid-description', 'Description has leading or trailing whitespace', 'trim it');
+            }
+            return valid;
+        } catch (error) {
+            report('unrecoverable', error.message, 'remove it');
+            return null;
+        }
+    }
+
+    /**
+     * Validates a priority, falling back to medium.
+     * @method checkPriority
+     * @param {*} priority - Stored priority.
+     * @param {Function} report - Records an issue.
+     * @returns {string} The fixed priority.
+     * @private
+     */
+    checkPriority(priority, report) {
+        if (priority === undefined || priority === null || priority === '') {
+            report('invalid-priority', 'Priority is missing', `set it to ${PRIORITY.MEDIUM}`);
+            return PRIORITY.MEDIUM;
+        }
+
+        try {
+            const valid = validator.validatePriority(String(priority));
+            if (valid !== priority) {
+                report('invalid-priority', `Priority "${priority}" is not lowercase`, `set it to ${valid}`);
+            }
+            return valid;
+        } catch {
+            report('invalid-priority', `Priority "${priority}" is not one of ${Object.values(PRIORITY).join(', ')}`, `set it to ${PRIORITY.MEDIUM}`);
+            return PRIORITY.MEDIUM;
+        }
+    }
+
+    /**
+     * Validates the repeat rule of a recurring task.
+     * @method checkRecurrence
+     * @param {*} rule - Stored repeat rule.
+     * @param {Function} report - Records an issue.
+     * @returns {boolean} True if the task has a valid rule; false if it has none or an invalid one, which is reported.
+     * @private
+     */
+    checkRecurrence(rule, report) {
+        if (rule === undefined || rule === null) return false;
+
+        const isInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        const valid = typeof rule === 'object' && Object.values(RECURRENCE_MODE).includes(rule.mode) && (
+            rule.every === RECURRENCE.WEEKDAYS ||
+            (rule.every === RECURRENCE.DAYS && isInRange(rule.interval, 1, Number.MAX_SAFE_INTEGER)) ||
+            (rule.every === RECURRENCE.WEEK && Array.isArray(rule.days) && rule.days.length > 0 && rule.days.every(day => isInRange(day, 0, 6))) ||
+            (rule.every === RECURRENCE.MONTH && isInRange(rule.day, 1, 31)));
+
+        if (!valid) {
+            report('invalid-recurrence', `Repeat rule ${JSON.stringify(rule)} is invalid`, 'stop repeating the task');
+        }
+        return valid;
+    }
+
+    /**
+     * Validates the notes and annotations of a task, dropping those that are not text.
+     * @method checkNotes
+     * @param {Todo} task - Task to fix in place.
+     * @param {Function} report - Records an issue.
+     * @returns {void}
+     * @private
+     */
+    checkNotes(task, report) {
+        if (task.notes !== undefined && typeof task.notes !== 'string') {
+            report('invalid-note', `Notes ${JSON.stringify(task.notes)} are not text`, 'remove them');
+            delete task.notes;
+        }
+
+        if (task.annotations === undefined) return;
+
+        if (!Array.isArray(task.annotations)) {
+            report('invalid-note', 'Annotations are not a list', 'remove them');
+            delete task.annotations;
+            return;
+        }
+
+        const valid = task.annotations.filter(annotation =>
+            typeof annotation?.text === 'string' && annotation.text !== '' && isTimestamp(annotation.at));
+        if (valid.length < task.annotations.length) {
+            report('invalid-note', `${task.annotations.length - valid.length} annotation(s) have no text or time`, 'remove them');
+            task.annotations = valid;
+        }
+    }
+
+    /**
+     * Validates the history of a task, dropping changes without a time or a field.
+     * @method checkHistory
+     * @param {Todo} task - Task to fix in place.
+     * @param {Function} report - Records an issue.
+     * @returns {void}
+     * @private
+     */
+    checkHistory(task, report) {
+        if (task.history === undefined) return;
+
+        if (!Array.isArray(task.history)) {
+            report('invalid-history', 'History is not a list', 'remove it');
+            delete task.history;
+            return;
+        }
+
+        const valid = task.history.filter(change =>
+            typeof change?.field === 'string' && change.field !== '' && isTimestamp(change.at));
+        if (valid.length < task.history.length) {
+            report('invalid-history', `${task.history.length - valid.length} change(s) in the history have no field or time`, 'remove them');
+            task.history = valid;
+        }
+    }
+
+    /**
+     * Validates the time entries of a task, dropping those without a valid start or that end before they start.
+     * @method checkTimeEntries
+     * @param {Todo} task - Task to fix in place.
+     * @param {Function} report - Records an issue.
+     * @returns {void}
+     * @private
+     */
+    checkTimeEntries(task, report) {
+        if (task.timeEntries === undefined) return;
+
+        if (!Array.isArray(task.timeEntries)) {
+            report('invalid-time-entry', 'Time entries are not a list', 'remove them');
+            delete task.timeEntries;
+            return;
+        }
+
+        const valid = task.timeEntries.filter(entry => isTimestamp(entry?.start) &&
+            (entry.end === undefined || (isTimestamp(entry.end) && Date.parse(entry.end) >= Date.parse(entry.start))));
+        if (valid.length < task.timeEntries.length) {
+            report('invalid-time-entry', `Time entries without a valid start or end: ${task.timeEntries.length - valid.length}`, 'remove them');
+            task.timeEntries = valid;
+        }
+    }
+
+    /**
+     * Validates an optional field, normalizing it or clearing it if it is invalid.
+     * @method checkField
+     * @param {*} value - Stored value.
+     * @param {Function} validate - Validator returning the normalized value or throwing.
+     * @param {string} type - Issue type to report.
+     * @param {string} label - Field name used in messages.
+     * @param {Function} report - Records an issue.
+     * @returns {*} The fixed value, or null if it was missing or invalid.
+     * @private
+     */
+    checkField(value, validate, type, label, report) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        try {
+            if (typeof value !== 'string') throw new Error('not text');
+
+            const valid = validate(value);
+            if (valid === null) {
+                report(type, `${label} is an empty string`, 'clear it');
+            } else if (valid !== value) {
+                report(type, `${label} "${value}" is not normalized`, `change it to "${valid}"`);
+            }
+            return valid;
+        } catch (error) {
+            report(type, `${label} ${JSON.stringify(value)} is invalid (${error.message})`, 'clear it');
+            return null;
+        }
+    }
+
+    /**
+     * Validates the list of tags, normalizing the tags and dropping invalid and repeated ones.
+     * @method checkTags
+     * @param {*} tags - Stored tags.
+     * @param {Function} report - Records an issue.
+     * @returns {Array<string>} The fixed tags.
+     * @private
+     */
+    checkTags(tags, report) {
+        let list = tags;
+
+        if (!Array.isArray(tags)) {
+            list = typeof tags === 'string' ? [tags] : [];
+            report('invalid-tag', tags === undefined || tags === null ? 'Tags are missing' : `Tags ${JSON.stringify(tags)} are not a list`,
+                list.length > 0 ? 'make it a list of one tag' : 'set them to an empty list');
+        }
+
+        const valid = list
+            .map(tag => this.checkField(tag ?? '', value => validator.validateTag(value), 'invalid-tag', 'Tag', report))
+            .filter(tag => tag !== null);
+        const unique = [...new Set(valid)];
+
+        if (unique.length < valid.length) {
+            report('invalid-tag', 'Tags contain duplicates', 'remove the duplicates');
+        }
+
+        return unique;
+    }
+
+    /**
+     * Makes subtasks whose parent does not exist, or that are their own parent through their subtasks, tasks of their own.
+     * @method checkParents
+     * @param {Array<Todo>} todos - Tasks with their fixed IDs; changed in place.
+     * @param {function(number, string, string): void} report - Records an issue for the task at a position.
+     * @returns {void}
+     * @private
+     */
+    checkParents(todos, report) {
+        const byId = new Map();
+        todos.forEach(todo => {
+            if (!byId.has(todo.id)) byId.set(todo.id, todo);
+        });
+
+        todos.forEach((todo, position) => {
+            if (todo.parentId === undefined || todo.parentId === null) return;
+
+            if (!byId.has(todo.parentId)) {
+                report(position, `Parent task ${JSON.stringify(todo.parentId)} does not exist`, 'make it a task of its own');
+                delete todo.parentId;
+                return;
+            }
+
+            const ancestors = new Set();
+            let parent = byId.get(todo.parentId);
+            while (parent && parent !== todo && !ancestors.has(parent)) {
+                ancestors.add(parent);
+                parent = byId.get(parent.parentId);
+            }
+
+            if (parent === todo) {
+                report(position, 'Task is a subtask of itself, directly or through its subtasks', 'make it a task of its own');
+                delete todo.parentId;
+            }
+        });
+    }
+
+    /**
+     * Makes tasks stop waiting for tasks that do not exist, for themselves, or for tasks that wait for them.
+     * @method checkDependencies
+     * @param {Array<Todo>} todos - Tasks with their fixed IDs; changed in place.
+     * @param {function(number, string, string): void} report - Records an issue for the task at a position.
+     * @returns {void}
+     * @private
+     */
+    checkDependencies(todos, report) {
+        const byId = new Map();
+        todos.forEach(todo => {
+            if (!byId.has(todo.id)) byId.set(todo.id, todo);
+        });
+
+        const waitsFor = (todo, target) => {
+            const seen = new Set();
+            const pending = [...(todo.blockedBy ?? [])];
+            while (pending.length > 0) {
+                const id = pending.pop();
+                if (id === target) return true;
+                if (seen.has(id)) continue;
+                seen.add(id);
+                pending.push(...(byId.get(id)?.blockedBy ?? []));
+            }
+            return false;
+        };
+
+        todos.forEach((todo, position) => {
+            if (todo.blockedBy === undefined || todo.blockedBy === null) return;
+
+            if (!Array.isArray(todo.blockedBy)) {
+                report(position, `Dependencies ${JSON.stringify(todo.blockedBy)} are not a list`, 'remove them');
+                delete todo.blockedBy;
+                return;
+            }
+
+            const kept = [];
+            todo.blockedBy.forEach(id => {
+                if (!byId.has(id)) {
+                    report(position, `Waits for task ${JSON.stringify(id)}, which does not exist`, 'stop waiting for it');
+                } else if (id === todo.id) {
+                    report(position, 'Waits for itself', 'stop waiting for it');
+                } else if (kept.includes(id)) {
+                    report(position, `Waits for task ${id} more than once`, 'remove the duplicate');
+                } else if (waitsFor(byId.get(id), todo.id)) {
+                    report(position, `Waits for task ${id}, which waits for it in turn`, 'stop waiting for it');
+                } else {
+                    kept.push(id);
+                }
+            });
+
+            // Later tasks see what is left, so only one side of a cycle is broken
+            if (kept.length > 0) {
+                todo.blockedBy = kept;
+            } else {
+                delete todo.blockedBy;
+            }
+        });
+    }
+
+    /**
+     * Validates `createdAt`, `updatedAt`, `completedAt`, `deletedAt` and `archivedAt`, and the consistency of `completedAt`
+     * with `completed`.
+     * @method checkTimestamps
+     * @param {Todo} task - Task to fix in place.
+     * @param {Function} report - Records an issue.
+     * @returns {void}
+     * @private
+     */
+    checkTimestamps(task, report) {
+        if (!isTimestamp(task.createdAt)) {
+            report('invalid-timestamp', `Creation time ${JSON.stringify(task.createdAt)} is missing or invalid`, 'set it to now');
+            task.createdAt = new Date().toISOString();
+        }
+
+        ['updatedAt', 'completedAt', 'deletedAt', 'archivedAt'].forEach(field => {
+            if (field in task && !isTimestamp(task[field])) {
+                report('invalid-timestamp', `${field} ${JSON.stringify(task[field])} is invalid`, 'remove it');
+                delete task[field];
+            }
+        });
+
+        if (!task.completed && task.completedAt) {
+            report('completion-mismatch', 'Pending task has a completion time', 'remove it');
+            delete task.completedAt;
+        } else if (task.completed && !task.completedAt) {
+            task.completedAt = task.updatedAt ?? task.createdAt;
+            report('completion-mismatch', 'Completed task has no completion time', `set it to ${task.completedAt}`);
+        }
+    }
+}
+
+/**
+ * DoctorService class export.
+ * @exports DoctorService
+ */
+export { DoctorService };
+
+/**
+ * Default DoctorService instance.
+ * @type {DoctorService}
+ * @exports doctorService
+ */
+export default new DoctorService();
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Git service for keeping the history of the task store in a git repository.
+ * @module services/gitService
+ * @description Runs the system `git` binary in the data directory to commit changes, read history and exchange it with remotes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { GIT } from '../config/constants.js';
+
+/**
+ * A commit in the task history.
+ * @typedef {Object} GitCommit
+ * @property {string} hash - Full commit hash.
+ * @property {string} shortHash - Abbreviated commit hash.
+ * @property {string|null} parent - Hash of the first parent, or null for the first commit.
+ * @property {string} date - ISO timestamp of the commit.
+ * @property {string} message - First line of the commit message.
+ */
+
+/**
+ * Field separator used in `git log` output.
+ * @type {string}
+ * @private
+ */
+const SEPARATOR = '\x1f';
+
+/**
+ * `git log` format matching the fields of a GitCommit.
+ * @type {string}
+ * @private
+ */
+const LOG_FORMAT = ['%H', '%h', '%P', '%aI', '%s'].join('%x1f');
+
+/**
+ * Parses one line of `git log` output in `LOG_FORMAT`.
+ * @param {string} line - Output line.
+ * @returns {GitCommit} The commit.
+ * @private
+ */
+function parseCommit(line) {
+    const [hash, shortHash, parents, date, message] = line.split(SEPARATOR);
+    return { hash, shortHash, parent: parents.split(' ')[0] || null, date, message };
+}
+
+/**
+ * Service class for the git repository of a data directory.
+ * @class GitService
+ * @description Only repositories created with `todo git init` (marked with `GIT.ENABLED_KEY`) receive commits, so a
+ * project file in the root of a code repository never commits into that repository.
+ */
+class GitService {
+    /**
+     * Creates a new GitService instance.
+     * @param {string} dir - Data directory, the top level of the repository.
+     * @constructor
+     */
+    constructor(dir) {
+        /**
+         * Data directory.
+         * @type {string}
+         * @private
+         */
+        this.dir = dir;
+    }
+
+    /**
+     * Checks whether the data directory is a repository created by `todo git init`.
+     * @method isEnabled
+     * @returns {boolean} True if changes should be committed.
+     * @throws {Error} If git cannot be run.
+     */
+    isEnabled() {
+        if (!fs.existsSync(path.join(this.dir, '.git'))) {
+            return false;
+        }
+
+        return this.run(['config', '--local', '--get', GIT.ENABLED_KEY], { allowFailure: true })?.trim() === 'true';
+    }
+
+    /**
+     * Ensures the history is kept in git.
+     * @method assertEnabled
+     * @returns {void}
+     * @throws {Error} If the data directory is not a repository created by `todo git init`.
+     */
+    assertEnabled() {
+        if (!this.isEnabled()) {
+            throw new Error(`Task history is not kept in git in ${this.dir}. Start it with "todo git init"`);
+        }
+    }
+
+    /**
+     * Turns the data directory into a repository and commits the current files.
+     * With a URL, the repository is cloned from there instead, e.g. to continue on another machine.
+     * @method init
+     * @param {string|null} [url=null] - Repository to clone.
+     * @returns {GitCommit} The latest commit.
+     * @throws {Error} If history is already kept, the directory is inside another repository, or git fails.
+     */
+    init(url = null) {
+        if (this.isEnabled()) {
+            throw new Error(`Task history is already kept in git in ${this.dir}`);
+        }
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        const top = this.run(['rev-parse', '--show-toplevel'], { allowFailure: true })?.trim();
+        if (top) {
+            throw new Error(`${this.dir} is inside the git repository ${top}. Task history needs a repository of its own`);
+        }
+
+        if (url) {
+            if (fs.readdirSync(this.dir).length > 0) {
+                throw new Error(`${this.dir} is not empty. Clone into an empty data directory, or init without a URL and use "todo sync"`);
+            }
+            this.run(['clone', '-q', url, '.'], { remote: true });
+        } else {
+            this.run(['init', '-q']);
+        }
+
+        this.run(['config', '--local', GIT.ENABLED_KEY, 'true']);
+        if (!this.run(['config', 'user.email'], { allowFailure: true })) {
+            this.run(['config', '--local', 'user.name', GIT.AUTHOR.name]);
+            this.run(['config', '--local', 'user.email', GIT.AUTHOR.email]);
+        }
+
+        const ignoreFile = path.join(this.dir, '.gitignore');
+        if (!fs.existsSync(ignoreFile)) {
+            fs.writeFileSync(ignoreFile, GIT.IGNORE.join('\n') + '\n');
+        }
+
+        if (url) {
+            this.commit('init: ignore temporary files');
+        } else {
+            this.run(['add', '-A']);
+            this.run(['commit', '-q', '--allow-empty', '-m', 'init: start task history']);
+        }
+
+        return this.log({ limit: 1 })[0];
+    }
+
+    /**
+     * Commits every change in the data directory.
+     * @method commit
+     * @param {string} message - Commit message.
+     * @returns {string|null} Hash of the new commit, or null if nothing changed.
+     * @throws {Error} If git fails.
+     */
+    commit(message) {
+        this.run(['add', '-A']);
+        if (this.run(['status', '--porcelain']).trim() === '') {
+            return null;
+        }
+
+        this.run(['commit', '-q', '-m', message]);
+        return this.run(['rev-parse', 'HEAD']).trim();
+    }
+
+    /**
+     * Lists commits, newest first.
+     * @method log
+     * @param {Object} [options={}] - Log options.
+     * @param {number} [options.limit=GIT.LOG_LIMIT] - Maximum number of commits.
+     * @param {Array<string>} [options.files=[]] - Only list commits that changed these files.
+     * @returns {Array<GitCommit>} The commits.
+     * @throws {Error} If git fails.
+     */
+    log({ limit = GIT.LOG_LIMIT, files = [] } = {}) {
+        const output = this.run(['log', `-n${limit}`, `--format=${LOG_FORMAT}`, '--', ...files.map(file => this.relative(file))]);
+        return output.split('\n').filter(Boolean).map(parseCommit);
+    }
+
+    /**
+     * Looks up a commit.
+     * @method getCommit
+     * @param {string} rev - Commit hash, branch, tag or other git revision, e.g. `HEAD~2`.
+     * @returns {GitCommit} The commit.
+     * @throws {Error} If the revision does not name a commit.
+     */
+    getCommit(rev) {
+        const hash = this.run(['rev-parse', '--verify', '-q', `${rev}^{commit}`], { allowFailure: true })?.trim();
+        if (!hash) {
+            throw new Error(`Unknown revision "${rev}". Use "todo history" to see the commits`);
+        }
+
+        return parseCommit(this.run(['log', '-1', `--format=${LOG_FORMAT}`, hash]).trim());
+    }
+
+    /**
+     * Writes files as they were in a commit to another directory, e.g. to open an old version of the task list.
+     * @method extract
+     * @param {string|null} rev - Commit hash, or null for the state before the first commit.
+     * @param {Array<string>} files - Files in the data directory.
+     * @param {string} targetDir - Directory to write them to, under their base names.
+     * @returns {Array<string>} Paths of the written files; files that did not exist in the commit are skipped.
+     * @throws {Error} If a file cannot be written.
+     */
+    extract(rev, files, targetDir) {
+        fs.mkdirSync(targetDir, { recursive: true });
+
+        return files.flatMap(file => {
+            const content = rev && this.run(['show', `${rev}:${this.relative(file)}`], { encoding: 'buffer', allowFailure: true });
+            if (!content) return [];
+
+            const target = path.join(targetDir, path.basename(file));
+            fs.writeFileSync(target, content);
+            return [target];
+        });
+    }
+
+    /**
+     * Lists the configured remotes.
+     * @method remotes
+     * @returns {Array<{name: string, url: string}>} Remotes and their URLs.
+     * @throws {Error} If git fails.
+     */
+    remotes() {
+        return this.run(['remote']).split('\n').filter(Boolean)
+            .map(name => ({ name, url: this.run(['remote', 'get-url', name]).trim() }));
+    }
+
+    /**
+     * Adds a remote, or changes its URL if it exists.
+     * @method setRemote
+     * @param {string} name - Remote name.
+     * @param {string} url - Remote URL or path, e.g. a bare repository.
+     * @returns {void}
+     * @throws {Error} If git fails.
+     */
+    setRemote(name, url) {
+        const exists = this.remotes().some(remote => remote.name === name);
+        this.run(['remote', exists ? 'set-url' : 'add', name, url]);
+    }
+
+    /**
+     * Pushes the current branch to a remote, committing any changes made outside a command first.
+     * @method push
+     * @param {string} [remote=GIT.DEFAULT_REMOTE] - Remote name.
+     * @returns {string} What git reported.
+     * @throws {Error} If the remote does not exist or rejects the push.
+     */
+    push(remote = GIT.DEFAULT_REMOTE) {
+        this.assertRemote(remote);
+        this.commit('save: changes not committed yet');
+
+        const output = this.run(['push', '--porcelain', '-u', remote, this.getBranch()], { remote: true });
+        return output.trim();
+    }
+
+    /**
+     * Fast-forwards the current branch to a remote's, committing any changes made outside a command first.
+     * Diverged histories are not merged, since a merge of two data files needs `todo sync` or manual care.
+     * @method pull
+     * @param {string} [remote=GIT.DEFAULT_REMOTE] - Remote name.
+     * @returns {Array<GitCommit>} The commits that were pulled, newest first.
+     * @throws {Error} If the remote does not exist, cannot be fetched, or the histories have diverged.
+     */
+    pull(remote = GIT.DEFAULT_REMOTE) {
+        this.assertRemote(remote);
+        this.commit('save: changes not committed yet');
+
+        const branch = this.getBranch();
+        const before = this.run(['rev-parse', 'HEAD']).trim();
+        this.run(['fetch', '-q', remote, branch], { remote: true });
+
+        if (this.run(['merge-base', '--is-ancestor', 'HEAD', 'FETCH_HEAD'], { allowFailure: true }) === null) {
+            throw new Error(`Your task history and ${remote} have diverged. Merge them with git in ${this.dir}`);
+        }
+
+        this.run(['merge', '-q', '--ff-only', 'FETCH_HEAD']);
+        return this.run(['log', `--format=${LOG_FORMAT}`, `${before}..HEAD`]).split('\n').filter(Boolean).map(parseCommit);
+    }
+
+    /**
+     * Ensures a remote is configured.
+     * @method assertRemote
+     * @param {string} remote - Remote name.
+     * @returns {void}
+     * @throws {Error} If it is not.
+     * @private
+     */
+    assertRemote(remote) {
+        if (!this.remotes().some(({ name }) => name === remote)) {
+            throw new Error(`No remote named "${remote}". Add one with "todo git remote ${remote} <url>"`);
+        }
+    }
+
+    /**
+     * Gets the name of the current branch.
+     * @method getBranch
+     * @returns {string} Branch name.
+     * @private
+     */
+    getBranch() {
+        return this.run(['symbolic-ref', '--short', 'HEAD']).trim();
+    }
+
+    /**
+     * Converts a path in the data directory to the form git expects in revisions.
+     * @method relative
+     * @param {string} file - Absolute path or path relative to the data directory.
+     * @returns {string} Path relative to the data directory, with forward slashes.
+     * @private
+     */
+    relative(file) {
+        return path.relative(this.dir, path.resolve(this.dir, file)).split(path.sep).join('/');
+    }
+
+    /**
+     * Runs git in the data directory.
+     * @method run
+     * @param {Array<string>} args - Git arguments.
+     * @param {Object} [options={}] - Run options.
+     * @param {string} [options.encoding='utf-8'] - Output encoding, or `buffer` for binary output.
+     * @param {boolean} [options.allowFailure=false] - Return null instead of throwing if git exits with an error.
+     * @param {boolean} [options.remote=false] - Talks to a remote, so git must fail rather than wait for credentials.
+     * @returns {string|Buffer|null} Standard output.
+     * @throws {Error} If git is missing, or fails and `allowFailure` is not set.
+     * @private
+     */
+    run(args, { encoding = 'utf-8', allowFailure = false, remote = false } = {}) {
+        try {
+            return execFileSync('git', args, {
+                cwd: this.dir,
+                encoding,
+                stdio: ['ignore', 'pipe', 'pipe'],
+                env: remote ? { ...process.env, GIT_TERMINAL_PROMPT: '0' } : process.env
+            });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error('git is not installed or not on the PATH');
+            }
+            if (allowFailure) return null;
+
+            const detail = error.stderr?.toString().trim().split('\n').filter(Boolean).pop();
+            throw new Error(`git ${args[0]} failed: ${detail || error.message}`);
+        }
+    }
+}
+
+/**
+ * GitService class export.
+ * @exports GitService
+ */
+export { GitService };
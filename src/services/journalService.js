@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Journal service for recording every change to the task list as an event.
+ * @module services/journalService
+ * @description Appends create, update, complete, uncomplete and delete events to a JSONL file and replays them onto a task list.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { JOURNAL_EVENT } from '../config/constants.js';
+import { EncryptionError } from '../utils/encryption.js';
+
+/**
+ * A recorded change to one task.
+ * @typedef {Object} JournalEvent
+ * @property {number} seq - Sequence number, increasing by one for every event of a data file.
+ * @property {string} at - ISO timestamp of the change.
+ * @property {string} type - Event type, one of `JOURNAL_EVENT`.
+ * @property {number} id - ID of the task before the change.
+ * @property {Todo} [task] - The created or deleted task.
+ * @property {Object} [changes] - Fields set by an update.
+ * @property {Array<string>} [unset] - Fields removed by an update.
+ * @property {Todo} [previous] - The task before an update.
+ */
+
+/**
+ * Converts journal events to and from single lines of text.
+ * @typedef {Object} JournalCodec
+ * @property {function(JournalEvent): string} encode - Serializes an event without line breaks.
+ * @property {function(string): JournalEvent} decode - Parses a line.
+ */
+
+/**
+ * Plain JSON journal codec.
+ * @type {JournalCodec}
+ * @private
+ */
+const JSON_CODEC = {
+    encode: event => JSON.stringify(event),
+    decode: line => JSON.parse(line)
+};
+
+/**
+ * Builds the event for a new task.
+ * @function createEvent
+ * @param {Todo} task - The created task.
+ * @returns {JournalEvent} Event without a sequence number.
+ */
+export function createEvent(task) {
+    return { at: new Date().toISOString(), type: JOURNAL_EVENT.CREATE, id: task.id, task };
+}
+
+/**
+ * Builds the event for changes to a task. Setting `completed` makes it a complete or uncomplete event.
+ * @function updateEvent
+ * @param {Todo} previous - The task before the change.
+ * @param {Object} changes - Fields to change; fields set to `undefined` are removed.
+ * @returns {JournalEvent} Event without a sequence number.
+ */
+export function updateEvent(previous, changes) {
+    const entries = Object.entries(changes);
+    let type = JOURNAL_EVENT.UPDATE;
+
+    if (changes.completed === true && !previous.completed) {
+        type = JOURNAL_EVENT.COMPLETE;
+    } else if (changes.completed === false && previous.completed) {
+        type = JOURNAL_EVENT.UNCOMPLETE;
+    }
+
+    return {
+        at: new Date().toISOString(),
+        type,
+        id: previous.id,
+        changes: Object.fromEntries(entries.filter(([, value]) => value !== undefined)),
+        unset: entries.filter(([field, value]) => value === undefined && field in previous).map(([field]) => field),
+        previous
+    };
+}
+
+/**
+ * Builds the event for a deleted task.
+ * @function deleteEvent
+ * @param {Todo} task - The deleted task.
+ * @returns {JournalEvent} Event without a sequence number.
+ */
+export function deleteEvent(task) {
+    return { at: new Date().toISOString(), type: JOURNAL_EVENT.DELETE, id: task.id, task };
+}
+
+/**
+ * Replays events onto a task list.
+ * Events set values rather than adjust them, so replaying events that are already reflected in the list is harmless.
+ * @function applyEvents
+ * @param {Array<Todo>} tasks - Tasks to start from; not modified.
+ * @param {Array<JournalEvent>} events - Events to apply, in order.
+ * @returns {Array<Todo>} The resulting tasks.
+ */
+export function applyEvents(tasks, events) {
+    const result = [...tasks];
+
+    events.forEach(event => {
+        const index = result.findIndex(task => task.id === event.id);
+
+        switch (event.type) {
+            case JOURNAL_EVENT.CREATE:
+                if (index === -1) {
+                    result.push({ ...event.task });
+                } else {
+                    result[index] = { ...event.task };
+                }
+                break;
+            case JOURNAL_EVENT.DELETE:
+                if (index !== -1) result.splice(index, 1);
+                break;
+            default: {
+                if (index === -1) break;
+
+                const task = { ...result[index], ...event.changes };
+                (event.unset ?? []).forEach(field => delete task[field]);
+                result[index] = task;
+            }
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Service class for the append-only journal of a data file.
+ * @class JournalService
+ * @description Stores one event per line. An event only counts once its line ends with a newline;
+ * a line cut short by a crash is ignored and removed by the next append.
+ */
+class JournalService {
+    /**
+     * Creates a new JournalService instance.
+     * @param {string} file - Path to the JSONL journal file.
+     * @param {JournalCodec} [codec] - How events are serialized; plain JSON by default.
+     * @constructor
+     */
+    constructor(file, codec = JSON_CODEC) {
+        /**
+         * Path to the journal file.
+         * @type {string}
+         */
+        this.file = file;
+
+        /**
+         * Event serializer, e.g. one that encrypts events of an encrypted data file.
+         * @type {JournalCodec}
+         * @private
+         */
+        this.codec = codec;
+    }
+
+    /**
+     * Checks whether the journal file exists.
+     * @method exists
+     * @returns {boolean} True if the journal file exists.
+     */
+    exists() {
+        return fs.existsSync(this.file);
+    }
+
+    /**
+     * Reads every event in the journal.
+     * @method read
+     * @returns {{events: Array<JournalEvent>, damaged: Array<number>}} Readable events and the line numbers that could not be read.
+     * @throws {EncryptionError} If the journal is encrypted and the passphrase is missing or wrong.
+     */
+    read() {
+        if (!this.exists()) {
+            return { events: [], damaged: [] };
+        }
+
+        const lines = fs.readFileSync(this.file, 'utf-8').split('\n');
+        lines.pop(); // Text after the last newline is an append that did not finish
+        const events = [];
+        const damaged = [];
+
+        lines.forEach((line, index) => {
+            if (line.trim() === '') return;
+
+            try {
+                events.push(this.codec.decode(line));
+            } catch (error) {
+                if (error instanceof EncryptionError) throw error;
+                damaged.push(index + 1);
+            }
+        });
+
+        return { events, damaged };
+    }
+
+    /**
+     * Appends events and flushes them to disk, first cutting off a line left unfinished by a crash.
+     * @method append
+     * @param {Array<JournalEvent>} events - Events to append.
+     * @returns {void}
+     * @throws {Error} If the journal cannot be written.
+     */
+    append(events) {
+        if (events.length === 0) return;
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        const fd = fs.openSync(this.file, 'a+');
+        try {
+            const { size } = fs.fstatSync(fd);
+            if (size > 0) {
+                const content = fs.readFileSync(this.file);
+                const end = content.lastIndexOf(0x0a) + 1;
+                if (end < size) fs.ftruncateSync(fd, end);
+            }
+
+            fs.writeFileSync(fd, events.map(event => this.codec.encode(event) + '\n').join(''));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Replaces the whole journal, e.g. with the events kept after compaction.
+     * An empty list removes the file.
+     * @method replace
+     * @param {Array<JournalEvent>} events - Events the journal should contain.
+     * @returns {void}
+     * @throws {Error} If the journal cannot be written.
+     */
+    replace(events) {
+        if (events.length === 0) {
+            fs.rmSync(this.file, { force: true });
+            return;
+        }
+
+        const tempFile = `${this.file}.${process.pid}.tmp`;
+        try {
+            const fd = fs.openSync(tempFile, 'w');
+            try {
+                fs.writeFileSync(fd, events.map(event => this.codec.encode(event) + '\n').join(''));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempFile, this.file);
+        } catch (error) {
+            fs.rmSync(tempFile, { force: true });
+            throw error;
+        }
+    }
+}
+
+/**
+ * JournalService class export.
+ * @exports JournalService
+ */
+export { JournalService };
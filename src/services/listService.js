@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Service for managing named task lists.
+ * @module services/listService
+ * @description Creates, renames and deletes task lists. Every list has its own data file, journal and backups.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import configService from './configService.js';
+import locationService from './locationService.js';
+import todoService, { TodoService } from './todoService.js';
+import { createAdapter, createStorage, getSqliteFile } from './adapters/createAdapter.js';
+import { validator, ValidationError } from '../utils/validator.js';
+import { dataPaths } from '../utils/dataPaths.js';
+import { LISTS } from '../config/constants.js';
+
+/**
+ * Summary of a task list.
+ * @typedef {Object} ListSummary
+ * @property {string} name - List name.
+ * @property {boolean} current - Whether this is the list commands use.
+ * @property {TodoStats|null} stats - Task counts, or null if the list cannot be read.
+ * @property {string|null} error - Why the list cannot be read.
+ */
+
+/**
+ * Service class for managing named task lists.
+ * @class ListService
+ * @description The default list is the data file itself; other lists are stored as `lists/<name>.json`
+ * (or `lists/<name>.db`) next to it. All files of a list start with its name followed by a dot.
+ */
+class ListService {
+    /**
+     * Creates a new ListService instance.
+     * @param {LocationService} [location=locationService] - Resolves list files.
+     * @param {ConfigService} [config=configService] - Stores the current list and storage backend.
+     * @param {TodoService} [todos=todoService] - Service already using the current list's storage.
+     * @constructor
+     */
+    constructor(location = locationService, config = configService, todos = todoService) {
+        /**
+         * Location service instance.
+         * @type {LocationService}
+         * @private
+         */
+        this.location = location;
+
+        /**
+         * Config service instance.
+         * @type {ConfigService}
+         * @private
+         */
+        this.config = config;
+
+        /**
+         * Service using the current list's storage, which may have been unlocked with a passphrase.
+         * @type {TodoService}
+         * @private
+         */
+        this.todos = todos;
+    }
+
+    /**
+     * Gets the name of the list commands use.
+     * @method getCurrent
+     * @returns {string} List name.
+     */
+    getCurrent() {
+        return this.location.getListName();
+    }
+
+    /**
+     * Gets the path of the JSON data file of a list.
+     * @method getFile
+     * @param {string} name - List name.
+     * @returns {string} Absolute path to the list's data file.
+     */
+    getFile(name) {
+        return this.location.getListFile(name);
+    }
+
+    /**
+     * Checks whether a list exists with any storage backend.
+     * @method exists
+     * @param {string} name - List name.
+     * @returns {boolean} True if the list exists; the default list always does.
+     */
+    exists(name) {
+        const file = this.getFile(name);
+        return name === LISTS.DEFAULT || fs.existsSync(file) || fs.existsSync(getSqliteFile(file));
+    }
+
+    /**
+     * Lists the names of all lists, the default list first and the others alphabetically.
+     * @method names
+     * @returns {Array<string>} List names.
+     */
+    names() {
+        const dir = this.getDir();
+        if (!fs.existsSync(dir)) {
+            return [LISTS.DEFAULT];
+        }
+
+        const names = fs.readdirSync(dir)
+            .map(entry => /^(.+)\.(json|db)$/.exec(entry)?.[1])
+            .filter(name => name && name !== LISTS.DEFAULT && LISTS.NAME_REGEX.test(name));
+
+        return [LISTS.DEFAULT, ...[...new Set(names)].sort()];
+    }
+
+    /**
+     * Summarizes every list with the task counts from `getStats`.
+     * @method summary
+     * @returns {Array<ListSummary>} One summary per list.
+     */
+    summary() {
+        const current = this.getCurrent();
+
+        return this.names().map(name => {
+            // The current list is already open, possibly unlocked with a passphrase that was asked for
+            const adapter = name === current ? null : createAdapter(this.config.get('storage'), this.getFile(name));
+
+            try {
+                const stats = (adapter ? new TodoService(adapter) : this.todos).getStats();
+                return { name, current: name === current, stats, error: null };
+            } catch (error) {
+                return { name, current: name === current, stats: null, error: error.message };
+            } finally {
+                adapter?.close();
+            }
+        });
+    }
+
+    /**
+     * Opens the storage of an existing list. The caller must close it.
+     * @method open
+     * @param {string} name - List name.
+     * @returns {StorageAdapter} Storage adapter for the list.
+     * @throws {ValidationError} If the name is invalid.
+     * @throws {Error} If the list does not exist.
+     */
+    open(name) {
+        const list = this.assertExists(validator.validateListName(name));
+        return createAdapter(this.config.get('storage'), this.getFile(list));
+    }
+
+    /**
+     * Creates an empty list.
+     * @method create
+     * @param {string} name - List name.
+     * @returns {string} The normalized list name.
+     * @throws {ValidationError} If the name is invalid.
+     * @throws {Error} If the list already exists.
+     */
+    create(name) {
+        const list = validator.validateListName(name);
+        if (this.exists(list)) {
+            throw new Error(`List "${list}" already exists`);
+        }
+
+        this.todos.recordChange(() => createStorage(this.config.get('storage'), this.getFile(list)), () => `lists: create ${list}`);
+        return list;
+    }
+
+    /**
+     * Renames a list together with its journal and backups. The current list setting follows the rename.
+     * @method rename
+     * @param {string} from - Current list name.
+     * @param {string} to - New list name.
+     * @returns {{from: string, to: string}} The normalized names.
+     * @throws {ValidationError} If a name is invalid or the default list is involved.
+     * @throws {Error} If the list does not exist or the new name is taken.
+     */
+    rename(from, to) {
+        const source = this.assertNotDefault(validator.validateListName(from), 'renamed');
+        const target = this.assertNotDefault(validator.validateListName(to), 'replaced');
+
+        this.assertExists(source);
+        if (this.exists(target)) {
+            throw new Error(`List "${target}" already exists`);
+        }
+
+        this.todos.recordChange(() => {
+            const dir = this.getDir();
+            const backups = dataPaths.stateDir(this.getFile(source));
+            this.filesOf(source).forEach(entry => {
+                fs.renameSync(path.join(dir, entry), path.join(dir, target + entry.slice(source.length)));
+            });
+
+            if (fs.existsSync(backups)) {
+                fs.renameSync(backups, dataPaths.stateDir(this.getFile(target)));
+            }
+        }, () => `lists: rename ${source} to ${target}`);
+
+        if (this.isConfiguredCurrent(source)) {
+            this.config.set('list', target);
+        }
+
+        return { from: source, to: target };
+    }
+
+    /**
+     * Deletes a list. Its tasks are backed up first and its backups are kept,
+     * so a list created again under the same name can restore them.
+     * If it was the current list, the default list becomes current.
+     * @method delete
+     * @param {string} name - List name.
+     * @returns {{name: string, backup: Snapshot|null}} The normalized name and the backup taken.
+     * @throws {ValidationError} If the name is invalid or it is the default list.
+     * @throws {Error} If the list does not exist or cannot be read.
+     */
+    delete(name) {
+        const list = this.assertNotDefault(validator.validateListName(name), 'deleted');
+        const adapter = this.open(list);
+        let backup;
+
+        try {
+            backup = adapter.snapshot('delete-list', { automatic: true });
+        } finally {
+            adapter.close();
+        }
+
+        this.todos.recordChange(() => {
+            const dir = this.getDir();
+            fs.rmSync(dataPaths.journalFile(this.getFile(list)), { force: true });
+            this.filesOf(list).forEach(entry => fs.rmSync(path.join(dir, entry), { force: true }));
+        }, () => `lists: delete ${list}`);
+
+        if (this.isConfiguredCurrent(list)) {
+            this.config.set('list', LISTS.DEFAULT);
+        }
+
+        return { name: list, backup };
+    }
+
+    /**
+     * Makes a list the current one for later commands.
+     * @method use
+     * @param {string} name - List name.
+     * @returns {string} The normalized list name.
+     * @throws {ValidationError} If the name is invalid.
+     * @throws {Error} If the list does not exist.
+     */
+    use(name) {
+        const list = this.assertExists(validator.validateListName(name));
+        this.config.set('list', list);
+        return list;
+    }
+
+    /**
+     * Throws if a list does not exist.
+     * @method assertExists
+     * @param {string} name - List name.
+     * @returns {string} The list name.
+     * @throws {Error} If the list does not exist.
+     */
+    assertExists(name) {
+        if (!this.exists(name)) {
+            throw new Error(`List "${name}" does not exist. Create it with "todo lists create ${name}"`);
+        }
+        return name;
+    }
+
+    /**
+     * Gets the directory holding the lists other than the default one.
+     * @method getDir
+     * @returns {string} Absolute path to the lists directory.
+     * @private
+     */
+    getDir() {
+        return path.join(path.dirname(this.getFile(LISTS.DEFAULT)), LISTS.DIR);
+    }
+
+    /**
+     * Finds the files of a list: data file, database, journal, lock and upgrade or quarantine copies.
+     * @method filesOf
+     * @param {string} name - List name.
+     * @returns {Array<string>} File names inside the lists directory.
+     * @private
+     */
+    filesOf(name) {
+        const dir = this.getDir();
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir).filter(entry => entry.startsWith(`${name}.`) && fs.statSync(path.join(dir, entry)).isFile());
+    }
+
+    /**
+     * Checks whether the `list` setting in the config file names a list.
+     * Lists chosen with `TODO_LIST` are left for the environment to change.
+     * @method isConfiguredCurrent
+     * @param {string} name - List name.
+     * @returns {boolean} True if the config file selects the list.
+     * @private
+     */
+    isConfiguredCurrent(name) {
+        return this.config.getSource('list') === 'config' && this.config.get('list') === name;
+    }
+
+    /**
+     * Throws if a name refers to the default list.
+     * @method assertNotDefault
+     * @param {string} name - List name.
+     * @param {string} action - What would happen to the list, for the error message.
+     * @returns {string} The list name.
+     * @throws {ValidationError} If it is the default list.
+     * @private
+     */
+    assertNotDefault(name, action) {
+        if (name === LISTS.DEFAULT) {
+            throw new ValidationError(`The ${LISTS.DEFAULT} list cannot be ${action}`);
+        }
+        return name;
+    }
+}
+
+/**
+ * ListService class export.
+ * @exports ListService
+ */
+export { ListService };
+
+/**
+ * Default ListService instance.
+ * @type {ListService}
+ * @exports listService
+ */
+export default new ListService();
@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Service for locating the todo data file.
+ * @module services/locationService
+ * @description Resolves which data file to use from command-line options, environment, config and defaults.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import configService from './configService.js';
+import { getSqliteFile } from './adapters/createAdapter.js';
+import { validator } from '../utils/validator.js';
+import { dataPaths } from '../utils/dataPaths.js';
+import { DEFAULT_DATA_FILE, LEGACY_DATA_FILE, PROJECT_FILE, LISTS, BACKUP, STORAGE_BACKEND } from '../config/constants.js';
+
+/**
+ * @typedef {Object} DataLocation
+ * @property {string} file - Absolute path to the JSON data file.
+ * @property {string} source - Where the path came from (option, env, project, config, default).
+ */
+
+/**
+ * @typedef {Object} LegacyMigration
+ * @property {string} from - Path of the legacy file that was moved.
+ * @property {string} to - Path the file was moved to.
+ */
+
+/**
+ * Expands a leading `~` and resolves a path against the current directory.
+ * @param {string} filePath - Path to normalize.
+ * @returns {string} Absolute path.
+ * @private
+ */
+function toAbsolutePath(filePath) {
+    const expanded = filePath.replace(/^~(?=$|[\\/])/, os.homedir());
+    return path.resolve(expanded);
+}
+
+/**
+ * Moves a file, falling back to copy and delete across file systems.
+ * @param {string} from - Source path.
+ * @param {string} to - Destination path.
+ * @returns {void}
+ * @private
+ */
+function moveFile(from, to) {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+
+    try {
+        fs.renameSync(from, to);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        fs.copyFileSync(from, to, fs.constants.COPYFILE_EXCL);
+        fs.rmSync(from);
+    }
+}
+
+/**
+ * Removes a directory if it is empty.
+ * @param {string} dir - Directory path.
+ * @returns {void}
+ * @private
+ */
+function removeIfEmpty(dir) {
+    if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+    }
+}
+
+/**
+ * Service class for locating the data file.
+ * @class LocationService
+ * @description Resolves the data file from, in order: the `--data` option, `TODO_DATA_FILE`, the nearest project file,
+ * the config file, and the default location. The default list lives in that file; other named lists live in a `lists` directory next to it.
+ */
+class LocationService {
+    /**
+     * Creates a new LocationService instance.
+     * @param {ConfigService} [config=configService] - Config service used to read the `dataFile` setting.
+     * @param {Object} [paths={}] - Overrides for well-known paths.
+     * @param {string} [paths.defaultFile=DEFAULT_DATA_FILE] - Default data file.
+     * @param {string} [paths.legacyFile=LEGACY_DATA_FILE] - Data file used by older versions.
+     * @param {string|null} [paths.cwd=null] - Directory to search for a project file from; the current directory by default.
+     * @constructor
+     */
+    constructor(config = configService, { defaultFile = DEFAULT_DATA_FILE, legacyFile = LEGACY_DATA_FILE, cwd = null } = {}) {
+        /**
+         * Config service instance.
+         * @type {ConfigService}
+         * @private
+         */
+        this.config = config;
+
+        /**
+         * Default data file.
+         * @type {string}
+         * @private
+         */
+        this.defaultFile = defaultFile;
+
+        /**
+         * Data file used by older versions.
+         * @type {string}
+         * @private
+         */
+        this.legacyFile = legacyFile;
+
+        /**
+         * Directory to search for a project file from, or null for the current directory.
+         * @type {string|null}
+         * @private
+         */
+        this.cwd = cwd;
+
+        /**
+         * Location selected by `activate`, or null to use the resolved default.
+         * @type {DataLocation|null}
+         * @private
+         */
+        this.active = null;
+
+        /**
+         * List selected by `activate`, or null to use the configured one.
+         * @type {string|null}
+         * @private
+         */
+        this.activeList = null;
+    }
+
+    /**
+     * Resolves the data file location.
+     * @method resolve
+     * @param {Object} [options={}] - Global command-line options.
+     * @param {string} [options.data] - Path given with `--data`.
+     * @param {boolean} [options.global] - Ignore project files, as with `--global`.
+     * @returns {DataLocation} The resolved location.
+     */
+    resolve({ data, global } = {}) {
+        if (data) {
+            return { file: toAbsolutePath(data), source: 'option' };
+        }
+
+        const configured = this.config.get('dataFile');
+        const source = this.config.getSource('dataFile');
+        if (configured && source === 'env') {
+            return { file: toAbsolutePath(configured), source };
+        }
+
+        const project = global ? null : this.findProjectFile();
+        if (project) {
+            return { file: project, source: 'project' };
+        }
+
+        if (configured) {
+            return { file: toAbsolutePath(configured), source };
+        }
+
+        return { file: this.defaultFile, source: 'default' };
+    }
+
+    /**
+     * Finds the nearest project file, looking in the current directory and then in each parent, the way git finds `.git`.
+     * A project that uses the SQLite backend is recognized by its `.todo.db` file.
+     * @method findProjectFile
+     * @returns {string|null} Absolute path to the project's JSON data file, or null outside a project.
+     */
+    findProjectFile() {
+        let dir = path.resolve(this.cwd ?? process.cwd());
+
+        while (true) {
+            const file = path.join(dir, PROJECT_FILE);
+            if (fs.existsSync(file) || fs.existsSync(getSqliteFile(file))) {
+                return file;
+            }
+
+            const parent = path.dirname(dir);
+            if (parent === dir) return null;
+            dir = parent;
+        }
+    }
+
+    /**
+     * Gets the path of a new project file in the current directory.
+     * @method getInitFile
+     * @returns {string} Absolute path to the project's JSON data file.
+     * @throws {Error} If the directory already has a project file.
+     */
+    getInitFile() {
+        const file = path.join(path.resolve(this.cwd ?? process.cwd()), PROJECT_FILE);
+        if (fs.existsSync(file) || fs.existsSync(getSqliteFile(file))) {
+            throw new Error(`This directory already has a project file: ${file}`);
+        }
+        return file;
+    }
+
+    /**
+     * Resolves the list to use from the `--list` option or the `list` setting.
+     * @method resolveList
+     * @param {Object} [options={}] - Global command-line options.
+     * @param {string} [options.list] - List name given with `--list`.
+     * @returns {string} The list name.
+     * @throws {ValidationError} If the name is invalid.
+     */
+    resolveList({ list } = {}) {
+        return validator.validateListName(list || this.config.get('list'));
+    }
+
+    /**
+     * Resolves the location and list for this run and moves legacy data into the default location, or the files
+     * older versions kept beside a project file into its state directory, if needed.
+     * @method activate
+     * @param {Object} [options={}] - Global command-line options.
+     * @returns {Array<LegacyMigration>} Files that were moved from their legacy location.
+     * @throws {ValidationError} If the list name is invalid.
+     */
+    activate(options = {}) {
+        this.activeList = this.resolveList(options);
+        this.active = this.resolve(options);
+
+        if (this.active.source === 'project') {
+            return this.migrateProjectFiles();
+        }
+        return this.active.source === 'default' ? this.migrateLegacyFiles() : [];
+    }
+
+    /**
+     * Gets the location selected for this run.
+     * @method getLocation
+     * @returns {DataLocation} The active location, or the resolved default if `activate` was not called.
+     */
+    getLocation() {
+        return this.active ?? this.resolve();
+    }
+
+    /**
+     * Gets the name of the list selected for this run.
+     * @method getListName
+     * @returns {string} The active list, or the configured one if `activate` was not called.
+     */
+    getListName() {
+        return this.activeList ?? this.config.get('list');
+    }
+
+    /**
+     * Gets the path of the JSON data file of a list.
+     * @method getListFile
+     * @param {string} name - List name.
+     * @returns {string} Absolute path to the list's data file.
+     */
+    getListFile(name) {
+        const file = this.getLocation().file;
+        return name === LISTS.DEFAULT ? file : path.join(path.dirname(file), LISTS.DIR, `${name}.json`);
+    }
+
+    /**
+     * Gets the path of the data file of the list selected for this run.
+     * @method getDataFile
+     * @returns {string} Absolute path to the JSON data file.
+     */
+    getDataFile() {
+        return this.getListFile(this.getListName());
+    }
+
+    /**
+     * Gets the directory that holds the data file, its lists and backups.
+     * @method getDataDir
+     * @returns {string} Absolute path to the data directory.
+     */
+    getDataDir() {
+        return path.dirname(this.getLocation().file);
+    }
+
+    /**
+     * Gets the file a storage backend keeps the selected list in.
+     * @method getBackendFile
+     * @param {string} [backend] - Backend name; the configured one by default.
+     * @returns {string} Absolute path to the JSON data file or SQLite database.
+     */
+    getBackendFile(backend = this.config.get('storage')) {
+        const dataFile = this.getDataFile();
+        return backend === STORAGE_BACKEND.SQLITE ? getSqliteFile(dataFile) : dataFile;
+    }
+
+    /**
+     * Moves data files left inside the installed package by older versions to the default location.
+     * Runs only while the default location has no data yet, so it happens at most once.
+     * @method migrateLegacyFiles
+     * @returns {Array<LegacyMigration>} Files that were moved.
+     */
+    migrateLegacyFiles() {
+        const pairs = [
+            [this.legacyFile, this.defaultFile],
+            [getSqliteFile(this.legacyFile), getSqliteFile(this.defaultFile)]
+        ];
+
+        if (path.resolve(this.legacyFile) === path.resolve(this.defaultFile)) {
+            return [];
+        }
+
+        const moved = [];
+        for (const [from, to] of pairs) {
+            if (fs.existsSync(from) && !fs.existsSync(to)) {
+                moveFile(from, to);
+                moved.push({ from, to });
+            }
+        }
+
+        return moved;
+    }
+
+    /**
+     * Moves the journals, undo history, snapshots and sync bases that older versions kept beside the project file and
+     * its lists into the project's hidden state directory. Empty `backups` directories left behind are removed.
+     * @method migrateProjectFiles
+     * @returns {Array<LegacyMigration>} Files and directories that were moved.
+     */
+    migrateProjectFiles() {
+        const file = this.active.file;
+        const listsDir = path.join(path.dirname(file), LISTS.DIR);
+        const lists = fs.existsSync(listsDir)
+            ? fs.readdirSync(listsDir).filter(entry => /\.(json|db)$/.test(entry)).map(entry => path.parse(entry).name)
+            : [];
+
+        const dataFiles = [file, ...[...new Set(lists)].map(name => this.getListFile(name))];
+        const moved = [];
+        for (const { from, to } of dataFiles.flatMap(dataFile => dataPaths.legacyPaths(dataFile))) {
+            if (fs.existsSync(from) && !fs.existsSync(to)) {
+                moveFile(from, to);
+                moved.push({ from, to });
+            }
+        }
+
+        if (moved.length > 0) {
+            [path.dirname(file), listsDir].forEach(dir => removeIfEmpty(path.join(dir, BACKUP.DIR)));
+        }
+        return moved;
+    }
+}
+
+/**
+ * LocationService class export.
+ * @exports LocationService
+ */
+export { LocationService };
+
+/**
+ * Default LocationService instance.
+ * @type {LocationService}
+ * @exports locationService
+ */
+export default new LocationService();
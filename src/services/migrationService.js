@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Service for upgrading stored data to the current schema version.
+ * @module services/migrationService
+ * @description Defines the ordered chain of data migrations and applies the pending ones to loaded data.
+ */
+
+import { PRIORITY, SCHEMA_VERSION } from '../config/constants.js';
+import { ids } from '../utils/ids.js';
+
+/**
+ * Versioned container written to the data file.
+ * @typedef {Object} Envelope
+ * @property {number} version - Schema version of the data.
+ * @property {Array<Todo>} tasks - Stored tasks.
+ * @property {Object<string, *>} meta - Store-wide metadata.
+ */
+
+/**
+ * A single upgrade step.
+ * @typedef {Object} Migration
+ * @property {number} version - Schema version the data has after this migration.
+ * @property {string} description - Human-readable summary of the change.
+ * @property {function(Envelope): Envelope} up - Upgrades data from `version - 1` to `version`.
+ */
+
+/**
+ * @typedef {Object} AppliedMigration
+ * @property {number} version - Schema version reached.
+ * @property {string} description - Summary of the change.
+ * @property {number} changed - Number of tasks modified by the migration.
+ */
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {Envelope} envelope - Data at the current schema version.
+ * @property {number} fromVersion - Schema version the data had before migrating.
+ * @property {number} toVersion - Schema version the data has now.
+ * @property {Array<AppliedMigration>} applied - Migrations that were run, in order.
+ */
+
+/**
+ * Checks whether a task ID looks like a `Date.now()` timestamp.
+ * @param {*} id - Task ID.
+ * @returns {boolean} True if the ID can be read as a creation time.
+ * @private
+ */
+function isTimestampId(id) {
+    return Number.isInteger(id) && id > 1e12 && id < 1e14;
+}
+
+/**
+ * Ordered list of schema migrations. Version 0 is the legacy bare-array format.
+ * Append new migrations here and bump `SCHEMA_VERSION` to match the last entry.
+ * @type {Array<Migration>}
+ * @constant
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in fields missing from tasks written by older versions or imported from exports',
+        up({ tasks, meta }) {
+            const now = new Date().toISOString();
+
+            return {
+                version: 1,
+                meta,
+                tasks: tasks.map(task => {
+                    if (typeof task !== 'object' || task === null) return task;
+
+                    return {
+                        ...task,
+                        completed: task.completed === true,
+                        priority: Object.values(PRIORITY).includes(task.priority) ? task.priority : PRIORITY.MEDIUM,
+                        dueDate: task.dueDate ?? null,
+                        tag: task.tag ?? null,
+                        createdAt: task.createdAt ?? (isTimestampId(task.id) ? new Date(task.id).toISOString() : now)
+                    };
+                })
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'Replace timestamp IDs with short sequential ones and give every task a lasting identity',
+        up({ tasks, meta }) {
+            const uids = new Set();
+            let lastId = 0;
+
+            const upgraded = tasks.map((task, index) => {
+                if (typeof task !== 'object' || task === null) return task;
+
+                // Same-millisecond timestamps made duplicate IDs possible, so fall back to the position for those
+                let uid = task.uid ?? ids.legacyUid(task.id);
+                if (uids.has(uid)) uid = ids.legacyUid([task.id, index]);
+                uids.add(uid);
+
+                const { id, uid: previous, ...fields } = task;
+                return { id: ++lastId, uid, ...fields };
+            });
+
+            // The last sync remembered deleted tasks by their old IDs
+            const tombstones = meta.tombstones && Object.fromEntries(
+                Object.entries(meta.tombstones).map(([id, deletedAt]) => [ids.legacyUid(Number(id)), deletedAt])
+            );
+
+            return {
+                version: 2,
+                meta: { ...meta, lastId, ...(tombstones && { tombstones }) },
+                tasks: upgraded
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Replace the single tag of each task with a list of tags',
+        up({ tasks, meta }) {
+            return {
+                version: 3,
+                meta,
+                tasks: tasks.map(task => {
+                    if (typeof task !== 'object' || task === null) return task;
+
+                    const { tag, ...fields } = task;
+                    return { ...fields, tags: Array.isArray(task.tags) ? task.tags : (tag ? [tag] : []) };
+                })
+            };
+        }
+    }
+];
+
+/**
+ * Service class for migrating stored data.
+ * @class MigrationService
+ * @description Detects the schema version of loaded data and runs every pending migration in order.
+ */
+class MigrationService {
+    /**
+     * Creates a new MigrationService instance.
+     * @param {Array<Migration>} [migrations=MIGRATIONS] - Ordered migrations.
+     * @param {number} [currentVersion=SCHEMA_VERSION] - Version produced by the last migration.
+     * @constructor
+     */
+    constructor(migrations = MIGRATIONS, currentVersion = SCHEMA_VERSION) {
+        /**
+         * Ordered migrations.
+         * @type {Array<Migration>}
+         * @private
+         */
+        this.migrations = migrations;
+
+        /**
+         * Current schema version.
+         * @type {number}
+         */
+        this.currentVersion = currentVersion;
+    }
+
+    /**
+     * Creates an empty envelope at the current schema version.
+     * @method createEnvelope
+     * @param {Array<Todo>} [tasks=[]] - Initial tasks.
+     * @returns {Envelope} New envelope.
+     */
+    createEnvelope(tasks = []) {
+        return { version: this.currentVersion, tasks, meta: {} };
+    }
+
+    /**
+     * Normalizes loaded data into an envelope without upgrading it.
+     * A bare array is the legacy format and is treated as version 0, unless its tasks have identities: then it is
+     * an export, which writes the tasks as they are stored now.
+     * @method toEnvelope
+     * @param {*} data - Parsed file content.
+     * @returns {Envelope} Envelope at the data's own version.
+     * @throws {Error} If the data is neither an array nor a versioned envelope.
+     */
+    toEnvelope(data) {
+        if (Array.isArray(data)) {
+            const exported = data.some(task => typeof task?.uid === 'string');
+            return { version: exported ? this.currentVersion : 0, tasks: data, meta: {} };
+        }
+
+        if (data && Number.isInteger(data.version) && Array.isArray(data.tasks)) {
+            return { version: data.version, tasks: data.tasks, meta: data.meta ?? {} };
+        }
+
+        throw new Error('Unrecognized data format. Expected an array of tasks or a { version, tasks, meta } object');
+    }
+
+    /**
+     * Upgrades data to the current schema version.
+     * @method migrate
+     * @param {*} data - Parsed file content in any supported version.
+     * @returns {MigrationResult} The upgraded data and the migrations that were applied.
+     * @throws {Error} If the data was written by a newer version of the application.
+     */
+    migrate(data) {
+        let envelope = this.toEnvelope(data);
+        const fromVersion = envelope.version;
+
+        if (fromVersion > this.currentVersion) {
+            throw new Error(`Data has schema version ${fromVersion}, but this version of todo only supports up to ${this.currentVersion}. Please upgrade todo`);
+        }
+
+        const applied = [];
+        for (const migration of this.migrations) {
+            if (migration.version <= envelope.version) continue;
+
+            const before = envelope.tasks.map(task => JSON.stringify(task));
+            envelope = { ...migration.up(envelope), version: migration.version };
+
+            applied.push({
+                version: migration.version,
+                description: migration.description,
+                changed: envelope.tasks.filter((task, index) => JSON.stringify(task) !== before[index]).length
+            });
+        }
+
+        return { envelope, fromVersion, toVersion: envelope.version, applied };
+    }
+}
+
+/**
+ * MigrationService class export.
+ * @exports MigrationService
+ */
+export { MigrationService };
+
+/**
+ * Default MigrationService instance.
+ * @type {MigrationService}
+ * @exports migrationService
+ */
+export default new MigrationService();
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Recovery service for rescuing tasks from a corrupt data file.
+ * @module services/recoveryService
+ * @description Quarantines damaged files, salvages the task objects that can still be parsed and falls back to backups.
+ */
+
+import fs from 'fs';
+import migrationService from './migrationService.js';
+
+/**
+ * Outcome of checking and, if needed, repairing stored data.
+ * @typedef {Object} RepairReport
+ * @property {boolean} repaired - Whether the data was damaged and has been replaced.
+ * @property {string|null} problem - What was wrong with the data, or null if it was healthy.
+ * @property {string|null} quarantineFile - Where the damaged data was moved to.
+ * @property {number} salvaged - Number of tasks rescued from the damaged data.
+ * @property {Snapshot|null} backup - Backup the tasks were restored from, when nothing could be salvaged.
+ * @property {number} missing - Number of tasks in the latest backup that are not in the recovered list.
+ * @property {number} total - Number of tasks after the repair.
+ */
+
+/**
+ * Service class for recovering damaged data.
+ * @class RecoveryService
+ * @description Shared by the storage backends so every backend recovers the same way.
+ */
+class RecoveryService {
+    /**
+     * Builds the report for data that needed no repair.
+     * @method healthy
+     * @param {number} total - Number of stored tasks.
+     * @returns {RepairReport} Report saying nothing was changed.
+     */
+    healthy(total) {
+        return { repaired: false, problem: null, quarantineFile: null, salvaged: 0, backup: null, missing: 0, total };
+    }
+
+    /**
+     * Moves a damaged file (and any SQLite `-wal`/`-shm` companions) aside so it is never overwritten.
+     * @method quarantine
+     * @param {string} filePath - Damaged file.
+     * @returns {string} Path the file was moved to.
+     */
+    quarantine(filePath) {
+        const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+        const target = `${filePath}.corrupt-${stamp}`;
+
+        fs.renameSync(filePath, target);
+        ['-wal', '-shm'].forEach(suffix => {
+            if (fs.existsSync(filePath + suffix)) {
+                fs.renameSync(filePath + suffix, target + suffix);
+            }
+        });
+
+        return target;
+    }
+
+    /**
+     * Extracts every complete task object that can still be parsed from damaged content.
+     * Each `{` is tried as the start of an object; objects with an `id` and a `description` are kept.
+     * @method salvageTasks
+     * @param {string} text - Damaged file content.
+     * @returns {Array<Todo>} Salvaged tasks in file order, without duplicate IDs.
+     */
+    salvageTasks(text) {
+        const tasks = [];
+        const seen = new Set();
+        let start = text.indexOf('{');
+
+        while (start !== -1) {
+            const end = this.findObjectEnd(text, start);
+            let task = null;
+
+            if (end !== -1) {
+                try {
+                    task = JSON.parse(text.slice(start, end + 1));
+                } catch {
+                    // Not valid JSON, try the next brace
+                }
+            }
+
+            if (this.looksLikeTask(task)) {
+                if (!seen.has(task.id)) {
+                    seen.add(task.id);
+                    tasks.push(task);
+                }
+                start = text.indexOf('{', end + 1);
+            } else {
+                start = text.indexOf('{', start + 1);
+            }
+        }
+
+        return tasks;
+    }
+
+    /**
+     * Decides which tasks replace damaged data.
+     * Salvaged tasks are the most recent state, so they win; the latest readable backup is only used when nothing could be salvaged.
+     * @method recover
+     * @param {Array<Todo>} salvaged - Tasks rescued from the damaged data.
+     * @param {BackupService} backups - Backups of the same data.
+     * @returns {{tasks: Array<Todo>, salvaged: number, backup: Snapshot|null, missing: number}} Tasks to store and where they came from.
+     */
+    recover(salvaged, backups) {
+        const latest = this.readLatestBackup(backups);
+        const useBackup = salvaged.length === 0 && latest !== null;
+        const tasks = useBackup
+            ? latest.envelope.tasks
+            : migrationService.migrate(salvaged).envelope.tasks;
+
+        const recoveredIds = new Set(tasks.map(task => task.id));
+        const missing = latest ? latest.envelope.tasks.filter(task => !recoveredIds.has(task.id)).length : 0;
+
+        return {
+            tasks,
+            salvaged: salvaged.length,
+            backup: useBackup ? latest.snapshot : null,
+            missing
+        };
+    }
+
+    /**
+     * Reads the newest backup that can still be parsed.
+     * @method readLatestBackup
+     * @param {BackupService} backups - Backups to search.
+     * @returns {{snapshot: Snapshot, envelope: Envelope}|null} The backup, or null if there is none.
+     * @private
+     */
+    readLatestBackup(backups) {
+        for (const snapshot of backups.list()) {
+            try {
+                return backups.read(snapshot.name);
+            } catch {
+                // Damaged backups are skipped in favour of older ones
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds the closing brace matching the opening brace at `start`, skipping braces inside strings.
+     * @method findObjectEnd
+     * @param {string} text - Text to scan.
+     * @param {number} start - Index of an opening brace.
+     * @returns {number} Index of the matching closing brace, or -1 if the object is cut off.
+     * @private
+     */
+    findObjectEnd(text, start) {
+        let depth = 0;
+        let inString = false;
+
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}' && --depth === 0) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Checks whether a parsed value has the fields every task needs.
+     * @method looksLikeTask
+     * @param {*} value - Parsed value.
+     * @returns {boolean} True if the value can be used as a task.
+     * @private
+     */
+    looksLikeTask(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            (typeof value.id === 'number' || typeof value.id === 'string') &&
+            typeof value.description === 'string';
+    }
+}
+
+/**
+ * RecoveryService class export.
+ * @exports RecoveryService
+ */
+export { RecoveryService };
+
+/**
+ * Default RecoveryService instance.
+ * @type {RecoveryService}
+ * @exports recoveryService
+ */
+export default new RecoveryService();
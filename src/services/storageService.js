@@ -5,73 +5,563 @@
  */
 
 import fs from 'fs';
-import { DATA_FILE  } from '../config/constants.js';
+import path from 'path';
+import { DEFAULT_DATA_FILE, LOCK, ENCRYPTION, JOURNAL, JOURNAL_EVENT } from '../config/constants.js';
+import migrationService from './migrationService.js';
+import { BackupService } from './backupService.js';
+import { JournalService, applyEvents } from './journalService.js';
+import recoveryService from './recoveryService.js';
+import { fileLock } from '../utils/fileLock.js';
+import { dataPaths } from '../utils/dataPaths.js';
+import { encryption, EncryptionError } from '../utils/encryption.js';
 
 /**
  * Service class for managing file storage operations.
  * @class StorageService
  * @description Provides methods to read, write, and check file existence for todo data storage.
+ * Changes are appended to a journal next to the data file; the data file holds the tasks as of the last
+ * compaction, and reading replays the journal events recorded since. A project list keeps its journal in the
+ * project's hidden state directory and rewrites its data file on every change, so the file committed with the
+ * project always holds every task.
  */
 class StorageService {
     /**
      * Creates a new StorageService instance.
-     * @param {string} [dataFile=DATA_FILE] - Path to the JSON file for storing todos.
+     * @param {string} [dataFile=DEFAULT_DATA_FILE] - Path to the JSON file for storing todos.
+     * @param {Object} [options={}] - Storage options.
+     * @param {string|null} [options.passphrase] - Passphrase for encrypted files; defaults to `TODO_PASSPHRASE`.
      * @constructor
      */
-    constructor(dataFile = DATA_FILE) {
+    constructor(dataFile = DEFAULT_DATA_FILE, { passphrase = process.env[ENCRYPTION.PASSPHRASE_ENV] || null } = {}) {
         /**
          * Path to the data file.
          * @type {string}
          * @private
          */
         this.dataFile = dataFile;
-        this.initializeStorage();
-    }
 
-    /**
-     * Initializes the storage file if it doesn't exist.
-     * Creates an empty array in the file if the file is missing.
-     * @method initializeStorage
-     * @returns {void}
-     * @private
-     */
-    initializeStorage() {
-        if (!fs.existsSync(this.dataFile)) {
-            this.write([]);
-        }
+        /**
+         * Path to the advisory lock file guarding the data file.
+         * @type {string}
+         * @private
+         */
+        this.lockFile = `${dataFile}${LOCK.SUFFIX}`;
+
+        /**
+         * Number of nested `withLock` calls currently holding the lock.
+         * @type {number}
+         * @private
+         */
+        this.lockDepth = 0;
+
+        /**
+         * Whether every change rewrites the data file, as it does for the lists of a project.
+         * @type {boolean}
+         * @private
+         */
+        this.writeThrough = dataPaths.projectRoot(dataFile) !== null;
+
+        /**
+         * Schema version the last read upgraded from, or null if no migration was needed.
+         * The original file is backed up before the next write replaces it.
+         * @type {number|null}
+         * @private
+         */
+        this.migratedFrom = null;
+
+        /**
+         * Passphrase for encrypted files, or null if none was given.
+         * @type {string|null}
+         * @private
+         */
+        this.passphrase = passphrase;
+
+        /**
+         * Key derivation parameters of the data file as last read, or null if it is not encrypted.
+         * Writes keep the file encrypted with the same key.
+         * @type {KdfParams|null}
+         * @private
+         */
+        this.kdf = null;
+
+        /**
+         * Derived keys by salt, since deriving a key is deliberately slow.
+         * @type {Map<string, Buffer>}
+         * @private
+         */
+        this.keys = new Map();
+
+        /**
+         * Snapshots of the data file taken before destructive changes, encrypted like the data file.
+         * @type {BackupService}
+         */
+        this.backups = new BackupService(dataFile, {}, {
+            encode: envelope => this.encode(envelope),
+            decode: text => this.decode(text).data
+        });
+
+        /**
+         * Journal of changes since, and shortly before, the last compaction, encrypted like the data file.
+         * @type {JournalService}
+         */
+        this.journal = new JournalService(dataPaths.journalFile(dataFile), {
+            encode: event => this.encode(event, 0),
+            decode: line => this.decode(line).data
+        });
+
+        /**
+         * Sequence number of the last journal event as of the last read.
+         * @type {number}
+         * @private
+         */
+        this.seq = 0;
+
+        /**
+         * Number of journal events not yet folded into the data file, as of the last read.
+         * @type {number}
+         * @private
+         */
+        this.pending = 0;
     }
 
     /**
-     * Reads and parses the data from the storage file.
+     * Reads and parses the data from the storage file, replays the journal and upgrades older formats in memory.
+     * Legacy files containing a bare array are detected and run through every pending migration.
+     * A missing file is treated as an empty list; it is created by the first write.
      * @method read
-     * @returns {Array<Object>} Array of todo objects.
-     * @throws {Error} If the file cannot be read or parsed.
+     * @returns {Envelope} Data at the current schema version.
+     * @throws {Error} If the file or journal cannot be read, parsed or upgraded.
      */
     read() {
         try {
-            const data = fs.readFileSync(this.dataFile, 'utf-8');
-            return JSON.parse(data);
+            let data = migrationService.createEnvelope();
+
+            if (fs.existsSync(this.dataFile)) {
+                const decoded = this.decode(fs.readFileSync(this.dataFile, 'utf-8'));
+                data = decoded.data;
+                this.kdf = decoded.kdf;
+            }
+
+            // Journal events have the schema version of the data file they follow, so replay before upgrading
+            const { envelope, fromVersion, applied } = migrationService.migrate(this.replay(migrationService.toEnvelope(data)));
+
+            this.migratedFrom = applied.length > 0 ? fromVersion : null;
+            return envelope;
         } catch (error) {
+            if (error instanceof EncryptionError) throw error;
             throw new Error(`Failed to read data: ${error.message}`);
         }
     }
 
     /**
-     * Writes data to the storage file.
+     * Writes the complete data to the storage file, compacting the journal.
+     * Every journal event is then reflected in the data file; the most recent ones are kept as history.
+     * If the last read upgraded an older file, that file is backed up first.
      * @method write
-     * @param {Array<Object>} data - Array of todo objects to write.
+     * @param {Envelope} envelope - Data to write.
      * @returns {boolean} True if the write operation was successful.
      * @throws {Error} If the file cannot be written.
      */
-    write(data) {
+    write(envelope) {
         try {
-            fs.writeFileSync(this.dataFile, JSON.stringify(data, null, 2));
+            if (this.migratedFrom !== null) {
+                this.backupBeforeMigration(this.migratedFrom);
+                this.migratedFrom = null;
+            }
+
+            const { events } = this.journal.read();
+            this.seq = Math.max(this.seq, ...events.map(event => event.seq));
+
+            const meta = this.seq > 0 ? { ...envelope.meta, journalSeq: this.seq } : envelope.meta;
+            this.writeAtomic(this.dataFile, this.encode({ ...envelope, meta }));
+            this.journal.replace(events.slice(-JOURNAL.KEEP));
+            this.pending = 0;
             return true;
         } catch (error) {
             throw new Error(`Failed to write data: ${error.message}`);
         }
     }
 
+    /**
+     * Records changes by appending their events to the journal.
+     * The data file is rewritten instead of only appending when it does not exist yet, when it has to be
+     * upgraded, when enough events have built up to compact them, or on every change for a project list.
+     * Must run under the same lock as the `read` the changes are based on.
+     * @method commit
+     * @param {Envelope} envelope - Data after the changes.
+     * @param {Array<JournalEvent>} events - Events describing the changes, without sequence numbers.
+     * @returns {boolean} True if the changes were written.
+     * @throws {Error} If the journal or file cannot be written.
+     */
+    commit(envelope, events) {
+        return this.withLock(() => {
+            const stamped = events.map(event => ({ seq: ++this.seq, ...event }));
+
+            try {
+                this.journal.append(stamped);
+            } catch (error) {
+                throw new Error(`Failed to write data: ${error.message}`);
+            }
+            this.pending += stamped.length;
+
+            if (this.writeThrough || this.migratedFrom !== null || !fs.existsSync(this.dataFile) || this.pending >= JOURNAL.COMPACT_AFTER) {
+                this.write(envelope);
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Folds every pending journal event into the data file.
+     * @method compact
+     * @returns {{compacted: number, kept: number}} Number of events folded in and number kept as history.
+     * @throws {Error} If the data cannot be read or written.
+     */
+    compact() {
+        return this.withLock(() => {
+            const envelope = this.read();
+            const compacted = this.pending;
+
+            this.write(envelope);
+            return { compacted, kept: this.journal.read().events.length };
+        });
+    }
+
+    /**
+     * Lists the events in the journal, oldest first.
+     * Compaction only keeps the most recent events, so this is recent history rather than all of it.
+     * @method history
+     * @returns {Array<JournalEvent>} Recorded events.
+     * @throws {Error} If the journal cannot be read.
+     */
+    history() {
+        return this.journal.read().events;
+    }
+
+    /**
+     * Stores a snapshot of the data and rotates old snapshots out.
+     * @method snapshot
+     * @param {Envelope} envelope - Data to store.
+     * @param {string} [reason='manual'] - What triggered the snapshot.
+     * @param {Object} [options={}] - Snapshot options, see {@link BackupService#create}.
+     * @returns {Snapshot|null} The new snapshot, or null if it was skipped.
+     * @throws {Error} If the snapshot cannot be written.
+     */
+    snapshot(envelope, reason = 'manual', options = {}) {
+        try {
+            return this.backups.create(envelope, reason, options);
+        } catch (error) {
+            throw new Error(`Failed to create backup: ${error.message}`);
+        }
+    }
+
+    /**
+     * Checks the data file and journal and recovers them if they cannot be parsed.
+     * A damaged data file is quarantined, the tasks that can still be parsed are salvaged,
+     * and the latest backup is used when nothing could be salvaged. The readable journal events are
+     * replayed on top. A journal with unreadable lines is quarantined and its readable events are kept.
+     * @method repair
+     * @returns {RepairReport} What was wrong and what was recovered.
+     * @throws {EncryptionError} If the data is encrypted and the passphrase is missing or wrong.
+     * @throws {Error} If the recovered data cannot be written.
+     */
+    repair() {
+        return this.withLock(() => {
+            const hasData = fs.existsSync(this.dataFile);
+            if (!hasData && !this.journal.exists()) {
+                return recoveryService.healthy(0);
+            }
+
+            const text = hasData ? fs.readFileSync(this.dataFile, 'utf-8') : '';
+            let content = text;
+            let kdf = null;
+            let envelope = migrationService.createEnvelope();
+            let problem = null;
+
+            if (hasData) {
+                try {
+                    ({ text: content, kdf } = this.unwrap(text));
+                    envelope = migrationService.toEnvelope(JSON.parse(content));
+                } catch (error) {
+                    if (error instanceof EncryptionError) throw error;
+                    problem = text.trim() === '' ? 'The data file is empty' : error.message;
+                }
+            }
+
+            const { events, damaged } = this.journal.read();
+
+            if (problem === null && damaged.length === 0) {
+                const base = envelope.meta.journalSeq ?? 0;
+                return recoveryService.healthy(applyEvents(envelope.tasks, events.filter(event => event.seq > base)).length);
+            }
+
+            let quarantineFile = null;
+            let tasks;
+            let recovered;
+
+            if (problem !== null) {
+                quarantineFile = recoveryService.quarantine(this.dataFile);
+                ({ tasks, ...recovered } = recoveryService.recover(recoveryService.salvageTasks(content), this.backups));
+
+                // The damaged file's place in the journal is unknown, so replay every event; replaying is harmless
+                tasks = applyEvents(tasks, events);
+            } else {
+                const base = envelope.meta.journalSeq ?? 0;
+                tasks = applyEvents(envelope.tasks, events.filter(event => event.seq > base));
+                recovered = { salvaged: tasks.length, backup: null, missing: 0 };
+            }
+
+            // Keep encrypted data encrypted, even if the damage took the key parameters with it
+            const wasEncrypted = kdf !== null || text.includes(ENCRYPTION.CIPHER);
+            this.kdf = kdf ?? (wasEncrypted && this.passphrase ? encryption.createKdf() : null);
+            this.migratedFrom = null;
+
+            if (damaged.length > 0) {
+                const journalFile = recoveryService.quarantine(this.journal.file);
+                quarantineFile ??= journalFile;
+                problem = [problem, `Journal line(s) ${damaged.join(', ')} could not be read`].filter(Boolean).join('. ');
+                this.journal.replace(events);
+            }
+
+            this.write(migrationService.createEnvelope(tasks));
+
+            return { repaired: true, problem, quarantineFile, ...recovered, total: tasks.length };
+        });
+    }
+
+    /**
+     * Upgrades the data file to the current schema version.
+     * @method upgrade
+     * @param {Object} [options={}] - Upgrade options.
+     * @param {boolean} [options.dryRun=false] - Only report what would change.
+     * @returns {MigrationResult & {backupFile: string|null}} Applied migrations and the backup that was made.
+     * @throws {Error} If the file cannot be read, upgraded or written.
+     */
+    upgrade({ dryRun = false } = {}) {
+        return this.withLock(() => {
+            if (!fs.existsSync(this.dataFile)) {
+                const envelope = migrationService.createEnvelope();
+                return { envelope, fromVersion: envelope.version, toVersion: envelope.version, applied: [], backupFile: null };
+            }
+
+            const { data } = this.decode(fs.readFileSync(this.dataFile, 'utf-8'));
+            const result = migrationService.migrate(data);
+            let backupFile = null;
+
+            if (!dryRun && result.applied.length > 0) {
+                const envelope = this.read();
+                backupFile = this.backupBeforeMigration(result.fromVersion);
+                this.migratedFrom = null;
+                this.write(envelope);
+            }
+
+            return { ...result, backupFile };
+        });
+    }
+
+    /**
+     * Checks whether the data file is encrypted.
+     * @method isEncrypted
+     * @returns {boolean} True if the data file exists and is encrypted.
+     */
+    isEncrypted() {
+        try {
+            return encryption.isEncrypted(JSON.parse(fs.readFileSync(this.dataFile, 'utf-8')));
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Checks whether a passphrase must be supplied before the data file can be read.
+     * @method needsPassphrase
+     * @returns {boolean} True if the data file is encrypted and no passphrase is set.
+     */
+    needsPassphrase() {
+        return !this.passphrase && this.isEncrypted();
+    }
+
+    /**
+     * Sets the passphrase and checks it against the data file.
+     * @method unlock
+     * @param {string} passphrase - Passphrase to use.
+     * @returns {void}
+     * @throws {EncryptionError} If the passphrase is empty or wrong.
+     */
+    unlock(passphrase) {
+        this.passphrase = passphrase;
+        this.keys.clear();
+
+        if (this.isEncrypted()) {
+            this.decode(fs.readFileSync(this.dataFile, 'utf-8'));
+        }
+    }
+
+    /**
+     * Encrypts the data file and its snapshots with a passphrase.
+     * @method encrypt
+     * @param {string} passphrase - Passphrase to derive the key from.
+     * @returns {{snapshots: number}} Number of snapshots that were encrypted as well.
+     * @throws {EncryptionError} If the passphrase is empty.
+     * @throws {Error} If the data file is already encrypted or cannot be written.
+     */
+    encrypt(passphrase) {
+        if (!passphrase) {
+            throw new EncryptionError('Passphrase cannot be empty');
+        }
+
+        return this.withLock(() => {
+            const envelope = this.read();
+            if (this.kdf) {
+                throw new Error('Data is already encrypted');
+            }
+
+            this.passphrase = passphrase;
+            this.keys.clear();
+            this.kdf = encryption.createKdf();
+            this.write(envelope);
+
+            return { snapshots: this.backups.rewrite() };
+        });
+    }
+
+    /**
+     * Decrypts the data file and its snapshots, storing them as plain JSON again.
+     * @method decrypt
+     * @returns {{snapshots: number}} Number of snapshots that were decrypted as well.
+     * @throws {EncryptionError} If the passphrase is missing or wrong.
+     * @throws {Error} If the data file is not encrypted or cannot be written.
+     */
+    decrypt() {
+        return this.withLock(() => {
+            const envelope = this.read();
+            if (!this.kdf) {
+                throw new Error('Data is not encrypted');
+            }
+
+            this.kdf = null;
+            this.write(envelope);
+
+            return { snapshots: this.backups.rewrite() };
+        });
+    }
+
+    /**
+     * Replays the journal events recorded after the data file was last written, raising `meta.lastId` to the IDs they created.
+     * @method replay
+     * @param {Envelope} envelope - Data as stored in the data file.
+     * @returns {Envelope} Data with the pending events applied.
+     * @throws {Error} If a journal line cannot be read.
+     * @private
+     */
+    replay(envelope) {
+        const { events, damaged } = this.journal.read();
+        if (damaged.length > 0) {
+            throw new Error(`Journal line ${damaged[0]} cannot be read. Run "todo repair"`);
+        }
+
+        const base = envelope.meta.journalSeq ?? 0;
+        const pending = events.filter(event => event.seq > base);
+
+        this.seq = Math.max(base, ...events.map(event => event.seq));
+        this.pending = pending.length;
+
+        // IDs handed out since the last write must not be handed out again, even if their tasks are gone
+        const created = pending.filter(event => event.type === JOURNAL_EVENT.CREATE).map(event => event.id).filter(Number.isSafeInteger);
+        const meta = created.length > 0 ? { ...envelope.meta, lastId: Math.max(envelope.meta.lastId ?? 0, ...created) } : envelope.meta;
+
+        return { ...envelope, meta, tasks: applyEvents(envelope.tasks, pending) };
+    }
+
+    /**
+     * Serializes data for writing, encrypting it if the data file is encrypted.
+     * @method encode
+     * @param {*} value - Data to serialize.
+     * @param {number} [indent=2] - Indentation; 0 keeps the result on one line, as journal lines need.
+     * @returns {string} File content.
+     * @private
+     */
+    encode(value, indent = 2) {
+        const json = JSON.stringify(value, null, indent);
+        if (!this.kdf) return json;
+
+        return JSON.stringify(encryption.encrypt(json, this.getKey(this.kdf), this.kdf), null, indent);
+    }
+
+    /**
+     * Parses file content, decrypting it if needed.
+     * @method decode
+     * @param {string} text - File content.
+     * @returns {{data: *, kdf: KdfParams|null}} Parsed data and the key parameters if it was encrypted.
+     * @throws {EncryptionError} If the content is encrypted and the passphrase is missing or wrong.
+     * @throws {SyntaxError} If the content is not valid JSON.
+     * @private
+     */
+    decode(text) {
+        const { text: content, kdf } = this.unwrap(text);
+        return { data: JSON.parse(content), kdf };
+    }
+
+    /**
+     * Decrypts file content if it is encrypted, without parsing the result.
+     * @method unwrap
+     * @param {string} text - File content.
+     * @returns {{text: string, kdf: KdfParams|null}} Plain content and the key parameters if it was encrypted.
+     * @throws {EncryptionError} If the content is encrypted and the passphrase is missing or wrong.
+     * @throws {SyntaxError} If encrypted-looking content is not valid JSON.
+     * @private
+     */
+    unwrap(text) {
+        if (!text.includes(ENCRYPTION.CIPHER)) {
+            return { text, kdf: null };
+        }
+
+        const data = JSON.parse(text);
+        if (!encryption.isEncrypted(data)) {
+            return { text, kdf: null };
+        }
+
+        return { text: encryption.decrypt(data, this.getKey(data.kdf)), kdf: data.kdf };
+    }
+
+    /**
+     * Gets the key for the given parameters, deriving it from the passphrase on first use.
+     * @method getKey
+     * @param {KdfParams} kdf - Key derivation parameters.
+     * @returns {Buffer} The key.
+     * @throws {EncryptionError} If no passphrase is set.
+     * @private
+     */
+    getKey(kdf) {
+        if (!this.passphrase) {
+            throw new EncryptionError(`${this.dataFile} is encrypted. Set ${ENCRYPTION.PASSPHRASE_ENV} or enter the passphrase when asked`);
+        }
+
+        if (!this.keys.has(kdf.salt)) {
+            this.keys.set(kdf.salt, encryption.deriveKey(this.passphrase, kdf));
+        }
+
+        return this.keys.get(kdf.salt);
+    }
+
+    /**
+     * Copies the data file aside before it is replaced by a newer schema version.
+     * An existing backup for the same version is kept, since it holds the oldest data.
+     * @method backupBeforeMigration
+     * @param {number} fromVersion - Schema version of the file being replaced.
+     * @returns {string} Path to the backup file.
+     * @private
+     */
+    backupBeforeMigration(fromVersion) {
+        const backupFile = `${this.dataFile}.v${fromVersion}.bak`;
+
+        if (!fs.existsSync(backupFile)) {
+            fs.copyFileSync(this.dataFile, backupFile);
+        }
+
+        return backupFile;
+    }
+
     /**
      * Reads and parses data from a specific file path.
      * @method readFile
@@ -98,13 +588,89 @@ class StorageService {
      */
     writeFile(filePath, data) {
         try {
-            fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+            this.writeAtomic(filePath, JSON.stringify(data, null, 2));
             return true;
         } catch (error) {
             throw new Error(`Failed to write file: ${error.message}`);
         }
     }
 
+    /**
+     * Writes content to a temporary file, flushes it to disk and renames it over the target.
+     * Readers therefore only ever see the old or the new content, never a truncated file.
+     * @method writeAtomic
+     * @param {string} filePath - Path to the file to replace.
+     * @param {string} content - Content to write.
+     * @returns {void}
+     * @private
+     */
+    writeAtomic(filePath, content) {
+        const tempFile = `${filePath}.${process.pid}.tmp`;
+
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+            const fd = fs.openSync(tempFile, 'w');
+            try {
+                fs.writeFileSync(fd, content);
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+
+            fs.renameSync(tempFile, filePath);
+        } catch (error) {
+            fs.rmSync(tempFile, { force: true });
+            throw error;
+        }
+
+        this.syncDirectory(path.dirname(filePath));
+    }
+
+    /**
+     * Flushes a directory entry so a completed rename survives a crash.
+     * Not supported on every platform, so failures are ignored.
+     * @method syncDirectory
+     * @param {string} dirPath - Directory to flush.
+     * @returns {void}
+     * @private
+     */
+    syncDirectory(dirPath) {
+        let fd;
+        try {
+            fd = fs.openSync(dirPath, 'r');
+            fs.fsyncSync(fd);
+        } catch {
+            // Directory fsync is best-effort
+        } finally {
+            if (fd !== undefined) fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Runs a function while holding the advisory lock on the data file.
+     * Calls may be nested; the lock is only released when the outermost call finishes.
+     * @method withLock
+     * @param {Function} fn - Function to run while the lock is held.
+     * @returns {*} The return value of `fn`.
+     * @throws {Error} If the lock cannot be acquired, or whatever `fn` throws.
+     */
+    withLock(fn) {
+        if (this.lockDepth === 0) {
+            fileLock.acquire(this.lockFile);
+        }
+
+        this.lockDepth++;
+        try {
+            return fn();
+        } finally {
+            this.lockDepth--;
+            if (this.lockDepth === 0) {
+                fileLock.release(this.lockFile);
+            }
+        }
+    }
+
     /**
      * Checks if a file exists at the specified path.
      * @method fileExists
@@ -116,6 +682,12 @@ class StorageService {
     }
 }
 
+/**
+ * StorageService class export.
+ * @exports StorageService
+ */
+export { StorageService };
+
 /**
  * Default StorageService instance.
  * @type {StorageService}
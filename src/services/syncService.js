@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Sync service for merging two copies of a task list.
+ * @module services/syncService
+ * @description Works out a three-way merge of two task lists against the state of their last sync.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { SYNC, SYNC_STRATEGY, JOURNAL_EVENT } from '../config/constants.js';
+import { canonicalize } from './backupService.js';
+import { ids } from '../utils/ids.js';
+
+/**
+ * Fields that are derived from other changes or merged from both sides, and never conflict on their own.
+ * @type {Array<string>}
+ * @private
+ */
+const DERIVED_FIELDS = ['updatedAt', 'completedAt', 'history', 'timeEntries'];
+
+/**
+ * A task both sides changed in incompatible ways.
+ * @typedef {Object} SyncConflict
+ * @property {number} id - Task ID, in the local list if the task is there.
+ * @property {string} uid - Task identity; answers to conflicts are given by it.
+ * @property {string} type - `edit` if both sides changed the same fields, `delete` if one side deleted a task the other changed.
+ * @property {Array<string>} fields - Fields changed differently on both sides (empty for `delete` conflicts).
+ * @property {Todo|null} local - The local task, or null if it was deleted locally.
+ * @property {Todo|null} remote - The other file's task, or null if it was deleted there.
+ * @property {string|null} [deletedAt] - For `delete` conflicts, when the task was deleted, if the journal still tells.
+ * @property {string|null} resolution - `ours` or `theirs`, or null if the conflict is unresolved.
+ */
+
+/**
+ * The two sides of a sync and what is known about their common past.
+ * @typedef {Object} SyncInput
+ * @property {Array<Todo>} local - Local tasks.
+ * @property {Array<Todo>} remote - Tasks in the other file.
+ * @property {Array<Todo>|null} base - Tasks as they were after the last sync, or null before the first one.
+ * @property {Object<string, string>} tombstones - When deleted tasks were deleted by identity, from the last sync.
+ * @property {Map<string, string>} localDeletes - When tasks were deleted locally, as far as the journal tells.
+ * @property {Map<string, string>} remoteDeletes - When tasks were deleted in the other file, as far as its journal tells.
+ * @property {function(): number} nextId - Hands out an ID that is free on both sides, for tasks whose ID is taken locally.
+ */
+
+/**
+ * Result of merging two task lists.
+ * @typedef {Object} SyncMerge
+ * @property {Array<Todo>} tasks - The merged tasks both sides should hold.
+ * @property {Object<string, string>} tombstones - Identities of deleted tasks to remember, with their deletion time.
+ * @property {Array<SyncConflict>} conflicts - Every conflict found, resolved or not.
+ */
+
+/**
+ * Compares two field values or tasks by content, regardless of the order of their fields.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean} True if both have the same content.
+ * @private
+ */
+function same(a, b) {
+    return canonicalize(a) === canonicalize(b);
+}
+
+/**
+ * Gets the identity a task is matched by. Tasks are only without one before their data was upgraded.
+ * @param {Todo} task - Task to identify.
+ * @returns {string} The task's `uid`.
+ * @private
+ */
+function identity(task) {
+    return task.uid ?? ids.legacyUid(task.id);
+}
+
+/**
+ * Gets when a task was last changed.
+ * @param {Todo} task - Task to check.
+ * @returns {string} ISO timestamp.
+ * @private
+ */
+function changedAt(task) {
+    return task.updatedAt ?? task.createdAt ?? '';
+}
+
+/**
+ * Service class for three-way merges of task lists.
+ * @class SyncService
+ * @description Tasks are matched by `uid`, since each file hands out its own short IDs. A field changed on one side only
+ * takes that side's value; a field changed differently on both sides is a conflict. Deletions are detected against
+ * the last sync and remembered as tombstones.
+ */
+class SyncService {
+    /**
+     * Derives the name the last-sync base for another file is stored under.
+     * @method getKey
+     * @param {string} file - Path to the other file.
+     * @returns {string} Short hash of the absolute path.
+     */
+    getKey(file) {
+        return crypto.createHash('sha256').update(path.resolve(file)).digest('hex').slice(0, 16);
+    }
+
+    /**
+     * Finds when tasks were deleted, from the delete events in a journal.
+     * @method deletionTimes
+     * @param {Array<JournalEvent>} events - Recorded events, oldest first.
+     * @returns {Map<string, string>} Deletion time by task identity.
+     */
+    deletionTimes(events) {
+        return new Map(events.filter(event => event.type === JOURNAL_EVENT.DELETE).map(event => [identity(event.task ?? event), event.at]));
+    }
+
+    /**
+     * Merges two task lists. Conflicts are settled by `resolve`; unresolved ones keep the local version in `tasks`.
+     * Merged tasks keep their local ID; tasks new to this list keep the other file's ID unless it is taken here.
+     * @method merge
+     * @param {SyncInput} input - Both sides and their common past.
+     * @param {function(SyncConflict): (string|null)} resolve - Picks `ours` or `theirs` for a conflict, or null to leave it open.
+     * @returns {SyncMerge} The merged tasks, the tombstones to keep and the conflicts.
+     */
+    merge({ local, remote, base, tombstones, localDeletes, remoteDeletes, nextId }, resolve) {
+        const locals = new Map(local.map(task => [identity(task), task]));
+        const remotes = new Map(remote.map(task => [identity(task), task]));
+        const bases = new Map((base ?? []).map(task => [identity(task), task]));
+        const uids = [...new Set([...locals.keys(), ...remotes.keys(), ...bases.keys()])];
+        const now = new Date().toISOString();
+
+        const tasks = [];
+        const conflicts = [];
+        const kept = { ...tombstones };
+
+        const settle = (conflict) => {
+            conflict.resolution = resolve(conflict);
+            conflicts.push(conflict);
+            return conflict.resolution ?? SYNC_STRATEGY.OURS;
+        };
+
+        uids.forEach(uid => {
+            const l = locals.get(uid) ?? null;
+            const r = remotes.get(uid) ?? null;
+            const b = bases.get(uid) ?? null;
+            let task = null;
+
+            if (l && r) {
+                task = this.mergeTask(l, r, b, settle);
+            } else if (l || r) {
+                const present = l ?? r;
+                const deletes = l ? remoteDeletes : localDeletes;
+
+                if (b && !same(present, b)) {
+                    // Changed on one side, deleted on the other
+                    const side = settle({ id: present.id, uid, type: 'delete', fields: [], local: l, remote: r, deletedAt: deletes.get(uid) ?? null });
+                    task = (side === SYNC_STRATEGY.OURS) === Boolean(l) ? present : null;
+                } else if (b) {
+                    task = null; // Unchanged on one side, deleted on the other
+                } else if (kept[uid] && changedAt(present) <= kept[uid]) {
+                    task = null; // A stale copy of a task deleted before
+                } else {
+                    task = present;
+                }
+
+                if (!task) {
+                    kept[uid] ??= deletes.get(uid) ?? now;
+                }
+            } else {
+                kept[uid] ??= localDeletes.get(uid) ?? remoteDeletes.get(uid) ?? now;
+            }
+
+            if (task) {
+                tasks.push(task);
+                delete kept[uid];
+            }
+        });
+
+        return { tasks: this.assignIds(tasks, locals, nextId), tombstones: this.pruneTombstones(kept), conflicts };
+    }
+
+    /**
+     * Builds the resolver for a `--strategy` policy.
+     * @method strategy
+     * @param {string} name - One of `SYNC_STRATEGY`.
+     * @returns {function(SyncConflict): string} Resolver for `merge`.
+     */
+    strategy(name) {
+        return (conflict) => {
+            if (name !== SYNC_STRATEGY.NEWEST) return name;
+
+            const { local, remote, deletedAt } = conflict;
+            if (local && remote) {
+                return changedAt(remote) > changedAt(local) ? SYNC_STRATEGY.THEIRS : SYNC_STRATEGY.OURS;
+            }
+
+            // Without a known deletion time, keep the changed task rather than lose it
+            const keepSide = local ? SYNC_STRATEGY.OURS : SYNC_STRATEGY.THEIRS;
+            const deleteSide = local ? SYNC_STRATEGY.THEIRS : SYNC_STRATEGY.OURS;
+            return deletedAt && deletedAt > changedAt(local ?? remote) ? deleteSide : keepSide;
+        };
+    }
+
+    /**
+     * Merges two versions of the same task field by field.
+     * @method mergeTask
+     * @param {Todo} local - Local version.
+     * @param {Todo} remote - The other file's version.
+     * @param {Todo|null} base - Version after the last sync, or null if unknown.
+     * @param {function(SyncConflict): string} settle - Records a conflict and picks a side.
+     * @returns {Todo} The merged task.
+     * @private
+     */
+    mergeTask(local, remote, base, settle) {
+        if (same(local, remote)) {
+            return local;
+        }
+
+        const merged = {};
+        const fields = [];
+        const keys = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(base ?? {})]);
+
+        keys.forEach(key => {
+            if (DERIVED_FIELDS.includes(key)) return;
+            if (key === 'id') {
+                merged.id = local.id;
+                return;
+            }
+
+            const ours = local[key];
+            const theirs = remote[key];
+            const before = base?.[key];
+
+            if (same(ours, theirs) || same(theirs, before)) {
+                merged[key] = ours;
+            } else if (same(ours, before)) {
+                merged[key] = theirs;
+            } else {
+                merged[key] = ours;
+                fields.push(key);
+            }
+        });
+
+        if (fields.length > 0) {
+            const side = settle({ id: local.id, uid: identity(local), type: 'edit', fields, local, remote });
+            if (side === SYNC_STRATEGY.THEIRS) {
+                fields.forEach(key => { merged[key] = remote[key]; });
+            }
+        }
+
+        // The latest change time wins, and a completed task keeps its earliest completion time
+        merged.updatedAt = [local.updatedAt, remote.updatedAt].filter(Boolean).sort().pop();
+        merged.completedAt = merged.completed
+            ? [local, remote].filter(task => task.completed).map(task => task.completedAt).filter(Boolean).sort()[0]
+            : undefined;
+
+        // Both sides' changes are kept in the history, in the order they were made
+        const history = [...(local.history ?? []), ...(remote.history ?? [])]
+            .filter((change, index, all) => all.findIndex(other => same(other, change)) === index)
+            .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+        merged.history = history.length > 0 ? history : undefined;
+
+        // Time spent on either side counts, and a timer stopped on one side is stopped
+        const entries = new Map();
+        [...(local.timeEntries ?? []), ...(remote.timeEntries ?? [])].forEach(entry => {
+            const known = entries.get(entry.start);
+            if (!known || (!known.end && entry.end)) entries.set(entry.start, entry);
+        });
+        merged.timeEntries = entries.size > 0
+            ? [...entries.values()].sort((a, b) => String(a.start).localeCompare(String(b.start)))
+            : undefined;
+
+        const result = Object.fromEntries(Object.entries(merged).filter(([, value]) => value !== undefined));
+        if (same(result, local)) return local;
+        return same(result, remote) ? remote : result;
+    }
+
+    /**
+     * Gives tasks new to the local list a new ID if theirs is already used there. Subtasks and tasks waiting for
+     * others that are new to the local list follow them to their new ID.
+     * @method assignIds
+     * @param {Array<Todo>} tasks - Merged tasks.
+     * @param {Map<string, Todo>} locals - Local tasks by identity.
+     * @param {function(): number} nextId - Hands out a free ID.
+     * @returns {Array<Todo>} The merged tasks with unique IDs.
+     * @private
+     */
+    assignIds(tasks, locals, nextId) {
+        const taken = new Set([...locals.values()].map(task => task.id));
+        const renumbered = new Map();
+
+        const assigned = tasks.map(task => {
+            if (locals.has(identity(task)) || !taken.has(task.id)) {
+                taken.add(task.id);
+                return task;
+            }
+
+            const id = nextId();
+            taken.add(id);
+            renumbered.set(task.id, id);
+            return { ...task, id };
+        });
+
+        const renumber = id => renumbered.get(id) ?? id;
+        return assigned.map(task => {
+            if (locals.has(identity(task))) return task;
+
+            if (renumbered.has(task.parentId)) {
+                task = { ...task, parentId: renumber(task.parentId) };
+            }
+            if (task.blockedBy?.some(id => renumbered.has(id))) {
+                task = { ...task, blockedBy: task.blockedBy.map(renumber) };
+            }
+            return task;
+        });
+    }
+
+    /**
+     * Forgets tombstones older than `SYNC.TOMBSTONE_DAYS`.
+     * @method pruneTombstones
+     * @param {Object<string, string>} tombstones - Deletion times by task identity.
+     * @returns {Object<string, string>} The tombstones to keep.
+     * @private
+     */
+    pruneTombstones(tombstones) {
+        const cutoff = new Date(Date.now() - SYNC.TOMBSTONE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        return Object.fromEntries(Object.entries(tombstones).filter(([, deletedAt]) => deletedAt >= cutoff));
+    }
+}
+
+/**
+ * SyncService class export.
+ * @exports SyncService
+ */
+export { SyncService };
+
+/**
+ * Default SyncService instance.
+ * @type {SyncService}
+ * @exports syncService
+ */
+export default new SyncService();
@@ -4,20 +4,56 @@
  * @description Provides methods for CRUD operations, filtering, searching, and statistics for todos.
  */
 
-import storageService from './storageService.js';
-import { PRIORITY, MESSAGES } from '../config/constants.js';
+import configService from './configService.js';
+import locationService from './locationService.js';
+import { createAdapter } from './adapters/createAdapter.js';
+import doctorService from './doctorService.js';
+import syncService from './syncService.js';
+import migrationService from './migrationService.js';
+import undoService from './undoService.js';
+import { ids } from '../utils/ids.js';
+import { parser } from '../utils/parser.js';
+import { recurrence } from '../utils/recurrence.js';
+import { timeTracking } from '../utils/timeTracking.js';
+import { PRIORITY, MESSAGES, TASK_ID, SUBTASK_DELETION, RECURRENCE_MODE, TASK_HISTORY, TIME_TRACKING } from '../config/constants.js';
 
 /**
  * @typedef {Object} Todo
- * @property {number} id - Unique identifier for the todo.
+ * @property {number} id - Short identifier of the todo, unique within its list and never reused there.
+ * @property {string} uid - Identity that stays with the todo when it moves to another list or is synced to another file.
  * @property {string} description - Task description.
  * @property {boolean} completed - Completion status.
  * @property {string} priority - Priority level (high, medium, low).
  * @property {string|null} dueDate - Due date in YYYY-MM-DD format.
- * @property {string|null} tag - Tag associated with the task.
+ * @property {Array<string>} tags - Tags associated with the task, normalized and without duplicates.
+ * @property {number} [parentId] - ID of the task this one is a subtask of.
+ * @property {Array<number>} [blockedBy] - IDs of the tasks that have to be completed before this one.
+ * @property {Recurrence} [recurrence] - When the task comes back; only the latest occurrence of a recurring task has it.
+ * @property {string} [notes] - Longer text about the task, like links or acceptance criteria.
+ * @property {Array<Annotation>} [annotations] - Short notes added over time, oldest first.
+ * @property {Array<FieldChange>} [history] - Changes made to the task since it was created, oldest first.
+ * @property {Array<TimeEntry>} [timeEntries] - Time spent on the task, oldest first.
  * @property {string} createdAt - ISO timestamp of creation.
  * @property {string} [updatedAt] - ISO timestamp of last update.
  * @property {string} [completedAt] - ISO timestamp of completion.
+ * @property {string} [deletedAt] - ISO timestamp of deletion, while the todo is in the trash.
+ * @property {string} [archivedAt] - ISO timestamp of archiving, while the todo is in the archive.
+ */
+
+/**
+ * A short note added to a task, like a progress update.
+ * @typedef {Object} Annotation
+ * @property {string} at - ISO timestamp of when it was added.
+ * @property {string} text - The note.
+ */
+
+/**
+ * A change to one field of a task.
+ * @typedef {Object} FieldChange
+ * @property {string} at - ISO timestamp of the change.
+ * @property {string} field - Name of the field.
+ * @property {*} from - Value before the change, or null if the field was not set.
+ * @property {*} to - Value after the change, or null if the field was removed.
  */
 
 /**
@@ -26,6 +62,7 @@ import { PRIORITY, MESSAGES } from '../config/constants.js';
  * @property {number} completed - Number of completed tasks.
  * @property {number} pending - Number of pending tasks.
  * @property {number} percentage - Completion percentage (0-100).
+ * @property {number} archived - Number of tasks in the archive.
  * @property {string} motivationalMessage - Motivational message based on progress.
  */
 
@@ -35,45 +72,467 @@ import { PRIORITY, MESSAGES } from '../config/constants.js';
  * @property {Todo} updated - The todo after update.
  */
 
+/**
+ * @typedef {Object} BulkResult
+ * @property {Array<Todo>} changed - Tasks that were changed, as they are now; deleted tasks as they were.
+ * @property {Array<{todo: Todo, reason: string}>} skipped - Tasks that were left as they were, and why.
+ */
+
+/**
+ * A task in its place in the tree of tasks and subtasks.
+ * @typedef {Object} OutlineEntry
+ * @property {Todo} todo - The task.
+ * @property {number} depth - How deep the task is nested; 0 for a task that is not a subtask.
+ * @property {{done: number, total: number}|null} progress - Completed and total subtasks, or null if it has none.
+ * @property {Array<number>} blockedBy - IDs of the pending tasks in the list the task waits for.
+ */
+
+/**
+ * @typedef {Object} CompleteResult
+ * @property {Array<Todo>} changed - Completed tasks, followed by parents completed with them.
+ * @property {Array<{todo: Todo, reason: string}>} skipped - Tasks that were already completed.
+ * @property {Array<Todo>} unblocked - Tasks in the list that waited for the completed ones and no longer wait for any task.
+ * @property {Array<Todo>} spawned - Next occurrences of the completed recurring tasks.
+ * @property {Array<StoppedTimer>} stopped - Timers of the completed tasks that were running.
+ */
+
+/**
+ * A timer that was stopped.
+ * @typedef {Object} StoppedTimer
+ * @property {Todo} todo - The task it ran for, as it is now.
+ * @property {number} seconds - How long it ran, in whole seconds.
+ */
+
+/**
+ * @typedef {Object} StartResult
+ * @property {Todo} started - The task whose timer is running now.
+ * @property {StoppedTimer|null} stopped - The timer that was running for another task, or null if there was none.
+ */
+
+/**
+ * Time spent on tasks within a period.
+ * @typedef {Object} Timesheet
+ * @property {Array<{todo: Todo, seconds: number}>} tasks - Tasks time was spent on, in list order.
+ * @property {Array<{tag: string, seconds: number}>} tags - Time spent per tag, most first; a task with several tags
+ * counts for each of them, and time spent on tasks without tags counts for `TIME_TRACKING.UNTAGGED`.
+ * @property {number} total - Time spent on all the tasks, in whole seconds.
+ */
+
+/**
+ * @typedef {Object} TagCount
+ * @property {string} tag - The tag.
+ * @property {number} pending - Number of pending tasks in the list with the tag.
+ * @property {number} completed - Number of completed tasks in the list with the tag.
+ */
+
 /**
  * @typedef {Object} ClearResult
  * @property {number} cleared - Number of tasks cleared.
  * @property {number} remaining - Number of tasks remaining.
  */
 
+/**
+ * @typedef {Object} ArchiveResult
+ * @property {Array<Todo>} archived - Tasks moved to the archive.
+ * @property {number} remaining - Number of tasks remaining in the list.
+ */
+
+/**
+ * @typedef {Object} PurgeResult
+ * @property {Array<Todo>} purged - Tasks removed from the trash for good.
+ * @property {number} remaining - Number of tasks left in the trash.
+ */
+
 /**
  * @typedef {Object} ImportResult
  * @property {number} imported - Number of tasks imported.
+ * @property {Array<{position: number, reason: string}>} skipped - Records that are not tasks, by their position in
+ * the import data (1 is the first), and why.
  * @property {number} total - Total number of tasks after import.
  */
 
+/**
+ * @typedef {Object} RestoreResult
+ * @property {Snapshot} snapshot - The snapshot that was restored.
+ * @property {SnapshotDiff} diff - Changes applied to the current tasks.
+ * @property {Snapshot|null} backup - Snapshot of the tasks as they were before restoring.
+ */
+
+/**
+ * @typedef {Object} DoctorResult
+ * @property {Array<DoctorIssue>} issues - Problems found, in task order.
+ * @property {boolean} fixed - Whether the problems were fixed.
+ * @property {number} total - Number of tasks after fixing, or that would remain after fixing.
+ * @property {Snapshot|null} backup - Snapshot taken before fixing.
+ */
+
+/**
+ * @typedef {Object} SyncResult
+ * @property {boolean} applied - Whether the merge was written; false for a dry run or while conflicts are unresolved.
+ * @property {boolean} firstSync - Whether the two files had not been synced before.
+ * @property {Array<SyncConflict>} conflicts - Conflicts found and how they were resolved.
+ * @property {SnapshotDiff} local - Changes to the local tasks.
+ * @property {SnapshotDiff} remote - Changes to the tasks in the other file.
+ */
+
+/**
+ * Works out the point in time a number of days ago.
+ * @param {number} days - Number of days.
+ * @returns {number} Milliseconds since the epoch.
+ * @private
+ */
+function daysAgo(days) {
+    return Date.now() - days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Checks whether a task is in the list, rather than in the trash or the archive.
+ * @param {Todo} todo - The task.
+ * @returns {boolean} True if commands should show and change the task.
+ * @private
+ */
+function isListed(todo) {
+    return !todo.deletedAt && !todo.archivedAt;
+}
+
+/**
+ * Arranges tasks depth first, each subtask right after its parent and its parent's earlier subtasks.
+ * Subtasks whose parent is not among the tasks are placed at the top level.
+ * @param {Array<Todo>} todos - The tasks, in list order.
+ * @returns {Array<{todo: Todo, depth: number}>} The tasks in tree order with how deep each is nested.
+ * @private
+ */
+function treeOrder(todos) {
+    const present = new Set(todos.map(todo => todo.id));
+    const children = new Map();
+    todos.forEach(todo => {
+        const parent = present.has(todo.parentId) ? todo.parentId : null;
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(todo);
+    });
+
+    const entries = [];
+    const visited = new Set();
+    const visit = (todo, depth) => {
+        if (visited.has(todo)) return;
+        visited.add(todo);
+        entries.push({ todo, depth });
+        (children.get(todo.id) ?? []).forEach(child => visit(child, depth + 1));
+    };
+
+    (children.get(null) ?? []).forEach(todo => visit(todo, 0));
+    // Tasks whose parents form a cycle cannot be reached from the top level
+    todos.forEach(todo => visit(todo, 0));
+
+    return entries;
+}
+
+/**
+ * Maps the IDs a task refers to, dropping those without a new ID.
+ * @param {Array<number>|undefined} taskIds - The IDs, e.g. the tasks a task waits for.
+ * @param {Map<number, number>} newIds - New ID for each old one.
+ * @returns {Array<number>|undefined} The new IDs, or undefined if none is left.
+ * @private
+ */
+function remapIds(taskIds, newIds) {
+    const mapped = (taskIds ?? []).filter(id => newIds.has(id)).map(id => newIds.get(id));
+    return mapped.length > 0 ? mapped : undefined;
+}
+
+/**
+ * Adds the fields an update changes to the history of a task, which keeps every change.
+ * @param {Todo} todo - The task before the update.
+ * @param {Object} changes - Fields the update sets; fields set to `undefined` are removed.
+ * @param {string} at - ISO timestamp of the update.
+ * @returns {Array<FieldChange>|undefined} The history after the update, or undefined if there is none.
+ * @private
+ */
+function trackChanges(todo, changes, at) {
+    const tracked = Object.entries(changes)
+        .filter(([field, value]) => !TASK_HISTORY.UNTRACKED_FIELDS.includes(field) &&
+            JSON.stringify(todo[field] ?? null) !== JSON.stringify(value ?? null))
+        .map(([field, value]) => ({ at, field, from: todo[field] ?? null, to: value ?? null }));
+    const history = [...(todo.history ?? []), ...tracked];
+
+    return history.length > 0 ? history : undefined;
+}
+
+/**
+ * Ends the running entries among the time entries of a task.
+ * @param {Array<TimeEntry>|undefined} entries - The entries.
+ * @param {string} at - ISO timestamp to end them at.
+ * @returns {Array<TimeEntry>|undefined} The entries, all of them ended.
+ * @private
+ */
+function stopEntries(entries, at) {
+    return entries?.map(entry => entry.end ? entry : { ...entry, end: at });
+}
+
+/**
+ * Tells why a record of import data cannot be imported as a task.
+ * @param {*} record - The record.
+ * @returns {string|null} The reason, or null if it can be imported.
+ * @private
+ */
+function importProblem(record) {
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        return 'not a task';
+    }
+    if (typeof record.description !== 'string' || record.description.trim() === '') {
+        return 'no description';
+    }
+    return null;
+}
+
+/**
+ * Cleans up the fields of an imported task that the rest of the application relies on. The trash, the archive and
+ * the history carry over, like they do in backups, as long as they are well-formed; running timers are stopped, since
+ * they ran in another list.
+ * @param {Object} record - The record, which has a description.
+ * @param {string} at - ISO timestamp of the import, to end running time entries at.
+ * @returns {Object} The task fields to store.
+ * @private
+ */
+function importedFields(record, at) {
+    const isTime = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    const completed = record.completed === true;
+    const history = (Array.isArray(record.history) ? record.history : [])
+        .filter(change => isTime(change?.at) && typeof change.field === 'string');
+    const timeEntries = (Array.isArray(record.timeEntries) ? record.timeEntries : [])
+        .filter(entry => isTime(entry?.start) && (entry.end === undefined || isTime(entry.end)));
+
+    return {
+        ...record,
+        completed,
+        priority: Object.values(PRIORITY).includes(record.priority) ? record.priority : PRIORITY.MEDIUM,
+        tags: Array.isArray(record.tags) ? record.tags.filter(tag => typeof tag === 'string') : [],
+        deletedAt: isTime(record.deletedAt) ? record.deletedAt : undefined,
+        archivedAt: completed && isTime(record.archivedAt) ? record.archivedAt : undefined,
+        history: history.length > 0 ? history : undefined,
+        timeEntries: timeEntries.length > 0 ? stopEntries(timeEntries, at) : undefined
+    };
+}
+
+/**
+ * Checks whether a task matches a tag filter.
+ * @param {Todo} todo - The task.
+ * @param {TagFilter} filter - Groups of tags; the task needs all tags of at least one group.
+ * @returns {boolean} True if the task matches.
+ * @private
+ */
+function hasTags(todo, filter) {
+    const tags = todo.tags ?? [];
+    return filter.some(group => group.every(tag => tags.includes(tag)));
+}
+
+/**
+ * Builds the git commit message for a change to one task.
+ * @param {string} action - What happened, e.g. `complete`.
+ * @param {Todo} todo - The task.
+ * @returns {string} Message like `complete: Fix bug (id 123)`.
+ * @private
+ */
+function taskMessage(action, todo) {
+    return `${action}: ${todo.description} (id ${todo.id})`;
+}
+
+/**
+ * Builds the git commit message for a change to several tasks.
+ * @param {string} action - What happened, e.g. `complete`.
+ * @param {Array<Todo>} todos - The tasks that changed.
+ * @returns {string} Message like `complete: 3 task(s) (ids 3, 5, 7)`, or the message for one task.
+ * @private
+ */
+function bulkMessage(action, todos) {
+    if (todos.length === 1) {
+        return taskMessage(action, todos[0]);
+    }
+
+    const listed = todos.slice(0, TASK_ID.MAX_CANDIDATES).map(todo => todo.id);
+    const more = todos.length - listed.length;
+    return `${action}: ${todos.length} task(s) (ids ${listed.join(', ')}${more > 0 ? ` and ${more} more` : ''})`;
+}
+
+/**
+ * Builds the git commit message for undoing or redoing operations.
+ * @param {string} action - `undo` or `redo`.
+ * @param {Array<Operation>} operations - The operations.
+ * @returns {string} Message like `undo: complete: Fix bug (id 3)`, or `undo: 3 operation(s)`.
+ * @private
+ */
+function operationMessage(action, operations) {
+    return operations.length === 1 ? `${action}: ${operations[0].message}` : `${action}: ${operations.length} operation(s)`;
+}
+
 /**
  * Service class for managing todos.
  * @class TodoService
  * @description Handles all business logic for todo operations including CRUD, filtering, and statistics.
+ * Every read-modify-write cycle runs in a storage transaction so concurrent processes cannot drop each other's changes.
  */
 class TodoService {
     /**
      * Creates a new TodoService instance.
-     * @param {StorageService} storage - Storage service instance for data persistence.
+     * @param {StorageAdapter|null} [storage=null] - Storage adapter used for data persistence, or null to use the
+     * configured backend and data file once the tasks are first needed.
      * @constructor
      */
-    constructor(storage) {
+    constructor(storage = null) {
+        /**
+         * Storage adapter instance, or null until it is first needed.
+         * @type {StorageAdapter|null}
+         * @private
+         */
+        this.adapter = storage;
+
+        /**
+         * Repository changes are committed to, or null if the history is not kept in git.
+         * @type {GitService|null}
+         * @private
+         */
+        this.git = null;
+
         /**
-         * Storage service instance.
-         * @type {StorageService}
+         * Number of nested `recordChange` calls running.
+         * @type {number}
          * @private
          */
-        this.storage = storage;
+        this.changeDepth = 0;
+    }
+
+    /**
+     * Replaces the storage adapter, e.g. after the data file location has been resolved.
+     * @method useStorage
+     * @param {StorageAdapter} storage - Storage adapter to use from now on.
+     * @returns {void}
+     */
+    useStorage(storage) {
+        this.adapter?.close();
+        this.adapter = storage;
+    }
+
+    /**
+     * Storage adapter the tasks are kept in. Unless one was given, it is created from the `storage` setting and the
+     * data file the first time it is used, so reading a broken config does not happen on import.
+     * @type {StorageAdapter}
+     * @throws {Error} If the config file cannot be read, or the storage setting is invalid.
+     * @private
+     */
+    get storage() {
+        if (!this.adapter) {
+            this.adapter = createAdapter(configService.get('storage'), locationService.getDataFile());
+        }
+        return this.adapter;
+    }
+
+    /**
+     * Sets the repository every change is committed to.
+     * @method useGit
+     * @param {GitService|null} git - Repository of the data directory, or null to stop committing.
+     * @returns {void}
+     */
+    useGit(git) {
+        this.git = git;
     }
 
     /**
-     * Retrieves all todos from storage.
+     * Retrieves all todos from storage, except those in the trash or the archive.
      * @method getAll
-     * @returns {Array<Todo>} Array of all todo objects.
+     * @returns {Array<Todo>} Array of all todo objects, each subtask right after its parent.
      */
     getAll() {
-        return this.storage.read();
+        return treeOrder(this.storage.query().filter(isListed)).map(({ todo }) => todo);
+    }
+
+    /**
+     * Arranges todos as a tree for display, with the progress of those that have subtasks in the list.
+     * @method outline
+     * @param {Array<Todo>} todos - The todos to show, e.g. from `filter`.
+     * @returns {Array<OutlineEntry>} The todos in tree order; subtasks whose parent is not shown are at the top level.
+     */
+    outline(todos) {
+        const tasks = this.tasksById();
+
+        // Count the subtasks of every parent at once, rather than looking through the list for each todo
+        const progressOf = new Map();
+        tasks.forEach(subtask => {
+            if (!isListed(subtask)) return;
+            const progress = progressOf.get(subtask.parentId) ?? { done: 0, total: 0 };
+            progress.done += subtask.completed ? 1 : 0;
+            progress.total += 1;
+            progressOf.set(subtask.parentId, progress);
+        });
+
+        return treeOrder(todos).map(({ todo, depth }) => ({
+            todo,
+            depth,
+            progress: progressOf.get(todo.id) ?? null,
+            blockedBy: this.blockersOf(todo, tasks).map(blocker => blocker.id)
+        }));
+    }
+
+    /**
+     * Finds the tasks a todo still waits for.
+     * @method blockersOf
+     * @param {Todo} todo - The todo.
+     * @param {Map<number, Todo>} [tasks] - Every task by ID, from `tasksById`, when checking many todos; read from
+     * storage by default.
+     * @returns {Array<Todo>} The pending tasks in the list the todo waits for; empty if it can be worked on.
+     */
+    blockersOf(todo, tasks = this.tasksById()) {
+        return (todo.blockedBy ?? [])
+            .map(id => tasks.get(id))
+            .filter(blocker => blocker && isListed(blocker) && !blocker.completed);
+    }
+
+    /**
+     * Reads every task once, for lookups by ID that would otherwise read the storage for each task.
+     * @method tasksById
+     * @returns {Map<number, Todo>} The tasks in the list, the trash and the archive by ID.
+     * @private
+     */
+    tasksById() {
+        return new Map(this.storage.query().map(todo => [todo.id, todo]));
+    }
+
+    /**
+     * Picks the todo to work on next: the actionable one with the highest priority, then the earliest due date,
+     * then the first in the list.
+     * @method next
+     * @returns {Todo|null} The todo, or null if no pending todo can be worked on.
+     */
+    next() {
+        const rank = { [PRIORITY.HIGH]: 0, [PRIORITY.MEDIUM]: 1, [PRIORITY.LOW]: 2 };
+        const [best] = this.filter({ actionable: true })
+            .map(todo => ({ todo, rank: rank[todo.priority] ?? rank[PRIORITY.MEDIUM] }))
+            .sort((a, b) => a.rank - b.rank || (a.todo.dueDate ?? '9999-99-99').localeCompare(b.todo.dueDate ?? '9999-99-99'));
+
+        return best?.todo ?? null;
+    }
+
+    /**
+     * Retrieves the todos in the trash.
+     * @method getTrash
+     * @param {number|null} [olderThanDays=null] - Only todos deleted more than this many days ago.
+     * @returns {Array<Todo>} Deleted todos, in list order.
+     */
+    getTrash(olderThanDays = null) {
+        const trash = this.storage.query().filter(todo => todo.deletedAt);
+        if (olderThanDays === null) {
+            return trash;
+        }
+
+        const cutoff = daysAgo(olderThanDays);
+        return trash.filter(todo => Date.parse(todo.deletedAt) < cutoff);
+    }
+
+    /**
+     * Retrieves the todos in the archive.
+     * @method getArchive
+     * @returns {Array<Todo>} Archived todos, in list order.
+     */
+    getArchive() {
+        return this.storage.query().filter(todo => todo.archivedAt && !todo.deletedAt);
     }
 
     /**
@@ -81,19 +540,83 @@ class TodoService {
      * @method getById
      * @param {number} id - The ID of the todo to retrieve.
      * @returns {Todo} The todo object with the specified ID.
-     * @throws {Error} If the todo with the specified ID is not found.
+     * @throws {Error} If the todo with the specified ID is not found, or is in the trash or the archive.
      */
     getById(id) {
-        const todos = this.getAll();
-        const todo = todos.find(t => t.id === id);
+        const todo = this.storage.get(id);
 
         if (!todo) {
             throw new Error(`Task with ID ${id} not found`);
         }
 
+        if (todo.deletedAt) {
+            throw new Error(`Task with ID ${id} is in the trash. Bring it back with: todo restore ${id}`);
+        }
+
+        if (todo.archivedAt) {
+            throw new Error(`Task with ID ${id} is archived. Bring it back with: todo unarchive ${id}`);
+        }
+
         return todo;
     }
 
+    /**
+     * Resolves a task reference to the ID of a task in this list.
+     * @method resolveId
+     * @param {number|string} ref - An ID, the start of one, or a list position like `@3`, as returned by `validator.validateId`.
+     * @returns {number} Task ID.
+     * @throws {Error} If no task matches, or the reference is the start of several IDs.
+     */
+    resolveId(ref) {
+        return ids.resolve(ref, this.getAll());
+    }
+
+    /**
+     * Finds the tasks a command that changes several tasks at once should work on.
+     * @method select
+     * @param {TaskSelection} selection - References and filters, as returned by `validator.validateSelection`.
+     * @param {ResolveOptions} [options={}] - How references are resolved, e.g. full IDs only for commands that delete tasks.
+     * @returns {Array<Todo>} Referenced tasks that match the filters, in the order they were named;
+     * with filters alone, the matching tasks in list order.
+     * @throws {Error} If a reference cannot be resolved, or a range contains no task.
+     */
+    select({ refs = [], filters = {} }, options = {}) {
+        const todos = this.getAll();
+        const matching = Object.keys(filters).length > 0 ? this.filter(filters) : todos;
+        if (refs.length === 0) {
+            return matching;
+        }
+
+        const matchingIds = new Set(matching.map(todo => todo.id));
+        return ids.resolveAll(refs, todos, options)
+            .filter(id => matchingIds.has(id))
+            .map(id => todos.find(todo => todo.id === id));
+    }
+
+    /**
+     * Finds the todos in the trash that references point to. Positions like `@2` count within the trash.
+     * @method selectTrash
+     * @param {Array<number|string|IdRange>} refs - References and ranges, as returned by `validator.validateIds`.
+     * @returns {Array<Todo>} The referenced todos, in the order they were named.
+     * @throws {Error} If a reference cannot be resolved, or a range contains no task in the trash.
+     */
+    selectTrash(refs) {
+        const trash = this.getTrash();
+        return ids.resolveAll(refs, trash).map(id => trash.find(todo => todo.id === id));
+    }
+
+    /**
+     * Finds the todos in the archive that references point to. Positions like `@2` count within the archive.
+     * @method selectArchive
+     * @param {Array<number|string|IdRange>} refs - References and ranges, as returned by `validator.validateIds`.
+     * @returns {Array<Todo>} The referenced todos, in the order they were named.
+     * @throws {Error} If a reference cannot be resolved, or a range contains no archived task.
+     */
+    selectArchive(refs) {
+        const archive = this.getArchive();
+        return ids.resolveAll(refs, archive).map(id => archive.find(todo => todo.id === id));
+    }
+
     /**
      * Creates a new todo.
      * @method create
@@ -101,98 +624,248 @@ class TodoService {
      * @param {string} todoData.description - Task description.
      * @param {string} [todoData.priority=PRIORITY.MEDIUM] - Priority level (high, medium, low).
      * @param {string|null} [todoData.dueDate=null] - Due date in YYYY-MM-DD format.
-     * @param {string|null} [todoData.tag=null] - Tag associated with the task.
+     * @param {Array<string>} [todoData.tags=[]] - Tags associated with the task.
+     * @param {number|null} [todoData.parentId=null] - ID of the task to make this one a subtask of.
+     * @param {Recurrence|null} [todoData.recurrence=null] - When the task comes back once completed. Without a due date,
+     * the task is due on the first day of the schedule from today.
      * @returns {Todo} The newly created todo object.
+     * @throws {Error} If the parent task is not found.
      */
-    create({ description, priority = PRIORITY.MEDIUM, dueDate = null, tag = null}) {
-        const todos = this.getAll();
-
+    create({ description, priority = PRIORITY.MEDIUM, dueDate = null, tags = [], parentId = null, recurrence: rule = null}) {
         const normalizedPriority = priority || PRIORITY.MEDIUM;
+        const due = rule && !dueDate ? recurrence.firstDate(rule, parser.getCurrentDate()) : dueDate;
 
-        const newTodo = {
-            id: Date.now(),
-            description,
-            completed: false,
-            priority: normalizedPriority,
-            dueDate,
-            tag,
-            createdAt: new Date().toISOString()
-        };
-
-        todos.push(newTodo);
-        this.storage.write(todos);
+        return this.recordOperation(() => {
+            if (parentId !== null) {
+                this.getById(parentId);
+            }
 
-        return newTodo;
+            return this.storage.insert({
+                id: this.storage.nextId(),
+                uid: ids.createUid(),
+                description,
+                completed: false,
+                priority: normalizedPriority,
+                dueDate: due,
+                tags,
+                ...(parentId !== null && { parentId }),
+                ...(rule && { recurrence: recurrence.schedule(rule, due) }),
+                createdAt: new Date().toISOString()
+            });
+        }, todo => taskMessage('add', todo));
     }
 
     /**
-     * Updates an existing todo.
+     * Updates an existing todo, adding the changed fields to its history.
      * @method update
      * @param {number} id - The ID of the todo to update.
      * @param {Object} updates - Object containing fields to update.
+     * @param {TagChanges|null} [tagChanges=null] - Tags to add to the todo and remove from it.
      * @returns {UpdateResult} Object containing the old and updated todo.
      * @throws {Error} If the todo with the specified ID is not found.
      */
-    update(id, updates) {
-        const todos = this.getAll();
-        const todoIndex = todos.findIndex(t => t.id === id);
-
-        if (todoIndex === -1) {
-            throw new Error (`Task with ID ${id} not found`);
-        }
-
-        const oldTodo = { ...todos[todoIndex] };
-        todos[todoIndex] = {
-            ...todos[todoIndex],
-            ...updates,
-            updatedAt: new Date().toISOString()
-        };
+    update(id, updates, tagChanges = null) {
+        return this.recordOperation(() => {
+            const oldTodo = this.getById(id);
+            const changes = { ...updates };
 
-        this.storage.write(todos);
+            if (tagChanges) {
+                const kept = (oldTodo.tags ?? []).filter(tag => !tagChanges.remove.includes(tag));
+                changes.tags = [...new Set([...kept, ...tagChanges.add])];
+            }
 
-        return { old: oldTodo, updated: todos[todoIndex] };
+            return { old: oldTodo, updated: this.applyChanges(oldTodo, changes) };
+        }, ({ updated }) => taskMessage('update', updated));
     }
 
     /**
-     * Deletes a todo by its ID.
+     * Deletes a todo by its ID, moving it to the trash. Its subtasks go with it or stay, see the `subtaskDeletion` setting.
      * @method delete
      * @param {number} id - The ID of the todo to delete.
-     * @returns {Todo} The deleted todo object.
+     * @returns {Todo} The deleted todo object, as it is in the trash.
      * @throws {Error} If the todo with the specified ID is not found.
      */
     delete(id) {
-        const todos = this.getAll();
-        const todoIndex = todos.findIndex(t => t.id === id);
+        return this.recordOperation(() => this.deleteTasks([this.getById(id)])[0], todo => taskMessage('delete', todo));
+    }
 
-        if (todoIndex === -1) {
-            throw new Error(`Task with ID ${id} not found`);
+    /**
+     * Deletes several todos in one change, moving them to the trash. Their subtasks go with them or stay,
+     * see the `subtaskDeletion` setting.
+     * @method deleteMany
+     * @param {Array<number>} taskIds - The IDs of the todos to delete.
+     * @returns {BulkResult} The deleted todos, as they are in the trash, followed by subtasks deleted with them.
+     * @throws {Error} If one of the todos is not found; then none is deleted.
+     */
+    deleteMany(taskIds) {
+        return this.recordOperation(() => {
+            const todos = taskIds.map(id => this.getById(id));
+            return { changed: this.deleteTasks(todos), skipped: [] };
+        }, ({ changed }) => bulkMessage('delete', changed));
+    }
+
+    /**
+     * Brings todos back from the trash in one change, along with the subtasks deleted with them.
+     * @method restoreFromTrash
+     * @param {Array<number>} taskIds - The IDs of the todos to bring back.
+     * @returns {BulkResult} The restored todos.
+     * @throws {Error} If one of the todos is not in the trash; then none is restored.
+     */
+    restoreFromTrash(taskIds) {
+        return this.recordOperation(() => ({ changed: this.bringBack(this.deletedWith(taskIds), 'deletedAt', 'trash'), skipped: [] }),
+            ({ changed }) => bulkMessage('restore', changed));
+    }
+
+    /**
+     * Moves completed todos to the archive, where they keep counting in the statistics.
+     * @method archiveCompleted
+     * @param {Object} [options={}] - Archive options.
+     * @param {number|null} [options.olderThanDays=null] - Only archive todos completed more than this many days ago.
+     * @returns {ArchiveResult} The archived todos and the number remaining in the list.
+     */
+    archiveCompleted({ olderThanDays = null } = {}) {
+        return this.recordOperation(() => {
+            const archived = this.moveToArchive(this.completedBefore(olderThanDays));
+            return { archived, remaining: this.getAll().length };
+        }, ({ archived }) => `archive: ${archived.length} completed task(s)`);
+    }
+
+    /**
+     * Archives the todos completed longer ago than the `autoArchiveDays` setting, in one change. Runs before every
+     * command, so nothing is stored, committed or recorded for undo when there is nothing to archive.
+     * @method archiveExpired
+     * @returns {Array<Todo>} The archived todos, as they are in the archive.
+     */
+    archiveExpired() {
+        const days = configService.get('autoArchiveDays');
+        if (!(days > 0) || this.completedBefore(days).length === 0) {
+            return [];
         }
 
-        const deletedTodo = todos[todoIndex];
-        todos.splice(todoIndex, 1);
-        this.storage.write(todos);
+        return this.recordOperation(() => this.moveToArchive(this.completedBefore(days)),
+            archived => `archive: ${archived.length} completed task(s)`);
+    }
+
+    /**
+     * Brings todos back from the archive in one change.
+     * @method unarchive
+     * @param {Array<number>} taskIds - The IDs of the todos to bring back.
+     * @returns {BulkResult} The todos that are back in the list.
+     * @throws {Error} If one of the todos is not in the archive; then none is brought back.
+     */
+    unarchive(taskIds) {
+        return this.recordOperation(() => ({ changed: this.bringBack(taskIds, 'archivedAt', 'archive'), skipped: [] }),
+            ({ changed }) => bulkMessage('unarchive', changed));
+    }
+
+    /**
+     * Removes todos from the trash for good, backing them up first.
+     * @method emptyTrash
+     * @param {Object} [options={}] - Purge options.
+     * @param {number|null} [options.olderThanDays=null] - Only purge todos deleted more than this many days ago.
+     * @returns {PurgeResult} The purged todos and the number left in the trash.
+     */
+    emptyTrash({ olderThanDays = null } = {}) {
+        return this.recordOperation(() => {
+            const purged = this.purge(olderThanDays);
+            return { purged, remaining: this.getTrash().length };
+        }, ({ purged }) => `purge: ${purged.length} task(s) from the trash`);
+    }
+
+    /**
+     * Moves a todo to another list, keeping every field but its ID, which the target list hands out.
+     * The todo is added to the target before it is removed here, so an interruption can leave a copy but never lose it.
+     * @method move
+     * @param {number} id - The ID of the todo to move.
+     * @param {StorageAdapter} target - Storage of the list to move the todo to.
+     * @returns {Todo} The moved todo, with its ID in the target list.
+     * @throws {Error} If the todo is not found.
+     */
+    move(id, target) {
+        return this.recordChange(() => this.storage.transaction(() => {
+            const [moved] = this.moveTo([this.getById(id)], target);
+            this.forgetUndo();
+
+            return moved;
+        }), todo => taskMessage('move', todo), [target]);
+    }
 
-        return deletedTodo;
+    /**
+     * Moves several todos to another list in one change. They get the next IDs of the target list in the given order.
+     * Subtasks stay subtasks if their parent moves with them.
+     * @method moveMany
+     * @param {Array<number>} taskIds - The IDs of the todos to move.
+     * @param {StorageAdapter} target - Storage of the list to move the todos to.
+     * @returns {BulkResult} The moved todos, with their IDs in the target list.
+     * @throws {Error} If one of the todos is not found; then none is moved.
+     */
+    moveMany(taskIds, target) {
+        return this.recordChange(() => this.storage.transaction(() => {
+            const moved = this.moveTo(taskIds.map(id => this.getById(id)), target);
+            this.forgetUndo();
+
+            return { changed: moved, skipped: [] };
+        }), ({ changed }) => bulkMessage('move', changed), [target]);
     }
 
     /**
-     * Marks a todo as completed.
+     * Marks a todo as completed. Its timer stops, todos waiting for it stop waiting, and a recurring todo comes back
+     * with its next due date.
      * @method complete
      * @param {number} id - The ID of the todo to complete.
      * @returns {UpdateResult} Object containing the old and updated todo.
      * @throws {Error} If the todo is already completed or not found.
      */
     complete(id) {
-        const todo = this.getById(id);
+        return this.recordOperation(() => {
+            const todo = this.getById(id);
 
-        if (todo.completed) {
-            throw new Error('Task is already completed');
-        }
+            if (todo.completed) {
+                throw new Error('Task is already completed');
+            }
 
-        return this.update(id, {
-            completed: true,
-            completedAt: new Date().toISOString()
-        });
+            const result = this.update(id, {
+                completed: true,
+                completedAt: new Date().toISOString()
+            });
+            const completed = [result.updated, ...this.completeParents([result.updated])];
+            this.stopTimers(completed);
+            this.unblockDependents(completed);
+            this.spawnOccurrences(completed);
+            this.autoArchive();
+
+            return result;
+        }, ({ updated }) => taskMessage('complete', updated));
+    }
+
+    /**
+     * Marks several todos as completed in one change, skipping those that already are.
+     * @method completeMany
+     * @param {Array<number>} taskIds - The IDs of the todos to complete.
+     * @returns {CompleteResult} The completed todos, followed by parents completed with them, the skipped ones,
+     * the todos no longer blocked, the next occurrences of recurring todos, and the timers that were stopped.
+     * @throws {Error} If one of the todos is not found; then none is changed.
+     */
+    completeMany(taskIds) {
+        return this.recordOperation(() => {
+            const result = { changed: [], skipped: [], unblocked: [], spawned: [], stopped: [] };
+            const completedAt = new Date().toISOString();
+
+            taskIds.map(id => this.getById(id)).forEach(todo => {
+                if (todo.completed) {
+                    result.skipped.push({ todo, reason: 'Task is already completed' });
+                } else {
+                    result.changed.push(this.update(todo.id, { completed: true, completedAt }).updated);
+                }
+            });
+            result.changed.push(...this.completeParents(result.changed));
+            result.stopped = this.stopTimers(result.changed);
+            result.unblocked = this.unblockDependents(result.changed);
+            result.spawned = this.spawnOccurrences(result.changed);
+            this.autoArchive();
+
+            return result;
+        }, ({ changed }) => bulkMessage('complete', changed));
     }
 
     /**
@@ -203,83 +876,370 @@ class TodoService {
      * @throws {Error} If the todo is not completed or not found.
      */
     uncomplete(id) {
-        const todo = this.getById(id);
+        return this.recordOperation(() => {
+            const todo = this.getById(id);
 
-        if (!todo.completed) {
-            throw new Error('Task is not completed yet');
-        }
-
-        const updated = this.update(id, { completed: false });
-        delete updated.updated.completedAt;
-        this.storage.write(this.getAll());
+            if (!todo.completed) {
+                throw new Error('Task is not completed yet');
+            }
 
-        return updated;
+            return this.update(id, { completed: false, completedAt: undefined });
+        }, ({ updated }) => taskMessage('uncomplete', updated));
     }
 
     /**
-     * Filters todos based on various criteria.
-     * @method filter
-     * @param {Object} filters - Filter criteria.
-     * @param {boolean|null} [filters.completed=null] - Filter by completed status (true for completed only).
-     * @param {boolean|null} [filters.pending=null] - Filter by pending status (true for pending only).
-     * @param {string|null} [filters.priority=null] - Filter by priority level.
-     * @param {string|null} [filters.tag=null] - Filter by tag.
-     * @returns {Array<Todo>} Array of filtered todo objects.
+     * Marks several completed todos as incomplete in one change, skipping those that are not completed.
+     * @method uncompleteMany
+     * @param {Array<number>} taskIds - The IDs of the todos to mark as incomplete.
+     * @returns {BulkResult} The changed todos and the skipped ones.
+     * @throws {Error} If one of the todos is not found; then none is changed.
      */
-    filter({ completed = null, pending = null, priority = null, tag = null}) {
-        let todos = this.getAll();
-
-        if (completed === true) {
-            todos = todos.filter(t => t.completed);
-        } else if (pending === true) {
-            todos = todos.filter(t => !t.completed);
-        }
+    uncompleteMany(taskIds) {
+        return this.recordOperation(() => {
+            const result = { changed: [], skipped: [] };
 
-        if (priority) {
-            todos = todos.filter(t => t.priority === priority);
-        }
-
-        if (tag) {
-            todos = todos.filter(t => t.tag === tag);
-        }
+            taskIds.map(id => this.getById(id)).forEach(todo => {
+                if (todo.completed) {
+                    result.changed.push(this.update(todo.id, { completed: false, completedAt: undefined }).updated);
+                } else {
+                    result.skipped.push({ todo, reason: 'Task is not completed yet' });
+                }
+            });
 
-        return todos;
+            return result;
+        }, ({ changed }) => bulkMessage('uncomplete', changed));
     }
 
     /**
-     * Searches todos by keyword in description or tag.
-     * @method search
-     * @param {string} keyword - Search keyword.
-     * @returns {Array<Todo>} Array of todos matching the keyword.
+     * Makes a todo wait for other todos: it is blocked until they are completed.
+     * @method addDependencies
+     * @param {number} id - The ID of the todo that has to wait.
+     * @param {Array<number>} blockerIds - The IDs of the todos to wait for.
+     * @returns {UpdateResult} Object containing the old and updated todo.
+     * @throws {Error} If a todo is not found, a todo to wait for is completed, or the todos would wait for each other.
      */
-    search(keyword) {
-        const todos = this.getAll();
-        const searchTerm = keyword.toLowerCase();
+    addDependencies(id, blockerIds) {
+        return this.recordOperation(() => {
+            const todo = this.getById(id);
 
-        return todos.filter(t => 
-            t.description.toLowerCase().includes(searchTerm) ||
-            (t.tag && t.tag.toLowerCase().includes(searchTerm))
-        );
+            blockerIds.map(blockerId => this.getById(blockerId)).forEach(blocker => {
+                if (blocker.id === todo.id) {
+                    throw new Error('A task cannot wait for itself');
+                }
+                if (blocker.completed) {
+                    throw new Error(`Task ${blocker.id} is already completed`);
+                }
+                if (this.waitsFor(blocker, todo.id)) {
+                    throw new Error(`Task ${blocker.id} already waits for task ${todo.id}, so task ${todo.id} cannot wait for it`);
+                }
+            });
+
+            return this.update(id, { blockedBy: [...new Set([...(todo.blockedBy ?? []), ...blockerIds])] });
+        }, ({ updated }) => taskMessage('depend', updated));
     }
 
     /**
-     * Removes all completed todos from storage.
-     * @method clearCompleted
-     * @returns {ClearResult} Object containing the number of cleared and remaining tasks.
+     * Makes a todo stop waiting for other todos.
+     * @method removeDependencies
+     * @param {number} id - The ID of the todo.
+     * @param {Array<number>|null} [blockerIds=null] - The IDs of the todos to stop waiting for, or null for all of them.
+     * @returns {UpdateResult} Object containing the old and updated todo.
+     * @throws {Error} If the todo is not found or does not wait for one of the todos.
      */
-    clearCompleted() {
-        const todos = this.getAll();
-        const completedTasks = todos.filter(t => t.completed);
-        const remainingTasks = todos.filter(t =>  !t.completed);
+    removeDependencies(id, blockerIds = null) {
+        return this.recordOperation(() => {
+            const todo = this.getById(id);
+            const blockedBy = todo.blockedBy ?? [];
+
+            if (blockedBy.length === 0) {
+                throw new Error(`Task ${todo.id} does not wait for any task`);
+            }
+            const missing = (blockerIds ?? []).find(blockerId => !blockedBy.includes(blockerId));
+            if (missing !== undefined) {
+                throw new Error(`Task ${todo.id} does not wait for task ${missing}`);
+            }
+
+            const kept = blockerIds === null ? [] : blockedBy.filter(blockerId => !blockerIds.includes(blockerId));
+            return this.update(id, { blockedBy: kept.length > 0 ? kept : undefined });
+        }, ({ updated }) => taskMessage('undepend', updated));
+    }
 
-        this.storage.write(remainingTasks);
+    /**
+     * Adds a timestamped annotation to a todo.
+     * @method annotate
+     * @param {number} id - The ID of the todo.
+     * @param {string} text - The annotation, validated by `validator.validateAnnotation`.
+     * @returns {UpdateResult} Object containing the old and updated todo.
+     * @throws {Error} If the todo is not found.
+     */
+    annotate(id, text) {
+        return this.recordOperation(() => {
+            const todo = this.getById(id);
+            const annotation = { at: new Date().toISOString(), text };
+
+            return this.update(id, { annotations: [...(todo.annotations ?? []), annotation] });
+        }, ({ updated }) => taskMessage('note', updated));
+    }
+
+    /**
+     * Replaces the notes of a todo.
+     * @method setNotes
+     * @param {number} id - The ID of the todo.
+     * @param {string} notes - The notes, validated by `validator.validateNotes`; empty to remove them.
+     * @returns {UpdateResult} Object containing the old and updated todo.
+     * @throws {Error} If the todo is not found.
+     */
+    setNotes(id, notes) {
+        return this.recordOperation(() => this.update(id, { notes: notes || undefined }),
+            ({ updated }) => taskMessage('edit notes', updated));
+    }
+
+    /**
+     * Retrieves the recurring todos, each the latest occurrence of its series.
+     * @method getRecurring
+     * @returns {Array<Todo>} Todos in the list that come back once completed, in list order.
+     */
+    getRecurring() {
+        return this.getAll().filter(todo => todo.recurrence);
+    }
+
+    /**
+     * Ends a series of recurring todos: the todo stays, but does not come back once completed.
+     * @method stopRecurrence
+     * @param {number} id - The ID of the recurring todo.
+     * @returns {UpdateResult} Object containing the old and updated todo.
+     * @throws {Error} If the todo is not found or does not repeat.
+     */
+    stopRecurrence(id) {
+        return this.recordOperation(() => {
+            const todo = this.getById(id);
+
+            if (!todo.recurrence) {
+                throw new Error(`Task ${todo.id} does not repeat`);
+            }
+
+            return this.update(id, { recurrence: undefined });
+        }, ({ updated }) => taskMessage('stop repeating', updated));
+    }
+
+    /**
+     * Finds the todo whose timer is running. Only one timer runs at a time.
+     * @method activeTimer
+     * @returns {Todo|null} The todo, or null if no timer is running.
+     */
+    activeTimer() {
+        return this.storage.query().find(todo => timeTracking.isRunning(todo)) ?? null;
+    }
+
+    /**
+     * Starts timing the work on a todo, stopping the timer of another todo if one is running.
+     * @method startTimer
+     * @param {number} id - The ID of the todo.
+     * @returns {StartResult} The todo whose timer runs now, and the timer that was stopped.
+     * @throws {Error} If the todo is not found or completed, or its timer is already running.
+     */
+    startTimer(id) {
+        return this.recordOperation(() => {
+            const todo = this.getById(id);
+
+            if (todo.completed) {
+                throw new Error('Task is already completed');
+            }
+            if (timeTracking.isRunning(todo)) {
+                throw new Error(`The timer of task ${todo.id} is already running`);
+            }
+
+            const active = this.activeTimer();
+            const [stopped = null] = active ? this.stopTimers([active]) : [];
+            const entry = { start: new Date().toISOString() };
+            const { updated } = this.update(id, { timeEntries: [...(todo.timeEntries ?? []), entry] });
+
+            return { started: updated, stopped };
+        }, ({ started }) => taskMessage('start timer', started));
+    }
+
+    /**
+     * Stops the running timer, adding the time to its todo.
+     * @method stopTimer
+     * @returns {StoppedTimer} The todo and how long the timer ran.
+     * @throws {Error} If no timer is running.
+     */
+    stopTimer() {
+        return this.recordOperation(() => {
+            const active = this.activeTimer();
+
+            if (!active) {
+                throw new Error('No timer is running');
+            }
+
+            return this.stopTimers([active])[0];
+        }, ({ todo }) => taskMessage('stop timer', todo));
+    }
+
+    /**
+     * Logs time spent on a todo without timing it, as work that ended now.
+     * @method logTime
+     * @param {number} id - The ID of the todo; it may be completed.
+     * @param {number} minutes - The time spent, validated by `validator.validateDuration`.
+     * @returns {UpdateResult} Object containing the old and updated todo.
+     * @throws {Error} If the todo is not found.
+     */
+    logTime(id, minutes) {
+        return this.recordOperation(() => {
+            const todo = this.getById(id);
+            const end = new Date();
+            const entry = { start: new Date(end.getTime() - minutes * 60 * 1000).toISOString(), end: end.toISOString(), logged: true };
+
+            return this.update(id, { timeEntries: [...(todo.timeEntries ?? []), entry] });
+        }, ({ updated }) => taskMessage('log time', updated));
+    }
+
+    /**
+     * Adds up the time spent on todos in the list and the archive within a period, per todo and per tag.
+     * Days start and end at midnight UTC, like due dates.
+     * @method timesheet
+     * @param {Object} [options={}] - Timesheet options.
+     * @param {string|null} [options.from=null] - First day in YYYY-MM-DD format, or null to count from the start.
+     * @param {string|null} [options.to=null] - Last day in YYYY-MM-DD format, included, or null to count until now.
+     * @param {TagFilter|null} [options.tags=null] - Only todos matching this tag filter.
+     * @returns {Timesheet} Time spent per todo and per tag, leaving out todos no time was spent on in the period.
+     */
+    timesheet({ from = null, to = null, tags = null } = {}) {
+        const range = {
+            from: from ? Date.parse(`${from}T00:00:00.000Z`) : null,
+            to: to ? Date.parse(`${to}T00:00:00.000Z`) + 24 * 60 * 60 * 1000 : null
+        };
+        const tasks = treeOrder(this.storage.query().filter(todo => !todo.deletedAt && (!tags || hasTags(todo, tags))))
+            .map(({ todo }) => ({ todo, seconds: timeTracking.total(todo, range) }))
+            .filter(({ seconds }) => seconds > 0);
+
+        const perTag = new Map();
+        tasks.forEach(({ todo, seconds }) => {
+            const taskTags = todo.tags?.length > 0 ? todo.tags : [TIME_TRACKING.UNTAGGED];
+            taskTags.forEach(tag => perTag.set(tag, (perTag.get(tag) ?? 0) + seconds));
+        });
 
         return {
-            cleared: completedTasks.length,
-            remaining: remainingTasks.length
+            tasks,
+            tags: [...perTag].map(([tag, seconds]) => ({ tag, seconds })).sort((a, b) => b.seconds - a.seconds),
+            total: tasks.reduce((sum, { seconds }) => sum + seconds, 0)
         };
     }
 
+    /**
+     * Filters todos based on various criteria.
+     * @method filter
+     * @param {Object} filters - Filter criteria.
+     * @param {boolean|null} [filters.completed=null] - Filter by completed status (true for completed only).
+     * @param {boolean|null} [filters.pending=null] - Filter by pending status (true for pending only).
+     * @param {string|null} [filters.priority=null] - Filter by priority level.
+     * @param {TagFilter|null} [filters.tags=null] - Filter by tags.
+     * @param {string|null} [filters.before=null] - Only tasks completed before this date (YYYY-MM-DD), or created before it if still pending.
+     * @param {boolean} [filters.archived=false] - Filter the archive instead of the list.
+     * @param {boolean} [filters.actionable=false] - Only pending tasks that do not wait for another task.
+     * @returns {Array<Todo>} Array of filtered todo objects.
+     */
+    filter({ completed = null, pending = null, priority = null, tags = null, before = null, archived = false, actionable = false}) {
+        const criteria = {};
+
+        if (completed === true) {
+            criteria.completed = true;
+        } else if (pending === true || actionable) {
+            criteria.completed = false;
+        }
+
+        if (priority) {
+            criteria.priority = priority;
+        }
+
+        const tasks = actionable ? this.tasksById() : null;
+        return this.storage.query(criteria).filter(todo =>
+            (archived ? todo.archivedAt && !todo.deletedAt : isListed(todo)) &&
+            (!tags || hasTags(todo, tags)) &&
+            (!before || (todo.completedAt ?? todo.createdAt) < before) &&
+            (!actionable || this.blockersOf(todo, tasks).length === 0));
+    }
+
+    /**
+     * Searches todos by keyword in description, tags, notes or annotations.
+     * @method search
+     * @param {string} keyword - Search keyword.
+     * @param {Object} [options={}] - Search options.
+     * @param {boolean} [options.archived=false] - Search the archive instead of the list.
+     * @returns {Array<Todo>} Array of todos matching the keyword.
+     */
+    search(keyword, { archived = false } = {}) {
+        const todos = archived ? this.getArchive() : this.getAll();
+        const searchTerm = keyword.toLowerCase();
+
+        return todos.filter(t => 
+            t.description.toLowerCase().includes(searchTerm) ||
+            (t.tags ?? []).some(tag => tag.includes(searchTerm)) ||
+            (t.notes ?? '').toLowerCase().includes(searchTerm) ||
+            (t.annotations ?? []).some(annotation => annotation.text.toLowerCase().includes(searchTerm))
+        );
+    }
+
+    /**
+     * Lists every tag used in the list with how many pending and completed tasks have it.
+     * @method getTags
+     * @returns {Array<TagCount>} The tags in alphabetical order.
+     */
+    getTags() {
+        const counts = new Map();
+
+        this.getAll().forEach(todo => (todo.tags ?? []).forEach(tag => {
+            const count = counts.get(tag) ?? { tag, pending: 0, completed: 0 };
+            count[todo.completed ? 'completed' : 'pending']++;
+            counts.set(tag, count);
+        }));
+
+        return [...counts.values()].sort((a, b) => a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Renames a tag on every task, including those in the trash and the archive.
+     * Renaming it to a tag that is already used merges the two.
+     * @method renameTag
+     * @param {string} from - The tag to rename.
+     * @param {string} to - The new name.
+     * @returns {BulkResult} The tasks whose tags changed.
+     * @throws {Error} If no task has the tag.
+     */
+    renameTag(from, to) {
+        return this.recordOperation(() => ({ changed: this.retag([from], to), skipped: [] }),
+            ({ changed }) => `tags: rename ${from} to ${to} on ${changed.length} task(s)`);
+    }
+
+    /**
+     * Replaces several tags with one on every task, including those in the trash and the archive.
+     * @method mergeTags
+     * @param {Array<string>} sources - The tags to merge.
+     * @param {string} target - The tag to merge them into; it may be one of the sources.
+     * @returns {BulkResult} The tasks whose tags changed.
+     * @throws {Error} If no task has any of the tags.
+     */
+    mergeTags(sources, target) {
+        return this.recordOperation(() => ({ changed: this.retag(sources, target), skipped: [] }),
+            ({ changed }) => `tags: merge ${sources.join(', ')} into ${target} on ${changed.length} task(s)`);
+    }
+
+    /**
+     * Moves all completed todos to the trash.
+     * @method clearCompleted
+     * @returns {ClearResult} Object containing the number of cleared and remaining tasks.
+     */
+    clearCompleted() {
+        return this.recordOperation(() => {
+            const completedTasks = this.moveToTrash(this.filter({ completed: true }));
+
+            return {
+                cleared: completedTasks.length,
+                remaining: this.getAll().length
+            };
+        }, ({ cleared }) => `clear: ${cleared} completed task(s)`);
+    }
+
     /**
      * Gets statistics about todos.
      * @method getStats
@@ -319,12 +1279,13 @@ class TodoService {
             completed,
             pending,
             percentage,
+            archived: this.getArchive().length,
             motivationalMessage
         };
     }
 
     /**
-     * Exports all todos.
+     * Exports all todos, except those in the trash or the archive.
      * @method export
      * @returns {Array<Todo>} Array of all todo objects.
      */
@@ -332,27 +1293,880 @@ class TodoService {
         return this.getAll();
     }
 
+    /**
+     * Upgrades stored data to the current schema version.
+     * @method upgrade
+     * @param {Object} [options={}] - Upgrade options.
+     * @param {boolean} [options.dryRun=false] - Only report what would change.
+     * @returns {MigrationResult & {backupFile: string|null}} Applied migrations and the backup that was made.
+     */
+    upgrade(options = {}) {
+        return this.recordChange(() => this.storage.upgrade(options), ({ toVersion }) => `migrate: upgrade data to version ${toVersion}`);
+    }
+
+    /**
+     * Checks whether a passphrase must be supplied before tasks can be read.
+     * @method needsPassphrase
+     * @returns {boolean} True if stored data is encrypted and no passphrase is set.
+     */
+    needsPassphrase() {
+        return this.storage.needsPassphrase();
+    }
+
+    /**
+     * Sets the passphrase for encrypted data.
+     * @method unlock
+     * @param {string} passphrase - Passphrase to use.
+     * @returns {void}
+     * @throws {EncryptionError} If the passphrase is wrong.
+     */
+    unlock(passphrase) {
+        this.storage.unlock(passphrase);
+    }
+
+    /**
+     * Checks whether stored data is encrypted.
+     * @method isEncrypted
+     * @returns {boolean} True if stored data is encrypted.
+     */
+    isEncrypted() {
+        return this.storage.isEncrypted();
+    }
+
+    /**
+     * Encrypts stored data and its backups with a passphrase.
+     * @method encrypt
+     * @param {string} passphrase - Passphrase to derive the key from.
+     * @returns {{snapshots: number}} Number of backups that were encrypted as well.
+     * @throws {Error} If the data is already encrypted or the backend does not support encryption.
+     */
+    encrypt(passphrase) {
+        return this.recordChange(() => this.storage.encrypt(passphrase), () => 'encrypt: protect tasks with a passphrase');
+    }
+
+    /**
+     * Decrypts stored data and its backups.
+     * @method decrypt
+     * @returns {{snapshots: number}} Number of backups that were decrypted as well.
+     * @throws {Error} If the data is not encrypted or the backend does not support encryption.
+     */
+    decrypt() {
+        return this.recordChange(() => this.storage.decrypt(), () => 'decrypt: remove encryption');
+    }
+
+    /**
+     * Checks stored data and recovers it if it is damaged. Healthy data is only read, and only a repair is committed.
+     * @method repair
+     * @returns {RepairReport} What was wrong and what was recovered.
+     */
+    repair() {
+        const report = this.storage.repair();
+        return report.repaired ? this.recordChange(() => report, () => 'repair: recover damaged data') : report;
+    }
+
+    /**
+     * Lists recent changes recorded in the journal, oldest first.
+     * @method history
+     * @returns {Array<JournalEvent>} Recorded create, update, complete, uncomplete and delete events.
+     */
+    history() {
+        return this.storage.history();
+    }
+
+    /**
+     * Compacts the journal so that only recent events are kept.
+     * Compaction also happens automatically once enough events have built up.
+     * @method compact
+     * @returns {{compacted: number, kept: number}} Number of events compacted and number kept as history.
+     */
+    compact() {
+        return this.recordChange(() => this.storage.compact(), () => 'compact: fold the journal into the data file');
+    }
+
     /**
      * Imports todos from an array and merges with existing todos.
+     * Imported todos get new IDs, so they never clash with the existing ones; they keep their identity unless a
+     * todo in this list already has it. Records that are not objects with a description are skipped.
      * @method import
-     * @param {Array<Todo>} tasks - Array of todo objects to import.
-     * @returns {ImportResult} Object containing the number of imported tasks and total tasks.
+     * @param {Array<Todo>} records - Array of todo objects to import.
+     * @returns {ImportResult} Object containing the number of imported tasks, the skipped records and total tasks.
      * @throws {Error} If the import data is not an array.
      */
-    import(tasks) {
-        if (!Array.isArray(tasks)) {
+    import(records) {
+        if (!Array.isArray(records)) {
             throw new Error('Invalid import data. Expected an array of tasks');
         }
 
-        const currentTodos = this.getAll();
-        const mergedTodos = [...currentTodos, ...tasks];
+        const skipped = [];
+        const tasks = records.filter((record, index) => {
+            const reason = importProblem(record);
+            if (reason) {
+                skipped.push({ position: index + 1, reason });
+            }
+            return !reason;
+        });
+
+        return this.recordOperation(() => {
+            if (tasks.length > 0) {
+                this.storage.snapshot('import', { automatic: true });
+            }
+            const uids = new Set(this.storage.query().map(todo => todo.uid));
+            const newIds = tasks.map(() => this.storage.nextId());
+            // Subtasks keep their parent, and tasks what they wait for, if it is imported with them
+            const importedIds = new Map();
+            tasks.forEach((task, index) => {
+                if (Number.isSafeInteger(task.id) && !importedIds.has(task.id)) importedIds.set(task.id, newIds[index]);
+            });
 
-        this.storage.write(mergedTodos);
+            const importedAt = new Date().toISOString();
+            tasks.forEach((task, index) => {
+                const uid = typeof task.uid === 'string' && !uids.has(task.uid) ? task.uid : ids.createUid();
+                uids.add(uid);
+                this.storage.insert({
+                    ...importedFields(task, importedAt),
+                    id: newIds[index],
+                    uid,
+                    parentId: importedIds.get(task.parentId),
+                    blockedBy: remapIds(Array.isArray(task.blockedBy) ? task.blockedBy : [], importedIds)
+                });
+            });
 
-        return {
-            imported: tasks.length,
-            total: mergedTodos.length
+            return {
+                imported: tasks.length,
+                skipped,
+                total: this.getAll().length
+            }
+        }, ({ imported }) => `import: ${imported} task(s)`);
+    }
+
+    /**
+     * Lists the stored snapshots, newest first.
+     * @method getBackups
+     * @returns {Array<Snapshot>} Stored snapshots.
+     */
+    getBackups() {
+        return this.storage.backups.list();
+    }
+
+    /**
+     * Takes a snapshot of the current tasks on request.
+     * @method backup
+     * @returns {Snapshot} The new snapshot.
+     */
+    backup() {
+        return this.storage.snapshot('manual');
+    }
+
+    /**
+     * Compares a snapshot with the current tasks without changing anything.
+     * @method compareBackup
+     * @param {string|number} ref - Snapshot name or position in the list (1 is the newest).
+     * @returns {{snapshot: Snapshot, diff: SnapshotDiff}} The snapshot and what restoring it would change.
+     * @throws {Error} If the snapshot does not exist or cannot be read.
+     */
+    compareBackup(ref) {
+        const { snapshot, envelope } = this.storage.backups.read(ref);
+        return { snapshot, diff: this.storage.backups.diff(this.storage.query(), envelope.tasks) };
+    }
+
+    /**
+     * Replaces all tasks with the content of a snapshot.
+     * The current tasks are snapshotted first, so a restore can itself be undone.
+     * @method restore
+     * @param {string|number} ref - Snapshot name or position in the list (1 is the newest).
+     * @returns {RestoreResult} The restored snapshot, the applied changes and the snapshot taken beforehand.
+     * @throws {Error} If the snapshot does not exist or cannot be read.
+     */
+    restore(ref) {
+        return this.recordOperation(() => {
+            const { snapshot, envelope } = this.storage.backups.read(ref);
+            const current = this.storage.query();
+            const diff = this.storage.backups.diff(current, envelope.tasks);
+
+            const backup = this.storage.snapshot('restore', { automatic: true });
+            this.replaceAll(current, envelope.tasks);
+
+            return { snapshot, diff, backup };
+        }, ({ snapshot }) => `restore: backup ${snapshot.name}`);
+    }
+
+    /**
+     * Merges the tasks with another file so both end up with the same tasks.
+     * Changes made on either side since the last sync are combined field by field, and deletions on either side are
+     * carried over. Conflicts are settled by `strategy` or `resolutions`; while any remain open nothing is written.
+     * Both sides are backed up before they change, and the merged tasks become the base of the next sync.
+     * @method sync
+     * @param {StorageAdapter} remote - Storage of the other file.
+     * @param {string} remoteFile - Path to the other file; the last-sync base is kept per path.
+     * @param {Object} [options={}] - Sync options.
+     * @param {string|null} [options.strategy=null] - Settle every conflict with this `SYNC_STRATEGY`.
+     * @param {Object<string, string>} [options.resolutions={}] - `ours` or `theirs` by task identity, e.g. answers to a prompt.
+     * @param {boolean} [options.dryRun=false] - Only report what would change.
+     * @returns {SyncResult} What changed on each side and the conflicts.
+     * @throws {Error} If either side cannot be read or written.
+     */
+    sync(remote, remoteFile, { strategy = null, resolutions = {}, dryRun = false } = {}) {
+        const key = syncService.getKey(remoteFile);
+
+        return this.recordChange(() => this.storage.transaction(() => remote.transaction(() => {
+            const base = this.storage.backups.readSyncBase(key);
+            const local = this.storage.query();
+            const theirs = remote.query();
+
+            const { tasks, tombstones, conflicts } = syncService.merge({
+                local,
+                remote: theirs,
+                base: base?.tasks ?? null,
+                tombstones: base?.meta.tombstones ?? {},
+                localDeletes: syncService.deletionTimes(this.storage.history()),
+                remoteDeletes: syncService.deletionTimes(remote.history()),
+                nextId: () => Math.max(this.storage.nextId(), remote.nextId())
+            }, strategy ? syncService.strategy(strategy) : conflict => resolutions[conflict.uid] ?? null);
+
+            const result = {
+                applied: false,
+                firstSync: base === null,
+                conflicts,
+                local: this.storage.backups.diff(local, tasks),
+                remote: this.storage.backups.diff(theirs, tasks)
+            };
+
+            if (dryRun || conflicts.some(conflict => conflict.resolution === null)) {
+                return result;
+            }
+
+            // The other file first: if this is interrupted, the next sync sees its changes as made over there
+            this.applySync(remote, theirs, result.remote);
+            this.applySync(this.storage, local, result.local);
+            if (result.local.added.length > 0 || result.local.removed.length > 0 || result.local.changed.length > 0) {
+                this.forgetUndo();
+            }
+            this.storage.backups.writeSyncBase(key, {
+                ...migrationService.createEnvelope(tasks),
+                meta: { syncedAt: new Date().toISOString(), tombstones }
+            });
+
+            return { ...result, applied: true };
+        })), () => `sync: with ${remoteFile}`, [remote]);
+    }
+
+    /**
+     * Checks every stored task against the Todo typedef and optionally fixes what it finds.
+     * Fixing re-IDs duplicates with IDs the storage hands out, normalizes fields and drops records that cannot be recovered;
+     * a backup is taken first.
+     * @method doctor
+     * @param {Object} [options={}] - Doctor options.
+     * @param {boolean} [options.fix=false] - Apply the fixes.
+     * @returns {DoctorResult} Problems found and whether they were fixed.
+     */
+    doctor({ fix = false } = {}) {
+        return this.recordChange(() => this.storage.transaction(() => {
+            const current = this.storage.query();
+            const { issues, todos } = doctorService.examine(current, () => this.storage.nextId());
+            const shouldFix = fix && issues.length > 0;
+            let backup = null;
+
+            if (shouldFix) {
+                backup = this.storage.snapshot('doctor', { automatic: true });
+                this.replaceAll(current, todos);
+                this.forgetUndo();
+            }
+
+            return { issues, fixed: shouldFix, total: todos.length, backup };
+        }), ({ issues }) => `doctor: fix ${issues.length} problem(s)`);
+    }
+
+    /**
+     * Undoes the latest operations on this list, newest first, in one change.
+     * Operations are create, update, delete, complete, uncomplete, clear, import, restore and changes to the trash
+     * and the archive.
+     * Moves, syncs and doctor fixes cannot be undone, so they clear the history of this list.
+     * @method undo
+     * @param {number} [count=1] - Number of operations to undo; fewer are undone if fewer were recorded.
+     * @returns {Array<Operation>} The undone operations, newest first.
+     * @throws {Error} If there is nothing to undo, or a task was changed since, in which case nothing is undone.
+     */
+    undo(count = 1) {
+        return this.recordChange(() => this.storage.transaction(() => {
+            const log = this.storage.backups.readUndoLog();
+            if (log.done.length === 0) {
+                throw new Error('Nothing to undo');
+            }
+
+            const operations = log.done.splice(-count).reverse();
+            operations.forEach(operation => this.revert(operation, false));
+            log.undone.push(...operations);
+            this.storage.backups.writeUndoLog(log);
+
+            return operations;
+        }), operations => operationMessage('undo', operations));
+    }
+
+    /**
+     * Redoes the operations undone last, in the order they were first made, in one change.
+     * @method redo
+     * @param {number} [count=1] - Number of operations to redo; fewer are redone if fewer were undone.
+     * @returns {Array<Operation>} The redone operations, oldest first.
+     * @throws {Error} If there is nothing to redo, or a task was changed since, in which case nothing is redone.
+     */
+    redo(count = 1) {
+        return this.recordChange(() => this.storage.transaction(() => {
+            const log = this.storage.backups.readUndoLog();
+            if (log.undone.length === 0) {
+                throw new Error('Nothing to redo');
+            }
+
+            const operations = log.undone.splice(-count).reverse();
+            operations.forEach(operation => this.revert(operation, true));
+            log.done.push(...operations);
+            this.storage.backups.writeUndoLog(log);
+
+            return operations;
+        }), operations => operationMessage('redo', operations));
+    }
+
+    /**
+     * Gets the operations that can be undone and redone.
+     * @method undoHistory
+     * @returns {UndoLog} The undo history, oldest first.
+     */
+    undoHistory() {
+        return this.storage.backups.readUndoLog();
+    }
+
+    /**
+     * Runs a change and, once it is stored, commits it if the history is kept in git.
+     * A change made by another one, like the update behind `complete`, is part of the outer change's commit.
+     * List management uses it too, for changes to the files of other lists.
+     * @method recordChange
+     * @param {function(): *} fn - Makes the change.
+     * @param {function(*): string} describe - Builds the commit message from the result of `fn`.
+     * @param {Array<StorageAdapter>} [others=[]] - Other storages the change wrote to, like the target of a move.
+     * @returns {*} The result of `fn`.
+     * @throws {Error} If the change fails, or it was stored but could not be committed.
+     */
+    recordChange(fn, describe, others = []) {
+        this.changeDepth++;
+        let result;
+        try {
+            result = fn();
+        } finally {
+            this.changeDepth--;
+        }
+
+        if (this.git && this.changeDepth === 0) {
+            try {
+                const message = describe(result);
+                [this.storage, ...others].forEach(storage => storage.flush());
+                this.git.commit(message);
+            } catch (error) {
+                throw new Error(`The change was saved, but committing it to git failed: ${error.message}`);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Runs a change to the tasks of this list in a transaction as an operation `undo` can revert, and records it like
+     * `recordChange`. A change made by another operation, like the update behind `complete`, is part of the outer one.
+     * @method recordOperation
+     * @param {function(): *} fn - Makes the change.
+     * @param {function(*): string} describe - Describes the change for the commit and the undo history.
+     * @returns {*} The result of `fn`.
+     * @throws {Error} If the change fails, or it was stored but could not be committed.
+     * @private
+     */
+    recordOperation(fn, describe) {
+        return this.recordChange(() => this.storage.transaction(() => {
+            if (this.changeDepth > 1) {
+                return fn();
+            }
+
+            const before = this.storage.query();
+            const result = fn();
+            const changes = undoService.changes(before, this.storage.query());
+
+            if (changes.length > 0) {
+                const operation = { message: describe(result), at: new Date().toISOString(), changes };
+                this.storage.backups.writeUndoLog(undoService.record(this.storage.backups.readUndoLog(), operation));
+            }
+
+            return result;
+        }), describe);
+    }
+
+    /**
+     * Clears the undo history of this list after a change that cannot be undone, since older operations can no longer
+     * be undone on top of it. Must run inside a transaction.
+     * @method forgetUndo
+     * @returns {void}
+     * @private
+     */
+    forgetUndo() {
+        this.storage.backups.writeUndoLog({ done: [], undone: [] });
+    }
+
+    /**
+     * Puts the tasks an operation changed back as they were before it, or as it left them. Must run inside a transaction.
+     * @method revert
+     * @param {Operation} operation - The operation.
+     * @param {boolean} redo - Whether to redo the operation rather than undo it.
+     * @returns {void}
+     * @throws {Error} If one of the tasks was changed since the operation (or its undo), so reverting would lose that change.
+     * @private
+     */
+    revert(operation, redo) {
+        const stale = undoService.stale(operation, this.storage.query(), redo);
+        if (stale.length > 0) {
+            const task = stale[0].after ?? stale[0].before;
+            const more = stale.length > 1 ? ` and ${stale.length - 1} more task(s)` : '';
+            throw new Error(`Cannot ${redo ? 'redo' : 'undo'} "${operation.message}": task ${stale[0].id} (${task.description})${more} changed since`);
+        }
+
+        operation.changes.forEach(change => {
+            const task = redo ? change.after : change.before;
+            const current = this.storage.get(change.id);
+
+            if (!task) {
+                this.storage.delete(change.id);
+            } else if (!current) {
+                this.storage.insert(task);
+            } else {
+                const removed = Object.keys(current).filter(field => !(field in task)).map(field => [field, undefined]);
+                this.storage.update(change.id, { ...Object.fromEntries(removed), ...task });
+            }
+        });
+    }
+
+    /**
+     * Moves todos to the trash, stopping their timers, and purges those that have been there longer than the
+     * `trashMaxAgeDays` setting. Must run inside a transaction.
+     * @method moveToTrash
+     * @param {Array<Todo>} todos - The todos to delete.
+     * @returns {Array<Todo>} The todos as they are in the trash.
+     * @private
+     */
+    moveToTrash(todos) {
+        const deletedAt = new Date().toISOString();
+        this.stopTimers(todos);
+        const trashed = todos.map(todo => this.storage.update(todo.id, { deletedAt }));
+
+        const maxAgeDays = configService.get('trashMaxAgeDays');
+        if (trashed.length > 0 && maxAgeDays > 0) {
+            this.purge(maxAgeDays);
+        }
+
+        return trashed;
+    }
+
+    /**
+     * Deletes todos, taking their subtasks along or making them tasks of their own as the `subtaskDeletion` setting says.
+     * Must run inside a transaction.
+     * @method deleteTasks
+     * @param {Array<Todo>} todos - The todos to delete.
+     * @returns {Array<Todo>} The todos as they are in the trash, followed by subtasks deleted with them.
+     * @private
+     */
+    deleteTasks(todos) {
+        const deleting = new Set(todos.map(todo => todo.id));
+
+        if (configService.get('subtaskDeletion') === SUBTASK_DELETION.ORPHAN) {
+            this.detachSubtasks(deleting);
+            return this.moveToTrash(todos);
+        }
+
+        return this.moveToTrash([...todos, ...this.subtasksOf(todos)]);
+    }
+
+    /**
+     * Finds the subtasks of todos in the list, and their subtasks in turn.
+     * @method subtasksOf
+     * @param {Array<Todo>} todos - The parent todos.
+     * @returns {Array<Todo>} The subtasks that are not among the todos themselves.
+     * @private
+     */
+    subtasksOf(todos) {
+        const listed = this.getAll();
+        const seen = new Set(todos.map(todo => todo.id));
+        const found = [];
+
+        let parents = seen;
+        while (parents.size > 0) {
+            const subtasks = listed.filter(todo => parents.has(todo.parentId) && !seen.has(todo.id));
+            subtasks.forEach(todo => seen.add(todo.id));
+            found.push(...subtasks);
+            parents = new Set(subtasks.map(todo => todo.id));
+        }
+
+        return found;
+    }
+
+    /**
+     * Adds the subtasks deleted together with todos in the trash, and their subtasks in turn.
+     * @method deletedWith
+     * @param {Array<number>} taskIds - The IDs of todos in the trash.
+     * @returns {Array<number>} The IDs followed by those of the subtasks.
+     * @private
+     */
+    deletedWith(taskIds) {
+        const trash = this.getTrash();
+        const result = [...taskIds];
+
+        for (let i = 0; i < result.length; i++) {
+            const parent = trash.find(todo => todo.id === result[i]);
+            if (!parent) continue;
+
+            trash
+                .filter(todo => todo.parentId === parent.id && todo.deletedAt === parent.deletedAt && !result.includes(todo.id))
+                .forEach(todo => result.push(todo.id));
+        }
+
+        return result;
+    }
+
+    /**
+     * Completes the parents whose subtasks are all completed now, and their parents in turn, if the
+     * `autoCompleteParents` setting is on. Must run inside a transaction.
+     * @method completeParents
+     * @param {Array<Todo>} todos - Todos that were just completed.
+     * @returns {Array<Todo>} The parents that were completed.
+     * @private
+     */
+    completeParents(todos) {
+        if (!configService.get('autoCompleteParents')) {
+            return [];
+        }
+
+        const completed = [];
+        const completedAt = new Date().toISOString();
+        let parentIds = new Set(todos.map(todo => todo.parentId));
+
+        while (parentIds.size > 0) {
+            const listed = this.getAll();
+            const finished = listed.filter(todo => parentIds.has(todo.id) && !todo.completed &&
+                listed.filter(subtask => subtask.parentId === todo.id).every(subtask => subtask.completed));
+
+            finished.forEach(todo => completed.push(this.update(todo.id, { completed: true, completedAt }).updated));
+            parentIds = new Set(finished.map(todo => todo.parentId));
+        }
+
+        return completed;
+    }
+
+    /**
+     * Moves todos to another list, giving them the next IDs of the target list. The todos are added to the target before
+     * they are removed here. Subtasks whose parent stays behind become tasks of their own, in either list, and
+     * todos stop waiting for todos on the other side. Their running timers stop. Must run inside a transaction.
+     * @method moveTo
+     * @param {Array<Todo>} todos - The todos to move.
+     * @param {StorageAdapter} target - Storage of the list to move the todos to.
+     * @returns {Array<Todo>} The moved todos, with their IDs in the target list.
+     * @private
+     */
+    moveTo(todos, target) {
+        const movedAt = new Date().toISOString();
+        const moved = target.transaction(() => {
+            const newIds = new Map(todos.map(todo => [todo.id, target.nextId()]));
+            return todos.map(todo => target.insert({
+                ...todo,
+                id: newIds.get(todo.id),
+                parentId: newIds.get(todo.parentId),
+                blockedBy: remapIds(todo.blockedBy, newIds),
+                timeEntries: stopEntries(todo.timeEntries, movedAt)
+            }));
+        });
+
+        todos.forEach(todo => this.storage.delete(todo.id));
+        const movedIds = new Set(todos.map(todo => todo.id));
+        this.detachSubtasks(movedIds);
+        this.dropBlockers(movedIds);
+
+        return moved;
+    }
+
+    /**
+     * Stores changes to a todo and adds the changed fields to its history, for updates of their own and the changes
+     * other operations make along the way. Must run inside a transaction.
+     * @method applyChanges
+     * @param {Todo} todo - The todo as it is stored.
+     * @param {Object} changes - Fields to set; fields set to `undefined` are removed.
+     * @param {string} [updatedAt] - ISO timestamp of the change, shared by the todos an operation changes; now by default.
+     * @returns {Todo} The todo as it is now.
+     * @private
+     */
+    applyChanges(todo, changes, updatedAt = new Date().toISOString()) {
+        return this.storage.update(todo.id, { ...changes, updatedAt, history: trackChanges(todo, changes, updatedAt) });
+    }
+
+    /**
+     * Makes the subtasks of todos tasks of their own, wherever they are kept. Must run inside a transaction.
+     * @method detachSubtasks
+     * @param {Set<number>} parentIds - IDs of the parents; subtasks that are among them keep their parent.
+     * @returns {void}
+     * @private
+     */
+    detachSubtasks(parentIds) {
+        const updatedAt = new Date().toISOString();
+
+        this.storage.query()
+            .filter(todo => parentIds.has(todo.parentId) && !parentIds.has(todo.id))
+            .forEach(todo => this.applyChanges(todo, { parentId: undefined }, updatedAt));
+    }
+
+    /**
+     * Makes todos stop waiting for other todos, wherever they are kept. Must run inside a transaction.
+     * @method dropBlockers
+     * @param {Set<number>} blockerIds - IDs of the todos not to wait for any more.
+     * @returns {Array<Todo>} The todos that waited for them, as they are now.
+     * @private
+     */
+    dropBlockers(blockerIds) {
+        const updatedAt = new Date().toISOString();
+
+        return this.storage.query()
+            .filter(todo => (todo.blockedBy ?? []).some(id => blockerIds.has(id)))
+            .map(todo => {
+                const blockedBy = todo.blockedBy.filter(id => !blockerIds.has(id));
+                return this.applyChanges(todo, { blockedBy: blockedBy.length > 0 ? blockedBy : undefined }, updatedAt);
+            });
+    }
+
+    /**
+     * Makes the todos waiting for completed todos stop waiting for them. Must run inside a transaction.
+     * @method unblockDependents
+     * @param {Array<Todo>} todos - Todos that were just completed.
+     * @returns {Array<Todo>} The todos in the list that no longer wait for any task.
+     * @private
+     */
+    unblockDependents(todos) {
+        const unblocked = this.dropBlockers(new Set(todos.map(todo => todo.id)));
+        const tasks = this.tasksById();
+        return unblocked.filter(todo => isListed(todo) && !todo.completed && this.blockersOf(todo, tasks).length === 0);
+    }
+
+    /**
+     * Adds the next occurrence of each completed recurring todo, due on the next day of its schedule, and takes the
+     * repeat rule off the completed one so completing it again does not add another. Must run inside a transaction.
+     * @method spawnOccurrences
+     * @param {Array<Todo>} todos - Todos that were just completed.
+     * @returns {Array<Todo>} The new occurrences.
+     * @private
+     */
+    spawnOccurrences(todos) {
+        return todos.filter(todo => todo.recurrence).map(todo => {
+            const rule = todo.recurrence;
+            const completedOn = todo.completedAt.split('T')[0];
+            const from = rule.mode === RECURRENCE_MODE.AFTER_COMPLETION ? completedOn : todo.dueDate ?? completedOn;
+
+            // A task completed late skips the dates that have passed, so it does not come back overdue
+            let dueDate = recurrence.nextDate(rule, from);
+            while (dueDate <= completedOn) {
+                dueDate = recurrence.nextDate(rule, dueDate);
+            }
+
+            this.applyChanges(todo, { recurrence: undefined });
+
+            return this.storage.insert({
+                id: this.storage.nextId(),
+                uid: ids.createUid(),
+                description: todo.description,
+                completed: false,
+                priority: todo.priority,
+                dueDate,
+                tags: todo.tags ?? [],
+                parentId: todo.parentId,
+                recurrence: rule,
+                createdAt: new Date().toISOString()
+            });
+        });
+    }
+
+    /**
+     * Stops the running timers of todos, adding the time to them. Must run inside a transaction.
+     * @method stopTimers
+     * @param {Array<Todo>} todos - The todos, e.g. those just completed.
+     * @returns {Array<StoppedTimer>} The timers that were running.
+     * @private
+     */
+    stopTimers(todos) {
+        const at = new Date().toISOString();
+
+        return todos.filter(todo => timeTracking.isRunning(todo)).map(todo => {
+            const timeEntries = stopEntries(todo.timeEntries, at);
+            const seconds = timeEntries.reduce((sum, entry, index) =>
+                todo.timeEntries[index].end ? sum : sum + timeTracking.seconds(entry), 0);
+
+            return { todo: this.applyChanges(todo, { timeEntries }, at), seconds };
+        });
+    }
+
+    /**
+     * Checks whether a todo waits for another one, directly or through the todos it waits for.
+     * @method waitsFor
+     * @param {Todo} todo - The todo.
+     * @param {number} id - The ID of the other todo.
+     * @returns {boolean} True if the todo cannot be worked on before the other one is completed.
+     * @private
+     */
+    waitsFor(todo, id) {
+        const tasks = this.tasksById();
+        const seen = new Set();
+        const pending = [...(todo.blockedBy ?? [])];
+
+        while (pending.length > 0) {
+            const blockerId = pending.pop();
+            if (blockerId === id) return true;
+            if (seen.has(blockerId)) continue;
+
+            seen.add(blockerId);
+            pending.push(...(tasks.get(blockerId)?.blockedBy ?? []));
         }
+
+        return false;
+    }
+
+    /**
+     * Moves todos to the archive. Must run inside a transaction.
+     * @method moveToArchive
+     * @param {Array<Todo>} todos - The todos to archive.
+     * @returns {Array<Todo>} The todos as they are in the archive.
+     * @private
+     */
+    moveToArchive(todos) {
+        const archivedAt = new Date().toISOString();
+        return todos.map(todo => this.storage.update(todo.id, { archivedAt }));
+    }
+
+    /**
+     * Archives the todos completed longer ago than the `autoArchiveDays` setting, if it is set. Must run inside a transaction.
+     * @method autoArchive
+     * @returns {void}
+     * @private
+     */
+    autoArchive() {
+        const days = configService.get('autoArchiveDays');
+        if (days > 0) {
+            this.moveToArchive(this.completedBefore(days));
+        }
+    }
+
+    /**
+     * Finds the completed todos in the list.
+     * @method completedBefore
+     * @param {number|null} days - Only todos completed more than this many days ago, or null for all of them.
+     * @returns {Array<Todo>} The completed todos.
+     * @private
+     */
+    completedBefore(days) {
+        const completed = this.filter({ completed: true });
+        if (days === null) {
+            return completed;
+        }
+
+        const cutoff = daysAgo(days);
+        return completed.filter(todo => Date.parse(todo.completedAt) < cutoff);
+    }
+
+    /**
+     * Takes todos back out of the trash or the archive. Must run inside a transaction.
+     * @method bringBack
+     * @param {Array<number>} taskIds - The IDs of the todos.
+     * @param {string} field - `deletedAt` for the trash, `archivedAt` for the archive.
+     * @param {string} place - Name of the place, for the error message.
+     * @returns {Array<Todo>} The todos as they are in the list now.
+     * @throws {Error} If one of the todos is not there.
+     * @private
+     */
+    bringBack(taskIds, field, place) {
+        const todos = taskIds.map(id => {
+            const todo = this.storage.get(id);
+            if (!todo?.[field]) {
+                throw new Error(`Task with ID ${id} is not in the ${place}`);
+            }
+            return todo;
+        });
+
+        return todos.map(todo => this.storage.update(todo.id, { [field]: undefined }));
+    }
+
+    /**
+     * Replaces tags on every stored todo. Must run inside a transaction.
+     * @method retag
+     * @param {Array<string>} sources - The tags to replace.
+     * @param {string} target - The tag to put in their place.
+     * @returns {Array<Todo>} The todos as they are now.
+     * @throws {Error} If no todo has any of the tags.
+     * @private
+     */
+    retag(sources, target) {
+        const todos = this.storage.query().filter(todo => hasTags(todo, sources.map(tag => [tag])));
+        if (todos.length === 0) {
+            throw new Error(`No task is tagged ${sources.join(' or ')}`);
+        }
+
+        const updatedAt = new Date().toISOString();
+        return todos.map(todo => {
+            const tags = [...new Set(todo.tags.map(tag => sources.includes(tag) ? target : tag))];
+            return this.applyChanges(todo, { tags }, updatedAt);
+        });
+    }
+
+    /**
+     * Removes todos from the trash for good, snapshotting the tasks first. Must run inside a transaction.
+     * @method purge
+     * @param {number|null} olderThanDays - Only todos deleted more than this many days ago, or null for all of them.
+     * @returns {Array<Todo>} The removed todos.
+     * @private
+     */
+    purge(olderThanDays) {
+        const expired = this.getTrash(olderThanDays);
+
+        if (expired.length > 0) {
+            this.storage.snapshot('purge', { automatic: true });
+        }
+        expired.forEach(todo => this.storage.delete(todo.id));
+        const expiredIds = new Set(expired.map(todo => todo.id));
+        this.detachSubtasks(expiredIds);
+        this.dropBlockers(expiredIds);
+
+        return expired;
+    }
+
+    /**
+     * Writes the changes a sync makes to one side, backing it up first. Must run inside a transaction.
+     * @method applySync
+     * @param {StorageAdapter} storage - Side to change.
+     * @param {Array<Todo>} current - Tasks currently stored on that side.
+     * @param {SnapshotDiff} diff - Changes from the current to the merged tasks.
+     * @returns {void}
+     * @private
+     */
+    applySync(storage, current, diff) {
+        if (diff.removed.length > 0 || diff.changed.length > 0) {
+            storage.snapshot('sync', { automatic: true });
+        }
+
+        diff.removed.forEach(task => storage.delete(task.id));
+        diff.changed.forEach(task => {
+            const previous = current.find(t => t.id === task.id);
+            const removed = Object.keys(previous).filter(field => !(field in task)).map(field => [field, undefined]);
+            storage.update(task.id, { ...Object.fromEntries(removed), ...task });
+        });
+        diff.added.forEach(task => storage.insert(task));
+    }
+
+    /**
+     * Replaces every stored task with another list. Must run inside a transaction.
+     * @method replaceAll
+     * @param {Array<Todo>} current - Tasks currently stored.
+     * @param {Array<Todo>} tasks - Tasks to store instead.
+     * @returns {void}
+     * @private
+     */
+    replaceAll(current, tasks) {
+        current.forEach(task => this.storage.delete(task.id));
+        tasks.forEach(task => this.storage.insert(task));
     }
 }
 
@@ -363,8 +2177,8 @@ class TodoService {
 export { TodoService };
 
 /**
- * Default TodoService instance with storage service.
+ * Default TodoService instance using the configured storage backend, opened when the tasks are first needed.
  * @type {TodoService}
  * @exports todoService
  */
-export default new TodoService(storageService);
\ No newline at end of file
+export default new TodoService();
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Undo service for keeping the history of operations that can be reverted.
+ * @module services/undoService
+ * @description Records how each operation changed the tasks, and works out whether it can still be undone or redone.
+ */
+
+import { canonicalize } from './backupService.js';
+import { UNDO } from '../config/constants.js';
+
+/**
+ * How one operation changed one task.
+ * @typedef {Object} TaskChange
+ * @property {number} id - Task ID.
+ * @property {Todo|null} before - The task before the operation, or null if the operation added it.
+ * @property {Todo|null} after - The task after the operation, or null if the operation removed it.
+ */
+
+/**
+ * An operation that can be undone.
+ * @typedef {Object} Operation
+ * @property {string} message - What the operation did, like the git commit message, e.g. `complete: Fix bug (id 3)`.
+ * @property {string} at - ISO timestamp of the operation.
+ * @property {Array<TaskChange>} changes - How it changed each task, in task order.
+ */
+
+/**
+ * Operations that can be undone and redone, stored with the backups of a data file.
+ * @typedef {Object} UndoLog
+ * @property {Array<Operation>} done - Operations that can be undone, oldest first.
+ * @property {Array<Operation>} undone - Operations that were undone and can be redone, oldest undo first.
+ */
+
+/**
+ * Service class for the undo history.
+ * @class UndoService
+ * @description Works on plain task lists and undo logs; reading and writing them is up to the caller.
+ */
+class UndoService {
+    /**
+     * Works out how an operation changed the tasks.
+     * @method changes
+     * @param {Array<Todo>} before - Tasks before the operation.
+     * @param {Array<Todo>} after - Tasks after the operation.
+     * @returns {Array<TaskChange>} Added, removed and changed tasks; empty if nothing changed.
+     */
+    changes(before, after) {
+        const previous = new Map(before.map(task => [task.id, task]));
+        const changes = [];
+
+        after.forEach(task => {
+            const old = previous.get(task.id) ?? null;
+            if (canonicalize(old) !== canonicalize(task)) {
+                changes.push({ id: task.id, before: old, after: task });
+            }
+            previous.delete(task.id);
+        });
+        previous.forEach(task => changes.push({ id: task.id, before: task, after: null }));
+
+        return changes;
+    }
+
+    /**
+     * Adds an operation to the history. Operations undone before can no longer be redone afterwards.
+     * @method record
+     * @param {UndoLog} log - The history.
+     * @param {Operation} operation - The operation.
+     * @returns {UndoLog} The new history, keeping the last `UNDO.LIMIT` operations.
+     */
+    record(log, operation) {
+        return { done: [...log.done, operation].slice(-UNDO.LIMIT), undone: [] };
+    }
+
+    /**
+     * Finds the tasks that no longer are as an operation left them (or, for a redo, found them).
+     * Undoing or redoing the operation would overwrite those later changes.
+     * @method stale
+     * @param {Operation} operation - The operation to undo or redo.
+     * @param {Array<Todo>} todos - Current tasks.
+     * @param {boolean} [redo=false] - Whether the operation is to be redone rather than undone.
+     * @returns {Array<TaskChange>} Changes whose task was changed since.
+     */
+    stale(operation, todos, redo = false) {
+        const current = new Map(todos.map(task => [task.id, task]));
+
+        return operation.changes.filter(change => {
+            const expected = redo ? change.before : change.after;
+            return canonicalize(current.get(change.id) ?? null) !== canonicalize(expected);
+        });
+    }
+
+    /**
+     * Lists the fields a change touched.
+     * @method fields
+     * @param {TaskChange} change - The change.
+     * @returns {Array<string>} Names of the fields that differ, empty if the task was added or removed.
+     */
+    fields(change) {
+        if (!change.before || !change.after) {
+            return [];
+        }
+
+        const names = new Set([...Object.keys(change.before), ...Object.keys(change.after)]);
+        return [...names].filter(field => canonicalize(change.before[field]) !== canonicalize(change.after[field]));
+    }
+}
+
+/**
+ * UndoService class export.
+ * @exports UndoService
+ */
+export { UndoService };
+
+/**
+ * Default UndoService instance.
+ * @type {UndoService}
+ * @exports undoService
+ */
+export default new UndoService();
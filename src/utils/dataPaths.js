@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Utility functions for the files kept alongside a data file.
+ * @module utils/dataPaths
+ * @description Works out where the journal, undo history, snapshots and sync bases of a data file are kept.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PROJECT_FILE, PROJECT_STATE_DIR, LISTS, BACKUP, JOURNAL } from '../config/constants.js';
+
+/**
+ * Name a project file has for either backend, without its extension.
+ * @type {string}
+ * @private
+ */
+const PROJECT_NAME = path.parse(PROJECT_FILE).name;
+
+/**
+ * Data paths object containing methods for the files kept alongside data files.
+ * @namespace dataPaths
+ */
+export const dataPaths = {
+    /**
+     * Finds the project a data file belongs to: the project file itself, or a list in the `lists` directory beside it.
+     * @method projectRoot
+     * @param {string} dataFile - Path to a JSON data file or a SQLite database.
+     * @returns {string|null} Directory of the project file, or null for a data file outside a project.
+     */
+    projectRoot(dataFile) {
+        const dir = path.dirname(path.resolve(dataFile));
+        if (path.parse(dataFile).name === PROJECT_NAME) {
+            return dir;
+        }
+
+        const parent = path.dirname(dir);
+        const inProject = path.basename(dir) === LISTS.DIR &&
+            ['.json', '.db'].some(extension => fs.existsSync(path.join(parent, `${PROJECT_NAME}${extension}`)));
+        return inProject ? parent : null;
+    },
+
+    /**
+     * Gets the directory holding the snapshots, undo history and sync bases of a data file. A project keeps those of
+     * each of its lists in its hidden state directory; other data files keep them in `backups/<name>/` beside them.
+     * @method stateDir
+     * @param {string} dataFile - Path to a JSON data file or a SQLite database.
+     * @returns {string} Absolute path to the directory.
+     * @example
+     * stateDir('/work/app/.todo.json')       // '/work/app/.todo/default'
+     * stateDir('/work/app/lists/bugs.json')  // '/work/app/.todo/lists/bugs'
+     * stateDir('/home/me/todos/todos.json')  // '/home/me/todos/backups/todos'
+     */
+    stateDir(dataFile) {
+        const root = this.projectRoot(dataFile);
+        const name = path.parse(dataFile).name;
+
+        if (root === null) {
+            return path.join(path.dirname(path.resolve(dataFile)), BACKUP.DIR, name);
+        }
+        return name === PROJECT_NAME
+            ? path.join(root, PROJECT_STATE_DIR, LISTS.DEFAULT)
+            : path.join(root, PROJECT_STATE_DIR, LISTS.DIR, name);
+    },
+
+    /**
+     * Gets the path of the journal of a JSON data file: in the state directory for a project list, beside the data
+     * file otherwise.
+     * @method journalFile
+     * @param {string} dataFile - Path to the JSON data file.
+     * @returns {string} Absolute path to the journal.
+     */
+    journalFile(dataFile) {
+        return this.projectRoot(dataFile) === null
+            ? `${path.resolve(dataFile)}${JOURNAL.SUFFIX}`
+            : path.join(this.stateDir(dataFile), JOURNAL.FILE);
+    },
+
+    /**
+     * Gets where older versions kept the journal and the state directory of a data file, beside it in the project.
+     * @method legacyPaths
+     * @param {string} dataFile - Path to the JSON data file.
+     * @returns {Array<{from: string, to: string}>} Old and current paths, the state directory first since the journal
+     * moves into it; the same for data files outside a project.
+     */
+    legacyPaths(dataFile) {
+        const file = path.resolve(dataFile);
+        return [
+            { from: path.join(path.dirname(file), BACKUP.DIR, path.parse(file).name), to: this.stateDir(file) },
+            { from: `${file}${JOURNAL.SUFFIX}`, to: this.journalFile(file) }
+        ];
+    }
+};
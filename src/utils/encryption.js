@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Encryption utilities and error class for passphrase-protected data files.
+ * @module utils/encryption
+ * @description Encrypts file content with AES-256-GCM using a key derived from a passphrase with scrypt.
+ */
+
+import crypto from 'crypto';
+import { ENCRYPTION } from '../config/constants.js';
+
+/**
+ * Custom error class for encryption errors.
+ * @class EncryptionError
+ * @extends Error
+ * @description Represents a missing or wrong passphrase, as opposed to damaged data.
+ */
+export class EncryptionError extends Error {
+    /**
+     * Creates a new EncryptionError instance.
+     * @param {string} message - Error message.
+     * @constructor
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'EncryptionError';
+    }
+}
+
+/**
+ * Key derivation parameters stored with every encrypted file.
+ * @typedef {Object} KdfParams
+ * @property {string} name - Key derivation function, always `scrypt`.
+ * @property {string} salt - Base64-encoded salt.
+ * @property {number} N - CPU/memory cost.
+ * @property {number} r - Block size.
+ * @property {number} p - Parallelization.
+ */
+
+/**
+ * Encrypted file content.
+ * @typedef {Object} EncryptedPayload
+ * @property {string} cipher - Cipher name, always `aes-256-gcm`.
+ * @property {KdfParams} kdf - How the key was derived from the passphrase.
+ * @property {string} iv - Base64-encoded initialization vector.
+ * @property {string} tag - Base64-encoded authentication tag.
+ * @property {string} data - Base64-encoded ciphertext.
+ */
+
+/**
+ * Encryption object containing methods for encrypting and decrypting file content.
+ * @namespace encryption
+ */
+export const encryption = {
+    /**
+     * Checks whether parsed file content is an encrypted payload.
+     * @method isEncrypted
+     * @param {*} data - Parsed file content.
+     * @returns {boolean} True if the content is encrypted.
+     */
+    isEncrypted(data) {
+        return data !== null && typeof data === 'object' && data.cipher === ENCRYPTION.CIPHER;
+    },
+
+    /**
+     * Creates key derivation parameters with a new random salt.
+     * @method createKdf
+     * @returns {KdfParams} New key derivation parameters.
+     */
+    createKdf() {
+        return {
+            name: 'scrypt',
+            salt: crypto.randomBytes(ENCRYPTION.SALT_LENGTH).toString('base64'),
+            ...ENCRYPTION.SCRYPT
+        };
+    },
+
+    /**
+     * Derives the encryption key from a passphrase. Deliberately slow, so callers should cache the result.
+     * @method deriveKey
+     * @param {string} passphrase - Passphrase.
+     * @param {KdfParams} kdf - Key derivation parameters.
+     * @returns {Buffer} The derived key.
+     * @throws {EncryptionError} If the passphrase is empty.
+     */
+    deriveKey(passphrase, { salt, N, r, p }) {
+        if (!passphrase) {
+            throw new EncryptionError('Passphrase cannot be empty');
+        }
+
+        return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), ENCRYPTION.KEY_LENGTH, {
+            N, r, p, maxmem: 256 * N * r
+        });
+    },
+
+    /**
+     * Encrypts text.
+     * @method encrypt
+     * @param {string} plaintext - Text to encrypt.
+     * @param {Buffer} key - Key from `deriveKey`.
+     * @param {KdfParams} kdf - Parameters the key was derived with, stored so the key can be derived again.
+     * @returns {EncryptedPayload} The encrypted payload.
+     */
+    encrypt(plaintext, key, kdf) {
+        const iv = crypto.randomBytes(ENCRYPTION.IV_LENGTH);
+        const cipher = crypto.createCipheriv(ENCRYPTION.CIPHER, key, iv);
+        const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+
+        return {
+            cipher: ENCRYPTION.CIPHER,
+            kdf,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    },
+
+    /**
+     * Decrypts a payload.
+     * @method decrypt
+     * @param {EncryptedPayload} payload - Payload to decrypt.
+     * @param {Buffer} key - Key from `deriveKey`.
+     * @returns {string} The decrypted text.
+     * @throws {EncryptionError} If the key is wrong or the payload was tampered with.
+     */
+    decrypt(payload, key) {
+        try {
+            const decipher = crypto.createDecipheriv(ENCRYPTION.CIPHER, key, Buffer.from(payload.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+            return Buffer.concat([
+                decipher.update(Buffer.from(payload.data, 'base64')),
+                decipher.final()
+            ]).toString('utf-8');
+        } catch {
+            throw new EncryptionError('Wrong passphrase, or the encrypted data has been modified');
+        }
+    }
+};
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Advisory lock files for coordinating access between processes.
+ * @module utils/fileLock
+ * @description Provides helpers to acquire, release and reclaim lock files created next to data files.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { LOCK } from '../config/constants.js';
+
+/**
+ * @typedef {Object} LockOptions
+ * @property {number} [timeout=LOCK.TIMEOUT_MS] - Maximum time in milliseconds to wait for the lock.
+ * @property {number} [retryDelay=LOCK.RETRY_MS] - Delay in milliseconds between attempts.
+ * @property {number} [staleAfter=LOCK.STALE_MS] - Age in milliseconds after which a lock is reclaimed.
+ */
+
+/**
+ * Tokens written into the lock files this process holds, by lock path.
+ * @type {Map<string, string>}
+ * @private
+ */
+const held = new Map();
+
+/**
+ * Reads the content of a lock file. Every lock has a token of its own, so the content tells one lock apart from
+ * another one taken at the same path later.
+ * @param {string} lockPath - Path of the lock file.
+ * @returns {string|null} The content, or null if the lock is gone.
+ * @private
+ */
+function readLock(lockPath) {
+    try {
+        return fs.readFileSync(lockPath, 'utf-8');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads the owner recorded in a lock file.
+ * @param {string} lockPath - Path of the lock file.
+ * @returns {{pid: number, token: string, acquiredAt: string}|null} The owner, or null if the lock is gone or unreadable.
+ * @private
+ */
+function readOwner(lockPath) {
+    try {
+        return JSON.parse(readLock(lockPath));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Blocks the current thread for the given number of milliseconds.
+ * @param {number} ms - Milliseconds to sleep.
+ * @returns {void}
+ * @private
+ */
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Checks whether a process with the given PID is still running.
+ * @param {number} pid - Process ID to check.
+ * @returns {boolean} True if the process exists.
+ * @private
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * File lock object containing methods for managing advisory lock files.
+ * @namespace fileLock
+ */
+export const fileLock = {
+    /**
+     * Acquires a lock file, waiting for other holders and reclaiming stale locks.
+     * The lock records this process and a token of its own, so it is only released by the holder that wrote it.
+     * @method acquire
+     * @param {string} lockPath - Path of the lock file.
+     * @param {LockOptions} [options={}] - Lock options.
+     * @returns {void}
+     * @throws {Error} If the lock cannot be acquired before the timeout.
+     */
+    acquire(lockPath, { timeout = LOCK.TIMEOUT_MS, retryDelay = LOCK.RETRY_MS, staleAfter = LOCK.STALE_MS } = {}) {
+        const deadline = Date.now() + timeout;
+        fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+        while (true) {
+            const token = crypto.randomBytes(8).toString('hex');
+            try {
+                fs.writeFileSync(lockPath, JSON.stringify({
+                    pid: process.pid,
+                    token,
+                    acquiredAt: new Date().toISOString()
+                }), { flag: 'wx' });
+                held.set(path.resolve(lockPath), token);
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw new Error(`Failed to acquire lock: ${error.message}`);
+                }
+            }
+
+            if (this.reclaim(lockPath, staleAfter)) {
+                continue;
+            }
+
+            if (Date.now() >= deadline) {
+                throw new Error(`Timed out waiting for lock ${lockPath}. If no other todo command is running, delete the lock file`);
+            }
+
+            sleep(retryDelay);
+        }
+    },
+
+    /**
+     * Releases a lock file previously acquired by this process. A lock that another process has reclaimed and holds
+     * now is left alone.
+     * @method release
+     * @param {string} lockPath - Path of the lock file.
+     * @returns {void}
+     */
+    release(lockPath) {
+        const key = path.resolve(lockPath);
+        const token = held.get(key);
+        held.delete(key);
+
+        if (token && readOwner(lockPath)?.token === token) {
+            fs.rmSync(lockPath, { force: true });
+        }
+    },
+
+    /**
+     * Removes a lock if it is stale, so it can be acquired again. The lock is renamed to a name of its own, which only
+     * one of the processes reclaiming it at the same time can do, and is only deleted if it is still the lock that was
+     * found stale. A fresh lock is never renamed, unless another process reclaimed the stale one and took a new lock
+     * between the check and the rename; that lock is put back.
+     * @method reclaim
+     * @param {string} lockPath - Path of the lock file.
+     * @param {number} staleAfter - Age in milliseconds after which the lock is stale.
+     * @returns {boolean} True if the stale lock was removed; false if it is not stale or another process got to it first.
+     * @private
+     */
+    reclaim(lockPath, staleAfter) {
+        const found = readLock(lockPath);
+        if (found === null || !this.isStale(lockPath, staleAfter)) {
+            return false;
+        }
+
+        const claimed = `${lockPath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.stale`;
+        try {
+            fs.renameSync(lockPath, claimed);
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw new Error(`Failed to reclaim lock: ${error.message}`);
+        }
+
+        if (readLock(claimed) !== found) {
+            try {
+                fs.linkSync(claimed, lockPath);
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw new Error(`Failed to reclaim lock: ${error.message}`);
+            }
+            fs.rmSync(claimed, { force: true });
+            return false;
+        }
+
+        fs.rmSync(claimed, { force: true });
+        return true;
+    },
+
+    /**
+     * Checks whether a lock file has been abandoned.
+     * A lock is stale when its owner process is gone, its content is unreadable, or it is older than `staleAfter`.
+     * @method isStale
+     * @param {string} lockPath - Path of the lock file.
+     * @param {number} [staleAfter=LOCK.STALE_MS] - Age in milliseconds after which the lock is stale.
+     * @returns {boolean} True if the lock can be reclaimed.
+     */
+    isStale(lockPath, staleAfter = LOCK.STALE_MS) {
+        try {
+            const { mtimeMs } = fs.statSync(lockPath);
+            if (Date.now() - mtimeMs > staleAfter) {
+                return true;
+            }
+
+            const { pid } = JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+            return !Number.isInteger(pid) || !isProcessAlive(pid);
+        } catch (error) {
+            // The holder may have released the lock in the meantime, or is still writing it
+            if (error.code === 'ENOENT') return false;
+            return error instanceof SyntaxError && this.isOlderThan(lockPath, LOCK.RETRY_MS * 4);
+        }
+    },
+
+    /**
+     * Checks whether a file was last modified more than `ms` milliseconds ago.
+     * @method isOlderThan
+     * @param {string} filePath - Path of the file.
+     * @param {number} ms - Age threshold in milliseconds.
+     * @returns {boolean} True if the file exists and is older than the threshold.
+     * @private
+     */
+    isOlderThan(filePath, ms) {
+        try {
+            return Date.now() - fs.statSync(filePath).mtimeMs > ms;
+        } catch {
+            return false;
+        }
+    }
+};
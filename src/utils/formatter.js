@@ -7,6 +7,25 @@
 import chalk from 'chalk';
 import { PRIORITY_EMOJI, STATUS_EMOJI, EMOJI, PRIORITY, BAR } from '../config/constants.js';
 import { parser } from './parser.js';
+import { recurrence } from './recurrence.js';
+import { timeTracking } from './timeTracking.js';
+
+/**
+ * Formats the value of a task field for a line of its history, shortened to fit.
+ * @param {string} field - Name of the field.
+ * @param {*} raw - The value; null when the field was not set.
+ * @returns {string} Text to show.
+ * @private
+ */
+function formatValue(field, raw) {
+    if (raw === null || raw === undefined || (Array.isArray(raw) && raw.length === 0)) return chalk.gray('none');
+    if (field === 'recurrence') return recurrence.describe(raw);
+    if (Array.isArray(raw) && raw.some(item => typeof item === 'object')) return `${raw.length} item(s)`;
+
+    const text = Array.isArray(raw) ? raw.join(', ') : typeof raw === 'object' ? JSON.stringify(raw) : String(raw);
+    const line = text.replace(/\s+/g, ' ');
+    return line.length > 40 ? `${line.slice(0, 39)}…` : line;
+}
 
 /**
  * Formatter object containing methods for formatting console output.
@@ -87,19 +106,32 @@ export const formatter = {
      * @param {boolean} todo.completed - Completion status.
      * @param {string} todo.priority - Priority level.
      * @param {string|null} [todo.dueDate] - Due date in YYYY-MM-DD format.
-     * @param {string|null} [todo.tag] - Task tag.
+     * @param {Array<string>} [todo.tags] - Task tags.
+     * @param {Recurrence} [todo.recurrence] - When the task comes back.
+     * @param {Array<TimeEntry>} [todo.timeEntries] - Time spent on the task.
      * @param {number|null} [index=null] - Optional index for numbered lists.
+     * @param {Object} [outline={}] - Place of the task in the tree of tasks and subtasks, see `TodoService.outline`.
+     * @param {number} [outline.depth=0] - How deep the task is nested.
+     * @param {{done: number, total: number}|null} [outline.progress=null] - Completed and total subtasks.
+     * @param {Array<number>} [outline.blockedBy=[]] - IDs of the pending tasks the task waits for.
      * @returns {string} Formatted task string with colors and emojis.
      */
-    formatTask(todo, index = null) {
+    formatTask(todo, index = null, { depth = 0, progress = null, blockedBy = [] } = {}) {
         const status = todo.completed ? STATUS_EMOJI.COMPLETED : STATUS_EMOJI.PENDING;
         const priority = todo.priority || PRIORITY.MEDIUM;
         const priorityEmoji = PRIORITY_EMOJI[priority];
 
         const descColor = todo.completed ? chalk.gray : chalk.white;
         const taskNumber = index !== null ? chalk.gray(`${index + 1}.`) : '';
+        const indent = depth > 0 ? chalk.gray(`${'   '.repeat(depth - 1)}└─ `) : '';
 
-        let taskLine = `${taskNumber} [${chalk.cyan(status)}] ${priorityEmoji} ${descColor(todo.description)}`;
+        let taskLine = `${taskNumber} ${indent}[${chalk.cyan(status)}] ${priorityEmoji} ${descColor(todo.description)}`;
+
+        // Add progress of the subtasks
+        if (progress) {
+            const progressColor = progress.done === progress.total ? chalk.green : chalk.yellow;
+            taskLine += ` ${progressColor(`${progress.done}/${progress.total}`)}`;
+        }
 
         // Add due date
         if (todo.dueDate) {
@@ -109,9 +141,30 @@ export const formatter = {
             taskLine += ` ${dueDateEmoji} ${dateColor(todo.dueDate)}`;
         }
 
-        // Add tag
-        if (todo.tag) {
-            taskLine += ` ${EMOJI.TAG} ${chalk.magenta(todo.tag)}`;
+        // Add repeat rule
+        if (todo.recurrence) {
+            taskLine += ` ${EMOJI.REPEAT} ${chalk.cyan(recurrence.describe(todo.recurrence))}`;
+        }
+
+        // Add tags
+        if (todo.tags?.length > 0) {
+            taskLine += ` ${EMOJI.TAG} ${chalk.magenta(todo.tags.join(', '))}`;
+        }
+
+        // Add the time spent, counting the running timer
+        if (todo.timeEntries?.length > 0) {
+            const spent = timeTracking.format(timeTracking.total(todo));
+            taskLine += ` ${EMOJI.TIMER} ${timeTracking.isRunning(todo) ? chalk.green(`${spent} running`) : chalk.yellow(spent)}`;
+        }
+
+        // Hint at notes, shown by "todo show"
+        if (todo.notes || todo.annotations?.length > 0) {
+            taskLine += ` ${EMOJI.NOTE}`;
+        }
+
+        // Add the tasks it waits for
+        if (blockedBy.length > 0) {
+            taskLine += ` ${EMOJI.BLOCKED} ${chalk.red(`waits for ${blockedBy.join(', ')}`)}`;
         }
 
         taskLine += chalk.gray(` (ID: ${todo.id})`);
@@ -128,9 +181,14 @@ export const formatter = {
      * @param {boolean} todo.completed - Completion status.
      * @param {string} todo.priority - Priority level.
      * @param {string|null} [todo.dueDate] - Due date in YYYY-MM-DD format.
-     * @param {string|null} [todo.tag] - Task tag.
+     * @param {Array<string>} [todo.tags] - Task tags.
+     * @param {Recurrence} [todo.recurrence] - When the task comes back.
      * @param {string} [todo.createdAt] - Creation timestamp.
+     * @param {string} [todo.updatedAt] - Timestamp of the last change.
      * @param {string} [todo.completedAt] - Completion timestamp.
+     * @param {string} [todo.notes] - Longer text about the task.
+     * @param {Array<Annotation>} [todo.annotations] - Timestamped notes, oldest first.
+     * @param {Array<TimeEntry>} [todo.timeEntries] - Time spent on the task.
      * @returns {void}
      */
     formatTaskDetail(todo) {
@@ -146,21 +204,71 @@ export const formatter = {
             console.log(`${chalk.cyan('Due Date:')}     ${isOverdue ? chalk.red(todo.dueDate + '(OVERDUE)') : chalk.blue(todo.dueDate)}`);
         }
 
-        if (todo.tag) {
-            console.log(`${chalk.cyan('Tag:')}      ${EMOJI.TAG} ${chalk.magenta(todo.tag)}`);
+        if (todo.recurrence) {
+            console.log(`${chalk.cyan('Repeats:')}     ${EMOJI.REPEAT} ${recurrence.describe(todo.recurrence)}`);
+        }
+
+        if (todo.tags?.length > 0) {
+            console.log(`${chalk.cyan('Tags:')}        ${EMOJI.TAG} ${chalk.magenta(todo.tags.join(', '))}`);
+        }
+
+        if (todo.timeEntries?.length > 0) {
+            const count = todo.timeEntries.length;
+            const running = todo.timeEntries.find(entry => !entry.end);
+            let spent = `${EMOJI.TIMER} ${timeTracking.format(timeTracking.total(todo))} in ${count} entr${count === 1 ? 'y' : 'ies'}`;
+            if (running) {
+                spent += chalk.green(`, timer running for ${timeTracking.format(timeTracking.seconds(running))}`);
+            }
+            console.log(`${chalk.cyan('Time spent:')}  ${spent}`);
         }
 
         if (todo.createdAt) {
             console.log(`${chalk.cyan('Created:')}      ${chalk.gray(new Date(todo.createdAt).toDateString())}`);
         }
 
+        if (todo.updatedAt) {
+            console.log(`${chalk.cyan('Updated:')}      ${chalk.gray(new Date(todo.updatedAt).toDateString())}`);
+        }
+
         if (todo.completedAt) {
             console.log(`${chalk.cyan('Completed:')}    ${chalk.gray(new Date(todo.completedAt).toDateString())}`);
         }
 
+        if (todo.notes) {
+            console.log(chalk.cyan(`\n${EMOJI.NOTE} Notes:`));
+            todo.notes.split('\n').forEach(line => console.log(`  ${line}`));
+        }
+
+        if (todo.annotations?.length > 0) {
+            console.log(chalk.cyan('\nAnnotations:'));
+            todo.annotations.forEach(({ at, text }) => {
+                console.log(`  ${chalk.gray(new Date(at).toLocaleString())}  ${text}`);
+            });
+        }
+
         console.log(chalk.gray('-'.repeat(50)));
     },
 
+    /**
+     * Displays the history of a task: when it was created, then every recorded change, oldest first.
+     * @method formatHistory
+     * @param {Object} todo - The todo object whose history to display.
+     * @param {string} [todo.createdAt] - Creation timestamp.
+     * @param {Array<FieldChange>} [todo.history] - Changes to the task, oldest first.
+     * @returns {void}
+     */
+    formatHistory(todo) {
+        const time = at => chalk.gray(new Date(at).toLocaleString());
+
+        console.log(chalk.cyan('History:'));
+        if (todo.createdAt) {
+            console.log(`  ${time(todo.createdAt)}  created`);
+        }
+        (todo.history ?? []).forEach(({ at, field, from, to }) => {
+            console.log(`  ${time(at)}  ${chalk.bold(field)}: ${formatValue(field, from)} → ${formatValue(field, to)}`);
+        });
+    },
+
     /**
      * Formats a progress bar as a string.
      * @method formatProgressBar
@@ -200,6 +308,72 @@ export const formatter = {
         console.log(`\n${this.formatProgressBar(stats.percentage)}\n`)
     },
 
+    /**
+     * Displays what replacing the current tasks with another list would change.
+     * @method formatDiff
+     * @param {SnapshotDiff} diff - Differences between the current tasks and the new list.
+     * @param {Map<number, Array<{field: string, from: *, to: *}>>|null} [fieldChanges=null] - Old and new values of
+     * the changed fields of each changed task, by task ID, to show under it.
+     * @returns {void}
+     */
+    formatDiff(diff, fieldChanges = null) {
+        console.log(`${chalk.green(`+${diff.added.length} added`)}, ${chalk.red(`-${diff.removed.length} removed`)}, ${chalk.yellow(`~${diff.changed.length} changed`)}, ${chalk.gray(`${diff.unchanged} unchanged`)}`);
+
+        diff.added.forEach(todo => console.log(chalk.green(`  + ${todo.description}`) + chalk.gray(` (ID: ${todo.id})`)));
+        diff.removed.forEach(todo => console.log(chalk.red(`  - ${todo.description}`) + chalk.gray(` (ID: ${todo.id})`)));
+        diff.changed.forEach(todo => {
+            console.log(chalk.yellow(`  ~ ${todo.description}`) + chalk.gray(` (ID: ${todo.id})`));
+            (fieldChanges?.get(todo.id) ?? []).forEach(({ field, from, to }) => {
+                console.log(`      ${chalk.bold(field)}: ${formatValue(field, from)} → ${formatValue(field, to)}`);
+            });
+        });
+    },
+
+    /**
+     * Displays a sync conflict: the fields both sides changed, or a change on one side and a deletion on the other.
+     * @method formatConflict
+     * @param {SyncConflict} conflict - The conflict to show.
+     * @returns {void}
+     */
+    formatConflict(conflict) {
+        const { local, remote } = conflict;
+        console.log(chalk.bold.yellow(`${EMOJI.WARNING} Conflict in task ${conflict.id}: ${(local ?? remote).description}`));
+
+        if (conflict.type === 'delete') {
+            console.log(`${chalk.cyan('ours:')}   ${local ? 'changed' : chalk.red('deleted')}`);
+            console.log(`${chalk.cyan('theirs:')} ${remote ? 'changed' : chalk.red('deleted')}`);
+            return;
+        }
+
+        conflict.fields.forEach(field => {
+            console.log(`${chalk.gray(`${field}:`)}`);
+            console.log(`  ${chalk.cyan('ours:')}   ${JSON.stringify(local[field]) ?? chalk.gray('(none)')}`);
+            console.log(`  ${chalk.cyan('theirs:')} ${JSON.stringify(remote[field]) ?? chalk.gray('(none)')}`);
+        });
+    },
+
+    /**
+     * Displays what a repair of damaged data found and recovered.
+     * @method formatRepairReport
+     * @param {RepairReport} report - Repair outcome.
+     * @returns {void}
+     */
+    formatRepairReport(report) {
+        console.log(`${chalk.cyan('Problem:')}     ${report.problem}`);
+        console.log(`${chalk.cyan('Quarantined:')} ${report.quarantineFile}`);
+        console.log(`${chalk.cyan('Salvaged:')}    ${chalk.bold(report.salvaged)} task(s)`);
+
+        if (report.backup) {
+            console.log(`${chalk.cyan('Backup:')}      restored ${chalk.bold(report.total)} task(s) from ${report.backup.name}`);
+        }
+
+        if (report.missing > 0) {
+            console.log(chalk.yellow(`${EMOJI.WARNING} ${report.missing} task(s) from the latest backup were not recovered. Compare with "todo backup restore 1".`));
+        }
+
+        console.log(`${chalk.cyan('Tasks now:')}   ${chalk.bold(report.total)}`);
+    },
+
     /**
      * Displays a horizontal divider line.
      * @method divider
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Utility functions for task identities and references to tasks.
+ * @module utils/ids
+ * @description Creates the identities tasks keep across lists and synced files, and resolves the task references users type.
+ */
+
+import crypto from 'crypto';
+import { TASK_ID } from '../config/constants.js';
+
+/**
+ * Options for resolving task references.
+ * @typedef {Object} ResolveOptions
+ * @property {boolean} [exact=false] - Only take full IDs, not the start of one, e.g. for commands that delete tasks:
+ * `5` must not pick task 57 because task 5 is in the trash.
+ */
+
+/**
+ * Lists tasks whose IDs start with a reference, for an error message.
+ * @param {Array<Todo>} matches - The tasks.
+ * @returns {string} Text like `57 (Fix bug), 58 (Release)`, with the number of tasks left out if there are many.
+ * @private
+ */
+function describeMatches(matches) {
+    const listed = matches.slice(0, TASK_ID.MAX_CANDIDATES).map(todo => `${todo.id} (${todo.description})`);
+    const more = matches.length - listed.length;
+    return `${listed.join(', ')}${more > 0 ? ` and ${more} more` : ''}`;
+}
+
+/**
+ * Ids object containing methods for task identities and references.
+ * @namespace ids
+ */
+export const ids = {
+    /**
+     * Creates a random identity for a new task.
+     * Unlike the short ID, it never changes, so it tells whether two tasks in different files are the same task.
+     * @method createUid
+     * @returns {string} Hex string of `TASK_ID.UID_LENGTH` characters.
+     */
+    createUid() {
+        return crypto.randomBytes(TASK_ID.UID_LENGTH / 2).toString('hex');
+    },
+
+    /**
+     * Derives the identity of a task stored before tasks had one.
+     * Every copy of a list derives the same identity from the same old ID, so synced files still match up
+     * after each of them was upgraded on its own.
+     * @method legacyUid
+     * @param {*} value - What identified the task until now, usually its timestamp ID.
+     * @returns {string} Hex string of `TASK_ID.UID_LENGTH` characters.
+     * @example
+     * legacyUid(1730448000000) // Always the same 12 characters for this ID
+     */
+    legacyUid(value) {
+        // Hand-written imports may have no ID at all, which JSON.stringify would turn into nothing to hash
+        return crypto.createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex').slice(0, TASK_ID.UID_LENGTH);
+    },
+
+    /**
+     * Resolves a task reference to the ID of a task.
+     * A number is an exact ID or, failing that, the start of exactly one ID. `@N` is the Nth task as `todo list` shows it.
+     * @method resolve
+     * @param {number|string} ref - Reference as returned by `validator.validateId`.
+     * @param {Array<Todo>} todos - Tasks of the list, in list order.
+     * @param {ResolveOptions} [options={}] - Resolve options.
+     * @returns {number} Task ID.
+     * @throws {Error} If no task matches, or the reference is the start of several IDs or, with `exact`, of any ID.
+     * @example
+     * resolve(4, todos)                   // Task 4, or the only task whose ID starts with 4
+     * resolve(4, todos, { exact: true })  // Task 4 only
+     * resolve('@2', todos)                // The second task in the list
+     */
+    resolve(ref, todos, { exact = false } = {}) {
+        if (typeof ref === 'string' && ref.startsWith(TASK_ID.POSITION_PREFIX)) {
+            const position = Number(ref.slice(TASK_ID.POSITION_PREFIX.length));
+            const todo = todos[position - 1];
+
+            if (!todo) {
+                throw new Error(`No task at position ${position}. The list has ${todos.length} task(s)`);
+            }
+            return todo.id;
+        }
+
+        if (todos.some(todo => todo.id === ref)) {
+            return ref;
+        }
+
+        const matches = todos.filter(todo => String(todo.id).startsWith(String(ref)));
+        if (matches.length === 0) {
+            throw new Error(`Task with ID ${ref} not found`);
+        }
+        if (exact) {
+            throw new Error(`Task with ID ${ref} not found. Type the full ID of ${describeMatches(matches)} to pick it`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`ID ${ref} is ambiguous. It matches ${describeMatches(matches)}`);
+        }
+
+        return matches[0].id;
+    },
+
+    /**
+     * Resolves several task references and ranges to task IDs.
+     * A range selects the tasks whose IDs lie in it; IDs deleted in between are left out.
+     * @method resolveAll
+     * @param {Array<number|string|IdRange>} refs - References as returned by `validator.validateIds`.
+     * @param {Array<Todo>} todos - Tasks of the list, in list order.
+     * @param {ResolveOptions} [options={}] - Resolve options.
+     * @returns {Array<number>} Task IDs in the order they were named, each once.
+     * @throws {Error} If a reference cannot be resolved, or a range contains no task.
+     * @example
+     * resolveAll([3, { from: 7, to: 9 }], todos) // [3, 7, 8, 9]
+     */
+    resolveAll(refs, todos, options = {}) {
+        const resolved = refs.flatMap(ref => {
+            if (typeof ref !== 'object') {
+                return [this.resolve(ref, todos, options)];
+            }
+
+            const inRange = todos.filter(todo => todo.id >= ref.from && todo.id <= ref.to).map(todo => todo.id);
+            if (inRange.length === 0) {
+                throw new Error(`No tasks with IDs from ${ref.from} to ${ref.to}`);
+            }
+            return inRange.sort((a, b) => a - b);
+        });
+
+        return [...new Set(resolved)];
+    }
+};
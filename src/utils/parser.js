@@ -5,13 +5,27 @@
  */
 
 import { validator } from "./validator.js";
+import { TAGS } from "../config/constants.js";
 
 /**
  * @typedef {Object} ParsedTaskInput
  * @property {string} description - Cleaned task description.
  * @property {string|null} priority - Priority level (high, medium, low) or null.
  * @property {string|null} dueDate - Due date in YYYY-MM-DD format or null.
- * @property {string|null} tag - Tag name or null.
+ * @property {Array<string>} tags - Tag names, empty if none.
+ */
+
+/**
+ * Tags to add to a task and tags to remove from it.
+ * @typedef {Object} TagChanges
+ * @property {Array<string>} add - Tags to add.
+ * @property {Array<string>} remove - Tags to remove.
+ */
+
+/**
+ * @typedef {Object} ParsedUpdateInput
+ * @property {string|null} description - New task description, or null to keep the current one.
+ * @property {TagChanges} tagChanges - Tags to add and remove.
  */
 
 /**
@@ -20,20 +34,20 @@ import { validator } from "./validator.js";
  */
 export const parser = {
     /**
-     * Parses task input string to extract description, priority, due date, and tag.
-     * Supports flags: --priority, --due, --tag
+     * Parses task input string to extract description, priority, due date, and tags.
+     * Supports flags: --priority, --due, --tag (may be repeated)
      * @method parseTaskInput
      * @param {string} description - The input string containing task description and optional flags.
      * @returns {ParsedTaskInput} Object containing parsed task data.
      * @example
      * parseTaskInput("Buy groceries --priority high --due 2025-12-31 --tag shopping")
-     * Returns: { description: "Buy groceries", priority: "high", dueDate: "2025-12-31", tag: "shopping" }
+     * Returns: { description: "Buy groceries", priority: "high", dueDate: "2025-12-31", tags: ["shopping"] }
      */
     parseTaskInput(description) {
         let cleanDescription = description.trim();
         let priority = null;
         let dueDate = null;
-        let tag = null;
+        let tags = [];
 
         // Parse priority flag: --priority high|medium|low
         const priorityMatch = description.match(/--priority\s+(high|medium|low)/i);
@@ -49,18 +63,52 @@ export const parser = {
             cleanDescription = cleanDescription.replace(/--due\s+\d{4}-\d{2}-\d{2}/, '').trim();
         }
 
-        // Parse tag flag: --tag tagname
-        const tagMatch = description.match(/--tag\s+(\w+)/i);
-        if (tagMatch) {
-            tag = validator.validateTag(tagMatch[1]);
-            cleanDescription = cleanDescription.replace(/--tag\s+\w+/i, '').trim();
+        // Parse tag flags: --tag tagname, repeated or with several tags separated by commas
+        const tagMatches = [...description.matchAll(/--tag\s+([\w,-]+)/gi)];
+        if (tagMatches.length > 0) {
+            tags = validator.validateTags(tagMatches.map(match => match[1]));
+            cleanDescription = cleanDescription.replace(/--tag\s+[\w,-]+/gi, '').replace(/\s+/g, ' ').trim();
         }
 
         return {
             description: validator.validateDescription(cleanDescription),
             priority,
             dueDate,
-            tag
+            tags
+        };
+    },
+
+    /**
+     * Parses the words given to `update`: `+tag` adds a tag, `-tag` removes one, and the other words
+     * form the new description. Only tags that start with a letter can be changed this way.
+     * @method parseUpdateInput
+     * @param {Array<string>} words - The words after the task ID.
+     * @returns {ParsedUpdateInput} New description and tag changes.
+     * @throws {ValidationError} If the description or a tag is invalid.
+     * @example
+     * parseUpdateInput(['Call', 'the', 'bank', '+urgent', '-home'])
+     * Returns: { description: "Call the bank", tagChanges: { add: ["urgent"], remove: ["home"] } }
+     */
+    parseUpdateInput(words) {
+        const tagChanges = { add: [], remove: [] };
+        const rest = [];
+
+        words.forEach(word => {
+            // Tag words start with a letter, so numbers like -5 or +1 stay in the description
+            const match = /^([+-])([a-zA-Z][a-zA-Z0-9_-]*)$/.exec(word);
+            if (!match) {
+                rest.push(word);
+                return;
+            }
+
+            const changes = match[1] === TAGS.ADD_PREFIX ? tagChanges.add : tagChanges.remove;
+            changes.push(validator.validateTag(match[2]));
+        });
+
+        const text = rest.join(' ').trim();
+        return {
+            description: text ? validator.validateDescription(text) : null,
+            tagChanges
         };
     },
 
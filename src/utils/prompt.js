@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Utility functions for asking the user questions on the terminal.
+ * @module utils/prompt
+ * @description Provides interactive prompts used by commands that need confirmation before destructive changes,
+ * and opens the user's editor for longer text.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { spawnSync } from 'child_process';
+import { Writable } from 'stream';
+import chalk from 'chalk';
+
+/**
+ * Line readers kept between `prompt.choose` calls by input stream.
+ * @type {WeakMap<NodeJS.ReadableStream, LineReader>}
+ * @private
+ */
+const readers = new WeakMap();
+
+/**
+ * Reads answers line by line, keeping lines that arrive before they are asked for.
+ * @typedef {Object} LineReader
+ * @property {function(): Promise<string|null>} next - Resolves with the next line, or null once the input has ended.
+ * @private
+ */
+
+/**
+ * Gets the line reader shared by `prompt.choose` calls on an input stream, creating it on first use.
+ * @param {NodeJS.ReadableStream} input - Stream to read answers from.
+ * @returns {LineReader} The reader.
+ * @private
+ */
+function getReader(input) {
+    if (readers.has(input)) {
+        return readers.get(input);
+    }
+
+    const rl = readline.createInterface({ input });
+    const lines = [];
+    let waiting = null;
+    let closed = false;
+
+    rl.on('line', line => {
+        if (waiting) {
+            waiting(line);
+        } else {
+            lines.push(line);
+        }
+    });
+    rl.on('close', () => {
+        closed = true;
+        waiting?.(null);
+    });
+
+    const reader = {
+        next() {
+            if (lines.length > 0) return Promise.resolve(lines.shift());
+            if (closed) return Promise.resolve(null);
+
+            rl.resume();
+            return new Promise(resolve => {
+                waiting = line => {
+                    waiting = null;
+                    rl.pause(); // Lets the process exit while no question is pending
+                    resolve(line);
+                };
+            });
+        }
+    };
+
+    readers.set(input, reader);
+    return reader;
+}
+
+/**
+ * Prompt object containing methods for interactive questions.
+ * @namespace prompt
+ */
+export const prompt = {
+    /**
+     * Asks a yes/no question. Anything other than "y" or "yes" counts as no, as does closed input.
+     * @method confirm
+     * @param {string} question - Question to ask.
+     * @param {Object} [streams={}] - Streams to use instead of the terminal.
+     * @param {NodeJS.ReadableStream} [streams.input=process.stdin] - Stream to read the answer from.
+     * @param {NodeJS.WritableStream} [streams.output=process.stdout] - Stream to write the question to.
+     * @returns {Promise<boolean>} True if the user answered yes.
+     * @example
+     * if (await prompt.confirm('Restore this backup?')) { ... }
+     */
+    confirm(question, { input = process.stdin, output = process.stdout } = {}) {
+        const rl = readline.createInterface({ input, output });
+
+        return new Promise(resolve => {
+            let answered = false;
+
+            rl.on('close', () => {
+                if (!answered) resolve(false);
+            });
+
+            rl.question(`${question} ${chalk.gray('(y/N)')} `, answer => {
+                answered = true;
+                rl.close();
+                resolve(/^y(es)?$/i.test(answer.trim()));
+            });
+        });
+    },
+
+    /**
+     * Asks to pick one of several answers by its first letter or in full.
+     * Unknown answers ask again; closed input counts as no answer. Successive calls share one reader,
+     * so several answers piped in at once are all used.
+     * @method choose
+     * @param {string} question - Question to ask.
+     * @param {Array<string>} choices - Possible answers, each starting with a different letter.
+     * @param {Object} [streams={}] - Streams to use instead of the terminal.
+     * @param {NodeJS.ReadableStream} [streams.input=process.stdin] - Stream to read the answer from.
+     * @param {NodeJS.WritableStream} [streams.output=process.stdout] - Stream to write the question to.
+     * @returns {Promise<string|null>} The chosen answer, or null if the input was closed.
+     * @example
+     * const side = await prompt.choose('Keep which version?', ['ours', 'theirs']);
+     */
+    async choose(question, choices, { input = process.stdin, output = process.stdout } = {}) {
+        const reader = getReader(input);
+        const hint = chalk.gray(`(${choices.map(choice => `[${choice[0]}]${choice.slice(1)}`).join('/')})`);
+
+        while (true) {
+            output.write(`${question} ${hint} `);
+            const answer = await reader.next();
+            if (answer === null) {
+                output.write('\n');
+                return null;
+            }
+
+            const text = answer.trim().toLowerCase();
+            const choice = choices.find(c => text !== '' && (c === text || c[0] === text));
+            if (choice) return choice;
+        }
+    },
+
+    /**
+     * Asks for a secret without echoing what is typed. Closed input counts as an empty answer.
+     * @method password
+     * @param {string} question - Question to ask.
+     * @param {Object} [streams={}] - Streams to use instead of the terminal.
+     * @param {NodeJS.ReadableStream} [streams.input=process.stdin] - Stream to read the answer from.
+     * @param {NodeJS.WritableStream} [streams.output=process.stdout] - Stream to write the question to.
+     * @returns {Promise<string>} The answer.
+     * @example
+     * const passphrase = await prompt.password('Passphrase:');
+     */
+    password(question, { input = process.stdin, output = process.stdout } = {}) {
+        let muted = false;
+        const sink = new Writable({
+            write(chunk, encoding, callback) {
+                if (!muted) output.write(chunk, encoding);
+                callback();
+            }
+        });
+        const rl = readline.createInterface({ input, output: sink, terminal: Boolean(input.isTTY) });
+
+        return new Promise(resolve => {
+            let answered = false;
+
+            rl.on('close', () => {
+                if (!answered) {
+                    output.write('\n');
+                    resolve('');
+                }
+            });
+
+            rl.question(`${question} `, answer => {
+                answered = true;
+                rl.close();
+                output.write('\n');
+                resolve(answer);
+            });
+            muted = true;
+        });
+    },
+
+    /**
+     * Lets the user edit text in their editor: `$VISUAL`, else `$EDITOR`, else `vi`. Waits until the editor is closed.
+     * @method edit
+     * @param {string} text - Text to start from.
+     * @param {Object} [options={}] - Edit options.
+     * @param {string} [options.editor] - Editor command to use instead, which may include arguments like `code --wait`.
+     * @param {string} [options.name='notes.md'] - Name of the file to edit, whose extension editors may use for highlighting.
+     * @returns {string} The edited text.
+     * @throws {Error} If the editor cannot be started or fails.
+     * @example
+     * const notes = prompt.edit(todo.notes ?? '');
+     */
+    edit(text, { editor = process.env.VISUAL || process.env.EDITOR || 'vi', name = 'notes.md' } = {}) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-edit-'));
+        const file = path.join(dir, name);
+
+        try {
+            fs.writeFileSync(file, text, { mode: 0o600 });
+
+            // Through the shell, so editor commands with arguments work
+            const result = spawnSync(`${editor} "${file}"`, { shell: true, stdio: 'inherit' });
+            if (result.error) {
+                throw new Error(`Could not start the editor "${editor}": ${result.error.message}`);
+            }
+            if (result.status !== 0) {
+                throw new Error(`The editor "${editor}" exited with code ${result.status}; nothing was changed`);
+            }
+
+            return fs.readFileSync(file, 'utf8');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+};
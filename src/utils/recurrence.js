@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Utility functions for the schedules of recurring tasks.
+ * @module utils/recurrence
+ * @description Works out the due dates of recurring tasks from their repeat rules, and describes the rules.
+ */
+
+import { RECURRENCE, RECURRENCE_MODE, WEEKDAY_NAMES } from "../config/constants.js";
+
+/**
+ * Parses a date in YYYY-MM-DD format as midnight UTC, so adding days never crosses a daylight saving change.
+ * @param {string} date - Date in YYYY-MM-DD format.
+ * @returns {Date} The date.
+ * @private
+ */
+function toDate(date) {
+    return new Date(`${date}T00:00:00.000Z`);
+}
+
+/**
+ * Formats a date as YYYY-MM-DD.
+ * @param {Date} date - Date at midnight UTC.
+ * @returns {string} Date in YYYY-MM-DD format.
+ * @private
+ */
+function toDay(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Works out a day of a month, using the last day of the month if it is shorter.
+ * @param {number} year - Full year.
+ * @param {number} month - Month, 0 for January; 12 is January of the next year.
+ * @param {number} day - Day of the month, 1 to 31.
+ * @returns {Date} The date.
+ * @private
+ */
+function dayOfMonth(year, month, day) {
+    const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(day, length)));
+}
+
+/**
+ * Recurrence object containing methods for the schedules of recurring tasks.
+ * @namespace recurrence
+ */
+export const recurrence = {
+    /**
+     * Completes a repeat rule for a task: `week` and `month` without days take them from the first due date,
+     * and the schedule is fixed unless the rule says otherwise.
+     * @method schedule
+     * @param {Recurrence} rule - Rule as returned by `validator.validateRecurrence`, with its mode if it has one.
+     * @param {string} dueDate - First due date in YYYY-MM-DD format.
+     * @returns {Recurrence} The rule with its days and mode.
+     * @example
+     * schedule({ every: 'month' }, '2026-01-15') // { every: 'month', day: 15, mode: 'fixed' }
+     */
+    schedule(rule, dueDate) {
+        const date = toDate(dueDate);
+        const mode = rule.mode ?? RECURRENCE_MODE.FIXED;
+
+        if (rule.every === RECURRENCE.WEEK && !rule.days) {
+            return { ...rule, days: [date.getUTCDay()], mode };
+        }
+        if (rule.every === RECURRENCE.MONTH && !rule.day) {
+            return { ...rule, day: date.getUTCDate(), mode };
+        }
+        return { ...rule, mode };
+    },
+
+    /**
+     * Checks whether a task following a rule is due on a date.
+     * @method matches
+     * @param {Recurrence} rule - The rule.
+     * @param {string} date - Date in YYYY-MM-DD format.
+     * @returns {boolean} True if the date is on the schedule; every date is for `days`.
+     */
+    matches(rule, date) {
+        const day = toDate(date);
+
+        switch (rule.every) {
+            case RECURRENCE.WEEKDAYS:
+                return day.getUTCDay() >= 1 && day.getUTCDay() <= 5;
+            case RECURRENCE.WEEK:
+                return (rule.days ?? []).includes(day.getUTCDay());
+            case RECURRENCE.MONTH:
+                return toDay(dayOfMonth(day.getUTCFullYear(), day.getUTCMonth(), rule.day)) === date;
+            default:
+                return true;
+        }
+    },
+
+    /**
+     * Works out the first due date on a schedule, on or after a date.
+     * @method firstDate
+     * @param {Recurrence} rule - The rule.
+     * @param {string} from - Date in YYYY-MM-DD format, usually today.
+     * @returns {string} Due date in YYYY-MM-DD format.
+     */
+    firstDate(rule, from) {
+        if (rule.every === RECURRENCE.DAYS || this.matches(rule, from)) {
+            return from;
+        }
+        return this.nextDate(rule, from);
+    },
+
+    /**
+     * Works out the next due date on a schedule after a date.
+     * @method nextDate
+     * @param {Recurrence} rule - The rule.
+     * @param {string} after - Date in YYYY-MM-DD format: the last due date, or the day of completion.
+     * @returns {string} Due date in YYYY-MM-DD format, always later than `after`.
+     * @example
+     * nextDate({ every: 'month', day: 31 }, '2026-01-31') // '2026-02-28'
+     */
+    nextDate(rule, after) {
+        const date = toDate(after);
+
+        if (rule.every === RECURRENCE.DAYS) {
+            date.setUTCDate(date.getUTCDate() + (rule.interval ?? 1));
+            return toDay(date);
+        }
+
+        if (rule.every === RECURRENCE.MONTH) {
+            const sameMonth = dayOfMonth(date.getUTCFullYear(), date.getUTCMonth(), rule.day);
+            return toDay(sameMonth > date ? sameMonth : dayOfMonth(date.getUTCFullYear(), date.getUTCMonth() + 1, rule.day));
+        }
+
+        // Weekly schedules come back within a week
+        for (let i = 0; i < 7; i++) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            if (this.matches(rule, toDay(date))) break;
+        }
+        return toDay(date);
+    },
+
+    /**
+     * Describes a repeat rule for display.
+     * @method describe
+     * @param {Recurrence} rule - The rule.
+     * @returns {string} Text like `every week on mon, thu` or `every 3 days after completion`.
+     */
+    describe(rule) {
+        let text;
+
+        switch (rule.every) {
+            case RECURRENCE.WEEKDAYS:
+                text = 'every weekday';
+                break;
+            case RECURRENCE.WEEK:
+                text = `every week on ${(rule.days ?? []).map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+                break;
+            case RECURRENCE.MONTH:
+                text = `every month on day ${rule.day}`;
+                break;
+            default:
+                text = rule.interval > 1 ? `every ${rule.interval} days` : 'every day';
+        }
+
+        return rule.mode === RECURRENCE_MODE.AFTER_COMPLETION ? `${text} after completion` : text;
+    }
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Utility functions for the time spent on tasks.
+ * @module utils/timeTracking
+ * @description Adds up the time entries of tasks, within a period if needed, and formats durations.
+ */
+
+/**
+ * Time spent on a task: a session timed with `todo start` and `todo stop`, or time logged by hand.
+ * @typedef {Object} TimeEntry
+ * @property {string} start - ISO timestamp of when the work started.
+ * @property {string} [end] - ISO timestamp of when it ended; missing while the timer is running.
+ * @property {boolean} [logged] - Whether the time was logged by hand, ending when it was logged.
+ */
+
+/**
+ * A period to count time in, as milliseconds since the epoch.
+ * @typedef {Object} TimeRange
+ * @property {number|null} [from] - Start of the period, or null for no limit.
+ * @property {number|null} [to] - End of the period, not included, or null for no limit.
+ * @property {number} [now] - The current time, the end of a running entry; `Date.now()` by default.
+ */
+
+/**
+ * Time tracking object containing methods for the time entries of tasks.
+ * @namespace timeTracking
+ */
+export const timeTracking = {
+    /**
+     * Checks whether the timer of a task is running.
+     * @method isRunning
+     * @param {Todo} todo - The task.
+     * @returns {boolean} True if one of its time entries has not ended.
+     */
+    isRunning(todo) {
+        return (todo.timeEntries ?? []).some(entry => !entry.end);
+    },
+
+    /**
+     * Works out the time of an entry, counting only the part within a period.
+     * @method seconds
+     * @param {TimeEntry} entry - The entry.
+     * @param {TimeRange} [range={}] - The period; all time by default.
+     * @returns {number} Whole seconds, 0 if the entry is outside the period.
+     * @example
+     * seconds({ start: '2026-01-01T09:00:00.000Z', end: '2026-01-01T10:30:00.000Z' }) // 5400
+     */
+    seconds(entry, { from = null, to = null, now = Date.now() } = {}) {
+        const start = Math.max(Date.parse(entry.start), from ?? -Infinity);
+        const end = Math.min(entry.end ? Date.parse(entry.end) : now, to ?? Infinity);
+
+        return end > start ? Math.floor((end - start) / 1000) : 0;
+    },
+
+    /**
+     * Adds up the time spent on a task, including its running timer.
+     * @method total
+     * @param {Todo} todo - The task.
+     * @param {TimeRange} [range={}] - Only count time within this period; all time by default.
+     * @returns {number} Whole seconds.
+     */
+    total(todo, range = {}) {
+        return (todo.timeEntries ?? []).reduce((sum, entry) => sum + this.seconds(entry, range), 0);
+    },
+
+    /**
+     * Formats a duration for display.
+     * @method format
+     * @param {number} seconds - The duration.
+     * @returns {string} Text like `1h 30m` or `45m`; durations under a minute are `0m`.
+     */
+    format(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    },
+
+    /**
+     * Converts a duration to decimal hours, as used on timesheets.
+     * @method hours
+     * @param {number} seconds - The duration.
+     * @returns {string} Hours with two decimals, like `1.50`.
+     */
+    hours(seconds) {
+        return (seconds / 3600).toFixed(2);
+    }
+};
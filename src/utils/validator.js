@@ -4,7 +4,7 @@
  * @description Provides validation functions for todos, dates, priorities, and other inputs.
  */
 
-import { PRIORITY, VALIDATION } from "../config/constants.js";
+import { PRIORITY, VALIDATION, STORAGE_BACKEND, LISTS, SYNC_STRATEGY, TASK_ID, TAGS, RECURRENCE, WEEKDAY_NAMES, TIME_TRACKING } from "../config/constants.js";
 
 /**
  * Custom error class for validation errors.
@@ -24,29 +24,127 @@ export class ValidationError extends Error {
     }
 }
 
+/**
+ * A range of task IDs, both ends included.
+ * @typedef {Object} IdRange
+ * @property {number} from - First ID.
+ * @property {number} to - Last ID.
+ */
+
+/**
+ * Tags a task must have to match a filter: all tags of at least one group.
+ * @typedef {Array<Array<string>>} TagFilter
+ * @example
+ * [['work', 'urgent'], ['home']] // Tagged both work and urgent, or tagged home
+ */
+
+/**
+ * The tasks a command should change, as typed by the user.
+ * @typedef {Object} TaskSelection
+ * @property {Array<number|string|IdRange>} refs - Task references and ranges; empty to select by filters alone.
+ * @property {Object} filters - Criteria the tasks must also match, as taken by `TodoService.filter`.
+ */
+
+/**
+ * When a recurring task comes back.
+ * @typedef {Object} Recurrence
+ * @property {string} every - One of `RECURRENCE`.
+ * @property {number} [interval] - Number of days between occurrences, for `days`.
+ * @property {Array<number>} [days] - Days of the week, 0 for Sunday, for `week`.
+ * @property {number} [day] - Day of the month, 1 to 31, for `month`; shorter months use their last day.
+ * @property {string} [mode] - One of `RECURRENCE_MODE`, once the rule belongs to a task.
+ */
+
 /**
  * Validator object containing methods for validating various inputs.
  * @namespace validator
  */
 export const validator = {
     /**
-     * Validates and parses a task ID.
+     * Validates and parses a task reference: an ID, the start of one, or a list position like `@3`.
+     * Which task it refers to is worked out against the list by `TodoService.resolveId`.
      * @method validateId
-     * @param {string|number} id - The ID to validate.
-     * @returns {number} Parsed numeric ID.
-     * @throws {ValidationError} If the ID is missing or invalid.
+     * @param {string|number} id - The reference to validate.
+     * @returns {number|string} Parsed numeric ID or prefix, or the position reference unchanged.
+     * @throws {ValidationError} If the reference is missing or invalid.
      */
     validateId(id) {
         if (!id) {
             throw new ValidationError('Task ID is required');
         }
 
-        const numId = parseInt(id);
-        if (isNaN(numId)) {
-            throw new ValidationError('Invalid task ID! ID must be a number');
+        const ref = String(id).trim();
+        if (new RegExp(`^${TASK_ID.POSITION_PREFIX}[1-9]\\d*$`).test(ref)) {
+            return ref;
+        }
+
+        if (!/^\d+$/.test(ref)) {
+            throw new ValidationError(`Invalid task ID! Use an ID like 12, the start of one, or a list position like ${TASK_ID.POSITION_PREFIX}3`);
+        }
+
+        return parseInt(ref, 10);
+    },
+
+    /**
+     * Validates and parses several task references. Each one may also be a range of IDs like `7-9`,
+     * and several may be given in one argument separated by commas.
+     * @method validateIds
+     * @param {Array<string|number>} list - The references to validate.
+     * @returns {Array<number|string|IdRange>} Parsed references as returned by `validateId`, and ranges.
+     * @throws {ValidationError} If a reference or range is invalid.
+     * @example
+     * validateIds(['3', '5,@1', '7-9']) // [3, 5, '@1', { from: 7, to: 9 }]
+     */
+    validateIds(list) {
+        return list.flatMap(arg => String(arg).split(','))
+            .map(ref => ref.trim())
+            .filter(Boolean)
+            .map(ref => {
+                const range = /^(\d+)-(\d+)$/.exec(ref);
+                if (!range) {
+                    return this.validateId(ref);
+                }
+
+                const [from, to] = [parseInt(range[1], 10), parseInt(range[2], 10)];
+                if (from > to) {
+                    throw new ValidationError(`Invalid ID range ${ref}! The first ID must not be greater than the last`);
+                }
+
+                return { from, to };
+            });
+    },
+
+    /**
+     * Validates the tasks a command that changes several tasks at once should work on.
+     * @method validateSelection
+     * @param {Array<string|number>} [list=[]] - Task references and ranges, see `validateIds`.
+     * @param {Object} [options={}] - Filter options from Commander.js.
+     * @param {boolean} [options.completed] - Only completed tasks.
+     * @param {boolean} [options.pending] - Only pending tasks.
+     * @param {string} [options.priority] - Only tasks with this priority.
+     * @param {string|Array<string>} [options.tag] - Only tasks with these tags, see `validateTagFilter`.
+     * @param {string} [options.before] - Only tasks completed, or if pending created, before this date (YYYY-MM-DD).
+     * @returns {TaskSelection} Parsed references and filters.
+     * @throws {ValidationError} If neither references nor filters are given, or one of them is invalid.
+     */
+    validateSelection(list = [], options = {}) {
+        const refs = this.validateIds(list);
+        const filters = {};
+
+        if (options.completed && options.pending) {
+            throw new ValidationError('Use either --completed or --pending, not both');
+        }
+        if (options.completed) filters.completed = true;
+        if (options.pending) filters.pending = true;
+        if (options.priority) filters.priority = this.validatePriority(options.priority);
+        if (options.tag) filters.tags = this.validateTagFilter(options.tag);
+        if (options.before) filters.before = this.validateDate(options.before);
+
+        if (refs.length === 0 && Object.keys(filters).length === 0) {
+            throw new ValidationError('Task ID or filter is required');
         }
 
-        return numId;
+        return { refs, filters };
     },
 
     /**
@@ -74,6 +172,44 @@ export const validator = {
         return trimmed;
     },
 
+    /**
+     * Validates the notes of a task.
+     * @method validateNotes
+     * @param {string|null} notes - The notes to validate.
+     * @returns {string} Notes without leading and trailing blank space; empty to clear them.
+     * @throws {ValidationError} If the notes are too long.
+     */
+    validateNotes(notes) {
+        const trimmed = (notes ?? '').trim();
+
+        if (trimmed.length > VALIDATION.MAX_NOTES_LENGTH) {
+            throw new ValidationError(`Notes are too long (max: ${VALIDATION.MAX_NOTES_LENGTH} characters)`);
+        }
+
+        return trimmed;
+    },
+
+    /**
+     * Validates an annotation to add to a task.
+     * @method validateAnnotation
+     * @param {string} text - The annotation to validate.
+     * @returns {string} Trimmed and validated annotation.
+     * @throws {ValidationError} If the annotation is empty or too long.
+     */
+    validateAnnotation(text) {
+        const trimmed = (text ?? '').trim();
+
+        if (trimmed === '') {
+            throw new ValidationError('Note cannot be empty');
+        }
+
+        if (trimmed.length > VALIDATION.MAX_ANNOTATION_LENGTH) {
+            throw new ValidationError(`Note is too long (max: ${VALIDATION.MAX_ANNOTATION_LENGTH} characters)`);
+        }
+
+        return trimmed;
+    },
+
     /**
      * Validates a priority level.
      * @method validatePriority
@@ -134,6 +270,54 @@ export const validator = {
         return trimmed;
     },
 
+    /**
+     * Validates the tags of a task. Several tags may be given in one value separated by commas.
+     * @method validateTags
+     * @param {string|Array<string>|null} tags - The tags to validate, e.g. from repeated `--tag` options.
+     * @returns {Array<string>} Normalized tags without duplicates, in the order given.
+     * @throws {ValidationError} If a tag contains invalid characters.
+     * @example
+     * validateTags(['Work', 'home,work']) // ['work', 'home']
+     */
+    validateTags(tags) {
+        const list = [tags ?? []].flat()
+            .flatMap(value => String(value).split(TAGS.ANY_SEPARATOR))
+            .map(tag => this.validateTag(tag.trim()))
+            .filter(Boolean);
+
+        return [...new Set(list)];
+    },
+
+    /**
+     * Validates a tag filter. Tags separated by commas match tasks with any of them, tags joined with `+` match tasks
+     * with all of them; repeated values count as separated by commas.
+     * @method validateTagFilter
+     * @param {string|Array<string>} filter - The filter to validate, e.g. `work,home` or `work+urgent`.
+     * @returns {TagFilter} Groups of normalized tags.
+     * @throws {ValidationError} If the filter is empty or a tag contains invalid characters.
+     * @example
+     * validateTagFilter('work+urgent,home') // [['work', 'urgent'], ['home']]
+     */
+    validateTagFilter(filter) {
+        const groups = [filter].flat()
+            .flatMap(value => String(value).split(TAGS.ANY_SEPARATOR))
+            .map(group => group.trim())
+            .filter(Boolean)
+            .map(group => group.split(TAGS.ALL_SEPARATOR).map(tag => {
+                const valid = this.validateTag(tag.trim());
+                if (!valid) {
+                    throw new ValidationError(`Invalid tag filter "${group}"! Use tags like work,home (any of them) or work+urgent (all of them)`);
+                }
+                return valid;
+            }));
+
+        if (groups.length === 0) {
+            throw new ValidationError('Tag filter cannot be empty');
+        }
+
+        return groups;
+    },
+
     /**
      * Validates a search keyword.
      * @method validateKeyword
@@ -162,5 +346,188 @@ export const validator = {
         }
 
         return filename.trim();
+    },
+
+    /**
+     * Validates a task list name.
+     * @method validateListName
+     * @param {string} name - The list name to validate.
+     * @returns {string} Normalized list name (lowercase).
+     * @throws {ValidationError} If the name is empty or contains invalid characters.
+     */
+    validateListName(name) {
+        if (!name || name.trim() === '') {
+            throw new ValidationError('List name cannot be empty');
+        }
+
+        const normalized = name.trim().toLowerCase();
+        if (!LISTS.NAME_REGEX.test(normalized)) {
+            throw new ValidationError('Invalid list name! Use up to 32 letters, numbers, hyphens or underscores, starting with a letter or number');
+        }
+
+        return normalized;
+    },
+
+    /**
+     * Validates a storage backend name.
+     * @method validateBackend
+     * @param {string} backend - The backend name to validate.
+     * @returns {string} Normalized backend name.
+     * @throws {ValidationError} If the backend is missing or unknown.
+     */
+    validateBackend(backend) {
+        const backends = Object.values(STORAGE_BACKEND);
+
+        if (!backend || backend.trim() === '') {
+            throw new ValidationError(`Storage backend is required. Available: ${backends.join(', ')}`);
+        }
+
+        const normalized = backend.trim().toLowerCase();
+        if (!backends.includes(normalized)) {
+            throw new ValidationError(`Invalid storage backend! Must be one of: ${backends.join(', ')}`);
+        }
+
+        return normalized;
+    },
+
+    /**
+     * Validates a sync conflict strategy.
+     * @method validateSyncStrategy
+     * @param {string} strategy - The strategy name to validate.
+     * @returns {string} Normalized strategy name.
+     * @throws {ValidationError} If the strategy is unknown.
+     */
+    validateSyncStrategy(strategy) {
+        const strategies = Object.values(SYNC_STRATEGY);
+        const normalized = String(strategy).trim().toLowerCase();
+
+        if (!strategies.includes(normalized)) {
+            throw new ValidationError(`Invalid sync strategy! Must be one of: ${strategies.join(', ')}`);
+        }
+
+        return normalized;
+    },
+
+    /**
+     * Validates the maximum number of entries to show.
+     * @method validateLimit
+     * @param {string|number} limit - The limit to validate.
+     * @returns {number} Parsed limit.
+     * @throws {ValidationError} If the limit is not a positive whole number.
+     */
+    validateLimit(limit) {
+        const number = Number(limit);
+
+        if (!Number.isInteger(number) || number < 1) {
+            throw new ValidationError('Invalid limit! Must be a whole number of at least 1');
+        }
+
+        return number;
+    },
+
+    /**
+     * Validates an age given in days or weeks, like `30d`, `2w` or `30`.
+     * @method validateAge
+     * @param {string|number} age - The age to validate; a plain number counts days.
+     * @returns {number} Age in days.
+     * @throws {ValidationError} If the age is not a whole number of days or weeks.
+     * @example
+     * validateAge('2w') // 14
+     */
+    validateAge(age) {
+        const match = /^(\d+)\s*([dw]?)$/i.exec(String(age).trim());
+
+        if (!match) {
+            throw new ValidationError('Invalid age! Use a number of days or weeks, like 30d or 2w');
+        }
+
+        return parseInt(match[1], 10) * (match[2].toLowerCase() === 'w' ? 7 : 1);
+    },
+
+    /**
+     * Validates and parses a repeat rule: `day`, `weekdays`, `week`, `week:mon,thu`, `month`, `month:15`,
+     * or a number of days like `3d`. `daily`, `weekly` and `monthly` work as well.
+     * @method validateRecurrence
+     * @param {string} rule - The rule to validate.
+     * @returns {Recurrence} The parsed rule; `week` and `month` without days follow the first due date.
+     * @throws {ValidationError} If the rule is invalid.
+     * @example
+     * validateRecurrence('week:mon,thu') // { every: 'week', days: [1, 4] }
+     * validateRecurrence('3d')           // { every: 'days', interval: 3 }
+     */
+    validateRecurrence(rule) {
+        const text = String(rule ?? '').trim().toLowerCase();
+        const [unit, on = null] = text.split(':');
+
+        if (['day', 'daily'].includes(text)) {
+            return { every: RECURRENCE.DAYS, interval: 1 };
+        }
+        if (['weekday', 'weekdays'].includes(text)) {
+            return { every: RECURRENCE.WEEKDAYS };
+        }
+
+        const days = /^(\d+)\s*(d|days?)$/.exec(text);
+        if (days && parseInt(days[1], 10) > 0) {
+            return { every: RECURRENCE.DAYS, interval: parseInt(days[1], 10) };
+        }
+
+        if (['week', 'weekly'].includes(unit)) {
+            if (on === null) return { every: RECURRENCE.WEEK };
+
+            const weekdays = on.split(',').map(name => WEEKDAY_NAMES.indexOf(name.trim().slice(0, 3)));
+            if (weekdays.length > 0 && !weekdays.includes(-1)) {
+                return { every: RECURRENCE.WEEK, days: [...new Set(weekdays)].sort((a, b) => a - b) };
+            }
+        }
+
+        if (['month', 'monthly'].includes(unit)) {
+            if (on === null) return { every: RECURRENCE.MONTH };
+
+            const day = /^\d{1,2}$/.test(on) ? parseInt(on, 10) : 0;
+            if (day >= 1 && day <= 31) {
+                return { every: RECURRENCE.MONTH, day };
+            }
+        }
+
+        throw new ValidationError('Invalid repeat rule! Use day, weekdays, week, week:mon,thu, month, month:15 or a number of days like 3d');
+    }
+,
+
+    /**
+     * Validates and parses a duration: hours and minutes like `1h30m`, `2h` or `45m`, decimal hours like `1.5h`,
+     * `1:30`, or a plain number of minutes.
+     * @method validateDuration
+     * @param {string|number} duration - The duration to validate.
+     * @returns {number} Duration in whole minutes, rounded to the nearest one.
+     * @throws {ValidationError} If the duration is invalid, zero, or longer than `TIME_TRACKING.MAX_LOGGED_MINUTES`.
+     * @example
+     * validateDuration('1h30m') // 90
+     * validateDuration('1:15')  // 75
+     */
+    validateDuration(duration) {
+        const text = String(duration ?? '').trim().toLowerCase();
+        const units = /^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?$/.exec(text);
+        const clock = /^(\d+):([0-5]\d)$/.exec(text);
+        let minutes = NaN;
+
+        if (/^\d+$/.test(text)) {
+            minutes = parseInt(text, 10);
+        } else if (clock) {
+            minutes = parseInt(clock[1], 10) * 60 + parseInt(clock[2], 10);
+        } else if (units && (units[1] || units[2])) {
+            minutes = Math.round(parseFloat(units[1] ?? '0') * 60) + parseInt(units[2] ?? '0', 10);
+        }
+
+        if (isNaN(minutes)) {
+            throw new ValidationError('Invalid duration! Use hours and minutes like 1h30m, 2h, 45m or 1:30');
+        }
+        if (minutes === 0) {
+            throw new ValidationError('Duration must be at least a minute');
+        }
+        if (minutes > TIME_TRACKING.MAX_LOGGED_MINUTES) {
+            throw new ValidationError(`Duration cannot be longer than ${TIME_TRACKING.MAX_LOGGED_MINUTES / 60} hours`);
+        }
+
+        return minutes;
     }
 };
\ No newline at end of file
@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SCHEMA_VERSION } from '../src/config/constants.js';
+
+const entry = path.join(path.dirname(fileURLToPath(import.meta.url)), '../index.js');
+const hasSqlite = spawnSync(process.execPath, ['-e', "require('node:sqlite')"]).status === 0;
+
+describe('CLI', () => {
+  let dir;
+  let configFile;
+
+  const run = (args, env = {}, cwd = dir) => spawnSync(process.execPath, [entry, ...args], {
+    cwd,
+    encoding: 'utf-8',
+    timeout: 30000,
+    env: { ...process.env, HOME: dir, XDG_DATA_HOME: path.join(dir, 'data'), TODO_CONFIG_FILE: configFile, TODO_STORAGE: '', ...env }
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-cli-'));
+    configFile = path.join(dir, 'config.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('broken settings', () => {
+    it('should report an invalid TODO_STORAGE without a stack trace, and still show the help', () => {
+      const list = run(['list'], { TODO_STORAGE: 'foo' });
+
+      expect(list.status).toBe(1);
+      expect(list.stdout + list.stderr).toContain('Must be one of: json, sqlite (set by TODO_STORAGE)');
+      expect(list.stderr).not.toMatch(/\n\s+at /);
+
+      const help = run(['--help'], { TODO_STORAGE: 'foo' });
+      expect(help.status).toBe(0);
+      expect(help.stdout).toContain('Usage:');
+    });
+
+    it('should report a corrupt config file, and let config fix the storage setting once it is readable', () => {
+      fs.writeFileSync(configFile, '{ not json');
+
+      const list = run(['list']);
+      expect(list.status).toBe(1);
+      expect(list.stdout + list.stderr).toContain(`Failed to read config file ${configFile}`);
+      expect(list.stderr).not.toMatch(/\n\s+at /);
+
+      fs.writeFileSync(configFile, JSON.stringify({ storage: 'foo' }));
+      expect(run(['config', 'storage', 'json']).status).toBe(0);
+      expect(run(['list']).status).toBe(0);
+    });
+  });
+
+  describe('task references', () => {
+    it('should not delete another task whose ID starts with the ID of a task in the trash', () => {
+      const task = (id, extra = {}) => ({
+        id, uid: `uid${id}`, description: `Task ${id}`, completed: false, priority: 'medium', dueDate: null, tags: [],
+        createdAt: '2026-01-01T00:00:00.000Z', ...extra
+      });
+      const dataFile = path.join(dir, 'data', 'todo', 'todos.json');
+      fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+      fs.writeFileSync(dataFile, JSON.stringify({
+        version: SCHEMA_VERSION, tasks: [task(5, { deletedAt: '2026-01-02T00:00:00.000Z' }), task(57)], meta: { lastId: 57 }
+      }));
+
+      const remove = run(['delete', '5']);
+
+      expect(remove.status).toBe(1);
+      expect(remove.stdout + remove.stderr).toContain('Task with ID 5 not found. Type the full ID of 57 (Task 57) to pick it');
+      expect(run(['list']).stdout).toContain('Task 57');
+      expect(run(['done', '5']).status).toBe(0);
+    });
+  });
+
+  describe('auto-archive', () => {
+    it('should archive tasks completed long ago on any command, not only when completing', () => {
+      const dataFile = path.join(dir, 'data', 'todo', 'todos.json');
+      fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+      fs.writeFileSync(dataFile, JSON.stringify({
+        version: SCHEMA_VERSION,
+        tasks: [{
+          id: 1, uid: 'uid1', description: 'Done long ago', completed: true, priority: 'medium', dueDate: null, tags: [],
+          createdAt: '2020-01-01T00:00:00.000Z', completedAt: '2020-01-02T00:00:00.000Z'
+        }],
+        meta: { lastId: 1 }
+      }));
+
+      const list = run(['list'], { TODO_AUTO_ARCHIVE_DAYS: '30' });
+
+      expect(list.status).toBe(0);
+      expect(list.stdout).toContain('Archived 1 task(s) completed more than 30 day(s) ago');
+      expect(run(['list', '--archived']).stdout).toContain('Done long ago');
+    });
+  });
+
+  describe('restore', () => {
+    it('should restore tasks from the trash by ID and backups by name', () => {
+      expect(run(['add', 'Keep me']).status).toBe(0);
+      const snapshot = run(['backup', 'create']).stdout.match(/\d{8}T\d{9}Z-manual/)[0];
+      expect(run(['add', 'Drop me']).status).toBe(0);
+      expect(run(['delete', '1']).status).toBe(0);
+
+      const task = run(['restore', '1']);
+      expect(task.stdout + task.stderr).toContain('Task restored from the trash');
+      const backup = run(['restore', snapshot, '--yes']);
+      expect(backup.stdout + backup.stderr).toContain(`Restored ${snapshot}`);
+      expect(run(['list']).stdout).not.toContain('Drop me');
+    });
+  });
+
+  describe('timesheet', () => {
+    it('should keep task descriptions from running as formulas in a CSV', () => {
+      expect(run(['add', '--', '=1+2, "quoted"']).status).toBe(0);
+      expect(run(['add', '@SUM(A1)', '-t', 'work']).status).toBe(0);
+      expect(run(['log-time', '1', '30m']).status).toBe(0);
+      expect(run(['log-time', '2', '1h']).status).toBe(0);
+
+      const csv = run(['timesheet', '--csv']);
+
+      expect(csv.status).toBe(0);
+      expect(csv.stdout).toContain(`task,1,"'=1+2, ""quoted""",,0.50\n`);
+      expect(csv.stdout).toContain(`task,2,'@SUM(A1),work,1.00\n`);
+    });
+  });
+
+  describe('history', () => {
+    it('should show the old and new values of the fields a commit changed', () => {
+      expect(run(['git', 'init']).status).toBe(0);
+      expect(run(['add', 'Write docs']).status).toBe(0);
+      expect(run(['update', '1', 'Write the docs', '+docs']).status).toBe(0);
+
+      const show = run(['history', 'show', 'HEAD']);
+
+      expect(show.status).toBe(0);
+      expect(show.stdout).toContain('~ Write the docs (ID: 1)');
+      expect(show.stdout).toContain('description: Write docs → Write the docs');
+      expect(show.stdout).toContain('tags: none → docs');
+      expect(show.stdout).not.toContain('updatedAt');
+    });
+  });
+
+  describe('sqlite backend', () => {
+    it.skipIf(!hasSqlite)('should not print the experimental warning of node:sqlite', () => {
+      const add = run(['add', 'Try sqlite'], { TODO_STORAGE: 'sqlite' });
+
+      expect(add.status).toBe(0);
+      expect(add.stderr).not.toContain('ExperimentalWarning');
+      expect(run(['list'], { TODO_STORAGE: 'sqlite' }).stdout).toContain('Try sqlite');
+    });
+  });
+
+  describe('project lists', () => {
+    it('should keep undo history, backups and the journal out of the project and ignore them in git', () => {
+      const project = path.join(dir, 'app');
+      fs.mkdirSync(path.join(project, '.git'), { recursive: true });
+      const inProject = (args) => run(args, {}, project);
+
+      const init = inProject(['init']);
+      expect(init.status).toBe(0);
+      expect(init.stdout).toContain('Added .todo/ to');
+      expect(inProject(['add', 'Ship it']).status).toBe(0);
+      expect(inProject(['lists', 'create', 'bugs']).status).toBe(0);
+      expect(inProject(['--list', 'bugs', 'add', 'Fix it']).status).toBe(0);
+
+      expect(fs.readdirSync(project).sort()).toEqual(['.git', '.gitignore', '.todo', '.todo.json', 'lists']);
+      expect(fs.readdirSync(path.join(project, 'lists'))).toEqual(['bugs.json']);
+      expect(fs.readFileSync(path.join(project, '.gitignore'), 'utf-8')).toBe('.todo/\n');
+      expect(JSON.parse(fs.readFileSync(path.join(project, '.todo.json'), 'utf-8')).tasks).toHaveLength(1);
+      expect(inProject(['undo']).status).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { createAdapter, getSqliteFile } from '../../../src/services/adapters/createAdapter.js';
+import { STORAGE_BACKEND } from '../../../src/config/constants.js';
+
+const require = createRequire(import.meta.url);
+
+const hasSqlite = (() => {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+const backends = [
+  { name: STORAGE_BACKEND.JSON, available: true },
+  { name: STORAGE_BACKEND.SQLITE, available: hasSqlite }
+];
+
+describe.each(backends)('$name adapter', ({ name, available }) => {
+  let dir;
+  let adapter;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-adapter-'));
+    adapter = createAdapter(name, path.join(dir, 'todos.json'));
+  });
+
+  afterEach(() => {
+    adapter.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it.skipIf(!available)('should insert and get tasks', () => {
+    adapter.insert({ id: 1, description: 'Task 1', completed: false });
+
+    expect(adapter.get(1)).toEqual({ id: 1, description: 'Task 1', completed: false });
+    expect(adapter.get(2)).toBeNull();
+  });
+
+  it.skipIf(!available)('should query by field values in insertion order', () => {
+    adapter.insert({ id: 2, description: 'B', completed: true, tag: 'work' });
+    adapter.insert({ id: 1, description: 'A', completed: false, tag: 'work' });
+    adapter.insert({ id: 3, description: 'C', completed: false });
+
+    expect(adapter.query().map(t => t.id)).toEqual([2, 1, 3]);
+    expect(adapter.query({ completed: false }).map(t => t.id)).toEqual([1, 3]);
+    expect(adapter.query({ completed: false, tag: 'work' }).map(t => t.id)).toEqual([1]);
+    expect(adapter.query({ tag: null }).map(t => t.id)).toEqual([3]);
+  });
+
+  it.skipIf(!available)('should merge updates and drop undefined fields', () => {
+    adapter.insert({ id: 1, description: 'Task', completed: true, completedAt: 'x' });
+
+    const updated = adapter.update(1, { completed: false, completedAt: undefined });
+
+    expect(updated).toEqual({ id: 1, description: 'Task', completed: false });
+    expect(adapter.get(1)).toEqual(updated);
+    expect(adapter.update(99, { completed: true })).toBeNull();
+  });
+
+  it.skipIf(!available)('should delete tasks', () => {
+    adapter.insert({ id: 1, description: 'Task' });
+
+    expect(adapter.delete(1)).toBe(true);
+    expect(adapter.delete(1)).toBe(false);
+    expect(adapter.query()).toEqual([]);
+  });
+
+  it.skipIf(!available)('should hand out IDs that are never reused', () => {
+    adapter.insert({ id: adapter.nextId(), description: 'Task 1' });
+    adapter.insert({ id: 5, description: 'Task 5' });
+    adapter.delete(5);
+    adapter.close();
+
+    const reopened = createAdapter(name, path.join(dir, 'todos.json'));
+    expect(reopened.get(1).description).toBe('Task 1');
+    expect(reopened.nextId()).toBe(6);
+    reopened.close();
+  });
+
+  it.skipIf(!available)('should roll back a transaction that throws', () => {
+    adapter.insert({ id: 1, description: 'Task' });
+
+    expect(() => adapter.transaction(() => {
+      adapter.insert({ id: 2, description: 'Other' });
+      adapter.delete(1);
+      throw new Error('boom');
+    })).toThrow('boom');
+
+    expect(adapter.query().map(t => t.id)).toEqual([1]);
+  });
+
+  it.skipIf(!available)('should record every change as a journal event', () => {
+    adapter.insert({ id: 1, description: 'Task', completed: false });
+    adapter.update(1, { completed: true, completedAt: 'now' });
+    adapter.update(1, { description: 'Renamed' });
+    adapter.delete(1);
+
+    const history = adapter.history();
+    expect(history.map(event => event.type)).toEqual(['create', 'complete', 'update', 'delete']);
+    expect(history.map(event => event.seq)).toEqual([1, 2, 3, 4]);
+    expect(history[2]).toMatchObject({ id: 1, changes: { description: 'Renamed' }, previous: { description: 'Task' } });
+  });
+
+  it.skipIf(!available)('should not record changes of a rolled back transaction', () => {
+    adapter.insert({ id: 1, description: 'Task' });
+
+    expect(() => adapter.transaction(() => {
+      adapter.delete(1);
+      throw new Error('boom');
+    })).toThrow('boom');
+
+    expect(adapter.history().map(event => event.type)).toEqual(['create']);
+  });
+
+  it.skipIf(!available)('should salvage tasks from a damaged file', () => {
+    adapter.insert({ id: 1, description: 'Task 1' });
+    adapter.insert({ id: 2, description: 'Task 2' });
+    adapter.compact();
+    adapter.close();
+
+    const file = path.join(dir, name === STORAGE_BACKEND.SQLITE ? 'todos.db' : 'todos.json');
+    const fd = fs.openSync(file, 'r+');
+    fs.writeSync(fd, 'x'.repeat(16), 0);
+    fs.closeSync(fd);
+
+    const report = adapter.repair();
+
+    expect(report).toMatchObject({ repaired: true, salvaged: 2, total: 2 });
+    expect(fs.existsSync(report.quarantineFile)).toBe(true);
+    expect(adapter.query().map(t => t.description).sort()).toEqual(['Task 1', 'Task 2']);
+    expect(adapter.repair().repaired).toBe(false);
+  });
+});
+
+describe('createAdapter', () => {
+  it('should place the SQLite database next to the JSON file', () => {
+    expect(getSqliteFile('/data/todos.json')).toBe('/data/todos.db');
+  });
+
+  it('should reject unknown backends', () => {
+    expect(() => createAdapter('mongo', '/data/todos.json')).toThrow('Unknown storage backend');
+  });
+});
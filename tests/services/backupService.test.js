@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BackupService } from '../../src/services/backupService.js';
+import { SCHEMA_VERSION } from '../../src/config/constants.js';
+
+describe('BackupService', () => {
+  let dir;
+  let backups;
+
+  const envelope = (tasks) => ({ version: SCHEMA_VERSION, tasks, meta: {} });
+  const task = (id, description = `Task ${id}`) => ({ id, description, completed: false });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-backups-'));
+    backups = new BackupService(path.join(dir, 'todos.json'), { count: 3, maxAgeDays: 30 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('create', () => {
+    it('should write a named snapshot next to the data file', () => {
+      const snapshot = backups.create(envelope([task(1)]), 'clear');
+
+      expect(snapshot.file).toBe(path.join(dir, 'backups', 'todos', `${snapshot.name}.json`));
+      expect(snapshot.reason).toBe('clear');
+      expect(snapshot.tasks).toBe(1);
+      expect(JSON.parse(fs.readFileSync(snapshot.file, 'utf-8')).tasks).toEqual([task(1)]);
+    });
+
+    it('should give snapshots taken in the same millisecond distinct names', () => {
+      vi.useFakeTimers({ now: new Date('2025-11-04T10:00:00.000Z') });
+
+      const first = backups.create(envelope([task(1)]));
+      const second = backups.create(envelope([task(2)]));
+
+      expect(first.name).toBe('20251104T100000000Z-manual');
+      expect(second.name).toBe('20251104T100000001Z-manual');
+      expect(backups.list().map(s => s.name)).toEqual([second.name, first.name]);
+    });
+
+    it('should skip automatic snapshots of an empty list or when disabled', () => {
+      expect(backups.create(envelope([]), 'clear', { automatic: true })).toBeNull();
+
+      const disabled = new BackupService(path.join(dir, 'todos.json'), { count: 0, maxAgeDays: 30 });
+      expect(disabled.create(envelope([task(1)]), 'clear', { automatic: true })).toBeNull();
+      expect(backups.list()).toEqual([]);
+    });
+  });
+
+  describe('prune', () => {
+    it('should keep only the configured number of snapshots', () => {
+      for (let id = 1; id <= 5; id++) {
+        backups.create(envelope([task(id)]));
+      }
+
+      expect(backups.list()).toHaveLength(3);
+    });
+
+    it('should remove snapshots older than the maximum age', () => {
+      vi.useFakeTimers({ now: new Date('2025-01-01T00:00:00.000Z') });
+      backups.create(envelope([task(1)]));
+
+      vi.setSystemTime(new Date('2025-03-01T00:00:00.000Z'));
+      backups.create(envelope([task(2)]));
+
+      expect(backups.list().map(s => s.tasks)).toEqual([1]);
+      expect(backups.read(1).envelope.tasks).toEqual([task(2)]);
+    });
+  });
+
+  describe('find', () => {
+    it('should resolve snapshots by name or position', () => {
+      const older = backups.create(envelope([task(1)]));
+      const newer = backups.create(envelope([task(2)]));
+
+      expect(backups.find(1).name).toBe(newer.name);
+      expect(backups.find('2').name).toBe(older.name);
+      expect(backups.find(`${older.name}.json`).name).toBe(older.name);
+      expect(() => backups.find('nope')).toThrow('Backup "nope" not found');
+    });
+  });
+
+  describe('diff', () => {
+    it('should report added, removed and changed tasks by ID', () => {
+      const diff = backups.diff(
+        [task(1), task(2), task(3)],
+        [task(1), task(2, 'Renamed'), task(4)]
+      );
+
+      expect(diff.added).toEqual([task(4)]);
+      expect(diff.removed).toEqual([task(3)]);
+      expect(diff.changed).toEqual([task(2, 'Renamed')]);
+      expect(diff.unchanged).toBe(1);
+    });
+
+    it('should ignore the order of fields', () => {
+      const { description, ...rest } = task(1);
+
+      expect(backups.diff([task(1)], [{ ...rest, description }]).unchanged).toBe(1);
+    });
+  });
+
+  describe('sync base', () => {
+    it('should store the base per file without counting it as a backup', () => {
+      expect(backups.readSyncBase('abc')).toBe(null);
+
+      backups.writeSyncBase('abc', { ...envelope([task(1)]), meta: { tombstones: { 2: '2025-11-01T00:00:00.000Z' } } });
+
+      expect(backups.readSyncBase('abc').tasks).toEqual([task(1)]);
+      expect(backups.readSyncBase('abc').meta.tombstones).toEqual({ 2: '2025-11-01T00:00:00.000Z' });
+      expect(backups.readSyncBase('other')).toBe(null);
+      expect(backups.list()).toEqual([]);
+    });
+  });
+
+  describe('undo log', () => {
+    it('should start empty and keep the log without counting it as a backup', () => {
+      expect(backups.readUndoLog()).toEqual({ done: [], undone: [] });
+
+      const log = { done: [{ message: 'add: Task 1 (id 1)', at: '2025-11-04T10:00:00.000Z', changes: [] }], undone: [] };
+      backups.writeUndoLog(log);
+
+      expect(backups.readUndoLog()).toEqual(log);
+      expect(backups.list()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConfigService } from '../../src/services/configService.js';
+import { ValidationError } from '../../src/utils/validator.js';
+import { DEFAULT_CONFIG } from '../../src/config/constants.js';
+
+describe('ConfigService', () => {
+  let dir;
+  let configFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-config-'));
+    configFile = path.join(dir, 'todo', 'config.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should return defaults when no config file exists', () => {
+    const config = new ConfigService(configFile, {});
+    expect(config.get('storage')).toBe(DEFAULT_CONFIG.storage);
+  });
+
+  it('should persist values to the config file', () => {
+    const config = new ConfigService(configFile, {});
+    config.set('storage', 'sqlite');
+
+    expect(new ConfigService(configFile, {}).get('storage')).toBe('sqlite');
+    expect(JSON.parse(fs.readFileSync(configFile, 'utf-8'))).toEqual({ storage: 'sqlite' });
+  });
+
+  it('should let environment variables override the config file', () => {
+    new ConfigService(configFile, {}).set('storage', 'sqlite');
+    const config = new ConfigService(configFile, { TODO_STORAGE: 'json' });
+
+    expect(config.get('storage')).toBe('json');
+  });
+
+  it('should reject values outside the allowed choices', () => {
+    const config = new ConfigService(configFile, {});
+    expect(() => config.set('storage', 'mongo')).toThrow('Must be one of');
+  });
+
+  it('should reject unknown settings', () => {
+    const config = new ConfigService(configFile, {});
+    expect(() => config.set('colour', 'blue')).toThrow(ValidationError);
+  });
+});
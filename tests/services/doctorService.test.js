@@ -0,0 +1,190 @@
+import { describe, it, expect } from 'vitest';
+import { DoctorService } from '../../src/services/doctorService.js';
+import { PRIORITY, VALIDATION } from '../../src/config/constants.js';
+
+describe('DoctorService', () => {
+  const doctor = new DoctorService();
+  let uids = 0;
+  const task = (fields = {}) => ({
+    id: 1,
+    uid: `uid-${++uids}`,
+    description: 'Task',
+    completed: false,
+    priority: PRIORITY.MEDIUM,
+    dueDate: null,
+    tags: [],
+    createdAt: '2025-01-01T00:00:00.000Z',
+    ...fields
+  });
+  const types = (issues) => issues.map(issue => issue.type);
+
+  it('should accept valid tasks unchanged', () => {
+    const todos = [task(), task({ id: 2, completed: true, completedAt: '2025-01-02T00:00:00.000Z', dueDate: '2025-02-01', tags: ['work', 'home'] })];
+
+    expect(doctor.examine(todos)).toEqual({ issues: [], todos });
+  });
+
+  it('should give duplicate and invalid IDs new unique IDs', () => {
+    const { issues, todos } = doctor.examine([task(), task({ description: 'Copy' }), task({ id: 'abc' })]);
+
+    expect(types(issues)).toEqual(['duplicate-id', 'invalid-id']);
+    expect(todos[0].id).toBe(1);
+    expect(new Set(todos.map(t => t.id)).size).toBe(3);
+    expect(todos.every(t => Number.isSafeInteger(t.id))).toBe(true);
+  });
+
+  it('should take new IDs from the given source', () => {
+    let last = 41;
+    const { todos } = doctor.examine([task(), task({ description: 'Copy' })], () => ++last);
+
+    expect(todos.map(t => t.id)).toEqual([1, 42]);
+  });
+
+  it('should give missing and duplicate sync identities new ones', () => {
+    const { issues, todos } = doctor.examine([task({ uid: 'same' }), task({ id: 2, uid: 'same' }), task({ id: 3, uid: undefined })]);
+
+    expect(types(issues)).toEqual(['invalid-uid', 'invalid-uid']);
+    expect(todos[0].uid).toBe('same');
+    expect(new Set(todos.map(t => t.uid)).size).toBe(3);
+  });
+
+  it('should drop records that cannot be recovered', () => {
+    const { issues, todos } = doctor.examine([task(), null, task({ id: 2, description: '  ' }), task({ id: 3, description: 42 })]);
+
+    expect(types(issues)).toEqual(['unrecoverable', 'unrecoverable', 'unrecoverable']);
+    expect(issues[0].id).toBeNull();
+    expect(todos.map(t => t.id)).toEqual([1]);
+  });
+
+  it('should normalize fields using the validator rules', () => {
+    const { issues, todos } = doctor.examine([task({
+      description: '  Padded  ',
+      priority: 'HIGH',
+      dueDate: '2025-13-45',
+      tags: ['Work'],
+      completed: 'true'
+    })]);
+
+    expect(types(issues)).toEqual(['invalid-description', 'invalid-completed', 'invalid-priority', 'invalid-due-date', 'invalid-tag', 'completion-mismatch']);
+    expect(todos[0]).toMatchObject({
+      description: 'Padded',
+      priority: PRIORITY.HIGH,
+      dueDate: null,
+      tags: ['work'],
+      completed: true,
+      completedAt: '2025-01-01T00:00:00.000Z'
+    });
+  });
+
+  it('should turn tags into a list of valid tags without duplicates', () => {
+    const { issues, todos } = doctor.examine([
+      task({ tags: ['work', 'Work', 'bad tag', 'home'] }),
+      task({ id: 2, tags: 'work' }),
+      task({ id: 3, tags: undefined })
+    ]);
+
+    expect(types(issues)).toEqual(['invalid-tag', 'invalid-tag', 'invalid-tag', 'invalid-tag', 'invalid-tag']);
+    expect(todos.map(t => t.tags)).toEqual([['work', 'home'], ['work'], []]);
+  });
+
+  it('should make subtasks of missing parents and of themselves tasks of their own', () => {
+    const { issues, todos } = doctor.examine([
+      task({ id: 1, parentId: 3 }),
+      task({ id: 2, parentId: 1 }),
+      task({ id: 3, parentId: 2 }),
+      task({ id: 4, parentId: 99 }),
+      task({ id: 5, parentId: 1 })
+    ]);
+
+    expect(issues.map(issue => [issue.type, issue.id])).toEqual([['invalid-parent', 1], ['invalid-parent', 4]]);
+    expect(todos.map(t => t.parentId)).toEqual([undefined, 1, 2, undefined, 1]);
+  });
+
+  it('should drop dependencies on missing tasks, on the task itself and in circles', () => {
+    const { issues, todos } = doctor.examine([
+      task({ id: 1, blockedBy: [2, 99] }),
+      task({ id: 2, blockedBy: [3] }),
+      task({ id: 3, blockedBy: [1, 3] }),
+      task({ id: 4, blockedBy: [1, 1] }),
+      task({ id: 5, blockedBy: 'soon' })
+    ]);
+
+    expect(issues.map(issue => [issue.type, issue.id])).toEqual([
+      ['invalid-dependency', 1], ['invalid-dependency', 1], ['invalid-dependency', 3], ['invalid-dependency', 4], ['invalid-dependency', 5]
+    ]);
+    expect(todos.map(t => t.blockedBy)).toEqual([undefined, [3], [1], [1], undefined]);
+  });
+
+  it('should stop tasks with an invalid repeat rule from repeating', () => {
+    const { issues, todos } = doctor.examine([
+      task({ recurrence: { every: 'week', days: [1, 4], mode: 'fixed' } }),
+      task({ id: 2, recurrence: { every: 'month', day: 40, mode: 'fixed' } }),
+      task({ id: 3, recurrence: 'weekly' })
+    ]);
+
+    expect(issues.map(issue => [issue.type, issue.id])).toEqual([['invalid-recurrence', 2], ['invalid-recurrence', 3]]);
+    expect(todos.map(t => t.recurrence?.every)).toEqual(['week', undefined, undefined]);
+  });
+
+  it('should drop notes and annotations that are not text', () => {
+    const at = '2026-10-19T10:00:00.000Z';
+    const { issues, todos } = doctor.examine([
+      task({ notes: 'Fine', annotations: [{ at, text: 'Fine' }, { at, text: 42 }, { text: 'No time' }] }),
+      task({ id: 2, notes: ['not', 'text'], annotations: 'Call back' })
+    ]);
+
+    expect(issues.map(issue => [issue.type, issue.id])).toEqual([['invalid-note', 1], ['invalid-note', 2], ['invalid-note', 2]]);
+    expect(todos[0].annotations).toEqual([{ at, text: 'Fine' }]);
+    expect(todos[1]).not.toHaveProperty('notes');
+    expect(todos[1]).not.toHaveProperty('annotations');
+  });
+
+  it('should drop changes in the history without a field or time', () => {
+    const change = { at: '2026-10-19T10:00:00.000Z', field: 'priority', from: 'low', to: 'high' };
+    const { issues, todos } = doctor.examine([
+      task({ history: [change, { at: 'later', field: 'priority' }, { at: change.at }] }),
+      task({ id: 2, history: 'edited' })
+    ]);
+
+    expect(issues.map(issue => [issue.type, issue.id])).toEqual([['invalid-history', 1], ['invalid-history', 2]]);
+    expect(todos[0].history).toEqual([change]);
+    expect(todos[1]).not.toHaveProperty('history');
+  });
+
+  it('should drop time entries without a valid start or that end before they start', () => {
+    const entry = { start: '2026-10-19T09:00:00.000Z', end: '2026-10-19T10:00:00.000Z' };
+    const running = { start: '2026-10-19T11:00:00.000Z' };
+    const { issues, todos } = doctor.examine([
+      task({ timeEntries: [entry, running, { end: entry.end }, { start: entry.end, end: entry.start }] }),
+      task({ id: 2, timeEntries: '1h' })
+    ]);
+
+    expect(issues.map(issue => [issue.type, issue.id])).toEqual([['invalid-time-entry', 1], ['invalid-time-entry', 2]]);
+    expect(todos[0].timeEntries).toEqual([entry, running]);
+    expect(todos[1]).not.toHaveProperty('timeEntries');
+  });
+
+  it('should fill in a missing priority and shorten overlong descriptions', () => {
+    const { issues, todos } = doctor.examine([task({ priority: undefined, description: 'x'.repeat(VALIDATION.MAX_DESCRIPTION_LENGTH + 5) })]);
+
+    expect(types(issues)).toEqual(['invalid-description', 'invalid-priority']);
+    expect(todos[0].priority).toBe(PRIORITY.MEDIUM);
+    expect(todos[0].description).toHaveLength(VALIDATION.MAX_DESCRIPTION_LENGTH);
+  });
+
+  it('should remove completion times from pending tasks and invalid timestamps', () => {
+    const { issues, todos } = doctor.examine([task({ completedAt: '2025-01-02T00:00:00.000Z', updatedAt: 'yesterday', createdAt: undefined })]);
+
+    expect(types(issues)).toEqual(['invalid-timestamp', 'invalid-timestamp', 'completion-mismatch']);
+    expect(todos[0]).not.toHaveProperty('completedAt');
+    expect(todos[0]).not.toHaveProperty('updatedAt');
+    expect(Date.parse(todos[0].createdAt)).not.toBeNaN();
+  });
+
+  it('should take tasks with an invalid deletion time out of the trash', () => {
+    const { issues, todos } = doctor.examine([task({ deletedAt: 'last week' })]);
+
+    expect(types(issues)).toEqual(['invalid-timestamp']);
+    expect(todos[0]).not.toHaveProperty('deletedAt');
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { GitService } from '../../src/services/gitService.js';
+
+describe('GitService', () => {
+  let dir;
+  let git;
+
+  const write = (name, content) => fs.writeFileSync(path.join(dir, 'todo', name), content);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-git-'));
+    git = new GitService(path.join(dir, 'todo'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('init', () => {
+    it('should create a repository that ignores temporary files', () => {
+      expect(git.isEnabled()).toBe(false);
+
+      const commit = git.init();
+
+      expect(commit.message).toBe('init: start task history');
+      expect(git.isEnabled()).toBe(true);
+      expect(fs.readFileSync(path.join(dir, 'todo', '.gitignore'), 'utf-8')).toContain('backups/');
+      expect(() => git.init()).toThrow('Task history is already kept in git');
+    });
+
+    it('should not commit to a repository it did not create', () => {
+      fs.mkdirSync(path.join(dir, 'todo'));
+      execFileSync('git', ['init', '-q'], { cwd: path.join(dir, 'todo') });
+
+      expect(git.isEnabled()).toBe(false);
+      expect(() => git.init()).toThrow('Task history needs a repository of its own');
+    });
+  });
+
+  describe('commit', () => {
+    it('should commit changes and skip when nothing changed', () => {
+      git.init();
+      write('todos.json', '[]');
+      write('todos.json.lock', '');
+
+      expect(git.commit('add: Task (id 1)')).toMatch(/^[0-9a-f]{40}$/);
+      expect(git.commit('nothing')).toBe(null);
+      expect(git.log().map(commit => commit.message)).toEqual(['add: Task (id 1)', 'init: start task history']);
+      expect(execFileSync('git', ['ls-files'], { cwd: path.join(dir, 'todo'), encoding: 'utf-8' })).not.toContain('.lock');
+    });
+  });
+
+  describe('log', () => {
+    it('should only list commits that changed the given files', () => {
+      git.init();
+      write('todos.json', '1');
+      git.commit('default list');
+      fs.mkdirSync(path.join(dir, 'todo', 'lists'));
+      write('lists/work.json', '1');
+      git.commit('work list');
+
+      expect(git.log({ files: [path.join(dir, 'todo', 'lists', 'work.json')] }).map(c => c.message)).toEqual(['work list']);
+      expect(git.log({ limit: 1 }).map(c => c.message)).toEqual(['work list']);
+    });
+  });
+
+  describe('getCommit and extract', () => {
+    it('should read files as they were in a commit', () => {
+      git.init();
+      write('todos.json', 'first');
+      const first = git.commit('first');
+      write('todos.json', 'second');
+      git.commit('second');
+
+      const commit = git.getCommit('HEAD');
+      expect(commit).toMatchObject({ parent: first, message: 'second' });
+
+      const target = path.join(dir, 'out');
+      expect(git.extract(commit.parent, ['todos.json', 'missing.json'], target)).toEqual([path.join(target, 'todos.json')]);
+      expect(fs.readFileSync(path.join(target, 'todos.json'), 'utf-8')).toBe('first');
+      expect(() => git.getCommit('nope')).toThrow('Unknown revision "nope"');
+    });
+  });
+
+  describe('push and pull', () => {
+    let bare;
+    let other;
+
+    beforeEach(() => {
+      bare = path.join(dir, 'remote.git');
+      execFileSync('git', ['init', '-q', '--bare', bare]);
+      other = new GitService(path.join(dir, 'other'));
+    });
+
+    it('should exchange history through a remote', () => {
+      git.init();
+      expect(() => git.push()).toThrow('No remote named "origin"');
+
+      git.setRemote('origin', bare);
+      write('todos.json', 'one');
+      git.push(); // Commits the pending change first
+      other.init(bare);
+
+      fs.writeFileSync(path.join(dir, 'other', 'todos.json'), 'two');
+      other.commit('two');
+      other.push();
+
+      expect(git.pull().map(commit => commit.message)).toEqual(['two']);
+      expect(fs.readFileSync(path.join(dir, 'todo', 'todos.json'), 'utf-8')).toBe('two');
+      expect(git.pull()).toEqual([]);
+    });
+
+    it('should refuse to merge diverged histories', () => {
+      git.init();
+      git.setRemote('origin', bare);
+      git.push();
+      other.init(bare);
+
+      write('todos.json', 'ours');
+      git.commit('ours');
+      fs.writeFileSync(path.join(dir, 'other', 'todos.json'), 'theirs');
+      other.commit('theirs');
+      other.push();
+
+      expect(() => git.pull()).toThrow('have diverged');
+      expect(fs.readFileSync(path.join(dir, 'todo', 'todos.json'), 'utf-8')).toBe('ours');
+    });
+  });
+});
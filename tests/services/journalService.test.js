@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JournalService, createEvent, updateEvent, deleteEvent, applyEvents } from '../../src/services/journalService.js';
+
+describe('journal events', () => {
+  const task = { id: 1, description: 'Task', completed: false };
+
+  it('should name updates after what they change', () => {
+    expect(updateEvent(task, { description: 'New' }).type).toBe('update');
+    expect(updateEvent(task, { completed: true, completedAt: 'now' }).type).toBe('complete');
+    expect(updateEvent({ ...task, completed: true, completedAt: 'now' }, { completed: false, completedAt: undefined })).toMatchObject({
+      type: 'uncomplete',
+      changes: { completed: false },
+      unset: ['completedAt']
+    });
+  });
+
+  it('should replay create, update and delete events', () => {
+    const events = [
+      createEvent(task),
+      createEvent({ id: 2, description: 'Other' }),
+      updateEvent(task, { description: 'Renamed', completed: true }),
+      deleteEvent({ id: 2, description: 'Other' })
+    ];
+
+    expect(applyEvents([], events)).toEqual([{ id: 1, description: 'Renamed', completed: true }]);
+  });
+
+  it('should give the same result when events are replayed twice', () => {
+    const events = [createEvent(task), updateEvent(task, { description: 'Renamed' })];
+    const once = applyEvents([], events);
+
+    expect(applyEvents(once, events)).toEqual(once);
+  });
+});
+
+describe('JournalService', () => {
+  let dir;
+  let journal;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-journal-'));
+    journal = new JournalService(path.join(dir, 'todos.json.journal.jsonl'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should append events as lines and read them back', () => {
+    journal.append([{ seq: 1, type: 'create' }]);
+    journal.append([{ seq: 2, type: 'delete' }]);
+
+    expect(fs.readFileSync(journal.file, 'utf-8').trim().split('\n')).toHaveLength(2);
+    expect(journal.read()).toEqual({ events: [{ seq: 1, type: 'create' }, { seq: 2, type: 'delete' }], damaged: [] });
+  });
+
+  it('should ignore an unfinished last line and cut it off on the next append', () => {
+    journal.append([{ seq: 1, type: 'create' }]);
+    fs.appendFileSync(journal.file, '{"seq": 2, "ty');
+
+    expect(journal.read().events).toEqual([{ seq: 1, type: 'create' }]);
+
+    journal.append([{ seq: 2, type: 'delete' }]);
+    expect(journal.read()).toEqual({ events: [{ seq: 1, type: 'create' }, { seq: 2, type: 'delete' }], damaged: [] });
+  });
+
+  it('should report lines that cannot be read', () => {
+    fs.writeFileSync(journal.file, '{"seq": 1}\nnot json\n{"seq": 3}\n');
+
+    expect(journal.read()).toEqual({ events: [{ seq: 1 }, { seq: 3 }], damaged: [2] });
+  });
+
+  it('should remove the file when replaced with no events', () => {
+    journal.append([{ seq: 1 }]);
+    journal.replace([]);
+
+    expect(journal.exists()).toBe(false);
+    expect(journal.read()).toEqual({ events: [], damaged: [] });
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ListService } from '../../src/services/listService.js';
+import { LocationService } from '../../src/services/locationService.js';
+import { ConfigService } from '../../src/services/configService.js';
+import { TodoService } from '../../src/services/todoService.js';
+import { createAdapter } from '../../src/services/adapters/createAdapter.js';
+import { GitService } from '../../src/services/gitService.js';
+
+describe('ListService', () => {
+  let dir;
+  let listsDir;
+  let config;
+  let service;
+
+  const todosOf = (name) => new TodoService(createAdapter('json', service.getFile(name)));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-lists-'));
+    listsDir = path.join(dir, 'share', 'lists');
+    config = new ConfigService(path.join(dir, 'config.json'), {});
+
+    const location = new LocationService(config, {
+      defaultFile: path.join(dir, 'share', 'todos.json'),
+      legacyFile: path.join(dir, 'legacy.json')
+    });
+    location.activate();
+    service = new ListService(location, config, new TodoService(createAdapter('json', location.getDataFile())));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('create', () => {
+    it('should create an empty list next to the data file', () => {
+      expect(service.create(' Work ')).toBe('work');
+
+      expect(fs.existsSync(path.join(listsDir, 'work.json'))).toBe(true);
+      expect(service.exists('work')).toBe(true);
+      expect(service.names()).toEqual(['default', 'work']);
+    });
+
+    it('should refuse existing lists', () => {
+      service.create('work');
+
+      expect(() => service.create('work')).toThrow('List "work" already exists');
+      expect(() => service.create('default')).toThrow('List "default" already exists');
+    });
+  });
+
+  describe('summary', () => {
+    it('should count the tasks of every list', () => {
+      service.create('work');
+      todosOf('work').create({ description: 'Work task' });
+      todosOf('default').create({ description: 'Home task' });
+
+      const summary = service.summary();
+
+      expect(summary.map(({ name, current }) => ({ name, current }))).toEqual([
+        { name: 'default', current: true },
+        { name: 'work', current: false }
+      ]);
+      expect(summary.map(list => list.stats.total)).toEqual([1, 1]);
+    });
+  });
+
+  describe('rename', () => {
+    it('should move the list files and backups and keep it current', () => {
+      service.create('work');
+      const todos = todosOf('work');
+      todos.create({ description: 'Task' });
+      todos.backup(); // Leaves a journal and a backup
+      service.use('work');
+
+      expect(service.rename('work', 'office')).toEqual({ from: 'work', to: 'office' });
+
+      expect(fs.readdirSync(listsDir).sort()).toEqual(['backups', 'office.json', 'office.json.journal.jsonl']);
+      expect(fs.readdirSync(path.join(listsDir, 'backups'))).toEqual(['office']);
+      expect(todosOf('office').getBackups()).toHaveLength(1);
+      expect(config.get('list')).toBe('office');
+    });
+
+    it('should refuse the default list, missing lists and taken names', () => {
+      service.create('work');
+      service.create('home');
+
+      expect(() => service.rename('default', 'main')).toThrow('The default list cannot be renamed');
+      expect(() => service.rename('work', 'default')).toThrow('The default list cannot be replaced');
+      expect(() => service.rename('gone', 'other')).toThrow('List "gone" does not exist');
+      expect(() => service.rename('work', 'home')).toThrow('List "home" already exists');
+    });
+  });
+
+  describe('delete', () => {
+    it('should back up the tasks, remove the list and fall back to the default list', () => {
+      service.create('work');
+      todosOf('work').create({ description: 'Task' });
+      service.use('work');
+
+      const { name, backup } = service.delete('work');
+
+      expect(name).toBe('work');
+      expect(backup.tasks).toBe(1);
+      expect(service.exists('work')).toBe(false);
+      expect(fs.existsSync(backup.file)).toBe(true);
+      expect(config.get('list')).toBe('default');
+    });
+
+    it('should refuse the default list', () => {
+      expect(() => service.delete('default')).toThrow('The default list cannot be deleted');
+    });
+  });
+
+  describe('git history', () => {
+    it('should commit each change to the lists with its own message', () => {
+      const git = new GitService(path.join(dir, 'share'));
+      git.init();
+      const todos = new TodoService(createAdapter('json', service.getFile('default')));
+      todos.useGit(git);
+      service = new ListService(service.location, config, todos);
+
+      service.create('work');
+      service.rename('work', 'office');
+      service.delete('office');
+
+      expect(git.log({ limit: 3 }).map(commit => commit.message)).toEqual([
+        'lists: delete office',
+        'lists: rename work to office',
+        'lists: create work'
+      ]);
+      expect(git.log({ limit: 1, files: [path.join(listsDir, 'office.json')] })[0].message).toBe('lists: delete office');
+    });
+  });
+
+  describe('use', () => {
+    it('should store the current list in the config file', () => {
+      service.create('work');
+
+      expect(service.use('WORK')).toBe('work');
+      expect(config.get('list')).toBe('work');
+      expect(() => service.use('gone')).toThrow('Create it with "todo lists create gone"');
+    });
+  });
+});
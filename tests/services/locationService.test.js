@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LocationService } from '../../src/services/locationService.js';
+import { ConfigService } from '../../src/services/configService.js';
+
+describe('LocationService', () => {
+  let dir;
+  let configFile;
+  let defaultFile;
+  let legacyFile;
+
+  const createService = (env = {}, cwd = dir) => new LocationService(
+    new ConfigService(configFile, env),
+    { defaultFile, legacyFile, cwd }
+  );
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-location-'));
+    configFile = path.join(dir, 'config', 'config.json');
+    defaultFile = path.join(dir, 'share', 'todo', 'todos.json');
+    legacyFile = path.join(dir, 'package', 'todos.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('resolve', () => {
+    it('should fall back to the default location', () => {
+      expect(createService().resolve()).toEqual({ file: defaultFile, source: 'default' });
+    });
+
+    it('should use the config file setting', () => {
+      new ConfigService(configFile, {}).set('dataFile', path.join(dir, 'configured.json'));
+
+      expect(createService().resolve()).toEqual({ file: path.join(dir, 'configured.json'), source: 'config' });
+    });
+
+    it('should prefer TODO_DATA_FILE over the config file', () => {
+      new ConfigService(configFile, {}).set('dataFile', path.join(dir, 'configured.json'));
+      const service = createService({ TODO_DATA_FILE: path.join(dir, 'env.json') });
+
+      expect(service.resolve()).toEqual({ file: path.join(dir, 'env.json'), source: 'env' });
+    });
+
+    it('should prefer the --data option over everything else', () => {
+      const service = createService({ TODO_DATA_FILE: path.join(dir, 'env.json') });
+
+      expect(service.resolve({ data: path.join(dir, 'option.json') }))
+        .toEqual({ file: path.join(dir, 'option.json'), source: 'option' });
+    });
+
+    it('should expand ~ to the home directory', () => {
+      expect(createService().resolve({ data: '~/todos.json' }).file).toBe(path.join(os.homedir(), 'todos.json'));
+    });
+  });
+
+  describe('project files', () => {
+    let projectDir;
+    let nestedDir;
+
+    beforeEach(() => {
+      projectDir = path.join(dir, 'repo');
+      nestedDir = path.join(projectDir, 'src', 'lib');
+      fs.mkdirSync(nestedDir, { recursive: true });
+    });
+
+    it('should find the nearest .todo.json above the current directory', () => {
+      fs.writeFileSync(path.join(projectDir, '.todo.json'), '[]');
+
+      expect(createService({}, nestedDir).resolve())
+        .toEqual({ file: path.join(projectDir, '.todo.json'), source: 'project' });
+    });
+
+    it('should recognize a project that uses the SQLite backend', () => {
+      fs.writeFileSync(path.join(nestedDir, '.todo.db'), '');
+
+      expect(createService({}, nestedDir).findProjectFile()).toBe(path.join(nestedDir, '.todo.json'));
+    });
+
+    it('should prefer the project file over the config file but not over TODO_DATA_FILE', () => {
+      fs.writeFileSync(path.join(projectDir, '.todo.json'), '[]');
+      new ConfigService(configFile, {}).set('dataFile', path.join(dir, 'configured.json'));
+
+      expect(createService({}, nestedDir).resolve().source).toBe('project');
+      expect(createService({ TODO_DATA_FILE: path.join(dir, 'env.json') }, nestedDir).resolve().source).toBe('env');
+    });
+
+    it('should ignore project files with --global', () => {
+      fs.writeFileSync(path.join(projectDir, '.todo.json'), '[]');
+
+      expect(createService({}, nestedDir).resolve({ global: true }))
+        .toEqual({ file: defaultFile, source: 'default' });
+    });
+
+    it('should create new project files only where there is none', () => {
+      expect(createService({}, projectDir).getInitFile()).toBe(path.join(projectDir, '.todo.json'));
+
+      fs.writeFileSync(path.join(projectDir, '.todo.json'), '[]');
+      expect(() => createService({}, projectDir).getInitFile()).toThrow('already has a project file');
+      expect(createService({}, nestedDir).getInitFile()).toBe(path.join(nestedDir, '.todo.json'));
+    });
+  });
+
+  describe('activate', () => {
+    it('should move a legacy data file to the default location once', () => {
+      fs.mkdirSync(path.dirname(legacyFile), { recursive: true });
+      fs.writeFileSync(legacyFile, '[]');
+
+      const moved = createService().activate();
+
+      expect(moved).toEqual([{ from: legacyFile, to: defaultFile }]);
+      expect(fs.existsSync(legacyFile)).toBe(false);
+      expect(fs.readFileSync(defaultFile, 'utf-8')).toBe('[]');
+
+      fs.writeFileSync(legacyFile, '[1]');
+      expect(createService().activate()).toEqual([]);
+      expect(fs.readFileSync(defaultFile, 'utf-8')).toBe('[]');
+    });
+
+    it('should not touch legacy data when another location is selected', () => {
+      fs.mkdirSync(path.dirname(legacyFile), { recursive: true });
+      fs.writeFileSync(legacyFile, '[]');
+
+      const service = createService();
+      expect(service.activate({ data: path.join(dir, 'other.json') })).toEqual([]);
+      expect(fs.existsSync(legacyFile)).toBe(true);
+      expect(service.getDataFile()).toBe(path.join(dir, 'other.json'));
+    });
+  });
+
+  describe('project state', () => {
+    let projectDir;
+
+    beforeEach(() => {
+      projectDir = path.join(dir, 'repo');
+      fs.mkdirSync(path.join(projectDir, 'lists', 'backups', 'work'), { recursive: true });
+      fs.mkdirSync(path.join(projectDir, 'backups', '.todo'), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, '.todo.json'), '[]');
+      fs.writeFileSync(path.join(projectDir, '.todo.json.journal.jsonl'), 'project\n');
+      fs.writeFileSync(path.join(projectDir, 'backups', '.todo', 'undo.json'), '{}');
+      fs.writeFileSync(path.join(projectDir, 'lists', 'work.json'), '[]');
+      fs.writeFileSync(path.join(projectDir, 'lists', 'work.json.journal.jsonl'), 'work\n');
+      fs.writeFileSync(path.join(projectDir, 'lists', 'backups', 'work', 'undo.json'), '{}');
+    });
+
+    it('should move the journals and backups older versions kept in the project into .todo/', () => {
+      const moved = createService({}, projectDir).activate();
+
+      expect(moved).toHaveLength(4);
+      expect(fs.readdirSync(projectDir).sort()).toEqual(['.todo', '.todo.json', 'lists']);
+      expect(fs.readdirSync(path.join(projectDir, 'lists'))).toEqual(['work.json']);
+      expect(fs.readFileSync(path.join(projectDir, '.todo', 'default', 'journal.jsonl'), 'utf-8')).toBe('project\n');
+      expect(fs.existsSync(path.join(projectDir, '.todo', 'default', 'undo.json'))).toBe(true);
+      expect(fs.readFileSync(path.join(projectDir, '.todo', 'lists', 'work', 'journal.jsonl'), 'utf-8')).toBe('work\n');
+      expect(fs.existsSync(path.join(projectDir, '.todo', 'lists', 'work', 'undo.json'))).toBe(true);
+
+      expect(createService({}, projectDir).activate()).toEqual([]);
+    });
+  });
+
+  describe('lists', () => {
+    it('should keep the default list in the data file and others next to it', () => {
+      const service = createService();
+      service.activate();
+
+      expect(service.getListName()).toBe('default');
+      expect(service.getListFile('default')).toBe(defaultFile);
+      expect(service.getListFile('work')).toBe(path.join(path.dirname(defaultFile), 'lists', 'work.json'));
+    });
+
+    it('should prefer the --list option over TODO_LIST and the config file', () => {
+      new ConfigService(configFile, {}).set('list', 'home');
+
+      expect(createService().resolveList()).toBe('home');
+      expect(createService({ TODO_LIST: 'work' }).resolveList()).toBe('work');
+
+      const service = createService({ TODO_LIST: 'work' });
+      service.activate({ list: 'Errands' });
+      expect(service.getDataFile()).toBe(path.join(path.dirname(defaultFile), 'lists', 'errands.json'));
+    });
+
+    it('should reject invalid list names', () => {
+      expect(() => createService().activate({ list: '../escape' })).toThrow('Invalid list name');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { MigrationService } from '../../src/services/migrationService.js';
+import { SCHEMA_VERSION, PRIORITY } from '../../src/config/constants.js';
+import { ids } from '../../src/utils/ids.js';
+
+describe('MigrationService', () => {
+  const migrations = [
+    { version: 1, description: 'Add done flag', up: ({ tasks, meta }) => ({ tasks: tasks.map(t => ({ ...t, done: false })), meta }) },
+    { version: 2, description: 'Rename title', up: ({ tasks, meta }) => ({ tasks: tasks.map(({ title, ...t }) => ({ ...t, description: title })), meta }) }
+  ];
+
+  describe('toEnvelope', () => {
+    const service = new MigrationService(migrations, 2);
+
+    it('should treat a bare array as version 0', () => {
+      expect(service.toEnvelope([{ id: 1 }])).toEqual({ version: 0, tasks: [{ id: 1 }], meta: {} });
+    });
+
+    it('should treat a bare array of tasks with identities as an export at the current version', () => {
+      expect(service.toEnvelope([{ id: 1, uid: 'a1' }])).toEqual({ version: 2, tasks: [{ id: 1, uid: 'a1' }], meta: {} });
+    });
+
+    it('should accept versioned envelopes', () => {
+      expect(service.toEnvelope({ version: 2, tasks: [] })).toEqual({ version: 2, tasks: [], meta: {} });
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => service.toEnvelope({ todos: [] })).toThrow('Unrecognized data format');
+      expect(() => service.toEnvelope('invalid')).toThrow('Unrecognized data format');
+    });
+  });
+
+  describe('migrate', () => {
+    const service = new MigrationService(migrations, 2);
+
+    it('should run pending migrations in order', () => {
+      const result = service.migrate([{ id: 1, title: 'Task' }]);
+
+      expect(result.envelope).toEqual({ version: 2, tasks: [{ id: 1, done: false, description: 'Task' }], meta: {} });
+      expect(result.fromVersion).toBe(0);
+      expect(result.toVersion).toBe(2);
+      expect(result.applied.map(m => m.version)).toEqual([1, 2]);
+      expect(result.applied[0].changed).toBe(1);
+    });
+
+    it('should skip migrations the data already has', () => {
+      const result = service.migrate({ version: 1, tasks: [{ id: 1, title: 'Task', done: true }], meta: {} });
+
+      expect(result.applied.map(m => m.version)).toEqual([2]);
+      expect(result.envelope.tasks[0].done).toBe(true);
+    });
+
+    it('should refuse data from a newer version', () => {
+      expect(() => service.migrate({ version: 3, tasks: [], meta: {} })).toThrow('Please upgrade todo');
+    });
+  });
+
+  describe('built-in migrations', () => {
+    const service = new MigrationService();
+
+    it('should upgrade legacy files to the current version', () => {
+      const { envelope } = service.migrate([{ id: 1730448000000, description: 'Old task' }]);
+
+      expect(envelope.version).toBe(SCHEMA_VERSION);
+      expect(envelope.tasks[0]).toMatchObject({
+        description: 'Old task',
+        completed: false,
+        priority: PRIORITY.MEDIUM,
+        dueDate: null,
+        tags: [],
+        createdAt: new Date(1730448000000).toISOString()
+      });
+    });
+
+    it('should replace timestamp IDs with sequential ones and keep the old ones as identities', () => {
+      const { envelope } = service.migrate({
+        version: 1,
+        tasks: [{ id: 1730448000000, description: 'A' }, { id: 1730448000000, description: 'Same millisecond' }, { id: 1730448000500, description: 'B' }],
+        meta: {}
+      });
+
+      expect(envelope.tasks.map(t => t.id)).toEqual([1, 2, 3]);
+      expect(envelope.tasks[0].uid).toBe(ids.legacyUid(1730448000000));
+      expect(new Set(envelope.tasks.map(t => t.uid)).size).toBe(3);
+      expect(envelope.meta.lastId).toBe(3);
+    });
+
+    it('should give tasks without an ID, and records that are not tasks, a way through', () => {
+      const { envelope } = service.migrate([1, null, { description: 'A' }, { description: 'B' }]);
+
+      expect(envelope.tasks.slice(0, 2)).toEqual([1, null]);
+      expect(new Set(envelope.tasks.slice(2).map(t => t.uid)).size).toBe(2);
+    });
+
+    it('should leave the IDs of an export alone, so subtasks keep their parent on import', () => {
+      const tasks = [{ id: 3, uid: 'a1', description: 'Parent', tags: [] }, { id: 5, uid: 'b2', description: 'Child', tags: [], parentId: 3 }];
+      const { envelope, applied } = service.migrate(tasks);
+
+      expect(applied).toEqual([]);
+      expect(envelope.tasks).toEqual(tasks);
+    });
+
+    it('should key the tombstones of a sync base by identity', () => {
+      const { envelope } = service.migrate({ version: 1, tasks: [], meta: { tombstones: { 1730448000000: '2025-11-01T00:00:00.000Z' } } });
+
+      expect(envelope.meta.tombstones).toEqual({ [ids.legacyUid(1730448000000)]: '2025-11-01T00:00:00.000Z' });
+    });
+
+    it('should turn the single tag of each task into a list of tags', () => {
+      const { envelope } = service.migrate({ version: 2, tasks: [{ id: 1, description: 'A', tag: 'work' }, { id: 2, description: 'B', tag: null }], meta: {} });
+
+      expect(envelope.tasks).toEqual([{ id: 1, description: 'A', tags: ['work'] }, { id: 2, description: 'B', tags: [] }]);
+    });
+  });
+});
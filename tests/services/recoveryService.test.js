@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RecoveryService } from '../../src/services/recoveryService.js';
+import { BackupService } from '../../src/services/backupService.js';
+import { SCHEMA_VERSION } from '../../src/config/constants.js';
+
+describe('RecoveryService', () => {
+  const recovery = new RecoveryService();
+  const task = (id, description = `Task ${id}`) => ({
+    id, description, completed: false, priority: 'medium', dueDate: null, tags: [], createdAt: '2025-01-01T00:00:00.000Z'
+  });
+
+  describe('salvageTasks', () => {
+    it('should keep complete tasks from a truncated file', () => {
+      const text = JSON.stringify({ version: 1, tasks: [task(1), task(2), task(3)], meta: {} }, null, 2);
+
+      const salvaged = recovery.salvageTasks(text.slice(0, text.lastIndexOf('"Task 3"')));
+
+      expect(salvaged).toEqual([task(1), task(2)]);
+    });
+
+    it('should ignore braces inside strings and objects that are not tasks', () => {
+      const text = `garbage {"id": 1, "description": "Use {braces} and \\"quotes\\""} {"foo": 1} {"id": 1, "description": "Duplicate"} {broken`;
+
+      expect(recovery.salvageTasks(text)).toEqual([{ id: 1, description: 'Use {braces} and "quotes"' }]);
+    });
+
+    it('should return an empty list when nothing can be parsed', () => {
+      expect(recovery.salvageTasks('not json at all')).toEqual([]);
+    });
+  });
+
+  describe('recover', () => {
+    let dir;
+    let backups;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-recovery-'));
+      backups = new BackupService(path.join(dir, 'todos.json'), { count: 5, maxAgeDays: 0 });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should prefer salvaged tasks and count what the latest backup has beyond them', () => {
+      backups.create({ version: SCHEMA_VERSION, tasks: [task(1), task(2)], meta: {} });
+
+      const result = recovery.recover([{ id: 1, description: 'Task 1' }], backups);
+
+      expect(result.tasks).toEqual([expect.objectContaining({ id: 1, priority: 'medium', completed: false })]);
+      expect(result.salvaged).toBe(1);
+      expect(result.backup).toBeNull();
+      expect(result.missing).toBe(1);
+    });
+
+    it('should fall back to the latest readable backup when nothing was salvaged', () => {
+      const good = backups.create({ version: SCHEMA_VERSION, tasks: [task(1)], meta: {} });
+      const damaged = backups.create({ version: SCHEMA_VERSION, tasks: [task(2)], meta: {} });
+      fs.writeFileSync(damaged.file, '{');
+
+      const result = recovery.recover([], backups);
+
+      expect(result.tasks).toEqual([task(1)]);
+      expect(result.backup.name).toBe(good.name);
+      expect(result.missing).toBe(0);
+    });
+
+    it('should recover an empty list when there is nothing to fall back to', () => {
+      expect(recovery.recover([], backups)).toEqual({ tasks: [], salvaged: 0, backup: null, missing: 0 });
+    });
+  });
+
+  describe('quarantine', () => {
+    it('should move the file and its SQLite companions aside', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-quarantine-'));
+      const file = path.join(dir, 'todos.db');
+      fs.writeFileSync(file, 'db');
+      fs.writeFileSync(`${file}-wal`, 'wal');
+
+      const target = recovery.quarantine(file);
+
+      expect(fs.existsSync(file)).toBe(false);
+      expect(fs.readFileSync(target, 'utf-8')).toBe('db');
+      expect(fs.readFileSync(`${target}-wal`, 'utf-8')).toBe('wal');
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
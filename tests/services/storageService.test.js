@@ -0,0 +1,444 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StorageService } from '../../src/services/storageService.js';
+import { fileLock } from '../../src/utils/fileLock.js';
+import { EncryptionError } from '../../src/utils/encryption.js';
+import { ids } from '../../src/utils/ids.js';
+import { SCHEMA_VERSION, JOURNAL } from '../../src/config/constants.js';
+
+describe('StorageService', () => {
+  let dir;
+  let dataFile;
+  let storage;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-storage-'));
+    dataFile = path.join(dir, 'todos.json');
+    storage = new StorageService(dataFile);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const task = { id: 1, uid: 'a1b2c3d4e5f6', description: 'Task 1', completed: false, priority: 'medium', dueDate: null, tags: [], createdAt: '2025-01-01T00:00:00.000Z' };
+  const envelope = (tasks) => ({ version: SCHEMA_VERSION, tasks, meta: {} });
+
+  describe('read', () => {
+    it('should return an empty envelope when the file does not exist', () => {
+      expect(storage.read()).toEqual(envelope([]));
+    });
+
+    it('should upgrade a legacy bare array in memory only', () => {
+      fs.writeFileSync(dataFile, JSON.stringify([{ id: 1730448000000, description: 'Task 1', createdAt: task.createdAt }]));
+
+      expect(storage.read()).toEqual({ ...envelope([{ ...task, uid: ids.legacyUid(1730448000000) }]), meta: { lastId: 1 } });
+      expect(JSON.parse(fs.readFileSync(dataFile, 'utf-8'))).toHaveLength(1);
+    });
+
+    it('should back up the legacy file before the first write', () => {
+      const legacy = JSON.stringify([{ id: 1, description: 'Task 1' }]);
+      fs.writeFileSync(dataFile, legacy);
+
+      storage.write(storage.read());
+
+      expect(fs.readFileSync(`${dataFile}.v0.bak`, 'utf-8')).toBe(legacy);
+      expect(JSON.parse(fs.readFileSync(dataFile, 'utf-8')).version).toBe(SCHEMA_VERSION);
+    });
+
+    it('should refuse data written by a newer version', () => {
+      fs.writeFileSync(dataFile, JSON.stringify({ version: SCHEMA_VERSION + 1, tasks: [], meta: {} }));
+
+      expect(() => storage.read()).toThrow('Please upgrade todo');
+    });
+  });
+
+  describe('write', () => {
+    it('should replace the file without leaving temp files behind', () => {
+      storage.write(envelope([task]));
+
+      expect(storage.read()).toEqual(envelope([task]));
+      expect(fs.readdirSync(dir)).toEqual(['todos.json']);
+    });
+
+    it('should keep the previous content when the write fails', () => {
+      storage.write(envelope([task]));
+      const circular = {};
+      circular.self = circular;
+
+      expect(() => storage.write(envelope([circular]))).toThrow('Failed to write data');
+      expect(storage.read()).toEqual(envelope([task]));
+    });
+  });
+
+  describe('upgrade', () => {
+    it('should only report pending migrations on a dry run', () => {
+      fs.writeFileSync(dataFile, JSON.stringify([{ id: 1, description: 'Task 1' }]));
+
+      const result = storage.upgrade({ dryRun: true });
+
+      expect(result.fromVersion).toBe(0);
+      expect(result.toVersion).toBe(SCHEMA_VERSION);
+      expect(result.applied[0].changed).toBe(1);
+      expect(result.backupFile).toBeNull();
+      expect(Array.isArray(JSON.parse(fs.readFileSync(dataFile, 'utf-8')))).toBe(true);
+    });
+
+    it('should write the upgraded file and keep a backup', () => {
+      fs.writeFileSync(dataFile, JSON.stringify([{ id: 1, description: 'Task 1' }]));
+
+      const result = storage.upgrade();
+
+      expect(result.backupFile).toBe(`${dataFile}.v0.bak`);
+      expect(JSON.parse(fs.readFileSync(dataFile, 'utf-8')).version).toBe(SCHEMA_VERSION);
+      expect(storage.upgrade().applied).toEqual([]);
+    });
+  });
+
+  describe('repair', () => {
+    it('should leave a healthy file alone', () => {
+      storage.write(envelope([task]));
+
+      expect(storage.repair()).toMatchObject({ repaired: false, total: 1 });
+      expect(fs.readdirSync(dir)).toEqual(['todos.json']);
+    });
+
+    it('should quarantine a damaged file and keep the tasks that can be salvaged', () => {
+      const content = JSON.stringify(envelope([task, { ...task, id: 2, description: 'Task 2' }]), null, 2);
+      fs.writeFileSync(dataFile, content.slice(0, content.indexOf('Task 2')));
+
+      const report = storage.repair();
+
+      expect(report).toMatchObject({ repaired: true, salvaged: 1, total: 1, backup: null });
+      expect(report.problem).toMatch(/JSON/);
+      expect(fs.readFileSync(report.quarantineFile, 'utf-8')).toBe(content.slice(0, content.indexOf('Task 2')));
+      expect(storage.read()).toEqual(envelope([task]));
+    });
+
+    it('should fall back to the latest backup when nothing can be salvaged', () => {
+      storage.snapshot(envelope([task]), 'manual');
+      fs.writeFileSync(dataFile, '');
+
+      const report = storage.repair();
+
+      expect(report.problem).toBe('The data file is empty');
+      expect(report.backup.reason).toBe('manual');
+      expect(storage.read()).toEqual(envelope([task]));
+    });
+  });
+
+  describe('journal', () => {
+    const journalFile = () => `${dataFile}${JOURNAL.SUFFIX}`;
+    const commit = (tasks, events) => storage.withLock(() => {
+      storage.read();
+      storage.commit(envelope(tasks), events);
+    });
+
+    it('should append changes to the journal instead of rewriting the data file', () => {
+      storage.write(envelope([task]));
+      const before = fs.readFileSync(dataFile, 'utf-8');
+
+      commit([task, { ...task, id: 2 }], [{ type: 'create', id: 2, task: { ...task, id: 2 } }]);
+
+      expect(fs.readFileSync(dataFile, 'utf-8')).toBe(before);
+      expect(storage.history()).toEqual([{ seq: 1, type: 'create', id: 2, task: { ...task, id: 2 } }]);
+      expect(new StorageService(dataFile).read().tasks.map(t => t.id)).toEqual([1, 2]);
+    });
+
+    it('should remember the IDs created since the last write, even of deleted tasks', () => {
+      storage.write(envelope([task]));
+
+      commit([task, { ...task, id: 2 }], [{ type: 'create', id: 2, task: { ...task, id: 2 } }]);
+      commit([task], [{ type: 'delete', id: 2, task: { ...task, id: 2 } }]);
+
+      expect(new StorageService(dataFile).read().meta.lastId).toBe(2);
+    });
+
+    it('should write the data file on the first change', () => {
+      commit([task], [{ type: 'create', id: 1, task }]);
+
+      expect(JSON.parse(fs.readFileSync(dataFile, 'utf-8'))).toEqual({ ...envelope([task]), meta: { journalSeq: 1 } });
+      expect(storage.read()).toEqual({ ...envelope([task]), meta: { journalSeq: 1 } });
+    });
+
+    it('should compact once enough events have built up, keeping recent ones as history', () => {
+      storage.write(envelope([task]));
+
+      for (let i = 1; i <= JOURNAL.COMPACT_AFTER; i++) {
+        commit([{ ...task, description: `Task ${i}` }], [{ type: 'update', id: 1, changes: { description: `Task ${i}` } }]);
+      }
+
+      const stored = JSON.parse(fs.readFileSync(dataFile, 'utf-8'));
+      expect(stored.tasks[0].description).toBe(`Task ${JOURNAL.COMPACT_AFTER}`);
+      expect(stored.meta.journalSeq).toBe(JOURNAL.COMPACT_AFTER);
+      expect(storage.history()).toHaveLength(JOURNAL.KEEP);
+      expect(new StorageService(dataFile).read().tasks[0].description).toBe(`Task ${JOURNAL.COMPACT_AFTER}`);
+    });
+
+    it('should fold pending events into the data file on request', () => {
+      storage.write(envelope([task]));
+      commit([], [{ type: 'delete', id: 1, task }]);
+
+      expect(storage.compact()).toEqual({ compacted: 1, kept: 1 });
+      expect(JSON.parse(fs.readFileSync(dataFile, 'utf-8')).tasks).toEqual([]);
+    });
+
+    it('should quarantine a damaged journal and keep its readable events', () => {
+      storage.write(envelope([task]));
+      commit([task, { ...task, id: 2 }], [{ type: 'create', id: 2, task: { ...task, id: 2 } }]);
+      fs.appendFileSync(journalFile(), 'garbage\n');
+
+      expect(() => new StorageService(dataFile).read()).toThrow('Journal line 2 cannot be read');
+
+      const report = storage.repair();
+      expect(report).toMatchObject({ repaired: true, total: 2 });
+      expect(report.problem).toContain('Journal line(s) 2');
+      expect(fs.existsSync(report.quarantineFile)).toBe(true);
+      expect(storage.read().tasks.map(t => t.id)).toEqual([1, 2]);
+      expect(storage.repair().repaired).toBe(false);
+    });
+
+    it('should encrypt journal lines along with the data file', () => {
+      storage = new StorageService(dataFile, { passphrase: null });
+      storage.write(envelope([task]));
+      storage.encrypt('secret');
+
+      commit([task, { ...task, id: 2, description: 'Hidden' }], [{ type: 'create', id: 2, task: { ...task, id: 2, description: 'Hidden' } }]);
+
+      expect(fs.readFileSync(journalFile(), 'utf-8')).not.toContain('Hidden');
+      expect(new StorageService(dataFile, { passphrase: 'secret' }).read().tasks).toHaveLength(2);
+    });
+  });
+
+  describe('project lists', () => {
+    let projectFile;
+
+    beforeEach(() => {
+      projectFile = path.join(dir, '.todo.json');
+      storage = new StorageService(projectFile);
+    });
+
+    it('should keep the journal and backups in .todo/ and rewrite the data file on every change', () => {
+      storage.withLock(() => {
+        storage.read();
+        storage.commit(envelope([task]), [{ type: 'create', id: 1, task }]);
+      });
+      storage.snapshot(envelope([task]), 'manual');
+      storage.withLock(() => {
+        storage.read();
+        storage.commit(envelope([task, { ...task, id: 2 }]), [{ type: 'create', id: 2, task: { ...task, id: 2 } }]);
+      });
+
+      expect(fs.readdirSync(dir).sort()).toEqual(['.todo', '.todo.json']);
+      expect(fs.existsSync(path.join(dir, '.todo', 'default', 'journal.jsonl'))).toBe(true);
+      expect(JSON.parse(fs.readFileSync(projectFile, 'utf-8')).tasks.map(t => t.id)).toEqual([1, 2]);
+      expect(new StorageService(projectFile).read().tasks.map(t => t.id)).toEqual([1, 2]);
+    });
+  });
+
+  describe('encryption', () => {
+    beforeEach(() => {
+      storage = new StorageService(dataFile, { passphrase: null });
+      storage.write(envelope([task]));
+    });
+
+    it('should encrypt the data file and read it back with the passphrase', () => {
+      storage.encrypt('secret');
+
+      const text = fs.readFileSync(dataFile, 'utf-8');
+      expect(text).not.toContain('Task 1');
+      expect(JSON.parse(text)).toMatchObject({ cipher: 'aes-256-gcm', kdf: { name: 'scrypt' } });
+      expect(new StorageService(dataFile, { passphrase: 'secret' }).read()).toEqual(envelope([task]));
+    });
+
+    it('should keep the file encrypted on later writes', () => {
+      storage.encrypt('secret');
+      storage.write(envelope([task, { ...task, id: 2 }]));
+
+      expect(fs.readFileSync(dataFile, 'utf-8')).not.toContain('Task 1');
+      expect(new StorageService(dataFile, { passphrase: 'secret' }).read().tasks).toHaveLength(2);
+    });
+
+    it('should report a missing or wrong passphrase clearly', () => {
+      storage.encrypt('secret');
+      const locked = new StorageService(dataFile, { passphrase: null });
+
+      expect(locked.needsPassphrase()).toBe(true);
+      expect(() => locked.read()).toThrow(EncryptionError);
+      expect(() => locked.unlock('wrong')).toThrow('Wrong passphrase');
+      expect(() => new StorageService(dataFile, { passphrase: 'wrong' }).read()).toThrow('Wrong passphrase');
+    });
+
+    it('should not treat a wrong passphrase as damaged data', () => {
+      storage.encrypt('secret');
+
+      expect(() => new StorageService(dataFile, { passphrase: 'wrong' }).repair()).toThrow(EncryptionError);
+      expect(fs.readdirSync(dir).filter(name => name.includes('.corrupt-'))).toEqual([]);
+    });
+
+    it('should encrypt and decrypt snapshots along with the data file', () => {
+      storage.backups.create(envelope([task]));
+
+      expect(storage.encrypt('secret')).toEqual({ snapshots: 1 });
+      const [snapshot] = storage.backups.list();
+      expect(fs.readFileSync(snapshot.file, 'utf-8')).not.toContain('Task 1');
+      expect(storage.backups.read(1).envelope.tasks).toEqual([task]);
+
+      expect(storage.decrypt()).toEqual({ snapshots: 1 });
+      expect(storage.isEncrypted()).toBe(false);
+      expect(JSON.parse(fs.readFileSync(dataFile, 'utf-8'))).toEqual(envelope([task]));
+      expect(fs.readFileSync(snapshot.file, 'utf-8')).toContain('Task 1');
+    });
+
+    it('should encrypt the undo history along with the data file', () => {
+      storage.backups.writeUndoLog({ done: [{ message: 'add: Task 1 (id 1)', changes: [] }], undone: [] });
+
+      storage.encrypt('secret');
+
+      expect(fs.readFileSync(path.join(dir, 'backups', 'todos', 'undo.json'), 'utf-8')).not.toContain('Task 1');
+      expect(storage.backups.readUndoLog().done).toHaveLength(1);
+    });
+
+    it('should refuse to encrypt twice or decrypt plain data', () => {
+      expect(() => storage.decrypt()).toThrow('Data is not encrypted');
+      storage.encrypt('secret');
+      expect(() => storage.encrypt('other')).toThrow('Data is already encrypted');
+    });
+  });
+
+  describe('withLock', () => {
+    it('should hold the lock file while running and release it afterwards', () => {
+      storage.withLock(() => {
+        expect(fs.existsSync(`${dataFile}.lock`)).toBe(true);
+      });
+
+      expect(fs.existsSync(`${dataFile}.lock`)).toBe(false);
+    });
+
+    it('should allow nested calls', () => {
+      const result = storage.withLock(() => storage.withLock(() => 'inner'));
+
+      expect(result).toBe('inner');
+      expect(fs.existsSync(`${dataFile}.lock`)).toBe(false);
+    });
+
+    it('should release the lock when the function throws', () => {
+      expect(() => storage.withLock(() => {
+        throw new Error('boom');
+      })).toThrow('boom');
+
+      expect(fs.existsSync(`${dataFile}.lock`)).toBe(false);
+    });
+  });
+});
+
+describe('fileLock', () => {
+  let dir;
+  let lockPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-lock-'));
+    lockPath = path.join(dir, 'todos.json.lock');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should time out while another live process holds the lock', () => {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid }));
+
+    expect(() => fileLock.acquire(lockPath, { timeout: 50, retryDelay: 10 })).toThrow('Timed out');
+  });
+
+  it('should reclaim a lock whose owner is older than the stale threshold', () => {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid }));
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, past, past);
+
+    fileLock.acquire(lockPath, { timeout: 50, retryDelay: 10, staleAfter: 1000 });
+
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf-8')).pid).toBe(process.pid);
+  });
+
+  it('should reclaim a lock whose owner process is gone', () => {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1 }));
+
+    expect(fileLock.isStale(lockPath)).toBe(true);
+
+    fileLock.acquire(lockPath, { timeout: 50, retryDelay: 10 });
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf-8')).pid).toBe(process.pid);
+    expect(fs.readdirSync(dir)).toEqual(['todos.json.lock']);
+  });
+
+  it('should release its own lock only', () => {
+    fileLock.acquire(lockPath);
+    fileLock.release(lockPath);
+    expect(fs.existsSync(lockPath)).toBe(false);
+
+    fileLock.acquire(lockPath);
+    const other = JSON.stringify({ pid: process.pid, token: 'someone-else' });
+    fs.writeFileSync(lockPath, other);
+    fileLock.release(lockPath);
+
+    expect(fs.readFileSync(lockPath, 'utf-8')).toBe(other);
+  });
+
+  it('should put back a lock that is no longer stale once claimed', () => {
+    const fresh = JSON.stringify({ pid: process.pid, token: 'fresh' });
+    fs.writeFileSync(lockPath, fresh);
+
+    expect(fileLock.reclaim(lockPath, 1000)).toBe(false);
+    expect(fs.readdirSync(dir)).toEqual(['todos.json.lock']);
+    expect(fs.readFileSync(lockPath, 'utf-8')).toBe(fresh);
+  });
+
+  it('should put back a lock taken by another process between the stale check and the claim', () => {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1, token: 'dead' }));
+    const fresh = JSON.stringify({ pid: process.pid, token: 'fresh' });
+    const isStale = vi.spyOn(fileLock, 'isStale').mockImplementation(() => {
+      // Another process reclaims the dead lock and takes its own right after this one found it stale
+      fs.rmSync(lockPath);
+      fs.writeFileSync(lockPath, fresh);
+      return true;
+    });
+
+    try {
+      expect(fileLock.reclaim(lockPath, 1000)).toBe(false);
+    } finally {
+      isStale.mockRestore();
+    }
+    expect(fs.readdirSync(dir)).toEqual(['todos.json.lock']);
+    expect(fs.readFileSync(lockPath, 'utf-8')).toBe(fresh);
+  });
+
+  it('should let one process at a time in when several reclaim a stale lock at once', async () => {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1, token: 'dead' }));
+    const counter = path.join(dir, 'counter');
+    fs.writeFileSync(counter, '0');
+    const script = `
+      import fs from 'fs';
+      import { fileLock } from ${JSON.stringify(new URL('../../src/utils/fileLock.js', import.meta.url).href)};
+      const [lockPath, counter] = process.argv.slice(1);
+      for (let i = 0; i < 20; i++) {
+        fileLock.acquire(lockPath, { timeout: 20000, retryDelay: 1 });
+        const count = Number(fs.readFileSync(counter, 'utf-8'));
+        fs.writeFileSync(counter, String(count + 1));
+        fileLock.release(lockPath);
+      }
+    `;
+
+    const workers = Array.from({ length: 4 }, () => new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ['--input-type=module', '-e', script, lockPath, counter], { stdio: 'inherit' });
+      child.on('error', reject);
+      child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`Worker exited with ${code}`))));
+    }));
+    await Promise.all(workers);
+
+    expect(fs.readFileSync(counter, 'utf-8')).toBe('80');
+    expect(fs.readdirSync(dir)).toEqual(['counter']);
+  }, 30000);
+});
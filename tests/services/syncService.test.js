@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import { SyncService } from '../../src/services/syncService.js';
+
+describe('SyncService', () => {
+  const service = new SyncService();
+  const recently = new Date(Date.now() - 60 * 1000).toISOString();
+  const task = (id, fields = {}) => ({
+    id,
+    uid: `uid-${id}`,
+    description: `Task ${id}`,
+    completed: false,
+    priority: 'medium',
+    createdAt: '2025-11-01T10:00:00.000Z',
+    ...fields
+  });
+
+  const merge = ({ local, remote, base = null, tombstones = {}, localDeletes = [], remoteDeletes = [], lastId = 100 }, resolve = () => null) =>
+    service.merge({
+      local,
+      remote,
+      base,
+      tombstones,
+      localDeletes: new Map(localDeletes),
+      remoteDeletes: new Map(remoteDeletes),
+      nextId: () => ++lastId
+    }, resolve);
+
+  describe('merge', () => {
+    it('should copy tasks only on one side to the other on the first sync', () => {
+      const result = merge({ local: [task(1)], remote: [task(2)] });
+
+      expect(result.tasks.map(t => t.id)).toEqual([1, 2]);
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should combine different fields changed on each side', () => {
+      const base = [task(1)];
+      const local = [task(1, { description: 'Renamed here', updatedAt: '2025-11-02T10:00:00.000Z' })];
+      const remote = [task(1, { priority: 'high', updatedAt: '2025-11-03T10:00:00.000Z' })];
+
+      const result = merge({ local, remote, base });
+
+      expect(result.tasks).toEqual([task(1, { description: 'Renamed here', priority: 'high', updatedAt: '2025-11-03T10:00:00.000Z' })]);
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should keep the history of both sides in the order the changes were made', () => {
+      const change = (at, field, from, to) => ({ at, field, from, to });
+      const earlier = change('2025-11-02T10:00:00.000Z', 'priority', 'medium', 'high');
+      const local = [task(1, { description: 'Renamed', history: [earlier, change('2025-11-04T10:00:00.000Z', 'description', 'Task 1', 'Renamed')] })];
+      const remote = [task(1, { completed: true, history: [earlier, change('2025-11-03T10:00:00.000Z', 'completed', false, true)] })];
+
+      const result = merge({ local, remote, base: [task(1, { history: [earlier] })] });
+
+      expect(result.tasks[0].history.map(c => c.field)).toEqual(['priority', 'completed', 'description']);
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should keep the time logged on both sides, and a timer stopped on either side', () => {
+      const earlier = { start: '2025-11-02T09:00:00.000Z', end: '2025-11-02T10:00:00.000Z' };
+      const timer = { start: '2025-11-03T09:00:00.000Z' };
+      const logged = { start: '2025-11-03T08:00:00.000Z', end: '2025-11-03T08:30:00.000Z', logged: true };
+      const local = [task(1, { timeEntries: [earlier, { ...timer, end: '2025-11-03T09:45:00.000Z' }] })];
+      const remote = [task(1, { timeEntries: [earlier, logged, timer] })];
+
+      const result = merge({ local, remote, base: [task(1, { timeEntries: [earlier, timer] })] });
+
+      expect(result.tasks[0].timeEntries).toEqual([earlier, logged, { ...timer, end: '2025-11-03T09:45:00.000Z' }]);
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should keep the earliest completion time when both sides completed a task', () => {
+      const local = [task(1, { completed: true, completedAt: '2025-11-03T10:00:00.000Z' })];
+      const remote = [task(1, { completed: true, completedAt: '2025-11-02T10:00:00.000Z' })];
+
+      expect(merge({ local, remote, base: [task(1)] }).tasks[0].completedAt).toBe('2025-11-02T10:00:00.000Z');
+    });
+
+    it('should carry deletions over and remember them as tombstones', () => {
+      const base = [task(1), task(2)];
+      const result = merge({
+        local: [task(2)],
+        remote: [task(1)],
+        base,
+        localDeletes: [['uid-1', recently]]
+      });
+
+      expect(result.tasks).toEqual([]);
+      expect(result.tombstones['uid-1']).toBe(recently);
+      expect(Object.keys(result.tombstones).sort()).toEqual(['uid-1', 'uid-2']);
+    });
+
+    it('should not bring back a stale copy of a deleted task', () => {
+      const result = merge({
+        local: [],
+        remote: [task(1)],
+        base: [],
+        tombstones: { 'uid-1': recently }
+      });
+
+      expect(result.tasks).toEqual([]);
+      expect(result.tombstones).toHaveProperty('uid-1');
+    });
+
+    it('should forget old tombstones', () => {
+      const result = merge({ local: [], remote: [], base: [], tombstones: { 'uid-1': '2020-01-01T00:00:00.000Z', 'uid-2': recently } });
+
+      expect(result.tombstones).toEqual({ 'uid-2': recently });
+    });
+
+    it('should match tasks by identity when each side gave them a different ID', () => {
+      const local = [task(1), { ...task(2), description: 'Renamed here' }];
+      const remote = [{ ...task(2), id: 1 }, { ...task(1), id: 2 }];
+
+      const result = merge({ local, remote, base: [task(1), task(2)] });
+
+      expect(result.tasks).toEqual(local);
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should give a new task a free ID if its ID is taken here', () => {
+      const result = merge({ local: [task(1)], remote: [task(1), { ...task(2), id: 1 }, task(3)] });
+
+      expect(result.tasks.map(t => [t.uid, t.id])).toEqual([['uid-1', 1], ['uid-2', 101], ['uid-3', 3]]);
+    });
+
+    it('should keep new subtasks with their parent when it gets a new ID', () => {
+      const result = merge({ local: [task(1)], remote: [{ ...task(2), id: 1 }, { ...task(3), id: 2, parentId: 1 }] });
+
+      expect(result.tasks.map(t => [t.uid, t.id, t.parentId])).toEqual([['uid-1', 1, undefined], ['uid-2', 101, undefined], ['uid-3', 2, 101]]);
+    });
+
+    it('should keep new tasks waiting for a task that gets a new ID', () => {
+      const result = merge({ local: [task(1)], remote: [{ ...task(2), id: 1 }, { ...task(3), id: 2, blockedBy: [1] }] });
+
+      expect(result.tasks.map(t => [t.uid, t.id, t.blockedBy])).toEqual([['uid-1', 1, undefined], ['uid-2', 101, undefined], ['uid-3', 2, [101]]]);
+    });
+
+    it('should report fields changed differently on both sides as a conflict', () => {
+      const local = [task(1, { description: 'Ours' })];
+      const remote = [task(1, { description: 'Theirs', tag: 'work' })];
+
+      const open = merge({ local, remote, base: [task(1)] });
+      expect(open.conflicts).toMatchObject([{ id: 1, uid: 'uid-1', type: 'edit', fields: ['description'], resolution: null }]);
+
+      const settled = merge({ local, remote, base: [task(1)] }, () => 'theirs');
+      expect(settled.tasks).toEqual([task(1, { description: 'Theirs', tag: 'work' })]);
+    });
+
+    it('should report a change on one side and a deletion on the other as a conflict', () => {
+      const input = { local: [task(1, { description: 'Changed' })], remote: [], base: [task(1)] };
+
+      expect(merge(input).conflicts).toMatchObject([{ id: 1, type: 'delete', local: { description: 'Changed' }, remote: null }]);
+      expect(merge(input, () => 'ours').tasks.map(t => t.description)).toEqual(['Changed']);
+      expect(merge(input, () => 'theirs').tasks).toEqual([]);
+    });
+  });
+
+  describe('strategy', () => {
+    it('should keep the version changed most recently with newest', () => {
+      const newest = service.strategy('newest');
+
+      expect(newest({ local: task(1, { updatedAt: '2025-11-02T00:00:00.000Z' }), remote: task(1, { updatedAt: '2025-11-03T00:00:00.000Z' }) })).toBe('theirs');
+      expect(newest({ local: task(1, { updatedAt: '2025-11-04T00:00:00.000Z' }), remote: task(1, { updatedAt: '2025-11-03T00:00:00.000Z' }) })).toBe('ours');
+    });
+
+    it('should keep a changed task over a deletion of unknown time with newest', () => {
+      const newest = service.strategy('newest');
+      const changed = task(1, { updatedAt: '2025-11-03T00:00:00.000Z' });
+
+      expect(newest({ local: changed, remote: null, deletedAt: null })).toBe('ours');
+      expect(newest({ local: changed, remote: null, deletedAt: '2025-11-04T00:00:00.000Z' })).toBe('theirs');
+      expect(newest({ local: null, remote: changed, deletedAt: '2025-11-02T00:00:00.000Z' })).toBe('theirs');
+    });
+
+    it('should always pick the same side with ours and theirs', () => {
+      expect(service.strategy('ours')({ local: task(1), remote: task(1) })).toBe('ours');
+      expect(service.strategy('theirs')({ local: task(1), remote: null })).toBe('theirs');
+    });
+  });
+
+  describe('getKey', () => {
+    it('should derive the same key for the same file', () => {
+      expect(service.getKey('/tmp/a/../todos.json')).toBe(service.getKey('/tmp/todos.json'));
+      expect(service.getKey('/tmp/todos.json')).not.toBe(service.getKey('/tmp/other.json'));
+    });
+  });
+});
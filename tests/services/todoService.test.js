@@ -1,19 +1,47 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { TodoService } from '../../src/services/todoService.js';
-import { PRIORITY } from '../../src/config/constants.js';
+import { JsonAdapter } from '../../src/services/adapters/jsonAdapter.js';
+import { StorageService } from '../../src/services/storageService.js';
+import { GitService } from '../../src/services/gitService.js';
+import { PRIORITY, SCHEMA_VERSION } from '../../src/config/constants.js';
 
 // Mock storage
 const mockStorage = {
   data: [],
   read() {
-    return [...this.data];
+    return { version: SCHEMA_VERSION, tasks: [...this.data], meta: {} };
   },
-  write(data) {
-    this.data = [...data];
+  write(envelope) {
+    this.data = [...envelope.tasks];
     return true;
   },
+  commit(envelope) {
+    return this.write(envelope);
+  },
+  withLock(fn) {
+    return fn();
+  },
+  snapshots: [],
+  snapshot(envelope, reason) {
+    this.snapshots.push({ reason, tasks: [...envelope.tasks] });
+    return null;
+  },
+  backups: {
+    log: null,
+    readUndoLog() {
+      return structuredClone(this.log ?? { done: [], undone: [] });
+    },
+    writeUndoLog(log) {
+      this.log = structuredClone(log);
+    }
+  },
   reset() {
     this.data = [];
+    this.snapshots = [];
+    this.backups.log = null;
   }
 };
 
@@ -22,7 +50,7 @@ describe('TodoService', () => {
 
   beforeEach(() => {
     mockStorage.reset();
-    service = new TodoService(mockStorage);
+    service = new TodoService(new JsonAdapter(mockStorage));
   });
 
   describe('create', () => {
@@ -90,13 +118,69 @@ describe('TodoService', () => {
     });
   });
 
+  describe('history', () => {
+    it('should record every changed field of updates, completions and reopenings', () => {
+      const task = service.create({ description: 'Old description', tags: ['work'] });
+      service.update(task.id, { description: 'New description', priority: PRIORITY.MEDIUM }, { add: ['urgent'], remove: [] });
+      service.complete(task.id);
+      service.uncomplete(task.id);
+
+      const history = service.getById(task.id).history;
+      expect(history.map(({ field, from, to }) => [field, from, to])).toEqual([
+        ['description', 'Old description', 'New description'],
+        ['tags', ['work'], ['work', 'urgent']],
+        ['completed', false, true],
+        ['completedAt', null, expect.any(String)],
+        ['completed', true, false],
+        ['completedAt', expect.any(String), null]
+      ]);
+      expect(history.every(change => Date.parse(change.at) >= Date.parse(task.createdAt))).toBe(true);
+    });
+
+    it('should keep every change, and leave annotations out', () => {
+      const task = service.create({ description: 'Task' });
+      service.annotate(task.id, 'Started');
+      expect(service.getById(task.id)).not.toHaveProperty('history');
+
+      for (let i = 1; i <= 150; i++) {
+        service.update(task.id, { description: `Task ${i}` });
+      }
+
+      const history = service.getById(task.id).history;
+      expect(history).toHaveLength(150);
+      expect(history[0].from).toBe('Task');
+    });
+
+    it('should record the changes other operations make along the way', () => {
+      const blocker = service.create({ description: 'Blocker', tags: ['bug'] });
+      const waiting = service.create({ description: 'Waiting' });
+      service.addDependencies(waiting.id, [blocker.id]);
+      service.renameTag('bug', 'defect');
+      service.startTimer(blocker.id);
+      service.complete(blocker.id);
+
+      const changes = id => service.getById(id).history.map(({ field, from, to }) => [field, from, to]);
+      expect(changes(blocker.id)).toEqual([
+        ['tags', ['bug'], ['defect']],
+        ['completed', false, true],
+        ['completedAt', null, expect.any(String)]
+      ]);
+      expect(changes(waiting.id)).toEqual([
+        ['blockedBy', null, [blocker.id]],
+        ['blockedBy', [blocker.id], null]
+      ]);
+      expect(service.getById(blocker.id).timeEntries).toEqual([expect.objectContaining({ end: expect.any(String) })]);
+    });
+  });
+
   describe('delete', () => {
     it('should delete task by ID', () => {
       const task = service.create({ description: 'Test task' });
       const deleted = service.delete(task.id);
 
-      expect(deleted).toEqual(task);
+      expect(deleted).toEqual({ ...task, deletedAt: expect.any(String) });
       expect(service.getAll()).toHaveLength(0);
+      expect(service.getTrash()).toEqual([deleted]);
     });
 
     it('should throw error when task not found', () => {
@@ -165,6 +249,680 @@ describe('TodoService', () => {
     });
   });
 
+  describe('bulk changes', () => {
+    let tasks;
+
+    beforeEach(() => {
+      tasks = [1, 2, 3, 4].map(n => service.create({ description: `Task ${n}`, tags: n % 2 ? ['odd'] : [] }));
+      service.complete(tasks[0].id);
+    });
+
+    it('should select referenced tasks that match the filters', () => {
+      const selected = service.select({ refs: [{ from: 1, to: 4 }], filters: { tags: [['odd']], pending: true } });
+
+      expect(selected.map(t => t.id)).toEqual([tasks[2].id]);
+    });
+
+    it('should select by filters alone in list order', () => {
+      expect(service.select({ refs: [], filters: { pending: true } }).map(t => t.id)).toEqual([2, 3, 4]);
+    });
+
+    it('should filter by date of completion, or of creation for pending tasks', () => {
+      expect(service.filter({ before: '2000-01-01' })).toHaveLength(0);
+      expect(service.filter({ completed: true, before: '9999-01-01' }).map(t => t.id)).toEqual([tasks[0].id]);
+    });
+
+    it('should complete several tasks and skip completed ones', () => {
+      const result = service.completeMany([1, 2, 3]);
+
+      expect(result.changed.map(t => t.id)).toEqual([2, 3]);
+      expect(result.skipped).toEqual([{ todo: expect.objectContaining({ id: 1 }), reason: 'Task is already completed' }]);
+      expect(service.filter({ pending: true }).map(t => t.id)).toEqual([4]);
+    });
+
+    it('should mark several tasks as incomplete and skip pending ones', () => {
+      const result = service.uncompleteMany([1, 2]);
+
+      expect(result.changed).toEqual([expect.objectContaining({ id: 1, completed: false })]);
+      expect(result.skipped.map(s => s.todo.id)).toEqual([2]);
+    });
+
+    it('should move several tasks to the trash at once', () => {
+      const result = service.deleteMany([2, 4]);
+
+      expect(result.changed.map(t => t.id)).toEqual([2, 4]);
+      expect(service.getAll().map(t => t.id)).toEqual([1, 3]);
+      expect(service.getTrash().map(t => t.id)).toEqual([2, 4]);
+    });
+
+    it('should change nothing when one of the tasks is not found', () => {
+      expect(() => service.deleteMany([2, 999])).toThrow('not found');
+      expect(() => service.completeMany([2, 999])).toThrow('not found');
+
+      expect(service.getAll()).toHaveLength(4);
+      expect(service.filter({ completed: true })).toHaveLength(1);
+    });
+  });
+
+  describe('undo', () => {
+    it('should undo and redo the latest operation', () => {
+      const task = service.create({ description: 'Task' });
+      service.complete(task.id);
+
+      expect(service.undo().map(op => op.message)).toEqual([`complete: Task (id ${task.id})`]);
+      expect(service.getById(task.id)).toEqual(task);
+
+      expect(service.redo().map(op => op.message)).toEqual([`complete: Task (id ${task.id})`]);
+      expect(service.getById(task.id).completed).toBe(true);
+    });
+
+    it('should record a change made through another one once', () => {
+      const task = service.create({ description: 'Task' });
+      service.complete(task.id);
+
+      expect(service.undoHistory().done.map(op => op.message)).toEqual([
+        `add: Task (id ${task.id})`,
+        `complete: Task (id ${task.id})`
+      ]);
+    });
+
+    it('should bring back deleted and cleared tasks with their IDs', () => {
+      const kept = service.create({ description: 'Kept' });
+      const done = service.create({ description: 'Done' });
+      service.complete(done.id);
+      service.clearCompleted();
+      service.delete(kept.id);
+
+      service.undo(2);
+
+      expect(service.getAll().map(t => [t.id, t.description, t.completed])).toEqual([[kept.id, 'Kept', false], [done.id, 'Done', true]]);
+      expect(service.undoHistory().undone).toHaveLength(2);
+    });
+
+    it('should undo several operations newest first and redo them in order', () => {
+      ['One', 'Two', 'Three'].forEach(description => service.create({ description }));
+
+      expect(service.undo(2).map(op => op.message)).toEqual(['add: Three (id 3)', 'add: Two (id 2)']);
+      expect(service.redo(5).map(op => op.message)).toEqual(['add: Two (id 2)', 'add: Three (id 3)']);
+      expect(service.getAll()).toHaveLength(3);
+    });
+
+    it('should forget undone operations after a new change', () => {
+      service.create({ description: 'One' });
+      service.undo();
+      service.create({ description: 'Two' });
+
+      expect(() => service.redo()).toThrow('Nothing to redo');
+    });
+
+    it('should refuse to undo over a later change and change nothing', () => {
+      const task = service.create({ description: 'Task' });
+      service.update(task.id, { description: 'Edited' });
+      service.storage.transaction(() => service.storage.update(task.id, { description: 'Changed elsewhere' }));
+
+      expect(() => service.undo(2)).toThrow(`Cannot undo "update: Edited (id ${task.id})": task ${task.id} (Edited) changed since`);
+      expect(service.getById(task.id).description).toBe('Changed elsewhere');
+      expect(service.undoHistory().done).toHaveLength(2);
+    });
+
+    it('should throw error when there is nothing to undo', () => {
+      expect(() => service.undo()).toThrow('Nothing to undo');
+    });
+  });
+
+  describe('trash', () => {
+    const longAgo = '2020-01-01T00:00:00.000Z';
+
+    beforeEach(() => {
+      ['Bug one', 'Bug two', 'Chore'].forEach(description => service.create({ description, tags: ['work'] }));
+      service.delete(2);
+    });
+
+    it('should hide deleted tasks from every view', () => {
+      expect(service.getAll().map(t => t.id)).toEqual([1, 3]);
+      expect(service.filter({ tags: [['work']] }).map(t => t.id)).toEqual([1, 3]);
+      expect(service.search('bug').map(t => t.id)).toEqual([1]);
+      expect(service.getStats().total).toBe(2);
+      expect(service.export().map(t => t.id)).toEqual([1, 3]);
+      expect(() => service.getById(2)).toThrow('Task with ID 2 is in the trash');
+      expect(() => service.resolveId('@2')).not.toThrow();
+      expect(service.resolveId('@2')).toBe(3);
+    });
+
+    it('should restore tasks from the trash', () => {
+      service.delete(3);
+
+      expect(service.selectTrash(['@2']).map(t => t.id)).toEqual([3]);
+      const { changed } = service.restoreFromTrash([3, 2]);
+
+      expect(changed.map(t => t.id)).toEqual([3, 2]);
+      expect(changed[0]).not.toHaveProperty('deletedAt');
+      expect(service.getAll().map(t => t.id)).toEqual([1, 2, 3]);
+      expect(() => service.restoreFromTrash([1])).toThrow('Task with ID 1 is not in the trash');
+    });
+
+    it('should purge the trash, or only tasks deleted long enough ago', () => {
+      service.import([{ description: 'Old', completed: false, priority: PRIORITY.LOW, createdAt: longAgo, deletedAt: longAgo }]);
+
+      expect(service.getTrash(30).map(t => t.description)).toEqual(['Old']);
+      expect(service.emptyTrash({ olderThanDays: 30 })).toEqual({ purged: [expect.objectContaining({ description: 'Old' })], remaining: 1 });
+      expect(mockStorage.snapshots.map(s => s.reason)).toEqual(['import', 'purge']);
+
+      expect(service.emptyTrash().purged.map(t => t.id)).toEqual([2]);
+      expect(service.getTrash()).toEqual([]);
+    });
+
+    it('should purge tasks older than the retention period when deleting', () => {
+      service.import([{ description: 'Old', completed: false, priority: PRIORITY.LOW, createdAt: longAgo, deletedAt: longAgo }]);
+
+      service.delete(1);
+
+      expect(service.getTrash().map(t => t.description)).toEqual(['Bug one', 'Bug two']);
+    });
+
+    it('should undo deleting and restoring', () => {
+      service.undo();
+      expect(service.getById(2)).not.toHaveProperty('deletedAt');
+
+      service.delete(2);
+      service.restoreFromTrash([2]);
+      service.undo();
+      expect(service.getTrash().map(t => t.id)).toEqual([2]);
+    });
+  });
+
+  describe('archive', () => {
+    const longAgo = '2020-01-01T00:00:00.000Z';
+
+    beforeEach(() => {
+      ['Bug one', 'Bug two', 'Chore'].forEach(description => service.create({ description, tags: ['work'] }));
+      service.complete(1);
+      service.import([{ description: 'Bug fixed long ago', completed: true, priority: PRIORITY.LOW, createdAt: longAgo, completedAt: longAgo }]);
+    });
+
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('should move completed tasks to the archive, apart from the list', () => {
+      const { archived, remaining } = service.archiveCompleted();
+
+      expect(archived.map(t => t.id)).toEqual([1, 4]);
+      expect(remaining).toBe(2);
+      expect(service.getAll().map(t => t.id)).toEqual([2, 3]);
+      expect(service.filter({ archived: true, priority: PRIORITY.LOW }).map(t => t.id)).toEqual([4]);
+      expect(service.search('bug', { archived: true }).map(t => t.id)).toEqual([1, 4]);
+      expect(service.search('bug').map(t => t.id)).toEqual([2]);
+      expect(service.getStats()).toMatchObject({ total: 2, completed: 0, archived: 2 });
+      expect(() => service.getById(1)).toThrow('Task with ID 1 is archived');
+    });
+
+    it('should only archive tasks completed long enough ago', () => {
+      expect(service.archiveCompleted({ olderThanDays: 30 }).archived.map(t => t.id)).toEqual([4]);
+      expect(service.getArchive().map(t => t.id)).toEqual([4]);
+    });
+
+    it('should bring archived tasks back', () => {
+      service.archiveCompleted();
+
+      expect(service.selectArchive(['@2']).map(t => t.id)).toEqual([4]);
+      expect(service.unarchive([4]).changed).toEqual([expect.not.objectContaining({ archivedAt: expect.anything() })]);
+      expect(service.getAll().map(t => t.id)).toEqual([2, 3, 4]);
+      expect(() => service.unarchive([2])).toThrow('Task with ID 2 is not in the archive');
+    });
+
+    it('should archive old completed tasks when completing tasks if auto-archiving is on', () => {
+      vi.stubEnv('TODO_AUTO_ARCHIVE_DAYS', '30');
+
+      service.complete(2);
+
+      expect(service.getArchive().map(t => t.id)).toEqual([4]);
+      expect(service.getAll().filter(t => t.completed).map(t => t.id)).toEqual([1, 2]);
+    });
+
+    it('should archive expired tasks without completing any', () => {
+      expect(service.archiveExpired()).toEqual([]);
+      vi.stubEnv('TODO_AUTO_ARCHIVE_DAYS', '30');
+
+      expect(service.archiveExpired().map(t => t.id)).toEqual([4]);
+      expect(service.getAll().map(t => t.id)).toEqual([1, 2, 3]);
+      expect(service.undoHistory().done.at(-1).message).toBe('archive: 1 completed task(s)');
+      expect(service.archiveExpired()).toEqual([]);
+      expect(service.undoHistory().done).toHaveLength(6);
+    });
+  });
+
+  describe('tags', () => {
+    beforeEach(() => {
+      service.create({ description: 'Fix login', tags: ['work', 'urgent'] });
+      service.create({ description: 'Review docs', tags: ['work'] });
+      service.create({ description: 'Buy milk', tags: ['home'] });
+      service.complete(2);
+    });
+
+    it('should match any group of tags, and all tags of a group', () => {
+      expect(service.filter({ tags: [['work'], ['home']] }).map(t => t.id)).toEqual([1, 2, 3]);
+      expect(service.filter({ tags: [['work', 'urgent']] }).map(t => t.id)).toEqual([1]);
+      expect(service.search('urg').map(t => t.id)).toEqual([1]);
+    });
+
+    it('should add and remove tags on update', () => {
+      const { updated } = service.update(1, {}, { add: ['later', 'work'], remove: ['urgent'] });
+
+      expect(updated.tags).toEqual(['work', 'later']);
+      expect(updated.description).toBe('Fix login');
+    });
+
+    it('should count pending and completed tasks per tag', () => {
+      expect(service.getTags()).toEqual([
+        { tag: 'home', pending: 1, completed: 0 },
+        { tag: 'urgent', pending: 1, completed: 0 },
+        { tag: 'work', pending: 1, completed: 1 }
+      ]);
+    });
+
+    it('should rename and merge tags on every task, also in the trash', () => {
+      service.delete(3);
+
+      expect(service.renameTag('home', 'errands').changed.map(t => t.id)).toEqual([3]);
+      expect(service.getTrash()[0].tags).toEqual(['errands']);
+
+      service.mergeTags(['urgent', 'errands'], 'work');
+      expect(service.storage.query().map(t => t.tags)).toEqual([['work'], ['work'], ['work']]);
+      expect(() => service.renameTag('home', 'house')).toThrow('No task is tagged home');
+
+      service.undo();
+      expect(service.getById(1).tags).toEqual(['work', 'urgent']);
+    });
+  });
+
+  describe('subtasks', () => {
+    let plan;
+
+    beforeEach(() => {
+      plan = service.create({ description: 'Plan trip' });
+      service.create({ description: 'Pack' });
+      service.create({ description: 'Book flights', parentId: plan.id });
+      service.create({ description: 'Compare prices', parentId: 3 });
+      service.create({ description: 'Book hotel', parentId: plan.id });
+    });
+
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('should list subtasks right after their parent, with the progress of the parent', () => {
+      service.complete(3);
+
+      expect(service.getAll().map(t => t.id)).toEqual([1, 3, 4, 5, 2]);
+      expect(service.outline(service.getAll()).map(({ todo, depth, progress }) => [todo.id, depth, progress])).toEqual([
+        [1, 0, { done: 1, total: 2 }],
+        [3, 1, { done: 0, total: 1 }],
+        [4, 2, null],
+        [5, 1, null],
+        [2, 0, null]
+      ]);
+      expect(service.outline(service.filter({ pending: true })).map(({ todo, depth }) => [todo.id, depth])).toEqual([
+        [1, 0], [5, 1], [2, 0], [4, 0]
+      ]);
+    });
+
+    it('should count the progress of every parent in a long list', () => {
+      const task = (id, extra = {}) => ({
+        id, uid: `uid${id}`, description: `Task ${id}`, completed: false, priority: PRIORITY.MEDIUM, tags: [],
+        createdAt: '2026-01-01T00:00:00.000Z', ...extra
+      });
+      mockStorage.data = [
+        ...Array.from({ length: 1000 }, (_, index) => task(index + 1)),
+        ...Array.from({ length: 3000 }, (_, index) => task(index + 1001, {
+          parentId: (index % 1000) + 1, completed: index < 1000, ...(index >= 2990 && { deletedAt: '2026-01-02T00:00:00.000Z' })
+        }))
+      ];
+
+      const outline = service.outline(service.getAll());
+
+      expect(outline).toHaveLength(3990);
+      expect(outline[0]).toMatchObject({ todo: { id: 1 }, depth: 0, progress: { done: 1, total: 3 } });
+      expect(outline.at(-1)).toMatchObject({ todo: { id: 3000 }, depth: 1, progress: null });
+      expect(outline.find(({ todo }) => todo.id === 1000).progress).toEqual({ done: 1, total: 2 });
+    });
+
+    it('should not add a subtask to a missing task', () => {
+      expect(() => service.create({ description: 'Step', parentId: 999 })).toThrow('Task with ID 999 not found');
+    });
+
+    it('should delete subtasks with their parent and restore them together', () => {
+      const { changed } = service.deleteMany([plan.id]);
+
+      expect(changed.map(t => t.id)).toEqual([1, 3, 5, 4]);
+      expect(service.getAll().map(t => t.id)).toEqual([2]);
+
+      service.restoreFromTrash([plan.id]);
+      expect(service.getAll().map(t => t.id)).toEqual([1, 3, 4, 5, 2]);
+    });
+
+    it('should keep subtasks as tasks of their own when set to orphan them', () => {
+      vi.stubEnv('TODO_SUBTASK_DELETION', 'orphan');
+
+      service.delete(3);
+
+      expect(service.getAll().map(t => t.id)).toEqual([1, 5, 2, 4]);
+      expect(service.getById(4)).not.toHaveProperty('parentId');
+    });
+
+    it('should complete a parent with its last subtask when set to', () => {
+      vi.stubEnv('TODO_AUTO_COMPLETE_PARENTS', 'true');
+
+      service.completeMany([4, 5]);
+      expect(service.getById(3).completed).toBe(true);
+      expect(service.getById(1).completed).toBe(true);
+
+      vi.unstubAllEnvs();
+      service.uncomplete(1);
+      service.uncomplete(3);
+      service.uncomplete(4);
+      service.complete(4);
+      expect(service.getById(3).completed).toBe(false);
+    });
+
+    it('should keep subtasks with their parent on import', () => {
+      const exported = service.export();
+      service.import(exported);
+
+      const imported = service.getAll().slice(5);
+      expect(imported.map(t => [t.id, t.parentId])).toEqual([[6, undefined], [7, 6], [8, 7], [9, 6], [10, undefined]]);
+    });
+  });
+
+  describe('dependencies', () => {
+    beforeEach(() => {
+      service.create({ description: 'Write tests' });
+      service.create({ description: 'Fix bug' });
+      service.create({ description: 'Release' });
+    });
+
+    it('should mark tasks that wait for pending tasks', () => {
+      service.addDependencies(3, [1, 2]);
+
+      expect(service.getById(3).blockedBy).toEqual([1, 2]);
+      expect(service.blockersOf(service.getById(3)).map(t => t.id)).toEqual([1, 2]);
+      expect(service.outline(service.getAll()).map(({ todo, blockedBy }) => [todo.id, blockedBy])).toEqual([
+        [1, []], [2, []], [3, [1, 2]]
+      ]);
+    });
+
+    it('should read the tasks once to check a long chain of dependencies', () => {
+      mockStorage.data = Array.from({ length: 300 }, (_, index) => ({
+        id: index + 1, uid: `uid${index + 1}`, description: `Step ${index + 1}`, completed: false, priority: PRIORITY.MEDIUM,
+        tags: [], createdAt: '2026-01-01T00:00:00.000Z', ...(index > 0 ? { blockedBy: [index] } : {})
+      }));
+      const todos = service.getAll();
+      const read = vi.spyOn(mockStorage, 'read');
+
+      expect(service.outline(todos).filter(({ blockedBy }) => blockedBy.length > 0)).toHaveLength(299);
+      expect(read).toHaveBeenCalledTimes(1);
+
+      read.mockClear();
+      expect(service.filter({ actionable: true }).map(t => t.id)).toEqual([1]);
+      expect(read).toHaveBeenCalledTimes(2);
+
+      read.mockClear();
+      expect(() => service.addDependencies(1, [300])).toThrow('Task 300 already waits for task 1');
+      expect(read).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject waiting for itself, for completed tasks and in circles', () => {
+      service.addDependencies(3, [2]);
+      service.addDependencies(2, [1]);
+      service.complete(1);
+
+      expect(() => service.addDependencies(3, [3])).toThrow('A task cannot wait for itself');
+      expect(() => service.addDependencies(3, [1])).toThrow('Task 1 is already completed');
+      expect(() => service.addDependencies(2, [3])).toThrow('Task 3 already waits for task 2');
+      expect(() => service.addDependencies(3, [999])).toThrow('Task with ID 999 not found');
+    });
+
+    it('should only list actionable tasks when asked to', () => {
+      service.addDependencies(3, [1]);
+      service.addDependencies(2, [1]);
+      service.create({ description: 'Done already' });
+      service.complete(4);
+
+      expect(service.filter({ actionable: true }).map(t => t.id)).toEqual([1]);
+
+      service.delete(1);
+      expect(service.filter({ actionable: true }).map(t => t.id)).toEqual([2, 3]);
+    });
+
+    it('should stop waiting for a task once it is completed, and undo that with the completion', () => {
+      service.addDependencies(3, [1, 2]);
+      service.addDependencies(2, [1]);
+
+      const { unblocked } = service.completeMany([1]);
+
+      expect(unblocked.map(t => t.id)).toEqual([2]);
+      expect(service.getById(2)).not.toHaveProperty('blockedBy');
+      expect(service.getById(3).blockedBy).toEqual([2]);
+
+      service.undo();
+      expect(service.getById(3).blockedBy).toEqual([1, 2]);
+      expect(service.getById(2).blockedBy).toEqual([1]);
+    });
+
+    it('should stop waiting for some or all tasks', () => {
+      service.addDependencies(3, [1, 2]);
+
+      expect(service.removeDependencies(3, [1]).updated.blockedBy).toEqual([2]);
+      expect(() => service.removeDependencies(3, [1])).toThrow('Task 3 does not wait for task 1');
+      expect(service.removeDependencies(3).updated).not.toHaveProperty('blockedBy');
+      expect(() => service.removeDependencies(3)).toThrow('Task 3 does not wait for any task');
+    });
+
+    it('should pick the actionable task with the highest priority, then the earliest due date', () => {
+      service.update(2, { priority: PRIORITY.HIGH, dueDate: '2026-03-01' });
+      service.update(3, { priority: PRIORITY.HIGH, dueDate: '2026-02-01' });
+      service.create({ description: 'Urgent', priority: PRIORITY.HIGH });
+
+      expect(service.next().id).toBe(3);
+
+      service.addDependencies(3, [1]);
+      expect(service.next().id).toBe(2);
+
+      service.completeMany([2, 4]);
+      expect(service.next().id).toBe(1);
+
+      service.complete(1);
+      expect(service.next().id).toBe(3);
+
+      service.complete(3);
+      expect(service.next()).toBeNull();
+    });
+
+    it('should keep dependencies between imported tasks', () => {
+      service.addDependencies(3, [1, 2]);
+      service.import(service.export().filter(t => t.id !== 2));
+
+      expect(service.getAll().slice(3).map(t => [t.id, t.blockedBy])).toEqual([[4, undefined], [5, [4]]]);
+    });
+  });
+
+  describe('recurring tasks', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should be due on the first day of the schedule without a due date', () => {
+      vi.useFakeTimers({ now: new Date('2026-10-17T09:00:00.000Z') });
+
+      const task = service.create({ description: 'Stand-up notes', recurrence: { every: 'weekdays' } });
+
+      expect(task.dueDate).toBe('2026-10-19');
+      expect(task.recurrence).toEqual({ every: 'weekdays', mode: 'fixed' });
+    });
+
+    it('should add the next occurrence on the schedule when completed', () => {
+      vi.useFakeTimers({ now: new Date('2026-01-30T09:00:00.000Z') });
+      service.create({ description: 'Send invoices', priority: PRIORITY.HIGH, dueDate: '2026-01-31', tags: ['work'], recurrence: { every: 'month' } });
+
+      const { spawned } = service.completeMany([1]);
+
+      expect(spawned).toEqual([expect.objectContaining({
+        id: 2, description: 'Send invoices', completed: false, priority: PRIORITY.HIGH, dueDate: '2026-02-28', tags: ['work'],
+        recurrence: { every: 'month', day: 31, mode: 'fixed' }
+      })]);
+      expect(service.getById(1)).not.toHaveProperty('recurrence');
+      expect(service.getRecurring().map(t => t.id)).toEqual([2]);
+
+      service.complete(2);
+      expect(service.getById(3).dueDate).toBe('2026-03-31');
+    });
+
+    it('should skip the dates that have passed when completed late', () => {
+      vi.useFakeTimers({ now: new Date('2026-10-19T09:00:00.000Z') });
+      service.create({ description: 'Stretch', dueDate: '2026-01-01', recurrence: { every: 'days' } });
+      service.create({ description: 'Send invoices', dueDate: '2026-01-31', recurrence: { every: 'month' } });
+      service.create({ description: 'Review', dueDate: '2026-10-19', recurrence: { every: 'week' } });
+
+      service.completeMany([1, 2, 3]);
+
+      expect(service.getAll().filter(t => !t.completed).map(t => t.dueDate)).toEqual(['2026-10-20', '2026-10-31', '2026-10-26']);
+    });
+
+    it('should count from the day of completion when asked to', () => {
+      vi.useFakeTimers({ now: new Date('2026-10-19T09:00:00.000Z') });
+      service.create({ description: 'Water plants', dueDate: '2026-10-10', recurrence: { every: 'days', interval: 3, mode: 'after-completion' } });
+
+      service.complete(1);
+
+      expect(service.getById(2).dueDate).toBe('2026-10-22');
+    });
+
+    it('should not come back after completing an occurrence twice, undoing or stopping the series', () => {
+      service.create({ description: 'Weekly report', dueDate: '2026-10-16', recurrence: { every: 'week' } });
+
+      service.complete(1);
+      service.uncomplete(1);
+      service.complete(1);
+      expect(service.getAll().map(t => t.id)).toEqual([1, 2]);
+
+      service.undo(3);
+      expect(service.getAll().map(t => t.id)).toEqual([1]);
+      expect(service.getById(1).recurrence).toEqual({ every: 'week', days: [5], mode: 'fixed' });
+
+      service.stopRecurrence(1);
+      service.complete(1);
+      expect(service.getAll().map(t => t.id)).toEqual([1]);
+      expect(() => service.stopRecurrence(1)).toThrow('Task 1 does not repeat');
+    });
+  });
+
+  describe('notes', () => {
+    beforeEach(() => {
+      service.create({ description: 'Fix bug in login' });
+    });
+
+    it('should add annotations with the time they were added, oldest first', () => {
+      service.annotate(1, 'Reproduced on staging');
+      const { updated } = service.annotate(1, 'Sent for review');
+
+      expect(updated.annotations.map(a => a.text)).toEqual(['Reproduced on staging', 'Sent for review']);
+      expect(Date.parse(updated.annotations[0].at)).not.toBeNaN();
+    });
+
+    it('should replace the notes, and remove them when empty', () => {
+      expect(service.setNotes(1, 'See the ticket').updated.notes).toBe('See the ticket');
+      expect(service.setNotes(1, '').updated).not.toHaveProperty('notes');
+
+      service.undo();
+      expect(service.getById(1).notes).toBe('See the ticket');
+    });
+
+    it('should find tasks by their notes and annotations', () => {
+      service.create({ description: 'Other task' });
+      service.setNotes(1, 'Steps: open the LOGIN page');
+      service.annotate(2, 'Blocked on design');
+
+      expect(service.search('login page').map(t => t.id)).toEqual([1]);
+      expect(service.search('design').map(t => t.id)).toEqual([2]);
+    });
+  });
+
+  describe('time tracking', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ now: new Date('2026-10-19T09:00:00.000Z') });
+      service.create({ description: 'Fix bug', tags: ['work', 'client-a'] });
+      service.create({ description: 'Write docs', tags: ['client-a'] });
+      service.create({ description: 'Call plumber' });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should run one timer at a time, stopping the running one when another starts', () => {
+      service.startTimer(1);
+      vi.setSystemTime(new Date('2026-10-19T09:30:00.000Z'));
+
+      const { started, stopped } = service.startTimer(2);
+      expect(started.timeEntries).toEqual([{ start: '2026-10-19T09:30:00.000Z' }]);
+      expect(stopped).toMatchObject({ todo: { id: 1 }, seconds: 1800 });
+      expect(service.activeTimer().id).toBe(2);
+      expect(() => service.startTimer(2)).toThrow('The timer of task 2 is already running');
+
+      vi.setSystemTime(new Date('2026-10-19T10:15:00.000Z'));
+      expect(service.stopTimer()).toMatchObject({ todo: { id: 2 }, seconds: 2700 });
+      expect(service.activeTimer()).toBeNull();
+      expect(() => service.stopTimer()).toThrow('No timer is running');
+    });
+
+    it('should log time as work that ended now, without adding it to the history', () => {
+      const { updated } = service.logTime(1, 90);
+
+      expect(updated.timeEntries).toEqual([{ start: '2026-10-19T07:30:00.000Z', end: '2026-10-19T09:00:00.000Z', logged: true }]);
+      expect(updated).not.toHaveProperty('history');
+
+      service.undo();
+      expect(service.getById(1)).not.toHaveProperty('timeEntries');
+    });
+
+    it('should stop the timer of a task that is completed or deleted', () => {
+      service.startTimer(1);
+      vi.setSystemTime(new Date('2026-10-19T09:10:00.000Z'));
+
+      const { stopped } = service.completeMany([1]);
+      expect(stopped).toMatchObject([{ todo: { id: 1 }, seconds: 600 }]);
+      expect(() => service.startTimer(1)).toThrow('Task is already completed');
+
+      service.startTimer(2);
+      service.delete(2);
+      expect(service.activeTimer()).toBeNull();
+    });
+
+    it('should sum up the time per task and per tag within a period, including the archive', () => {
+      service.logTime(1, 60);
+      service.logTime(3, 30);
+      vi.setSystemTime(new Date('2026-10-21T01:00:00.000Z'));
+      // A session from 23:00 to 01:00 counts an hour on either day
+      service.logTime(2, 120);
+      service.logTime(1, 15);
+      service.completeMany([1]);
+      service.archiveCompleted();
+
+      const all = service.timesheet();
+      expect(all.tasks.map(({ todo, seconds }) => [todo.id, seconds])).toEqual([[1, 4500], [2, 7200], [3, 1800]]);
+      expect(all.tags).toEqual([
+        { tag: 'client-a', seconds: 11700 },
+        { tag: 'work', seconds: 4500 },
+        { tag: '(untagged)', seconds: 1800 }
+      ]);
+      expect(all.total).toBe(13500);
+
+      const day = service.timesheet({ from: '2026-10-20', to: '2026-10-20', tags: [['client-a']] });
+      expect(day.tasks.map(({ todo, seconds }) => [todo.id, seconds])).toEqual([[2, 3600]]);
+      expect(day.total).toBe(3600);
+    });
+  });
+
   describe('search', () => {
     beforeEach(() => {
       service.create({ description: 'Fix bug in login' });
@@ -201,12 +959,22 @@ describe('TodoService', () => {
       expect(service.getAll()).toHaveLength(1);
     });
 
+    it('should move the cleared tasks to the trash', () => {
+      const task = service.create({ description: 'Task 1' });
+      service.complete(task.id);
+
+      service.clearCompleted();
+
+      expect(service.getTrash()).toEqual([expect.objectContaining({ id: task.id, completed: true })]);
+    });
+
     it('should return 0 when no completed tasks', () => {
       service.create({ description: 'Task 1' });
       const result = service.clearCompleted();
 
       expect(result.cleared).toBe(0);
       expect(result.remaining).toBe(1);
+      expect(mockStorage.snapshots).toHaveLength(0);
     });
   });
 
@@ -276,11 +1044,427 @@ describe('TodoService', () => {
 
       expect(result.imported).toBe(1);
       expect(result.total).toBe(2);
+      expect(mockStorage.snapshots[0]).toMatchObject({ reason: 'import', tasks: [{ description: 'Existing task' }] });
+    });
+
+    it('should give imported tasks new IDs and keep identities that are not taken', () => {
+      const existing = service.create({ description: 'Existing task' });
+
+      service.import([
+        { id: existing.id, uid: existing.uid, description: 'Copy of existing task', completed: false },
+        { id: existing.id, uid: 'kept', description: 'Imported task', completed: false }
+      ]);
+
+      const [, copy, imported] = service.getAll();
+      expect(service.getAll().map(t => t.id)).toEqual([1, 2, 3]);
+      expect(copy.uid).not.toBe(existing.uid);
+      expect(imported.uid).toBe('kept');
     });
 
     it('should throw error for invalid import data', () => {
       expect(() => service.import('invalid')).toThrow('Invalid import data');
       expect(() => service.import({})).toThrow('Invalid import data');
     });
+
+    it('should skip records that are not tasks, and keep search working', () => {
+      const result = service.import([1, null, ['Task'], { priority: PRIORITY.HIGH }, { description: ' ' }, { description: 'Real task', tags: 'work' }]);
+
+      expect(result.imported).toBe(1);
+      expect(result.skipped).toEqual([
+        { position: 1, reason: 'not a task' },
+        { position: 2, reason: 'not a task' },
+        { position: 3, reason: 'not a task' },
+        { position: 4, reason: 'no description' },
+        { position: 5, reason: 'no description' }
+      ]);
+      expect(service.getAll()).toEqual([expect.objectContaining({ id: 1, description: 'Real task', priority: PRIORITY.MEDIUM, tags: [] })]);
+      expect(service.search('real').map(t => t.id)).toEqual([1]);
+    });
+
+    it('should not import anything, nor take a backup, when no record is a task', () => {
+      expect(service.import([null, 42])).toMatchObject({ imported: 0, total: 0 });
+      expect(mockStorage.snapshots).toEqual([]);
+    });
+
+    it('should stop the running timers of imported tasks', () => {
+      const start = '2026-01-01T09:00:00.000Z';
+      service.import([{
+        description: 'Timed',
+        timeEntries: [{ start: '2026-01-01T08:00:00.000Z', end: '2026-01-01T08:30:00.000Z' }, { start }, { start: 'never' }]
+      }]);
+
+      const { timeEntries } = service.getById(1);
+      expect(timeEntries).toHaveLength(2);
+      expect(timeEntries[1]).toEqual({ start, end: expect.any(String) });
+      expect(service.activeTimer()).toBeNull();
+    });
+
+    it('should keep the trash, the archive and the history of imported tasks when they are well-formed', () => {
+      const at = '2026-01-01T00:00:00.000Z';
+      const history = [{ at, field: 'priority', from: 'low', to: 'high' }];
+      service.import([
+        { description: 'Deleted', deletedAt: at },
+        { description: 'Archived', completed: true, completedAt: at, archivedAt: at, history: [...history, 'junk'] },
+        { description: 'Open', archivedAt: at, deletedAt: 'yesterday', history: 'junk' }
+      ]);
+
+      expect(service.getTrash().map(t => t.description)).toEqual(['Deleted']);
+      expect(service.getArchive()).toEqual([expect.objectContaining({ description: 'Archived', history })]);
+      expect(service.getAll()).toEqual([expect.not.objectContaining({ archivedAt: expect.anything(), history: expect.anything() })]);
+      expect(service.getAll()[0]).not.toHaveProperty('deletedAt');
+    });
+  });
+
+  describe('doctor', () => {
+    it('should only report problems unless asked to fix them', () => {
+      mockStorage.data = [
+        { id: 1, uid: 'a1', description: 'First', completed: false, priority: PRIORITY.LOW, tags: [], createdAt: '2025-01-01T00:00:00.000Z' },
+        { id: 1, uid: 'b2', description: 'Second', completed: false, priority: PRIORITY.LOW, tags: [], createdAt: '2025-01-01T00:00:00.000Z' }
+      ];
+
+      const report = service.doctor();
+
+      expect(report.issues.map(i => i.type)).toEqual(['duplicate-id']);
+      expect(report.fixed).toBe(false);
+      expect(service.getAll().map(t => t.id)).toEqual([1, 1]);
+    });
+
+    it('should re-ID duplicates and take a snapshot when fixing', () => {
+      mockStorage.data = [
+        { id: 1, uid: 'a1', description: 'First', completed: false, priority: PRIORITY.LOW, tags: [], createdAt: '2025-01-01T00:00:00.000Z' },
+        { id: 1, uid: 'b2', description: 'Second', completed: false, priority: PRIORITY.LOW, tags: [], createdAt: '2025-01-01T00:00:00.000Z' }
+      ];
+      mockStorage.snapshots = [];
+
+      const report = service.doctor({ fix: true });
+      const ids = service.getAll().map(t => t.id);
+
+      expect(report.fixed).toBe(true);
+      expect(ids).toEqual([1, 2]);
+      expect(service.getById(1).description).toBe('First');
+      expect(mockStorage.snapshots.map(s => s.reason)).toEqual(['doctor']);
+      expect(service.doctor().issues).toEqual([]);
+    });
+  });
+
+  describe('ids', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-ids-'));
+      service = new TodoService(new JsonAdapter(new StorageService(path.join(dir, 'todos.json'))));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should hand out short sequential IDs that are never reused', () => {
+      const first = service.create({ description: 'First' });
+      const second = service.create({ description: 'Second' });
+      service.delete(second.id);
+
+      expect([first.id, second.id, service.create({ description: 'Third' }).id]).toEqual([1, 2, 3]);
+      expect(first.uid).not.toBe(second.uid);
+    });
+
+    it('should resolve IDs, the start of an ID and list positions', () => {
+      for (let i = 1; i <= 12; i++) {
+        service.create({ description: `Task ${i}` });
+      }
+      service.delete(1);
+
+      expect(service.resolveId(12)).toBe(12);
+      expect(service.resolveId('@1')).toBe(2);
+      expect(() => service.resolveId(1)).toThrow('ambiguous. It matches 10 (Task 10), 11 (Task 11), 12 (Task 12)');
+    });
+  });
+
+  describe('backups', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-backup-'));
+      service = new TodoService(new JsonAdapter(new StorageService(path.join(dir, 'todos.json'))));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should restore a snapshot and report what changed', () => {
+      const kept = service.create({ description: 'Kept' });
+      service.import([{ id: 1, description: 'Cleared', completed: true, priority: PRIORITY.LOW }]);
+      const snapshot = service.backup();
+      service.clearCompleted();
+      service.emptyTrash();
+      service.update(kept.id, { description: 'Kept, renamed' });
+      service.import([{ id: 2, description: 'Added later', completed: false }]);
+
+      const { diff } = service.compareBackup(snapshot.name);
+      expect(diff.added.map(t => t.description)).toEqual(['Cleared']);
+      expect(diff.removed.map(t => t.description)).toEqual(['Added later']);
+      expect(diff.changed.map(t => t.description)).toEqual(['Kept']);
+
+      const result = service.restore(snapshot.name);
+
+      expect(result.backup.reason).toBe('restore');
+      expect(service.getAll().map(t => t.description)).toEqual(['Kept', 'Cleared']);
+    });
+
+    it('should list automatic snapshots newest first', () => {
+      const task = service.create({ description: 'Task' });
+      service.delete(task.id);
+      service.emptyTrash();
+
+      expect(service.getBackups().map(s => s.reason)).toEqual(['purge']);
+      expect(() => service.compareBackup(5)).toThrow('Backup "5" not found');
+    });
+  });
+
+  describe('move', () => {
+    let dir;
+    let target;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-move-'));
+      service = new TodoService(new JsonAdapter(new StorageService(path.join(dir, 'todos.json'))));
+      target = new JsonAdapter(new StorageService(path.join(dir, 'lists', 'work.json')));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should move a task to another list with all its fields', () => {
+      const task = service.create({ description: 'Prepare slides', priority: PRIORITY.HIGH, dueDate: '2025-12-01', tags: ['work'] });
+      service.complete(task.id);
+      const moved = service.getById(task.id);
+
+      expect(service.move(task.id, target)).toEqual(moved);
+      expect(service.getAll()).toEqual([]);
+      expect(target.query()).toEqual([moved]);
+    });
+
+    it('should give the task the next ID of the target list', () => {
+      const task = service.create({ description: 'Task' });
+      target.insert({ ...task, uid: 'other', description: 'Other task' });
+
+      const moved = service.move(task.id, target);
+
+      expect(moved).toEqual({ ...task, id: task.id + 1 });
+      expect(service.getAll()).toEqual([]);
+      expect(target.query().map(t => t.description)).toEqual(['Other task', 'Task']);
+    });
+
+    it('should throw error for a missing task', () => {
+      expect(() => service.move(999, target)).toThrow('not found');
+    });
+
+    it('should clear the undo history, which could not be undone past the move', () => {
+      const task = service.create({ description: 'Task' });
+      service.move(task.id, target);
+
+      expect(service.undoHistory()).toEqual({ done: [], undone: [] });
+    });
+
+    it('should move several tasks in one change', () => {
+      const tasks = ['One', 'Two', 'Three'].map(description => service.create({ description }));
+
+      const { changed } = service.moveMany([tasks[2].id, tasks[0].id], target);
+
+      expect(changed.map(t => [t.id, t.description])).toEqual([[1, 'Three'], [2, 'One']]);
+      expect(service.getAll().map(t => t.description)).toEqual(['Two']);
+      expect(target.query()).toEqual(changed);
+    });
+
+    it('should keep subtasks with a parent that moves along, and detach those left behind', () => {
+      const parent = service.create({ description: 'Parent' });
+      service.create({ description: 'Moving step', parentId: parent.id });
+      service.create({ description: 'Staying step', parentId: parent.id });
+
+      const { changed } = service.moveMany([2, 1], target);
+
+      expect(changed.map(t => [t.id, t.parentId])).toEqual([[1, 2], [2, undefined]]);
+      expect(service.getAll()).toEqual([expect.not.objectContaining({ parentId: expect.anything() })]);
+    });
+
+    it('should keep dependencies between tasks that move together, and drop those across lists', () => {
+      ['First', 'Second', 'Third'].forEach(description => service.create({ description }));
+      service.addDependencies(2, [1]);
+      service.addDependencies(3, [1, 2]);
+
+      const { changed } = service.moveMany([1, 2], target);
+
+      expect(changed.map(t => [t.id, t.blockedBy])).toEqual([[1, undefined], [2, [1]]]);
+      expect(service.getById(3)).not.toHaveProperty('blockedBy');
+    });
+  });
+
+  describe('sync', () => {
+    let dir;
+    let remote;
+    let remoteFile;
+    let other;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-sync-'));
+      remoteFile = path.join(dir, 'shared', 'todos.json');
+      service = new TodoService(new JsonAdapter(new StorageService(path.join(dir, 'todos.json'))));
+      remote = new JsonAdapter(new StorageService(remoteFile));
+      other = new TodoService(remote);
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should copy tasks both ways on the first sync', () => {
+      service.create({ description: 'Local' });
+      remote.insert({ id: 1, description: 'Remote', completed: false, priority: PRIORITY.LOW });
+
+      const result = service.sync(remote, remoteFile);
+
+      expect(result).toMatchObject({ applied: true, firstSync: true, conflicts: [] });
+      expect(service.getAll().map(t => t.description)).toEqual(['Local', 'Remote']);
+      expect(other.getAll()).toEqual(service.getAll());
+    });
+
+    it('should merge later changes and deletions from both sides', () => {
+      const kept = service.create({ description: 'Kept' });
+      const gone = service.create({ description: 'Deleted remotely' });
+      service.sync(remote, remoteFile);
+
+      service.update(kept.id, { priority: PRIORITY.HIGH });
+      other.complete(kept.id);
+      other.delete(gone.id);
+      other.emptyTrash();
+
+      const result = service.sync(remote, remoteFile);
+
+      expect(result.firstSync).toBe(false);
+      expect(result.local.removed.map(t => t.id)).toEqual([gone.id]);
+      expect(service.getAll()).toEqual(other.getAll());
+      expect(service.getById(kept.id)).toMatchObject({ priority: PRIORITY.HIGH, completed: true });
+    });
+
+    it('should carry a task moved to the trash over to the other side', () => {
+      const task = service.create({ description: 'Task' });
+      service.sync(remote, remoteFile);
+      other.delete(task.id);
+
+      service.sync(remote, remoteFile);
+
+      expect(service.getAll()).toEqual([]);
+      expect(service.getTrash()).toEqual(other.getTrash());
+    });
+
+    it('should not change anything while conflicts are unresolved', () => {
+      const task = service.create({ description: 'Task' });
+      service.sync(remote, remoteFile);
+      service.update(task.id, { description: 'Ours' });
+      other.update(task.id, { description: 'Theirs' });
+
+      const open = service.sync(remote, remoteFile);
+      expect(open.applied).toBe(false);
+      expect(other.getById(task.id).description).toBe('Theirs');
+
+      const settled = service.sync(remote, remoteFile, { resolutions: { [task.uid]: 'ours' } });
+      expect(settled.applied).toBe(true);
+      expect(other.getById(task.id).description).toBe('Ours');
+    });
+
+    it('should give a task from the other file a new ID if its ID is taken here', () => {
+      const local = service.create({ description: 'Local' });
+      const theirs = other.create({ description: 'Remote' });
+
+      service.sync(remote, remoteFile);
+
+      expect(service.getById(local.id).description).toBe('Local');
+      expect(service.getAll().find(t => t.uid === theirs.uid).id).toBe(2);
+      expect(other.getAll()).toEqual(service.getAll());
+    });
+
+    it('should only report changes on a dry run', () => {
+      service.create({ description: 'Local' });
+
+      expect(service.sync(remote, remoteFile, { dryRun: true }).remote.added).toHaveLength(1);
+      expect(other.getAll()).toEqual([]);
+    });
+  });
+
+  describe('git history', () => {
+    let dir;
+    let git;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-git-'));
+      git = new GitService(dir);
+      git.init();
+      service = new TodoService(new JsonAdapter(new StorageService(path.join(dir, 'todos.json'))));
+      service.useGit(git);
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should commit every change with a readable message', () => {
+      const todo = service.create({ description: 'Fix bug' });
+      service.complete(todo.id);
+      service.clearCompleted();
+
+      expect(git.log().map(commit => commit.message)).toEqual([
+        'clear: 1 completed task(s)',
+        `complete: Fix bug (id ${todo.id})`,
+        `add: Fix bug (id ${todo.id})`,
+        'init: start task history'
+      ]);
+    });
+
+    it('should commit a change to several tasks once', () => {
+      [1, 2, 3, 4, 5, 6, 7].forEach(n => service.create({ description: `Task ${n}` }));
+      service.completeMany([1, 2, 3, 4, 5, 6, 7]);
+      service.deleteMany([3]);
+
+      expect(git.log({ limit: 2 }).map(commit => commit.message)).toEqual([
+        'delete: Task 3 (id 3)',
+        'complete: 7 task(s) (ids 1, 2, 3, 4, 5 and 2 more)'
+      ]);
+    });
+
+    it('should commit undo and redo', () => {
+      const todo = service.create({ description: 'Fix bug' });
+      service.undo();
+      service.redo();
+
+      expect(git.log({ limit: 2 }).map(commit => commit.message)).toEqual([
+        `redo: add: Fix bug (id ${todo.id})`,
+        `undo: add: Fix bug (id ${todo.id})`
+      ]);
+    });
+
+    it('should not commit when nothing changed', () => {
+      service.clearCompleted();
+      service.doctor();
+
+      expect(git.log()).toHaveLength(1);
+    });
+
+    it('should not commit anything when the data is healthy', () => {
+      service.create({ description: 'Fix bug' });
+      fs.writeFileSync(path.join(dir, 'README.txt'), 'notes');
+
+      expect(service.repair().repaired).toBe(false);
+      expect(git.log()).toHaveLength(2);
+    });
+
+    it('should commit a repair', () => {
+      service.create({ description: 'Fix bug' });
+      fs.writeFileSync(path.join(dir, 'todos.json'), '{ broken');
+
+      expect(service.repair().repaired).toBe(true);
+      expect(git.log({ limit: 1 })[0].message).toBe('repair: recover damaged data');
+    });
   });
-});
\ No newline at end of file
+});
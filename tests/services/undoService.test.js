@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { UndoService } from '../../src/services/undoService.js';
+import { UNDO } from '../../src/config/constants.js';
+
+describe('UndoService', () => {
+  const undo = new UndoService();
+  const task = (id, fields = {}) => ({ id, description: `Task ${id}`, completed: false, ...fields });
+  const operation = (message, changes = []) => ({ message, at: '2025-11-04T10:00:00.000Z', changes });
+
+  describe('changes', () => {
+    it('should report added, removed and changed tasks with both versions', () => {
+      const before = [task(1), task(2), task(3)];
+      const after = [task(1), task(2, { completed: true }), task(4)];
+
+      expect(undo.changes(before, after)).toEqual([
+        { id: 2, before: task(2), after: task(2, { completed: true }) },
+        { id: 4, before: null, after: task(4) },
+        { id: 3, before: task(3), after: null }
+      ]);
+    });
+
+    it('should ignore the order of fields', () => {
+      expect(undo.changes([{ id: 1, description: 'Task' }], [{ description: 'Task', id: 1 }])).toEqual([]);
+    });
+  });
+
+  describe('record', () => {
+    it('should forget undone operations and keep the last operations only', () => {
+      const done = Array.from({ length: UNDO.LIMIT }, (_, index) => operation(`op ${index}`));
+      const log = undo.record({ done, undone: [operation('undone')] }, operation('new'));
+
+      expect(log.undone).toEqual([]);
+      expect(log.done).toHaveLength(UNDO.LIMIT);
+      expect(log.done[0].message).toBe('op 1');
+      expect(log.done.at(-1).message).toBe('new');
+    });
+  });
+
+  describe('stale', () => {
+    const completed = operation('complete', [{ id: 1, before: task(1), after: task(1, { completed: true }) }]);
+
+    it('should accept tasks as the operation left them', () => {
+      expect(undo.stale(completed, [task(1, { completed: true }), task(2)])).toEqual([]);
+      expect(undo.stale(completed, [task(1)], true)).toEqual([]);
+    });
+
+    it('should report tasks changed or removed since', () => {
+      expect(undo.stale(completed, [task(1, { completed: true, description: 'Edited' })])).toHaveLength(1);
+      expect(undo.stale(completed, [])).toEqual(completed.changes);
+    });
+  });
+
+  describe('fields', () => {
+    it('should list the fields a change touched', () => {
+      const change = { id: 1, before: task(1, { tag: 'work' }), after: task(1, { completed: true }) };
+
+      expect(undo.fields(change)).toEqual(['completed', 'tag']);
+      expect(undo.fields({ id: 1, before: null, after: task(1) })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { dataPaths } from '../../src/utils/dataPaths.js';
+
+describe('dataPaths', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-paths-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('outside a project', () => {
+    it('should keep the journal beside the data file and the rest in backups/', () => {
+      const file = path.join(dir, 'todos.json');
+
+      expect(dataPaths.projectRoot(file)).toBeNull();
+      expect(dataPaths.stateDir(file)).toBe(path.join(dir, 'backups', 'todos'));
+      expect(dataPaths.journalFile(file)).toBe(`${file}.journal.jsonl`);
+    });
+
+    it('should not take a lists directory without a project file for a project', () => {
+      expect(dataPaths.projectRoot(path.join(dir, 'lists', 'work.json'))).toBeNull();
+    });
+  });
+
+  describe('in a project', () => {
+    beforeEach(() => {
+      fs.writeFileSync(path.join(dir, '.todo.json'), '[]');
+    });
+
+    it('should keep everything of the project file in .todo/default', () => {
+      const file = path.join(dir, '.todo.json');
+
+      expect(dataPaths.projectRoot(file)).toBe(dir);
+      expect(dataPaths.stateDir(file)).toBe(path.join(dir, '.todo', 'default'));
+      expect(dataPaths.stateDir(path.join(dir, '.todo.db'))).toBe(path.join(dir, '.todo', 'default'));
+      expect(dataPaths.journalFile(file)).toBe(path.join(dir, '.todo', 'default', 'journal.jsonl'));
+    });
+
+    it('should keep everything of another list in .todo/lists/<name>', () => {
+      const file = path.join(dir, 'lists', 'work.json');
+
+      expect(dataPaths.projectRoot(file)).toBe(dir);
+      expect(dataPaths.stateDir(file)).toBe(path.join(dir, '.todo', 'lists', 'work'));
+      expect(dataPaths.journalFile(file)).toBe(path.join(dir, '.todo', 'lists', 'work', 'journal.jsonl'));
+    });
+
+    it('should map where older versions kept the files to where they go now', () => {
+      const file = path.join(dir, 'lists', 'work.json');
+
+      expect(dataPaths.legacyPaths(file)).toEqual([
+        { from: path.join(dir, 'lists', 'backups', 'work'), to: path.join(dir, '.todo', 'lists', 'work') },
+        { from: `${file}.journal.jsonl`, to: path.join(dir, '.todo', 'lists', 'work', 'journal.jsonl') }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { encryption, EncryptionError } from '../../src/utils/encryption.js';
+
+describe('encryption', () => {
+  const kdf = encryption.createKdf();
+  const key = encryption.deriveKey('secret', kdf);
+
+  it('should round-trip text with the same key', () => {
+    const payload = encryption.encrypt('{"tasks":[]}', key, kdf);
+
+    expect(payload).toMatchObject({ cipher: 'aes-256-gcm', kdf });
+    expect(payload.data).not.toContain('tasks');
+    expect(encryption.decrypt(payload, encryption.deriveKey('secret', payload.kdf))).toBe('{"tasks":[]}');
+  });
+
+  it('should reject a wrong passphrase or modified data', () => {
+    const payload = encryption.encrypt('hello', key, kdf);
+
+    expect(() => encryption.decrypt(payload, encryption.deriveKey('wrong', kdf))).toThrow(EncryptionError);
+    expect(() => encryption.decrypt({ ...payload, data: Buffer.from('hellp').toString('base64') }, key)).toThrow('Wrong passphrase');
+  });
+
+  it('should reject an empty passphrase', () => {
+    expect(() => encryption.deriveKey('', kdf)).toThrow(EncryptionError);
+  });
+
+  it('should recognize encrypted payloads', () => {
+    expect(encryption.isEncrypted(encryption.encrypt('x', key, kdf))).toBe(true);
+    expect(encryption.isEncrypted({ version: 1, tasks: [] })).toBe(false);
+    expect(encryption.isEncrypted(null)).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { ids } from '../../src/utils/ids.js';
+import { TASK_ID } from '../../src/config/constants.js';
+
+describe('Ids', () => {
+  const todos = [1, 2, 12, 13, 25].map(id => ({ id, description: `Task ${id}` }));
+
+  describe('createUid', () => {
+    it('should create different hex identities', () => {
+      const uid = ids.createUid();
+
+      expect(uid).toMatch(new RegExp(`^[0-9a-f]{${TASK_ID.UID_LENGTH}}$`));
+      expect(ids.createUid()).not.toBe(uid);
+    });
+  });
+
+  describe('legacyUid', () => {
+    it('should derive the same identity from the same old ID', () => {
+      expect(ids.legacyUid(1730448000000)).toBe(ids.legacyUid(1730448000000));
+      expect(ids.legacyUid(1730448000000)).not.toBe(ids.legacyUid(1730448000001));
+    });
+  });
+
+  describe('resolve', () => {
+    it('should prefer an exact ID over longer IDs starting with it', () => {
+      expect(ids.resolve(1, todos)).toBe(1);
+      expect(ids.resolve(12, todos)).toBe(12);
+    });
+
+    it('should accept the start of exactly one ID', () => {
+      expect(ids.resolve(2, todos.filter(todo => todo.id !== 2))).toBe(25);
+    });
+
+    it('should only take full IDs when asked to', () => {
+      const withoutTwo = todos.filter(todo => todo.id !== 2);
+
+      expect(ids.resolve(25, withoutTwo, { exact: true })).toBe(25);
+      expect(() => ids.resolve(2, withoutTwo, { exact: true }))
+        .toThrow('Task with ID 2 not found. Type the full ID of 25 (Task 25) to pick it');
+      expect(() => ids.resolveAll([2], withoutTwo, { exact: true })).toThrow('Task with ID 2 not found');
+    });
+
+    it('should list the candidates of an ambiguous prefix', () => {
+      const withoutOne = todos.filter(todo => todo.id !== 1);
+
+      expect(() => ids.resolve(1, withoutOne)).toThrow('ID 1 is ambiguous. It matches 12 (Task 12), 13 (Task 13)');
+    });
+
+    it('should resolve list positions', () => {
+      expect(ids.resolve('@3', todos)).toBe(12);
+      expect(() => ids.resolve('@6', todos)).toThrow('No task at position 6. The list has 5 task(s)');
+    });
+
+    it('should throw error when nothing matches', () => {
+      expect(() => ids.resolve(9, todos)).toThrow('Task with ID 9 not found');
+    });
+  });
+
+  describe('resolveAll', () => {
+    it('should resolve references and ranges in the order they were named', () => {
+      expect(ids.resolveAll(['@5', { from: 2, to: 13 }, 1], todos)).toEqual([25, 2, 12, 13, 1]);
+    });
+
+    it('should name each task once', () => {
+      expect(ids.resolveAll([12, { from: 12, to: 13 }, '@3'], todos)).toEqual([12, 13]);
+    });
+
+    it('should throw error for a range without tasks', () => {
+      expect(() => ids.resolveAll([{ from: 3, to: 11 }], todos)).toThrow('No tasks with IDs from 3 to 11');
+    });
+  });
+});
@@ -10,7 +10,7 @@ describe('Parser', () => {
       expect(result.description).toBe('Buy groceries');
       expect(result.priority).toBeNull();
       expect(result.dueDate).toBeNull();
-      expect(result.tag).toBeNull();
+      expect(result.tags).toEqual([]);
     });
 
     it('should parse description with priority flag', () => {
@@ -31,7 +31,7 @@ describe('Parser', () => {
       const result = parser.parseTaskInput('Code review --tag work');
       
       expect(result.description).toBe('Code review');
-      expect(result.tag).toBe('work');
+      expect(result.tags).toEqual(['work']);
     });
 
     it('should parse description with all flags', () => {
@@ -42,7 +42,7 @@ describe('Parser', () => {
       expect(result.description).toBe('Deploy app');
       expect(result.priority).toBe(PRIORITY.HIGH);
       expect(result.dueDate).toBe('2025-11-10');
-      expect(result.tag).toBe('devops');
+      expect(result.tags).toEqual(['devops']);
     });
 
     it('should handle flags in any order', () => {
@@ -53,7 +53,34 @@ describe('Parser', () => {
       expect(result.description).toBe('Write tests');
       expect(result.priority).toBe(PRIORITY.MEDIUM);
       expect(result.dueDate).toBe('2025-11-20');
-      expect(result.tag).toBe('testing');
+      expect(result.tags).toEqual(['testing']);
+    });
+
+    it('should parse repeated tag flags', () => {
+      const result = parser.parseTaskInput('Plan trip --tag travel --tag Family,travel');
+
+      expect(result.description).toBe('Plan trip');
+      expect(result.tags).toEqual(['travel', 'family']);
+    });
+  });
+
+  describe('parseUpdateInput', () => {
+    it('should take +tag and -tag words as tag changes and the rest as the description', () => {
+      const result = parser.parseUpdateInput(['Call', '+Urgent', 'the bank', '-home']);
+
+      expect(result.description).toBe('Call the bank');
+      expect(result.tagChanges).toEqual({ add: ['urgent'], remove: ['home'] });
+    });
+
+    it('should keep the description when only tags change', () => {
+      expect(parser.parseUpdateInput(['+work']).description).toBeNull();
+    });
+
+    it('should keep numbers like -5 and +1 in the description', () => {
+      const result = parser.parseUpdateInput(['Lower', 'by', '-5', 'and', 'add', '+1', '-_x', '+q1']);
+
+      expect(result.description).toBe('Lower by -5 and add +1 -_x');
+      expect(result.tagChanges).toEqual({ add: ['q1'], remove: [] });
     });
   });
 
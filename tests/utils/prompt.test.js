@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { PassThrough } from 'stream';
+import { prompt } from '../../src/utils/prompt.js';
+
+describe('prompt', () => {
+  describe('confirm', () => {
+    const ask = (answer) => {
+      const input = new PassThrough();
+      const result = prompt.confirm('Continue?', { input, output: new PassThrough() });
+      answer === null ? input.end() : input.write(`${answer}\n`);
+      return result;
+    };
+
+    it('should accept y and yes', async () => {
+      expect(await ask('y')).toBe(true);
+      expect(await ask('YES')).toBe(true);
+    });
+
+    it('should treat any other answer as no', async () => {
+      expect(await ask('')).toBe(false);
+      expect(await ask('nope')).toBe(false);
+    });
+
+    it('should answer no when input is closed', async () => {
+      expect(await ask(null)).toBe(false);
+    });
+  });
+
+  describe('choose', () => {
+    const ask = (...answers) => {
+      const input = new PassThrough();
+      const result = prompt.choose('Keep which version?', ['ours', 'theirs'], { input, output: new PassThrough() });
+      answers.forEach(answer => input.write(`${answer}\n`));
+      input.end();
+      return result;
+    };
+
+    it('should accept a choice by first letter or in full', async () => {
+      expect(await ask('t')).toBe('theirs');
+      expect(await ask('OURS')).toBe('ours');
+    });
+
+    it('should ask again after an unknown answer', async () => {
+      expect(await ask('maybe', '', 'o')).toBe('ours');
+    });
+
+    it('should return null when input is closed', async () => {
+      expect(await ask()).toBe(null);
+    });
+  });
+
+  describe('password', () => {
+    it('should return the answer without echoing it', async () => {
+      const input = new PassThrough();
+      const output = new PassThrough();
+      let written = '';
+      output.on('data', chunk => { written += chunk; });
+
+      const result = prompt.password('Passphrase:', { input, output });
+      input.write('secret\n');
+
+      expect(await result).toBe('secret');
+      expect(written).toContain('Passphrase:');
+      expect(written).not.toContain('secret');
+    });
+
+    it('should answer an empty string when input is closed', async () => {
+      const input = new PassThrough();
+      const result = prompt.password('Passphrase:', { input, output: new PassThrough() });
+      input.end();
+
+      expect(await result).toBe('');
+    });
+  });
+
+  describe('edit', () => {
+    it('should return the text as the editor left it', () => {
+      const editor = `sh -c 'printf "Edited\\n" >> "$0"'`;
+
+      expect(prompt.edit('Notes\n', { editor })).toBe('Notes\nEdited\n');
+    });
+
+    it('should throw when the editor fails', () => {
+      expect(() => prompt.edit('Notes', { editor: 'false' })).toThrow('exited with code 1');
+    });
+  });
+});
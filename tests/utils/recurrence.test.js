@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { recurrence } from '../../src/utils/recurrence.js';
+
+describe('recurrence', () => {
+  describe('schedule', () => {
+    it('should take the days of weekly and monthly rules from the first due date', () => {
+      expect(recurrence.schedule({ every: 'week' }, '2026-10-16')).toEqual({ every: 'week', days: [5], mode: 'fixed' });
+      expect(recurrence.schedule({ every: 'month', mode: 'after-completion' }, '2026-10-16'))
+        .toEqual({ every: 'month', day: 16, mode: 'after-completion' });
+      expect(recurrence.schedule({ every: 'week', days: [1] }, '2026-10-16')).toEqual({ every: 'week', days: [1], mode: 'fixed' });
+    });
+  });
+
+  describe('firstDate', () => {
+    it('should pick the first day on the schedule from a date', () => {
+      expect(recurrence.firstDate({ every: 'days', interval: 3 }, '2026-10-17')).toBe('2026-10-17');
+      expect(recurrence.firstDate({ every: 'weekdays' }, '2026-10-17')).toBe('2026-10-19');
+      expect(recurrence.firstDate({ every: 'week', days: [6] }, '2026-10-17')).toBe('2026-10-17');
+      expect(recurrence.firstDate({ every: 'month', day: 15 }, '2026-10-17')).toBe('2026-11-15');
+    });
+  });
+
+  describe('nextDate', () => {
+    it('should roll days and weeks forward', () => {
+      expect(recurrence.nextDate({ every: 'days', interval: 3 }, '2026-10-30')).toBe('2026-11-02');
+      expect(recurrence.nextDate({ every: 'weekdays' }, '2026-10-16')).toBe('2026-10-19');
+      expect(recurrence.nextDate({ every: 'week', days: [1, 4] }, '2026-10-19')).toBe('2026-10-22');
+      expect(recurrence.nextDate({ every: 'week', days: [1, 4] }, '2026-10-22')).toBe('2026-10-26');
+      expect(recurrence.nextDate({ every: 'week', days: [5] }, '2026-10-16')).toBe('2026-10-23');
+    });
+
+    it('should keep the day of the month, using the last day of shorter months', () => {
+      expect(recurrence.nextDate({ every: 'month', day: 15 }, '2026-10-03')).toBe('2026-10-15');
+      expect(recurrence.nextDate({ every: 'month', day: 31 }, '2026-01-31')).toBe('2026-02-28');
+      expect(recurrence.nextDate({ every: 'month', day: 31 }, '2026-02-28')).toBe('2026-03-31');
+      expect(recurrence.nextDate({ every: 'month', day: 5 }, '2026-12-05')).toBe('2027-01-05');
+    });
+  });
+
+  describe('describe', () => {
+    it('should describe rules for display', () => {
+      expect(recurrence.describe({ every: 'days', interval: 1, mode: 'fixed' })).toBe('every day');
+      expect(recurrence.describe({ every: 'days', interval: 3, mode: 'after-completion' })).toBe('every 3 days after completion');
+      expect(recurrence.describe({ every: 'week', days: [1, 4], mode: 'fixed' })).toBe('every week on mon, thu');
+      expect(recurrence.describe({ every: 'month', day: 15, mode: 'fixed' })).toBe('every month on day 15');
+    });
+  });
+});
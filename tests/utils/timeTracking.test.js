@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { timeTracking } from '../../src/utils/timeTracking.js';
+
+describe('timeTracking', () => {
+  const at = time => Date.parse(`2026-10-19T${time}:00.000Z`);
+  const entry = { start: '2026-10-19T09:00:00.000Z', end: '2026-10-19T10:30:00.000Z' };
+  const running = { start: '2026-10-19T11:00:00.000Z' };
+
+  describe('isRunning', () => {
+    it('should tell whether a task has an entry that has not ended', () => {
+      expect(timeTracking.isRunning({ timeEntries: [entry, running] })).toBe(true);
+      expect(timeTracking.isRunning({ timeEntries: [entry] })).toBe(false);
+      expect(timeTracking.isRunning({})).toBe(false);
+    });
+  });
+
+  describe('seconds', () => {
+    it('should count a running entry until now', () => {
+      expect(timeTracking.seconds(entry)).toBe(5400);
+      expect(timeTracking.seconds(running, { now: at('11:20') })).toBe(1200);
+    });
+
+    it('should count only the part of an entry within a period', () => {
+      expect(timeTracking.seconds(entry, { from: at('10:00') })).toBe(1800);
+      expect(timeTracking.seconds(entry, { to: at('09:15') })).toBe(900);
+      expect(timeTracking.seconds(entry, { from: at('11:00'), to: at('12:00') })).toBe(0);
+    });
+  });
+
+  describe('total', () => {
+    it('should add up the entries of a task', () => {
+      expect(timeTracking.total({ timeEntries: [entry, running] }, { now: at('11:30') })).toBe(7200);
+      expect(timeTracking.total({})).toBe(0);
+    });
+  });
+
+  describe('format', () => {
+    it('should show hours and minutes', () => {
+      expect(timeTracking.format(5400)).toBe('1h 30m');
+      expect(timeTracking.format(7200)).toBe('2h 0m');
+      expect(timeTracking.format(2759)).toBe('45m');
+      expect(timeTracking.format(30)).toBe('0m');
+    });
+  });
+
+  describe('hours', () => {
+    it('should show decimal hours for timesheets', () => {
+      expect(timeTracking.hours(5400)).toBe('1.50');
+      expect(timeTracking.hours(1200)).toBe('0.33');
+    });
+  });
+});
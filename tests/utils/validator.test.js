@@ -18,6 +18,47 @@ describe('Validator', () => {
         it('should throw error for non-numeric ID', () => {
             expect(() => validator.validateId('abc')).toThrow(ValidationError);
             expect(() => validator.validateId('abc')).toThrow('Invalid task ID');
+            expect(() => validator.validateId('12abc')).toThrow('Invalid task ID');
+        });
+
+        it('should accept list positions', () => {
+            expect(validator.validateId('@3')).toBe('@3');
+            expect(() => validator.validateId('@0')).toThrow('Invalid task ID');
+        });
+    });
+
+    describe('validateIds', () => {
+        it('should parse references, comma separated lists and ranges', () => {
+            expect(validator.validateIds(['3', '5,@1', '7-9'])).toEqual([3, 5, '@1', { from: 7, to: 9 }]);
+        });
+
+        it('should throw error for a reversed range', () => {
+            expect(() => validator.validateIds(['9-7'])).toThrow('Invalid ID range 9-7');
+        });
+
+        it('should throw error for an invalid reference', () => {
+            expect(() => validator.validateIds(['3', 'x'])).toThrow('Invalid task ID');
+        });
+    });
+
+    describe('validateSelection', () => {
+        it('should return references and the given filters', () => {
+            expect(validator.validateSelection(['3'], { completed: true, tag: 'Sprint-12', before: '2026-01-01' })).toEqual({
+                refs: [3],
+                filters: { completed: true, tags: [['sprint-12']], before: '2026-01-01' }
+            });
+        });
+
+        it('should allow filters without references', () => {
+            expect(validator.validateSelection([], { priority: 'HIGH' })).toEqual({ refs: [], filters: { priority: 'high' } });
+        });
+
+        it('should throw error when neither references nor filters are given', () => {
+            expect(() => validator.validateSelection([], {})).toThrow('Task ID or filter is required');
+        });
+
+        it('should throw error for contradicting filters', () => {
+            expect(() => validator.validateSelection([], { completed: true, pending: true })).toThrow(ValidationError);
         });
     });
 
@@ -96,6 +137,29 @@ describe('Validator', () => {
         });
     });
 
+    describe('validateTags', () => {
+        it('should split, normalize and deduplicate tags', () => {
+            expect(validator.validateTags(['Work', 'home,work', ''])).toEqual(['work', 'home']);
+            expect(validator.validateTags(null)).toEqual([]);
+        });
+
+        it('should throw error for invalid tags', () => {
+            expect(() => validator.validateTags(['work', 'tag@work'])).toThrow('only letters, numbers');
+        });
+    });
+
+    describe('validateTagFilter', () => {
+        it('should read commas as any of the tags and plus signs as all of them', () => {
+            expect(validator.validateTagFilter('Work+urgent,home')).toEqual([['work', 'urgent'], ['home']]);
+            expect(validator.validateTagFilter(['work', 'home'])).toEqual([['work'], ['home']]);
+        });
+
+        it('should throw error for empty filters and tags', () => {
+            expect(() => validator.validateTagFilter(',')).toThrow('Tag filter cannot be empty');
+            expect(() => validator.validateTagFilter('work+')).toThrow('Invalid tag filter "work+"');
+        });
+    });
+
     describe('validateKeyword', () => {
         it('should validate and trim keyword', () => {
             expect(validator.validateKeyword('  search term  ')).toBe('search term');
@@ -119,4 +183,127 @@ describe('Validator', () => {
             expect(() => validator.validateFilename('   ')).toThrow('cannot be empty');
         });
     });
+
+    describe('validateListName', () => {
+        it('should validate and normalize list names', () => {
+            expect(validator.validateListName(' Work ')).toBe('work');
+            expect(validator.validateListName('side-project_2')).toBe('side-project_2');
+        });
+
+        it('should throw error for empty or invalid names', () => {
+            expect(() => validator.validateListName('')).toThrow('cannot be empty');
+            expect(() => validator.validateListName('../work')).toThrow('Invalid list name');
+            expect(() => validator.validateListName('-work')).toThrow('Invalid list name');
+            expect(() => validator.validateListName('a'.repeat(33))).toThrow('Invalid list name');
+        });
+    });
+
+    describe('validateLimit', () => {
+        it('should parse positive whole numbers', () => {
+            expect(validator.validateLimit('5')).toBe(5);
+        });
+
+        it('should throw error for zero, negative or fractional limits', () => {
+            expect(() => validator.validateLimit('0')).toThrow('Invalid limit');
+            expect(() => validator.validateLimit('-2')).toThrow('Invalid limit');
+            expect(() => validator.validateLimit('1.5')).toThrow('Invalid limit');
+            expect(() => validator.validateLimit('ten')).toThrow('Invalid limit');
+        });
+    });
+
+    describe('validateAge', () => {
+        it('should parse days and weeks', () => {
+            expect(validator.validateAge('30d')).toBe(30);
+            expect(validator.validateAge('2w')).toBe(14);
+            expect(validator.validateAge('7')).toBe(7);
+        });
+
+        it('should throw error for other ages', () => {
+            expect(() => validator.validateAge('1m')).toThrow('Invalid age');
+            expect(() => validator.validateAge('-3d')).toThrow('Invalid age');
+        });
+    });
+
+    describe('validateNotes', () => {
+        it('should trim notes and allow empty ones', () => {
+            expect(validator.validateNotes('  Links:\n- docs\n\n')).toBe('Links:\n- docs');
+            expect(validator.validateNotes('')).toBe('');
+        });
+
+        it('should throw error for notes that are too long', () => {
+            expect(() => validator.validateNotes('x'.repeat(10001))).toThrow('Notes are too long');
+        });
+    });
+
+    describe('validateAnnotation', () => {
+        it('should trim annotations', () => {
+            expect(validator.validateAnnotation(' Sent for review ')).toBe('Sent for review');
+        });
+
+        it('should throw error for empty or long annotations', () => {
+            expect(() => validator.validateAnnotation('  ')).toThrow('Note cannot be empty');
+            expect(() => validator.validateAnnotation('x'.repeat(1001))).toThrow('Note is too long');
+        });
+    });
+
+    describe('validateRecurrence', () => {
+        it('should parse every kind of repeat rule', () => {
+            expect(validator.validateRecurrence('daily')).toEqual({ every: 'days', interval: 1 });
+            expect(validator.validateRecurrence('3d')).toEqual({ every: 'days', interval: 3 });
+            expect(validator.validateRecurrence('Weekdays')).toEqual({ every: 'weekdays' });
+            expect(validator.validateRecurrence('week')).toEqual({ every: 'week' });
+            expect(validator.validateRecurrence('week:thu,Monday,mon')).toEqual({ every: 'week', days: [1, 4] });
+            expect(validator.validateRecurrence('monthly:15')).toEqual({ every: 'month', day: 15 });
+        });
+
+        it('should throw error for invalid rules', () => {
+            expect(() => validator.validateRecurrence('yearly')).toThrow('Invalid repeat rule');
+            expect(() => validator.validateRecurrence('0d')).toThrow('Invalid repeat rule');
+            expect(() => validator.validateRecurrence('week:funday')).toThrow('Invalid repeat rule');
+            expect(() => validator.validateRecurrence('month:32')).toThrow('Invalid repeat rule');
+        });
+    });
+
+    describe('validateDuration', () => {
+        it('should parse hours and minutes into minutes', () => {
+            expect(validator.validateDuration('1h30m')).toBe(90);
+            expect(validator.validateDuration('2H')).toBe(120);
+            expect(validator.validateDuration('1h 5min')).toBe(65);
+            expect(validator.validateDuration('45m')).toBe(45);
+            expect(validator.validateDuration('1.5h')).toBe(90);
+            expect(validator.validateDuration('1:15')).toBe(75);
+            expect(validator.validateDuration('20')).toBe(20);
+        });
+
+        it('should throw error for invalid, empty or overlong durations', () => {
+            expect(() => validator.validateDuration('soon')).toThrow('Invalid duration');
+            expect(() => validator.validateDuration('h')).toThrow('Invalid duration');
+            expect(() => validator.validateDuration('1:75')).toThrow('Invalid duration');
+            expect(() => validator.validateDuration('0m')).toThrow('Duration must be at least a minute');
+            expect(() => validator.validateDuration('25h')).toThrow('Duration cannot be longer than 24 hours');
+        });
+    });
+
+    describe('validateSyncStrategy', () => {
+        it('should validate and normalize strategies', () => {
+            expect(validator.validateSyncStrategy('ours')).toBe('ours');
+            expect(validator.validateSyncStrategy(' Newest ')).toBe('newest');
+        });
+
+        it('should throw error for unknown strategies', () => {
+            expect(() => validator.validateSyncStrategy('mine')).toThrow('Invalid sync strategy');
+        });
+    });
+
+    describe('validateBackend', () => {
+        it('should validate and normalize backend names', () => {
+            expect(validator.validateBackend('json')).toBe('json');
+            expect(validator.validateBackend(' SQLite ')).toBe('sqlite');
+        });
+
+        it('should throw error for missing or unknown backends', () => {
+            expect(() => validator.validateBackend()).toThrow('Storage backend is required');
+            expect(() => validator.validateBackend('mongo')).toThrow('Invalid storage backend');
+        });
+    });
 });
\ No newline at end of file